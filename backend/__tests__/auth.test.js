@@ -1,5 +1,10 @@
 const request = require('supertest');
+const jwt = require('jsonwebtoken');
 const app = require('../server');
+const pool = require('../db');
+const { JWT_SECRET } = require('../middleware/auth');
+const { outbox } = require('../lib/mailer');
+const totp = require('../lib/totp');
 
 /**
  * Authentication API Tests
@@ -27,6 +32,8 @@ describe('Authentication API', () => {
 
       expect(res.statusCode).toBe(201);
       expect(res.body).toHaveProperty('token');
+      expect(res.body).toHaveProperty('refresh_token');
+      expect(res.body.expires_in).toBeGreaterThan(0);
       expect(res.body).toHaveProperty('user');
       expect(res.body.user.username).toBe(testUser.username);
       expect(res.body.user.email).toBe(testUser.email);
@@ -71,6 +78,19 @@ describe('Authentication API', () => {
       expect(res.body.error).toContain('at least 6 characters');
     });
 
+    it('should return 400 if the email is invalid', async () => {
+      const res = await request(app)
+        .post('/api/auth/register')
+        .send({
+          username: 'bademail',
+          email: 'not-an-email',
+          password: 'password123'
+        });
+
+      expect(res.statusCode).toBe(400);
+      expect(res.body.error).toBe('Invalid email address');
+    });
+
     it('should return 409 if username already exists', async () => {
       const res = await request(app)
         .post('/api/auth/register')
@@ -181,5 +201,688 @@ describe('Authentication API', () => {
 
       expect(res.statusCode).toBe(401);
     });
+
+    it('should return 403 with a token that belongs to no session', async () => {
+      const token = jwt.sign({ id: userId, username: testUser.username, email: testUser.email }, JWT_SECRET);
+
+      const res = await request(app)
+        .get('/api/games')
+        .set('Authorization', `Bearer ${token}`);
+
+      expect(res.statusCode).toBe(403);
+    });
+  });
+
+  describe('GET /api/auth/me', () => {
+    it('should return the profile of the authenticated user', async () => {
+      const res = await request(app)
+        .get('/api/auth/me')
+        .set('Authorization', `Bearer ${authToken}`);
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body.user).toMatchObject({
+        id: userId,
+        username: testUser.username,
+        email: testUser.email,
+        verified_at: null,
+        two_factor_enabled: false,
+        restrictions: []
+      });
+      expect(res.body.user.last_login).toBeDefined();
+      expect(res.body.user.password_hash).toBeUndefined();
+    });
+
+    it('should return 401 without authentication token', async () => {
+      const res = await request(app).get('/api/auth/me');
+
+      expect(res.statusCode).toBe(401);
+    });
+  });
+
+  /**
+   * Session Tests
+   */
+  describe('Sessions', () => {
+    // Log in again, opening a new session
+    const login = async () => {
+      const res = await request(app)
+        .post('/api/auth/login')
+        .set('User-Agent', 'jest-device')
+        .send({ username: testUser.username, password: testUser.password });
+      return res.body;
+    };
+
+    it('should rotate the refresh token', async () => {
+      const session = await login();
+
+      const res = await request(app)
+        .post('/api/auth/refresh')
+        .send({ refresh_token: session.refresh_token });
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body.user.id).toBe(userId);
+      expect(res.body.refresh_token).not.toBe(session.refresh_token);
+
+      const meRes = await request(app)
+        .get('/api/games')
+        .set('Authorization', `Bearer ${res.body.token}`);
+      expect(meRes.statusCode).toBe(200);
+
+      // The old refresh token was used up
+      const replayRes = await request(app)
+        .post('/api/auth/refresh')
+        .send({ refresh_token: session.refresh_token });
+      expect(replayRes.statusCode).toBe(401);
+      expect(replayRes.body.error).toBe('Invalid refresh token');
+    });
+
+    it('should return 400 if the refresh token is missing', async () => {
+      const res = await request(app).post('/api/auth/refresh').send({});
+
+      expect(res.statusCode).toBe(400);
+    });
+
+    it('should revoke the session on logout', async () => {
+      const session = await login();
+
+      const res = await request(app)
+        .post('/api/auth/logout')
+        .send({ refresh_token: session.refresh_token });
+      expect(res.statusCode).toBe(200);
+
+      const gamesRes = await request(app)
+        .get('/api/games')
+        .set('Authorization', `Bearer ${session.token}`);
+      expect(gamesRes.statusCode).toBe(403);
+
+      const refreshRes = await request(app)
+        .post('/api/auth/refresh')
+        .send({ refresh_token: session.refresh_token });
+      expect(refreshRes.statusCode).toBe(401);
+    });
+
+    it('should list active sessions and flag the current one', async () => {
+      const current = await login();
+      const other = await login();
+
+      const res = await request(app)
+        .get('/api/auth/sessions')
+        .set('Authorization', `Bearer ${current.token}`);
+
+      expect(res.statusCode).toBe(200);
+      const currentId = jwt.decode(current.token).sid;
+      const otherId = jwt.decode(other.token).sid;
+      const listed = res.body.sessions.map(session => session.id);
+      expect(listed).toEqual(expect.arrayContaining([currentId, otherId]));
+      expect(res.body.sessions.find(session => session.current).id).toBe(currentId);
+      expect(res.body.sessions[0].user_agent).toBe('jest-device');
+      expect(res.body.sessions[0]).not.toHaveProperty('refresh_token_hash');
+    });
+
+    it('should revoke another session of the user', async () => {
+      const current = await login();
+      const other = await login();
+      const otherId = jwt.decode(other.token).sid;
+
+      const res = await request(app)
+        .delete(`/api/auth/sessions/${otherId}`)
+        .set('Authorization', `Bearer ${current.token}`);
+      expect(res.statusCode).toBe(200);
+
+      const otherRes = await request(app)
+        .get('/api/games')
+        .set('Authorization', `Bearer ${other.token}`);
+      expect(otherRes.statusCode).toBe(403);
+
+      const listRes = await request(app)
+        .get('/api/auth/sessions')
+        .set('Authorization', `Bearer ${current.token}`);
+      expect(listRes.body.sessions.map(session => session.id)).not.toContain(otherId);
+    });
+
+    it("should return 404 when revoking another user's session", async () => {
+      const session = await login();
+      const stranger = await request(app)
+        .post('/api/auth/register')
+        .send({ username: `stranger${Date.now()}`, email: `stranger${Date.now()}@example.com`, password: 'password123' });
+
+      const res = await request(app)
+        .delete(`/api/auth/sessions/${jwt.decode(session.token).sid}`)
+        .set('Authorization', `Bearer ${stranger.body.token}`);
+
+      expect(res.statusCode).toBe(404);
+    });
+  });
+
+  /**
+   * Password Reset Tests
+   */
+  describe('Password reset', () => {
+    const resetUser = {
+      username: `reset${Date.now()}`,
+      email: `reset${Date.now()}@example.com`,
+      password: 'oldpassword'
+    };
+
+    let sessionToken;
+
+    /**
+     * Request a reset link and return the token it carries
+     */
+    const requestReset = async () => {
+      outbox.length = 0;
+      const res = await request(app)
+        .post('/api/auth/forgot-password')
+        .send({ email: resetUser.email });
+      expect(res.statusCode).toBe(200);
+      expect(outbox).toHaveLength(1);
+      return /token=([\w-]+)/.exec(outbox[0].text)[1];
+    };
+
+    beforeAll(async () => {
+      const res = await request(app).post('/api/auth/register').send(resetUser);
+      sessionToken = res.body.token;
+    });
+
+    it('should answer the same way for unknown emails without sending anything', async () => {
+      outbox.length = 0;
+      const unknownRes = await request(app)
+        .post('/api/auth/forgot-password')
+        .send({ email: 'nobody@example.com' });
+      const knownRes = await request(app)
+        .post('/api/auth/forgot-password')
+        .send({ email: resetUser.email });
+
+      expect(unknownRes.statusCode).toBe(200);
+      expect(unknownRes.body).toEqual(knownRes.body);
+      expect(outbox).toHaveLength(1);
+      expect(outbox[0].to).toBe(resetUser.email);
+      expect(outbox[0].text).toContain('/reset-password?token=');
+    });
+
+    it('should return 400 if the email is missing', async () => {
+      const res = await request(app).post('/api/auth/forgot-password').send({});
+
+      expect(res.statusCode).toBe(400);
+    });
+
+    it('should only accept the latest reset link', async () => {
+      const first = await requestReset();
+      await requestReset();
+
+      const res = await request(app)
+        .post('/api/auth/reset-password')
+        .send({ token: first, password: 'newpassword' });
+
+      expect(res.statusCode).toBe(400);
+      expect(res.body.error).toBe('Invalid or expired reset token');
+    });
+
+    it('should reject expired reset links', async () => {
+      const token = await requestReset();
+      await pool.query(
+        `UPDATE password_resets SET expires_at = CURRENT_TIMESTAMP - INTERVAL '1 minute'
+         WHERE user_id = (SELECT id FROM users WHERE email = $1)`,
+        [resetUser.email]
+      );
+
+      const res = await request(app)
+        .post('/api/auth/reset-password')
+        .send({ token, password: 'newpassword' });
+
+      expect(res.statusCode).toBe(400);
+    });
+
+    it('should return 400 if the new password is too short', async () => {
+      const token = await requestReset();
+
+      const res = await request(app)
+        .post('/api/auth/reset-password')
+        .send({ token, password: '123' });
+
+      expect(res.statusCode).toBe(400);
+      expect(res.body.error).toContain('at least 6 characters');
+    });
+
+    it('should reset the password once and log out every session', async () => {
+      const token = await requestReset();
+
+      const res = await request(app)
+        .post('/api/auth/reset-password')
+        .send({ token, password: 'newpassword' });
+      expect(res.statusCode).toBe(200);
+
+      const oldLogin = await request(app)
+        .post('/api/auth/login')
+        .send({ username: resetUser.username, password: resetUser.password });
+      expect(oldLogin.statusCode).toBe(401);
+
+      const newLogin = await request(app)
+        .post('/api/auth/login')
+        .send({ username: resetUser.username, password: 'newpassword' });
+      expect(newLogin.statusCode).toBe(200);
+
+      const sessionRes = await request(app)
+        .get('/api/games')
+        .set('Authorization', `Bearer ${sessionToken}`);
+      expect(sessionRes.statusCode).toBe(403);
+
+      const replayRes = await request(app)
+        .post('/api/auth/reset-password')
+        .send({ token, password: 'anotherpassword' });
+      expect(replayRes.statusCode).toBe(400);
+    });
+  });
+
+  /**
+   * Email Verification Tests
+   */
+  describe('Email verification', () => {
+    /**
+     * Get the token of the last verification email sent to an address
+     */
+    const lastVerificationToken = (email) => {
+      const message = [...outbox].reverse().find(sent => sent.to === email && sent.text.includes('/verify-email'));
+      return /token=([\w-]+)/.exec(message.text)[1];
+    };
+
+    /**
+     * Register a new user with a unique name
+     */
+    const register = async (name) => {
+      const res = await request(app)
+        .post('/api/auth/register')
+        .send({ username: `${name}${Date.now()}`, email: `${name}${Date.now()}@example.com`, password: 'password123' });
+      return res.body;
+    };
+
+    /**
+     * Make the last verification email of a user old enough to send another
+     */
+    const ageLastEmail = (userId) => pool.query(
+      "UPDATE email_verifications SET created_at = created_at - INTERVAL '1 hour' WHERE user_id = $1",
+      [userId]
+    );
+
+    afterEach(() => {
+      delete process.env.EMAIL_VERIFICATION_REQUIRED_FOR;
+    });
+
+    it('should send a verification link on registration', async () => {
+      const { user } = await register('verify');
+
+      expect(user.verified_at).toBeNull();
+      expect(user.restrictions).toEqual([]);
+      expect(lastVerificationToken(user.email)).toBeTruthy();
+    });
+
+    it('should verify the email once', async () => {
+      const { user } = await register('verifyonce');
+      const token = lastVerificationToken(user.email);
+
+      const res = await request(app).get(`/api/auth/verify/${token}`);
+      expect(res.statusCode).toBe(200);
+      expect(res.body.user.id).toBe(user.id);
+      expect(res.body.user.verified_at).not.toBeNull();
+
+      const replayRes = await request(app).get(`/api/auth/verify/${token}`);
+      expect(replayRes.statusCode).toBe(400);
+      expect(replayRes.body.error).toBe('Invalid or expired verification link');
+    });
+
+    it('should throttle verification emails', async () => {
+      const { user, token } = await register('resend');
+      const firstLink = lastVerificationToken(user.email);
+
+      const tooSoonRes = await request(app)
+        .post('/api/auth/verify/resend')
+        .set('Authorization', `Bearer ${token}`);
+      expect(tooSoonRes.statusCode).toBe(429);
+      expect(Number(tooSoonRes.headers['retry-after'])).toBeGreaterThan(0);
+
+      await ageLastEmail(user.id);
+
+      const res = await request(app)
+        .post('/api/auth/verify/resend')
+        .set('Authorization', `Bearer ${token}`);
+      expect(res.statusCode).toBe(200);
+
+      // Only the new link works
+      const newLink = lastVerificationToken(user.email);
+      expect(newLink).not.toBe(firstLink);
+      expect((await request(app).get(`/api/auth/verify/${firstLink}`)).statusCode).toBe(400);
+      expect((await request(app).get(`/api/auth/verify/${newLink}`)).statusCode).toBe(200);
+
+      await ageLastEmail(user.id);
+      const verifiedRes = await request(app)
+        .post('/api/auth/verify/resend')
+        .set('Authorization', `Bearer ${token}`);
+      expect(verifiedRes.statusCode).toBe(400);
+      expect(verifiedRes.body.error).toBe('Email already verified');
+    });
+
+    it('should keep unverified users out of restricted actions when configured', async () => {
+      process.env.EMAIL_VERIFICATION_REQUIRED_FOR = 'ranked,chat';
+      const { user, token } = await register('restricted');
+
+      const loginRes = await request(app)
+        .post('/api/auth/login')
+        .send({ username: user.username, password: 'password123' });
+      expect(loginRes.body.user.restrictions).toEqual(['ranked', 'chat']);
+
+      const rankedRes = await request(app)
+        .post('/api/games')
+        .set('Authorization', `Bearer ${token}`);
+      expect(rankedRes.statusCode).toBe(403);
+      expect(rankedRes.body.error).toContain('Verify your email');
+
+      const queueRes = await request(app)
+        .post('/api/matchmaking/queue')
+        .set('Authorization', `Bearer ${token}`);
+      expect(queueRes.statusCode).toBe(403);
+
+      const botRes = await request(app)
+        .post('/api/games')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ opponent: 'bot' });
+      expect(botRes.statusCode).toBe(201);
+
+      const chatRes = await request(app)
+        .post(`/api/games/${botRes.body.game.id}/messages`)
+        .set('Authorization', `Bearer ${token}`)
+        .send({ body: 'hello' });
+      expect(chatRes.statusCode).toBe(403);
+
+      // Accepting a rematch starts a ranked game too
+      const rematchRes = await request(app)
+        .post(`/api/games/${botRes.body.game.id}/rematch/accept`)
+        .set('Authorization', `Bearer ${token}`);
+      expect(rematchRes.statusCode).toBe(403);
+      expect(rematchRes.body.error).toContain('Verify your email');
+
+      await request(app).get(`/api/auth/verify/${lastVerificationToken(user.email)}`);
+
+      const verifiedRes = await request(app)
+        .post('/api/games')
+        .set('Authorization', `Bearer ${token}`);
+      expect(verifiedRes.statusCode).toBe(201);
+    });
+  });
+
+  /**
+   * Two-Factor Authentication Tests
+   */
+  describe('Two-factor authentication', () => {
+    const tfaUser = {
+      username: `tfa${Date.now()}`,
+      email: `tfa${Date.now()}@example.com`,
+      password: 'password123'
+    };
+
+    let sessionToken;
+    let secret;
+    let enableCode;
+    let recoveryCodes;
+
+    /**
+     * Code of the authenticator app, a given number of time steps from now
+     */
+    const codeAt = (offset = 0) => totp.generateCode(secret, totp.getStep() + offset);
+
+    /**
+     * Forget the last accepted code, so the current one can be used again
+     */
+    const forgetLastCode = () => pool.query(
+      'UPDATE users SET totp_last_step = NULL WHERE username = $1',
+      [tfaUser.username]
+    );
+
+    /**
+     * Clear the failed logins left by wrong codes
+     */
+    const clearFailures = () => pool.query(
+      'UPDATE users SET failed_logins = 0, locked_until = NULL WHERE username = $1',
+      [tfaUser.username]
+    );
+
+    const login = () => request(app)
+      .post('/api/auth/login')
+      .send({ username: tfaUser.username, password: tfaUser.password });
+
+    beforeAll(async () => {
+      const res = await request(app).post('/api/auth/register').send(tfaUser);
+      sessionToken = res.body.token;
+      expect(res.body.user.two_factor_enabled).toBe(false);
+    });
+
+    it('should return a secret and its otpauth URI on setup', async () => {
+      const res = await request(app)
+        .post('/api/auth/2fa/setup')
+        .set('Authorization', `Bearer ${sessionToken}`);
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body.secret).toMatch(/^[A-Z2-7]{32}$/);
+      expect(res.body.otpauth_uri).toBe(
+        `otpauth://totp/Tic-Tac-Toe%3A${tfaUser.username}?secret=${res.body.secret}&issuer=Tic-Tac-Toe&algorithm=SHA1&digits=6&period=30`
+      );
+      secret = res.body.secret;
+
+      // Not enabled until a code is confirmed
+      const loginRes = await login();
+      expect(loginRes.body.token).toBeDefined();
+    });
+
+    it('should enable two-factor authentication with a valid code', async () => {
+      const wrongRes = await request(app)
+        .post('/api/auth/2fa/enable')
+        .set('Authorization', `Bearer ${sessionToken}`)
+        .send({ code: codeAt(5) });
+      expect(wrongRes.statusCode).toBe(400);
+      expect(wrongRes.body.error).toBe('Invalid code');
+
+      enableCode = codeAt();
+      const res = await request(app)
+        .post('/api/auth/2fa/enable')
+        .set('Authorization', `Bearer ${sessionToken}`)
+        .send({ code: enableCode });
+      expect(res.statusCode).toBe(200);
+      expect(res.body.recovery_codes).toHaveLength(10);
+      recoveryCodes = res.body.recovery_codes;
+
+      const statusRes = await request(app)
+        .get('/api/auth/2fa')
+        .set('Authorization', `Bearer ${sessionToken}`);
+      expect(statusRes.body).toEqual({ enabled: true, recovery_codes_left: 10 });
+
+      const setupRes = await request(app)
+        .post('/api/auth/2fa/setup')
+        .set('Authorization', `Bearer ${sessionToken}`);
+      expect(setupRes.statusCode).toBe(400);
+    });
+
+    it('should require a code after the password', async () => {
+      const loginRes = await login();
+      expect(loginRes.statusCode).toBe(200);
+      expect(loginRes.body.two_factor_required).toBe(true);
+      expect(loginRes.body.token).toBeUndefined();
+      const challengeToken = loginRes.body.challenge_token;
+
+      // The challenge token is not an access token
+      const apiRes = await request(app)
+        .get('/api/games')
+        .set('Authorization', `Bearer ${challengeToken}`);
+      expect(apiRes.statusCode).toBe(403);
+
+      const wrongRes = await request(app)
+        .post('/api/auth/login/2fa')
+        .send({ challenge_token: challengeToken, code: codeAt(5) });
+      expect(wrongRes.statusCode).toBe(401);
+
+      // The code used to enable 2FA cannot be used again
+      const replayRes = await request(app)
+        .post('/api/auth/login/2fa')
+        .send({ challenge_token: challengeToken, code: enableCode });
+      expect(replayRes.statusCode).toBe(401);
+
+      await forgetLastCode();
+      const res = await request(app)
+        .post('/api/auth/login/2fa')
+        .send({ challenge_token: challengeToken, code: codeAt() });
+      expect(res.statusCode).toBe(200);
+      expect(res.body.token).toBeDefined();
+      expect(res.body.refresh_token).toBeDefined();
+      expect(res.body.user.two_factor_enabled).toBe(true);
+    });
+
+    it('should reject access tokens and tampered challenges as challenge tokens', async () => {
+      const accessRes = await request(app)
+        .post('/api/auth/login/2fa')
+        .send({ challenge_token: sessionToken, code: codeAt() });
+      expect(accessRes.statusCode).toBe(401);
+
+      const forged = jwt.sign({ id: 1, purpose: '2fa' }, 'wrong-secret');
+      const forgedRes = await request(app)
+        .post('/api/auth/login/2fa')
+        .send({ challenge_token: forged, code: codeAt() });
+      expect(forgedRes.statusCode).toBe(401);
+    });
+
+    it('should accept each recovery code once', async () => {
+      const { body } = await login();
+
+      const res = await request(app)
+        .post('/api/auth/login/2fa')
+        .send({ challenge_token: body.challenge_token, code: recoveryCodes[0].toUpperCase() });
+      expect(res.statusCode).toBe(200);
+      expect(res.body.recovery_codes_left).toBe(9);
+
+      const replayRes = await request(app)
+        .post('/api/auth/login/2fa')
+        .send({ challenge_token: body.challenge_token, code: recoveryCodes[0] });
+      expect(replayRes.statusCode).toBe(401);
+    });
+
+    it('should regenerate the recovery codes', async () => {
+      const res = await request(app)
+        .post('/api/auth/2fa/recovery-codes')
+        .set('Authorization', `Bearer ${sessionToken}`)
+        .send({ code: recoveryCodes[1] });
+      expect(res.statusCode).toBe(200);
+      expect(res.body.recovery_codes).toHaveLength(10);
+
+      const { body } = await login();
+      const oldCodeRes = await request(app)
+        .post('/api/auth/login/2fa')
+        .send({ challenge_token: body.challenge_token, code: recoveryCodes[2] });
+      expect(oldCodeRes.statusCode).toBe(401);
+
+      recoveryCodes = res.body.recovery_codes;
+    });
+
+    it('should count wrong codes as failed logins when managing two-factor authentication', async () => {
+      const regenerate = (code) => request(app)
+        .post('/api/auth/2fa/recovery-codes')
+        .set('Authorization', `Bearer ${sessionToken}`)
+        .send({ code });
+
+      await clearFailures();
+
+      // LOGIN_LOCKOUT_THRESHOLD defaults to 5 failures
+      for (let i = 0; i < 5; i++) {
+        expect((await regenerate(codeAt(5))).statusCode).toBe(401);
+      }
+
+      // Even a valid code is refused while locked, and is not used up
+      const lockedRes = await regenerate(recoveryCodes[0]);
+      expect(lockedRes.statusCode).toBe(429);
+      expect(lockedRes.headers['retry-after']).toBeDefined();
+
+      const disableRes = await request(app)
+        .post('/api/auth/2fa/disable')
+        .set('Authorization', `Bearer ${sessionToken}`)
+        .send({ password: tfaUser.password, code: recoveryCodes[0] });
+      expect(disableRes.statusCode).toBe(429);
+
+      await clearFailures();
+    });
+
+    it('should disable two-factor authentication with the password and a code', async () => {
+      const wrongRes = await request(app)
+        .post('/api/auth/2fa/disable')
+        .set('Authorization', `Bearer ${sessionToken}`)
+        .send({ password: 'wrongpassword', code: recoveryCodes[0] });
+      expect(wrongRes.statusCode).toBe(401);
+
+      const res = await request(app)
+        .post('/api/auth/2fa/disable')
+        .set('Authorization', `Bearer ${sessionToken}`)
+        .send({ password: tfaUser.password, code: recoveryCodes[1] });
+      expect(res.statusCode).toBe(200);
+
+      const loginRes = await login();
+      expect(loginRes.body.token).toBeDefined();
+      expect(loginRes.body.user.two_factor_enabled).toBe(false);
+    });
+  });
+
+  /**
+   * Login Lockout Tests
+   */
+  describe('Login lockout', () => {
+    const lockedUser = {
+      username: `locked${Date.now()}`,
+      email: `locked${Date.now()}@example.com`,
+      password: 'password123'
+    };
+
+    const login = (password) => request(app)
+      .post('/api/auth/login')
+      .send({ username: lockedUser.username, password });
+
+    /**
+     * End the current lockout without clearing the failures
+     */
+    const expireLock = () => pool.query(
+      "UPDATE users SET locked_until = CURRENT_TIMESTAMP - INTERVAL '1 second' WHERE username = $1",
+      [lockedUser.username]
+    );
+
+    beforeAll(async () => {
+      await request(app).post('/api/auth/register').send(lockedUser);
+    });
+
+    it('should lock the account for longer and longer after repeated failures', async () => {
+      // LOGIN_LOCKOUT_THRESHOLD defaults to 5 failures
+      for (let i = 0; i < 5; i++) {
+        expect((await login('wrongpassword')).statusCode).toBe(401);
+      }
+
+      // Even the right password is refused while locked
+      const lockedRes = await login(lockedUser.password);
+      expect(lockedRes.statusCode).toBe(429);
+      expect(lockedRes.body.error).toMatch(/^Too many failed logins/);
+      const firstDelay = Number(lockedRes.headers['retry-after']);
+      expect(firstDelay).toBeGreaterThan(0);
+      expect(firstDelay).toBeLessThanOrEqual(30);
+
+      await expireLock();
+      expect((await login('wrongpassword')).statusCode).toBe(401);
+
+      const relockedRes = await login(lockedUser.password);
+      expect(relockedRes.statusCode).toBe(429);
+      expect(Number(relockedRes.headers['retry-after'])).toBeGreaterThan(30);
+    });
+
+    it('should clear the failures after a successful login', async () => {
+      await expireLock();
+
+      expect((await login(lockedUser.password)).statusCode).toBe(200);
+
+      const result = await pool.query(
+        'SELECT failed_logins, locked_until FROM users WHERE username = $1',
+        [lockedUser.username]
+      );
+      expect(result.rows[0]).toEqual({ failed_logins: 0, locked_until: null });
+    });
   });
 });
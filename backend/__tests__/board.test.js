@@ -0,0 +1,87 @@
+const { createBoard, validateBoardSettings, checkWinner } = require('../lib/board');
+
+/**
+ * Board Tests
+ * Tests for board creation, settings validation and winner detection
+ */
+
+describe('Board', () => {
+  /**
+   * Build a board from a list of "x,y" => symbol entries
+   */
+  const boardWith = (width, height, cells) => {
+    const board = createBoard(width, height);
+    for (const [x, y, symbol] of cells) {
+      board[y * width + x] = symbol;
+    }
+    return board;
+  };
+
+  describe('createBoard', () => {
+    it('should create a classic empty board by default', () => {
+      expect(createBoard()).toEqual(['', '', '', '', '', '', '', '', '']);
+    });
+
+    it('should create a board with width * height cells', () => {
+      expect(createBoard(15, 15).length).toBe(225);
+      expect(createBoard(4, 3).length).toBe(12);
+    });
+  });
+
+  describe('validateBoardSettings', () => {
+    it('should accept classic, connect-3 and Gomoku settings', () => {
+      expect(validateBoardSettings(3, 3, 3)).toBeNull();
+      expect(validateBoardSettings(4, 4, 3)).toBeNull();
+      expect(validateBoardSettings(15, 15, 5)).toBeNull();
+    });
+
+    it('should reject out of range sizes', () => {
+      expect(validateBoardSettings(2, 3, 3)).toContain('between 3 and 19');
+      expect(validateBoardSettings(3, 20, 3)).toContain('between 3 and 19');
+      expect(validateBoardSettings('3', 3, 3)).toContain('between 3 and 19');
+    });
+
+    it('should reject a win length that does not fit on the board', () => {
+      expect(validateBoardSettings(3, 3, 4)).toContain('Win length');
+      expect(validateBoardSettings(5, 5, 2)).toContain('Win length');
+    });
+  });
+
+  describe('checkWinner', () => {
+    it('should keep working on classic boards without settings', () => {
+      expect(checkWinner(['X', 'X', 'X', 'O', 'O', '', '', '', ''])).toBe('X');
+      expect(checkWinner(['O', 'X', 'X', 'X', 'O', '', '', '', 'O'])).toBe('O');
+      expect(checkWinner(['X', 'O', 'X', 'X', 'O', 'O', 'O', 'X', 'X'])).toBe('D');
+      expect(checkWinner(['X', '', '', '', '', '', '', '', ''])).toBeNull();
+    });
+
+    it('should detect three in a row on a 4x4 board', () => {
+      const board = boardWith(4, 4, [[1, 1, 'O'], [2, 2, 'O'], [3, 3, 'O']]);
+      expect(checkWinner(board, 4, 4, 3)).toBe('O');
+    });
+
+    it('should detect anti-diagonal lines', () => {
+      const board = boardWith(4, 4, [[3, 0, 'X'], [2, 1, 'X'], [1, 2, 'X']]);
+      expect(checkWinner(board, 4, 4, 3)).toBe('X');
+    });
+
+    it('should not wrap lines around the board edge', () => {
+      // Last two cells of row 0 and first cell of row 1 are consecutive indexes
+      const board = boardWith(4, 4, [[2, 0, 'X'], [3, 0, 'X'], [0, 1, 'X']]);
+      expect(checkWinner(board, 4, 4, 3)).toBeNull();
+    });
+
+    it('should need five in a row on a Gomoku board', () => {
+      const four = [[5, 7, 'X'], [6, 7, 'X'], [7, 7, 'X'], [8, 7, 'X']];
+      expect(checkWinner(boardWith(15, 15, four), 15, 15, 5)).toBeNull();
+
+      const five = [...four, [9, 7, 'X']];
+      expect(checkWinner(boardWith(15, 15, five), 15, 15, 5)).toBe('X');
+    });
+
+    it('should detect vertical lines on rectangular boards', () => {
+      const board = boardWith(5, 3, [[4, 0, 'O'], [4, 1, 'O'], [4, 2, 'O']]);
+      expect(checkWinner(board, 5, 3, 3)).toBe('O');
+    });
+  });
+});
@@ -0,0 +1,81 @@
+const { chooseMove } = require('../lib/bot');
+const { checkWinner } = require('../lib/board');
+
+/**
+ * Bot Tests
+ * Tests for the move selection of each bot difficulty level
+ */
+
+describe('Bot', () => {
+  describe('easy', () => {
+    it('should always play an empty cell', () => {
+      const board = ['X', 'O', 'X', '', 'O', '', 'X', '', ''];
+
+      for (let i = 0; i < 20; i++) {
+        const position = chooseMove(board, 'O', 'easy');
+        expect(board[position]).toBe('');
+      }
+    });
+  });
+
+  describe('medium', () => {
+    it('should complete its own line when it can', () => {
+      const board = ['O', 'O', '', 'X', 'X', '', 'X', '', ''];
+      expect(chooseMove(board, 'O', 'medium')).toBe(2);
+    });
+
+    it('should block the opponent winning move', () => {
+      const board = ['X', 'X', '', '', 'O', '', '', '', ''];
+      expect(chooseMove(board, 'O', 'medium')).toBe(2);
+    });
+
+    it('should take the center when it is free', () => {
+      const board = ['X', '', '', '', '', '', '', '', ''];
+      expect(chooseMove(board, 'O', 'medium')).toBe(4);
+    });
+  });
+
+  describe('hard', () => {
+    it('should block a fork by answering a corner opening with the center', () => {
+      const board = ['X', '', '', '', '', '', '', '', ''];
+      expect(chooseMove(board, 'O', 'hard')).toBe(4);
+    });
+
+    it('should prefer winning over blocking', () => {
+      const board = ['X', 'X', '', 'O', 'O', '', 'X', '', ''];
+      expect(chooseMove(board, 'O', 'hard')).toBe(5);
+    });
+
+    /**
+     * Play every possible game of X against the hard bot and
+     * make sure X never wins
+     */
+    it('should never lose', () => {
+      const explore = (board) => {
+        for (let position = 0; position < 9; position++) {
+          if (board[position] !== '') continue;
+
+          const next = [...board];
+          next[position] = 'X';
+          let result = checkWinner(next);
+
+          if (!result) {
+            next[chooseMove(next, 'O', 'hard')] = 'O';
+            result = checkWinner(next);
+          }
+
+          expect(result).not.toBe('X');
+          if (!result) {
+            explore(next);
+          }
+        }
+      };
+
+      explore(['', '', '', '', '', '', '', '', '']);
+    });
+  });
+
+  it('should throw on an unknown level', () => {
+    expect(() => chooseMove(['', '', '', '', '', '', '', '', ''], 'O', 'impossible')).toThrow();
+  });
+});
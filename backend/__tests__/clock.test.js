@@ -0,0 +1,84 @@
+const { validateTimeControl, getRemaining, isFlagged, getTimeAfterMove, formatClock } = require('../lib/clock');
+
+/**
+ * Clock Tests
+ * Tests for time control validation and remaining time calculations
+ */
+
+describe('Clock', () => {
+  const startedAt = new Date('2024-01-01T12:00:00Z');
+  const now = startedAt.getTime() + 4000;
+
+  const timedGame = (overrides = {}) => ({
+    status: 'in_progress',
+    current_turn: 'X',
+    time_control: 'total',
+    time_limit_seconds: 60,
+    increment_seconds: 2,
+    player_x_time_ms: 10000,
+    player_o_time_ms: 8000,
+    turn_started_at: startedAt,
+    ...overrides
+  });
+
+  describe('validateTimeControl', () => {
+    it('should accept valid time controls', () => {
+      expect(validateTimeControl({ type: 'move', seconds: 30 })).toBeNull();
+      expect(validateTimeControl({ type: 'total', seconds: 180, increment: 2 })).toBeNull();
+    });
+
+    it('should reject invalid time controls', () => {
+      expect(validateTimeControl('blitz')).toMatch(/Invalid time control/);
+      expect(validateTimeControl({ type: 'hourglass', seconds: 30 })).toMatch(/type/);
+      expect(validateTimeControl({ type: 'move', seconds: 1 })).toMatch(/seconds/);
+      expect(validateTimeControl({ type: 'total', seconds: 60, increment: -1 })).toMatch(/increment/);
+      expect(validateTimeControl({ type: 'move', seconds: 30, increment: 5 })).toMatch(/increment/);
+    });
+  });
+
+  describe('getRemaining', () => {
+    it('should only run the clock of the player to move', () => {
+      const game = timedGame();
+      expect(getRemaining(game, 'X', now)).toBe(6000);
+      expect(getRemaining(game, 'O', now)).toBe(8000);
+    });
+
+    it('should never go below zero', () => {
+      expect(getRemaining(timedGame({ player_x_time_ms: 1000 }), 'X', now)).toBe(0);
+    });
+
+    it('should return null for untimed games', () => {
+      expect(getRemaining(timedGame({ time_control: null }), 'X', now)).toBeNull();
+    });
+  });
+
+  describe('isFlagged', () => {
+    it('should flag the player to move once their time is up', () => {
+      expect(isFlagged(timedGame(), now)).toBe(false);
+      expect(isFlagged(timedGame({ player_x_time_ms: 4000 }), now)).toBe(true);
+    });
+
+    it('should not flag finished games', () => {
+      expect(isFlagged(timedGame({ status: 'finished', player_x_time_ms: 0 }), now)).toBe(false);
+    });
+  });
+
+  describe('getTimeAfterMove', () => {
+    it('should add the increment to the remaining time', () => {
+      expect(getTimeAfterMove(timedGame(), 'X', now)).toBe(8000);
+    });
+
+    it('should reset the clock for per-move time controls', () => {
+      const game = timedGame({ time_control: 'move', time_limit_seconds: 30, increment_seconds: 0 });
+      expect(getTimeAfterMove(game, 'X', now)).toBe(30000);
+    });
+  });
+
+  describe('formatClock', () => {
+    it('should report which clock is running', () => {
+      expect(formatClock(timedGame()).running).toBe('X');
+      expect(formatClock(timedGame({ turn_started_at: null })).running).toBeNull();
+      expect(formatClock(timedGame({ time_control: null }))).toBeNull();
+    });
+  });
+});
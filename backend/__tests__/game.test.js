@@ -1,5 +1,7 @@
 const request = require('supertest');
 const app = require('../server');
+const pool = require('../db');
+const events = require('../lib/events');
 
 /**
  * Game API Tests
@@ -79,13 +81,14 @@ describe('Game API', () => {
   describe('GET /api/games', () => {
     it('should get list of games', async () => {
       const res = await request(app)
-        .get('/api/games')
+        .get('/api/games?player=me')
         .set('Authorization', `Bearer ${player1Token}`);
 
       expect(res.statusCode).toBe(200);
       expect(res.body).toHaveProperty('games');
       expect(Array.isArray(res.body.games)).toBe(true);
       expect(res.body.games.length).toBeGreaterThan(0);
+      expect(res.body.games.find(g => g.id === gameId).players.x.id).toBe(player1Id);
     });
 
     it('should filter games by status', async () => {
@@ -98,6 +101,124 @@ describe('Game API', () => {
     });
   });
 
+  /**
+   * Game List Pagination and Filter Tests
+   * Fresh users, so that the user's own games are known exactly
+   */
+  describe('GET /api/games pagination and filters', () => {
+    let alice, bob, carol;
+    let wonId, lostId, playingId, waitingId;
+
+    const register = async (name) => {
+      const suffix = `${Date.now()}${Math.floor(Math.random() * 1000)}`;
+      const res = await request(app).post('/api/auth/register').send({
+        username: `${name}${suffix}`,
+        email: `${name}${suffix}@test.com`,
+        password: 'password123'
+      });
+      return { token: res.body.token, id: res.body.user.id };
+    };
+
+    const startGame = async (x, o) => {
+      const createRes = await request(app).post('/api/games').set('Authorization', `Bearer ${x.token}`);
+      await request(app).post(`/api/games/${createRes.body.game.id}/join`).set('Authorization', `Bearer ${o.token}`);
+      return createRes.body.game.id;
+    };
+
+    const list = (user, query = '') => request(app)
+      .get(`/api/games?player=me${query}`)
+      .set('Authorization', `Bearer ${user.token}`);
+
+    beforeAll(async () => {
+      alice = await register('listalice');
+      bob = await register('listbob');
+      carol = await register('listcarol');
+
+      // Alice wins the top row as X
+      wonId = await startGame(alice, bob);
+      for (const [user, position] of [[alice, 0], [bob, 3], [alice, 1], [bob, 4], [alice, 2]]) {
+        await request(app).post(`/api/games/${wonId}/move`).set('Authorization', `Bearer ${user.token}`).send({ position });
+      }
+
+      lostId = await startGame(alice, bob);
+      await request(app).post(`/api/games/${lostId}/resign`).set('Authorization', `Bearer ${alice.token}`);
+
+      playingId = await startGame(alice, carol);
+
+      const waitingRes = await request(app).post('/api/games').set('Authorization', `Bearer ${alice.token}`);
+      waitingId = waitingRes.body.game.id;
+    });
+
+    it('should page through the games with a cursor', async () => {
+      const first = await list(alice, '&limit=3');
+      expect(first.statusCode).toBe(200);
+      expect(first.body.games.map(g => g.id)).toEqual([waitingId, playingId, lostId]);
+      expect(first.body.total).toBe(4);
+      expect(first.body.next_cursor).toEqual(expect.any(String));
+
+      const second = await list(alice, `&limit=3&cursor=${first.body.next_cursor}`);
+      expect(second.body.games.map(g => g.id)).toEqual([wonId]);
+      expect(second.body.total).toBe(4);
+      expect(second.body.next_cursor).toBeNull();
+    });
+
+    it('should list the oldest games first on request', async () => {
+      const res = await list(alice, '&sort=oldest&limit=2');
+
+      expect(res.body.games.map(g => g.id)).toEqual([wonId, lostId]);
+    });
+
+    it('should filter by several statuses', async () => {
+      const res = await list(alice, '&status=waiting,in_progress');
+
+      expect(res.body.games.map(g => g.id)).toEqual([waitingId, playingId]);
+      expect(res.body.total).toBe(2);
+    });
+
+    it('should filter by opponent and result', async () => {
+      const againstBob = await list(alice, `&opponent=${bob.id}`);
+      expect(againstBob.body.games.map(g => g.id)).toEqual([lostId, wonId]);
+
+      const wins = await list(alice, '&result=win');
+      expect(wins.body.games.map(g => g.id)).toEqual([wonId]);
+
+      const losses = await list(alice, '&result=loss');
+      expect(losses.body.games.map(g => g.id)).toEqual([lostId]);
+
+      // The same game seen from the other side
+      const bobWins = await list(bob, '&result=win');
+      expect(bobWins.body.games.map(g => g.id)).toEqual([lostId]);
+    });
+
+    it('should filter by creation date', async () => {
+      const future = new Date(Date.now() + 60 * 60 * 1000).toISOString();
+      const past = new Date(Date.now() - 60 * 60 * 1000).toISOString();
+
+      const fromFuture = await list(alice, `&from=${future}`);
+      expect(fromFuture.body.total).toBe(0);
+
+      const range = await list(alice, `&from=${past}&to=${future}`);
+      expect(range.body.total).toBe(4);
+
+      // A date without a time covers the whole day
+      const today = new Date().toISOString().slice(0, 10);
+      const untilToday = await list(alice, `&to=${today}`);
+      expect(untilToday.body.total).toBe(4);
+    });
+
+    it('should reject invalid filters', async () => {
+      for (const query of ['&status=waiting,bogus', '&result=forfeit', '&opponent=abc', '&from=yesterday', '&cursor=!!', '&limit=0', '&sort=best']) {
+        const res = await list(alice, query);
+        expect(res.statusCode).toBe(400);
+      }
+
+      const playerRes = await request(app)
+        .get('/api/games?player=someone')
+        .set('Authorization', `Bearer ${alice.token}`);
+      expect(playerRes.statusCode).toBe(400);
+    });
+  });
+
   /**
    * Get Single Game Tests
    */
@@ -112,6 +233,32 @@ describe('Game API', () => {
       expect(res.body.game.id).toBe(gameId);
     });
 
+    it('should name the players with their ratings', async () => {
+      const res = await request(app)
+        .get(`/api/games/${gameId}`)
+        .set('Authorization', `Bearer ${player1Token}`);
+
+      expect(res.body.game.players.x).toEqual({
+        id: player1Id,
+        username: expect.stringMatching(/^player1/),
+        rating: 1200
+      });
+      expect(res.body.game.players.o).toBeNull();
+    });
+
+    it('should tell players and spectators apart', async () => {
+      const playerRes = await request(app)
+        .get(`/api/games/${gameId}`)
+        .set('Authorization', `Bearer ${player1Token}`);
+      expect(playerRes.body.role).toBe('player');
+
+      const spectatorRes = await request(app)
+        .get(`/api/games/${gameId}`)
+        .set('Authorization', `Bearer ${player3Token}`);
+      expect(spectatorRes.body.role).toBe('spectator');
+      expect(spectatorRes.body.spectators).toBe(0);
+    });
+
     it('should return 404 for non-existent game', async () => {
       const res = await request(app)
         .get('/api/games/99999')
@@ -134,6 +281,8 @@ describe('Game API', () => {
       expect(res.statusCode).toBe(200);
       expect(res.body.game.status).toBe('in_progress');
       expect(res.body.game.player_o_id).toBe(player2Id);
+      expect(res.body.game.players.o.id).toBe(player2Id);
+      expect(res.body.game.players.o.username).toMatch(/^player2/);
     });
 
     it('should not allow joining a full game', async () => {
@@ -292,6 +441,936 @@ describe('Game API', () => {
     });
   });
 
+  /**
+   * Move History Tests
+   */
+  describe('GET /api/games/:id/moves', () => {
+    it('should return every move in the order it was played', async () => {
+      const res = await request(app)
+        .get(`/api/games/${gameId}/moves`)
+        .set('Authorization', `Bearer ${player1Token}`);
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body.moves.map(m => m.move_number)).toEqual([1, 2]);
+      expect(res.body.moves.map(m => m.position)).toEqual([0, 1]);
+      expect(res.body.moves[0]).toMatchObject({ symbol: 'X', player_id: player1Id });
+      expect(res.body.moves[1]).toMatchObject({ symbol: 'O', player_id: player2Id });
+      expect(res.body.moves[0]).toHaveProperty('created_at');
+    });
+
+    it('should return 404 for non-existent game', async () => {
+      const res = await request(app)
+        .get('/api/games/99999/moves')
+        .set('Authorization', `Bearer ${player1Token}`);
+
+      expect(res.statusCode).toBe(404);
+    });
+  });
+
+  /**
+   * Custom Board Tests
+   */
+  describe('Custom board sizes', () => {
+    let bigGameId;
+
+    it('should create a 4x4 connect-3 game', async () => {
+      const res = await request(app)
+        .post('/api/games')
+        .set('Authorization', `Bearer ${player1Token}`)
+        .send({ board_width: 4, board_height: 4, win_length: 3 });
+
+      expect(res.statusCode).toBe(201);
+      expect(res.body.game.board.length).toBe(16);
+      expect(res.body.game.board_width).toBe(4);
+      expect(res.body.game.board_height).toBe(4);
+      expect(res.body.game.win_length).toBe(3);
+
+      bigGameId = res.body.game.id;
+
+      await request(app)
+        .post(`/api/games/${bigGameId}/join`)
+        .set('Authorization', `Bearer ${player2Token}`);
+    });
+
+    it('should create a 15x15 five-in-a-row game', async () => {
+      const res = await request(app)
+        .post('/api/games')
+        .set('Authorization', `Bearer ${player1Token}`)
+        .send({ board_width: 15, board_height: 15, win_length: 5 });
+
+      expect(res.statusCode).toBe(201);
+      expect(res.body.game.board.length).toBe(225);
+    });
+
+    it('should reject invalid board settings', async () => {
+      const res = await request(app)
+        .post('/api/games')
+        .set('Authorization', `Bearer ${player1Token}`)
+        .send({ board_width: 3, board_height: 3, win_length: 5 });
+
+      expect(res.statusCode).toBe(400);
+      expect(res.body.error).toContain('Win length');
+    });
+
+    it('should reject bot games on custom boards', async () => {
+      const res = await request(app)
+        .post('/api/games')
+        .set('Authorization', `Bearer ${player1Token}`)
+        .send({ opponent: 'bot', board_width: 4, board_height: 4 });
+
+      expect(res.statusCode).toBe(400);
+      expect(res.body.error).toContain('3x3');
+    });
+
+    it('should reject positions outside the board', async () => {
+      const res = await request(app)
+        .post(`/api/games/${bigGameId}/move`)
+        .set('Authorization', `Bearer ${player1Token}`)
+        .send({ position: 16 });
+
+      expect(res.statusCode).toBe(400);
+      expect(res.body.error).toContain('between 0 and 15');
+    });
+
+    it('should detect a diagonal win of three on a 4x4 board', async () => {
+      // X plays 5, 10, 15 (diagonal from (1,1) to (3,3)), O plays 0, 3
+      const moves = [
+        [player1Token, 5], [player2Token, 0],
+        [player1Token, 10], [player2Token, 3]
+      ];
+      for (const [token, position] of moves) {
+        await request(app)
+          .post(`/api/games/${bigGameId}/move`)
+          .set('Authorization', `Bearer ${token}`)
+          .send({ position });
+      }
+
+      const res = await request(app)
+        .post(`/api/games/${bigGameId}/move`)
+        .set('Authorization', `Bearer ${player1Token}`)
+        .send({ position: 15 });
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body.game.winner).toBe('X');
+      expect(res.body.game.status).toBe('finished');
+    });
+  });
+
+  /**
+   * Ultimate Tic-Tac-Toe Tests
+   */
+  describe('Ultimate games', () => {
+    let ultimateGameId;
+
+    const move = (token, position) => request(app)
+      .post(`/api/games/${ultimateGameId}/move`)
+      .set('Authorization', `Bearer ${token}`)
+      .send({ position });
+
+    it('should create an ultimate game with 9 small boards', async () => {
+      const res = await request(app)
+        .post('/api/games')
+        .set('Authorization', `Bearer ${player1Token}`)
+        .send({ game_type: 'ultimate' });
+
+      expect(res.statusCode).toBe(201);
+      expect(res.body.game.game_type).toBe('ultimate');
+      expect(res.body.game.board.length).toBe(81);
+      expect(res.body.game.meta_board).toEqual(['', '', '', '', '', '', '', '', '']);
+      expect(res.body.game.next_board).toBeNull();
+
+      ultimateGameId = res.body.game.id;
+
+      await request(app)
+        .post(`/api/games/${ultimateGameId}/join`)
+        .set('Authorization', `Bearer ${player2Token}`);
+    });
+
+    it('should reject board settings for ultimate games', async () => {
+      const res = await request(app)
+        .post('/api/games')
+        .set('Authorization', `Bearer ${player1Token}`)
+        .send({ game_type: 'ultimate', board_width: 4 });
+
+      expect(res.statusCode).toBe(400);
+    });
+
+    it('should send the opponent to the board matching the cell played', async () => {
+      // X plays cell 2 of the center board
+      const res = await move(player1Token, 4 * 9 + 2);
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body.game.next_board).toBe(2);
+    });
+
+    it('should reject moves outside the board the player was sent to', async () => {
+      const res = await move(player2Token, 0);
+
+      expect(res.statusCode).toBe(400);
+      expect(res.body.error).toBe('You must play in board 3');
+    });
+
+    it('should report won small boards in the meta-board', async () => {
+      // X wins board 4 with cells 0, 1, 2 while O answers in boards 2 and 0
+      await move(player2Token, 2 * 9 + 4);
+      await move(player1Token, 4 * 9 + 0);
+      await move(player2Token, 0 * 9 + 4);
+      const res = await move(player1Token, 4 * 9 + 1);
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body.game.meta_board[4]).toBe('X');
+      expect(res.body.game.next_board).toBe(1);
+      expect(res.body.game.status).toBe('in_progress');
+    });
+  });
+
+  /**
+   * Bot Game Tests
+   */
+  describe('Bot games', () => {
+    let botGameId;
+
+    it('should create a game against the bot', async () => {
+      const res = await request(app)
+        .post('/api/games')
+        .set('Authorization', `Bearer ${player3Token}`)
+        .send({ opponent: 'bot', difficulty: 'hard' });
+
+      expect(res.statusCode).toBe(201);
+      expect(res.body.game.status).toBe('in_progress');
+      expect(res.body.game.bot_level).toBe('hard');
+      expect(res.body.game.player_o_id).toBeNull();
+
+      botGameId = res.body.game.id;
+    });
+
+    it('should reject an invalid difficulty', async () => {
+      const res = await request(app)
+        .post('/api/games')
+        .set('Authorization', `Bearer ${player3Token}`)
+        .send({ opponent: 'bot', difficulty: 'impossible' });
+
+      expect(res.statusCode).toBe(400);
+      expect(res.body.error).toContain('Invalid difficulty');
+    });
+
+    it('should not allow joining a bot game', async () => {
+      const res = await request(app)
+        .post(`/api/games/${botGameId}/join`)
+        .set('Authorization', `Bearer ${player2Token}`);
+
+      expect(res.statusCode).toBe(400);
+    });
+
+    it('should reply with a bot move after each human move', async () => {
+      const res = await request(app)
+        .post(`/api/games/${botGameId}/move`)
+        .set('Authorization', `Bearer ${player3Token}`)
+        .send({ position: 0 });
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body.game.board[0]).toBe('X');
+      expect(res.body.bot_move).toBe(4);
+      expect(res.body.game.board[4]).toBe('O');
+      expect(res.body.game.board.filter(cell => cell !== '').length).toBe(2);
+      expect(res.body.game.current_turn).toBe('X');
+
+      // The bot's reply is recorded without a player
+      const movesRes = await request(app)
+        .get(`/api/games/${botGameId}/moves`)
+        .set('Authorization', `Bearer ${player3Token}`);
+
+      expect(movesRes.body.moves[1]).toMatchObject({ move_number: 2, symbol: 'O', position: 4, player_id: null });
+    });
+
+    it('should keep bot games out of the main statistics', async () => {
+      // Play until the game ends, always taking the first free cell
+      let game;
+      do {
+        const gameRes = await request(app)
+          .get(`/api/games/${botGameId}`)
+          .set('Authorization', `Bearer ${player3Token}`);
+        game = gameRes.body.game;
+
+        if (game.status === 'in_progress') {
+          await request(app)
+            .post(`/api/games/${botGameId}/move`)
+            .set('Authorization', `Bearer ${player3Token}`)
+            .send({ position: game.board.indexOf('') });
+        }
+      } while (game.status === 'in_progress');
+
+      // The hard bot never loses
+      expect(['O', 'D']).toContain(game.winner);
+
+      const res = await request(app)
+        .get('/api/games/stats/me')
+        .set('Authorization', `Bearer ${player3Token}`);
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body.stats.total_games).toBe(0);
+      expect(res.body.bot_stats.hard.total_games).toBe(1);
+      expect(res.body.bot_stats.hard.wins).toBe(0);
+      expect(res.body.bot_stats.easy.total_games).toBe(0);
+    });
+  });
+
+  /**
+   * Private Game Tests
+   */
+  describe('Private games', () => {
+    let privateGame;
+
+    beforeAll(async () => {
+      const res = await request(app)
+        .post('/api/games')
+        .set('Authorization', `Bearer ${player1Token}`)
+        .send({ private: true });
+      privateGame = res.body.game;
+    });
+
+    it('should give the creator an unguessable invite code', () => {
+      expect(privateGame.is_private).toBe(true);
+      expect(privateGame.invite_code).toMatch(/^[A-Za-z0-9_-]{22}$/);
+    });
+
+    it('should hide the game from other users', async () => {
+      const listRes = await request(app)
+        .get('/api/games')
+        .set('Authorization', `Bearer ${player2Token}`);
+      expect(listRes.body.games.some(game => game.id === privateGame.id)).toBe(false);
+
+      const gameRes = await request(app)
+        .get(`/api/games/${privateGame.id}`)
+        .set('Authorization', `Bearer ${player2Token}`);
+      expect(gameRes.statusCode).toBe(404);
+
+      const movesRes = await request(app)
+        .get(`/api/games/${privateGame.id}/moves`)
+        .set('Authorization', `Bearer ${player2Token}`);
+      expect(movesRes.statusCode).toBe(404);
+    });
+
+    it('should list the game for its creator', async () => {
+      const res = await request(app)
+        .get('/api/games')
+        .set('Authorization', `Bearer ${player1Token}`);
+
+      const listed = res.body.games.find(game => game.id === privateGame.id);
+      expect(listed.invite_code).toBe(privateGame.invite_code);
+    });
+
+    it('should not allow joining by ID without the invite code', async () => {
+      const res = await request(app)
+        .post(`/api/games/${privateGame.id}/join`)
+        .set('Authorization', `Bearer ${player2Token}`);
+
+      expect(res.statusCode).toBe(403);
+      expect(res.body.error).toContain('invite code');
+    });
+
+    it('should reject an unknown invite code', async () => {
+      const res = await request(app)
+        .post('/api/games/join/not-a-real-code')
+        .set('Authorization', `Bearer ${player2Token}`);
+
+      expect(res.statusCode).toBe(404);
+    });
+
+    it('should let a holder of the code join', async () => {
+      const res = await request(app)
+        .post(`/api/games/join/${privateGame.invite_code}`)
+        .set('Authorization', `Bearer ${player2Token}`);
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body.game.id).toBe(privateGame.id);
+      expect(res.body.game.player_o_id).toBe(player2Id);
+      expect(res.body.game.status).toBe('in_progress');
+      // The code is never sent to the joining player
+      expect(res.body.game.invite_code).toBeUndefined();
+
+      const gameRes = await request(app)
+        .get(`/api/games/${privateGame.id}`)
+        .set('Authorization', `Bearer ${player2Token}`);
+      expect(gameRes.statusCode).toBe(200);
+    });
+
+    it('should keep the invite code in the creator\'s game action responses', async () => {
+      const res = await request(app)
+        .post(`/api/games/${privateGame.id}/draw-offer`)
+        .set('Authorization', `Bearer ${player1Token}`);
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body.game.invite_code).toBe(privateGame.invite_code);
+
+      const declineRes = await request(app)
+        .post(`/api/games/${privateGame.id}/draw-offer/decline`)
+        .set('Authorization', `Bearer ${player2Token}`);
+      expect(declineRes.statusCode).toBe(200);
+      expect(declineRes.body.game.invite_code).toBeUndefined();
+    });
+
+    it('should accept the invite code when joining by ID', async () => {
+      const createRes = await request(app)
+        .post('/api/games')
+        .set('Authorization', `Bearer ${player1Token}`)
+        .send({ private: true });
+      const { id, invite_code: inviteCode } = createRes.body.game;
+
+      const res = await request(app)
+        .post(`/api/games/${id}/join`)
+        .set('Authorization', `Bearer ${player3Token}`)
+        .send({ invite_code: inviteCode });
+
+      expect(res.statusCode).toBe(200);
+    });
+
+    it('should not make bot games private', async () => {
+      const res = await request(app)
+        .post('/api/games')
+        .set('Authorization', `Bearer ${player1Token}`)
+        .send({ opponent: 'bot', private: true });
+
+      expect(res.statusCode).toBe(400);
+    });
+  });
+
+  /**
+   * Game Action Tests
+   * Resigning, aborting and draw offers end games without a winning line
+   */
+  describe('Game actions', () => {
+    const startGame = async () => {
+      const createRes = await request(app)
+        .post('/api/games')
+        .set('Authorization', `Bearer ${player1Token}`);
+      const id = createRes.body.game.id;
+
+      await request(app)
+        .post(`/api/games/${id}/join`)
+        .set('Authorization', `Bearer ${player2Token}`);
+
+      return id;
+    };
+
+    const post = (path, token) => request(app).post(path).set('Authorization', `Bearer ${token}`);
+
+    const getHistory = async (id) => {
+      const result = await pool.query(
+        'SELECT winner_id, termination_reason FROM game_history WHERE game_id = $1',
+        [id]
+      );
+      return result.rows;
+    };
+
+    it('should give the game to the opponent of a player who resigns', async () => {
+      const id = await startGame();
+
+      const res = await post(`/api/games/${id}/resign`, player1Token);
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body.game.status).toBe('finished');
+      expect(res.body.game.winner).toBe('O');
+      expect(res.body.game.termination_reason).toBe('resignation');
+      expect(await getHistory(id)).toEqual([{ winner_id: player2Id, termination_reason: 'resignation' }]);
+    });
+
+    it('should not let other users resign', async () => {
+      const id = await startGame();
+
+      const res = await post(`/api/games/${id}/resign`, player3Token);
+
+      expect(res.statusCode).toBe(403);
+    });
+
+    it('should not resign a finished game', async () => {
+      const id = await startGame();
+      await post(`/api/games/${id}/resign`, player1Token);
+
+      const res = await post(`/api/games/${id}/resign`, player2Token);
+
+      expect(res.statusCode).toBe(400);
+    });
+
+    it('should end the game as a draw when the offer is accepted', async () => {
+      const id = await startGame();
+
+      const offerRes = await post(`/api/games/${id}/draw-offer`, player1Token);
+      expect(offerRes.statusCode).toBe(200);
+      expect(offerRes.body.game.draw_offered_by).toBe('X');
+
+      // Only the opponent can answer the offer
+      const ownRes = await post(`/api/games/${id}/draw-offer/accept`, player1Token);
+      expect(ownRes.statusCode).toBe(400);
+
+      const acceptRes = await post(`/api/games/${id}/draw-offer/accept`, player2Token);
+      expect(acceptRes.statusCode).toBe(200);
+      expect(acceptRes.body.game.winner).toBe('D');
+      expect(acceptRes.body.game.termination_reason).toBe('agreement');
+      expect(acceptRes.body.game.draw_offered_by).toBeNull();
+      expect(await getHistory(id)).toEqual([{ winner_id: null, termination_reason: 'agreement' }]);
+    });
+
+    it('should keep the game going when the offer is declined', async () => {
+      const id = await startGame();
+      await post(`/api/games/${id}/draw-offer`, player1Token);
+
+      const res = await post(`/api/games/${id}/draw-offer/decline`, player2Token);
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body.game.status).toBe('in_progress');
+      expect(res.body.game.draw_offered_by).toBeNull();
+    });
+
+    it('should withdraw the offer when the opponent moves instead of answering', async () => {
+      const id = await startGame();
+      await post(`/api/games/${id}/draw-offer`, player1Token);
+
+      // X keeps the offer standing with their own move
+      const ownMoveRes = await post(`/api/games/${id}/move`, player1Token).send({ position: 0 });
+      expect(ownMoveRes.body.game.draw_offered_by).toBe('X');
+
+      const moveRes = await post(`/api/games/${id}/move`, player2Token).send({ position: 4 });
+      expect(moveRes.body.game.draw_offered_by).toBeNull();
+    });
+
+    it('should not offer draws to the bot', async () => {
+      const createRes = await post('/api/games', player1Token).send({ opponent: 'bot' });
+
+      const res = await post(`/api/games/${createRes.body.game.id}/draw-offer`, player1Token);
+
+      expect(res.statusCode).toBe(400);
+    });
+
+    it('should let the creator abort a waiting game', async () => {
+      const createRes = await post('/api/games', player1Token);
+      const id = createRes.body.game.id;
+
+      const otherRes = await post(`/api/games/${id}/abort`, player2Token);
+      expect(otherRes.statusCode).toBe(403);
+
+      const res = await post(`/api/games/${id}/abort`, player1Token);
+      expect(res.statusCode).toBe(200);
+      expect(res.body.game.status).toBe('aborted');
+      expect(res.body.game.winner).toBeNull();
+      expect(await getHistory(id)).toEqual([{ winner_id: null, termination_reason: 'aborted' }]);
+    });
+
+    it('should let either player abort before the first move only', async () => {
+      const id = await startGame();
+      const res = await post(`/api/games/${id}/abort`, player2Token);
+      expect(res.statusCode).toBe(200);
+      expect(res.body.game.termination_reason).toBe('aborted');
+
+      const playedId = await startGame();
+      await post(`/api/games/${playedId}/move`, player1Token).send({ position: 0 });
+      const lateRes = await post(`/api/games/${playedId}/abort`, player2Token);
+      expect(lateRes.statusCode).toBe(400);
+      expect(lateRes.body.error).toBe('Games can only be aborted before the first move');
+    });
+
+    it('should leave ratings and statistics untouched when a game is aborted', async () => {
+      const before = await request(app).get('/api/games/stats/me').set('Authorization', `Bearer ${player1Token}`);
+
+      const id = await startGame();
+      await post(`/api/games/${id}/abort`, player1Token);
+
+      const after = await request(app).get('/api/games/stats/me').set('Authorization', `Bearer ${player1Token}`);
+      expect(after.body.stats).toEqual(before.body.stats);
+    });
+  });
+
+  /**
+   * Rematch Tests
+   * A rematch swaps colours and joins the previous game in a series
+   */
+  describe('Rematches', () => {
+    const post = (path, token) => request(app).post(path).set('Authorization', `Bearer ${token}`);
+
+    /**
+     * Play a game where player X wins with the top row
+     */
+    const playWonGame = async (xToken, oToken) => {
+      const createRes = await post('/api/games', xToken);
+      const id = createRes.body.game.id;
+      await post(`/api/games/${id}/join`, oToken);
+
+      for (const [token, position] of [[xToken, 0], [oToken, 3], [xToken, 1], [oToken, 4], [xToken, 2]]) {
+        await post(`/api/games/${id}/move`, token).send({ position });
+      }
+      return id;
+    };
+
+    it('should start a new game with the colours swapped once accepted', async () => {
+      const id = await playWonGame(player1Token, player2Token);
+
+      const requestRes = await post(`/api/games/${id}/rematch`, player1Token);
+      expect(requestRes.statusCode).toBe(200);
+      expect(requestRes.body.game.rematch_requested_by).toBe('X');
+
+      const acceptRes = await post(`/api/games/${id}/rematch/accept`, player2Token);
+      expect(acceptRes.statusCode).toBe(200);
+
+      const rematch = acceptRes.body.rematch;
+      expect(rematch.status).toBe('in_progress');
+      expect(rematch.player_x_id).toBe(player2Id);
+      expect(rematch.player_o_id).toBe(player1Id);
+      expect(rematch.previous_game_id).toBe(id);
+      expect(rematch.series_id).toBe(id);
+      expect(acceptRes.body.game.rematch_game_id).toBe(rematch.id);
+      expect(acceptRes.body.game.rematch_requested_by).toBeNull();
+    });
+
+    it('should not announce the rematch in the lobby', async () => {
+      const id = await playWonGame(player1Token, player2Token);
+      await post(`/api/games/${id}/rematch`, player1Token);
+
+      const publish = jest.spyOn(events, 'publish');
+      try {
+        const acceptRes = await post(`/api/games/${id}/rematch/accept`, player2Token);
+        expect(acceptRes.statusCode).toBe(200);
+
+        expect(publish).toHaveBeenCalledWith(`game:${id}`, 'rematch:started', expect.objectContaining({ id: acceptRes.body.rematch.id }));
+        expect(publish.mock.calls.some(([channel]) => channel === 'lobby')).toBe(false);
+      } finally {
+        publish.mockRestore();
+      }
+    });
+
+    it('should only let the opponent answer a rematch request', async () => {
+      const id = await playWonGame(player1Token, player2Token);
+      await post(`/api/games/${id}/rematch`, player1Token);
+
+      const ownRes = await post(`/api/games/${id}/rematch/accept`, player1Token);
+      expect(ownRes.statusCode).toBe(400);
+
+      const declineRes = await post(`/api/games/${id}/rematch/decline`, player2Token);
+      expect(declineRes.statusCode).toBe(200);
+      expect(declineRes.body.game.rematch_requested_by).toBeNull();
+    });
+
+    it('should only decline a pending rematch request of a finished game', async () => {
+      const createRes = await post('/api/games', player1Token);
+      await post(`/api/games/${createRes.body.game.id}/join`, player2Token);
+
+      const unfinishedRes = await post(`/api/games/${createRes.body.game.id}/rematch/decline`, player2Token);
+      expect(unfinishedRes.statusCode).toBe(400);
+      expect(unfinishedRes.body.error).toBe('Only finished games can be rematched');
+
+      const id = await playWonGame(player1Token, player2Token);
+      const noRequestRes = await post(`/api/games/${id}/rematch/decline`, player2Token);
+      expect(noRequestRes.statusCode).toBe(400);
+      expect(noRequestRes.body.error).toBe('No rematch request to answer');
+    });
+
+    it('should not rematch games that are not finished', async () => {
+      const createRes = await post('/api/games', player1Token);
+
+      const res = await post(`/api/games/${createRes.body.game.id}/rematch`, player1Token);
+
+      expect(res.statusCode).toBe(400);
+    });
+
+    it('should not rematch the same game twice', async () => {
+      const id = await playWonGame(player1Token, player2Token);
+      await post(`/api/games/${id}/rematch`, player1Token);
+      await post(`/api/games/${id}/rematch/accept`, player2Token);
+
+      const res = await post(`/api/games/${id}/rematch`, player1Token);
+
+      expect(res.statusCode).toBe(400);
+      expect(res.body.error).toBe('This game was already rematched');
+    });
+
+    it('should keep a running score over the series', async () => {
+      const firstId = await playWonGame(player1Token, player2Token);
+      await post(`/api/games/${firstId}/rematch`, player2Token);
+      const acceptRes = await post(`/api/games/${firstId}/rematch/accept`, player1Token);
+      const secondId = acceptRes.body.rematch.id;
+
+      // Player 2 now plays X and wins the top row
+      for (const [token, position] of [[player2Token, 0], [player1Token, 3], [player2Token, 1], [player1Token, 4], [player2Token, 2]]) {
+        await post(`/api/games/${secondId}/move`, token).send({ position });
+      }
+
+      await post(`/api/games/${secondId}/rematch`, player1Token);
+      const thirdRes = await post(`/api/games/${secondId}/rematch/accept`, player2Token);
+      expect(thirdRes.body.rematch.series_id).toBe(firstId);
+      expect(thirdRes.body.rematch.player_x_id).toBe(player1Id);
+
+      const res = await request(app)
+        .get(`/api/games/${thirdRes.body.rematch.id}/series`)
+        .set('Authorization', `Bearer ${player1Token}`);
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body.series_id).toBe(firstId);
+      expect(res.body.games.map(game => game.id)).toEqual([firstId, secondId, thirdRes.body.rematch.id]);
+      // Games have the same shape as everywhere else, players included
+      expect(res.body.games[1]).toMatchObject({
+        board: expect.any(Array),
+        players: { x: { id: player2Id }, o: { id: player1Id } },
+        series_id: firstId
+      });
+      expect(res.body.score).toEqual({
+        players: [{ id: player1Id, wins: 1 }, { id: player2Id, wins: 1 }],
+        draws: 0
+      });
+    });
+
+    it('should report games outside a series as not found', async () => {
+      const createRes = await post('/api/games', player1Token);
+
+      const res = await request(app)
+        .get(`/api/games/${createRes.body.game.id}/series`)
+        .set('Authorization', `Bearer ${player1Token}`);
+
+      expect(res.statusCode).toBe(404);
+    });
+  });
+
+  /**
+   * Timed Games Tests
+   * Clocks run once both players have joined; a player out of time loses
+   */
+  describe('Timed games', () => {
+    const sweeper = require('../lib/sweeper');
+
+    const createTimedGame = async (timeControl) => {
+      const createRes = await request(app)
+        .post('/api/games')
+        .set('Authorization', `Bearer ${player1Token}`)
+        .send({ time_control: timeControl });
+      const id = createRes.body.game.id;
+
+      await request(app)
+        .post(`/api/games/${id}/join`)
+        .set('Authorization', `Bearer ${player2Token}`);
+
+      return id;
+    };
+
+    /**
+     * Move the start of the current turn into the past
+     */
+    const elapse = async (id, seconds) => {
+      await pool.query(
+        `UPDATE games SET turn_started_at = turn_started_at - make_interval(secs => $1) WHERE id = $2`,
+        [seconds, id]
+      );
+    };
+
+    it('should reject invalid time controls', async () => {
+      const res = await request(app)
+        .post('/api/games')
+        .set('Authorization', `Bearer ${player1Token}`)
+        .send({ time_control: { type: 'move', seconds: 2 } });
+
+      expect(res.statusCode).toBe(400);
+    });
+
+    it('should not allow timed bot games', async () => {
+      const res = await request(app)
+        .post('/api/games')
+        .set('Authorization', `Bearer ${player1Token}`)
+        .send({ opponent: 'bot', time_control: { type: 'move', seconds: 30 } });
+
+      expect(res.statusCode).toBe(400);
+      expect(res.body.error).toBe('Bot games cannot be timed');
+    });
+
+    it('should start the clock of player X once the game starts', async () => {
+      const createRes = await request(app)
+        .post('/api/games')
+        .set('Authorization', `Bearer ${player1Token}`)
+        .send({ time_control: { type: 'total', seconds: 60, increment: 2 } });
+
+      expect(createRes.statusCode).toBe(201);
+      expect(createRes.body.game.time_control).toEqual({ type: 'total', seconds: 60, increment: 2 });
+      expect(createRes.body.game.clock).toEqual({ x_ms: 60000, o_ms: 60000, running: null });
+
+      const joinRes = await request(app)
+        .post(`/api/games/${createRes.body.game.id}/join`)
+        .set('Authorization', `Bearer ${player2Token}`);
+
+      expect(joinRes.body.game.clock.running).toBe('X');
+    });
+
+    it('should take the time spent on a move and add the increment', async () => {
+      const id = await createTimedGame({ type: 'total', seconds: 60, increment: 2 });
+      await elapse(id, 10);
+
+      const res = await request(app)
+        .post(`/api/games/${id}/move`)
+        .set('Authorization', `Bearer ${player1Token}`)
+        .send({ position: 0 });
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body.game.clock.running).toBe('O');
+      expect(res.body.game.clock.x_ms).toBeGreaterThan(51000);
+      expect(res.body.game.clock.x_ms).toBeLessThanOrEqual(52000);
+    });
+
+    it('should reset the clock after each move with a per-move limit', async () => {
+      const id = await createTimedGame({ type: 'move', seconds: 30 });
+      await elapse(id, 20);
+
+      const res = await request(app)
+        .post(`/api/games/${id}/move`)
+        .set('Authorization', `Bearer ${player1Token}`)
+        .send({ position: 0 });
+
+      expect(res.body.game.clock.x_ms).toBe(30000);
+    });
+
+    it('should end the game when a move comes after the time is up', async () => {
+      const id = await createTimedGame({ type: 'move', seconds: 30 });
+      await elapse(id, 31);
+
+      const res = await request(app)
+        .post(`/api/games/${id}/move`)
+        .set('Authorization', `Bearer ${player1Token}`)
+        .send({ position: 0 });
+
+      expect(res.statusCode).toBe(400);
+      expect(res.body.error).toBe('Your time is up');
+      expect(res.body.game.status).toBe('finished');
+      expect(res.body.game.winner).toBe('O');
+      expect(res.body.game.termination_reason).toBe('timeout');
+      expect(res.body.game.clock).toEqual({ x_ms: 0, o_ms: 30000, running: null });
+    });
+
+    it('should end games of players who ran out of time on the next sweep', async () => {
+      const id = await createTimedGame({ type: 'move', seconds: 30 });
+      await elapse(id, 31);
+
+      const finished = await sweeper.sweepClocks();
+      expect(finished.map(game => game.id)).toContain(id);
+
+      const gameRes = await request(app)
+        .get(`/api/games/${id}`)
+        .set('Authorization', `Bearer ${player1Token}`);
+      expect(gameRes.body.game.winner).toBe('O');
+      expect(gameRes.body.game.termination_reason).toBe('timeout');
+
+      const history = await pool.query(
+        'SELECT winner_id, termination_reason FROM game_history WHERE game_id = $1',
+        [id]
+      );
+      expect(history.rows[0]).toEqual({ winner_id: player2Id, termination_reason: 'timeout' });
+    });
+  });
+
+  /**
+   * Concurrency Tests
+   * Join and move lock the game row; a request that loses the race gets 409
+   */
+  describe('Concurrent requests', () => {
+    const createGame = async () => {
+      const res = await request(app)
+        .post('/api/games')
+        .set('Authorization', `Bearer ${player1Token}`);
+      return res.body.game.id;
+    };
+
+    /**
+     * Run a callback while another transaction holds the lock on a game row
+     */
+    const whileLocked = async (id, callback) => {
+      const client = await pool.connect();
+      try {
+        await client.query('BEGIN');
+        await client.query('SELECT * FROM games WHERE id = $1 FOR UPDATE', [id]);
+        return await callback();
+      } finally {
+        await client.query('ROLLBACK');
+        client.release();
+      }
+    };
+
+    it('should return 409 when joining a game locked by another request', async () => {
+      const id = await createGame();
+
+      const res = await whileLocked(id, () => request(app)
+        .post(`/api/games/${id}/join`)
+        .set('Authorization', `Bearer ${player2Token}`));
+
+      expect(res.statusCode).toBe(409);
+
+      // Nothing was written, so the game can still be joined
+      const retry = await request(app)
+        .post(`/api/games/${id}/join`)
+        .set('Authorization', `Bearer ${player2Token}`);
+      expect(retry.statusCode).toBe(200);
+    });
+
+    it('should return 409 when moving in a game locked by another request', async () => {
+      const id = await createGame();
+      await request(app)
+        .post(`/api/games/${id}/join`)
+        .set('Authorization', `Bearer ${player2Token}`);
+
+      const res = await whileLocked(id, () => request(app)
+        .post(`/api/games/${id}/move`)
+        .set('Authorization', `Bearer ${player1Token}`)
+        .send({ position: 4 }));
+
+      expect(res.statusCode).toBe(409);
+
+      const movesRes = await request(app)
+        .get(`/api/games/${id}/moves`)
+        .set('Authorization', `Bearer ${player1Token}`);
+      expect(movesRes.body.moves).toHaveLength(0);
+    });
+
+    it('should let only one of two simultaneous joins succeed', async () => {
+      const id = await createGame();
+
+      const responses = await Promise.all([player2Token, player3Token].map(token => request(app)
+        .post(`/api/games/${id}/join`)
+        .set('Authorization', `Bearer ${token}`)));
+
+      const succeeded = responses.filter(res => res.statusCode === 200);
+      expect(succeeded).toHaveLength(1);
+      responses
+        .filter(res => res.statusCode !== 200)
+        .forEach(res => expect([400, 409]).toContain(res.statusCode));
+
+      const gameRes = await request(app)
+        .get(`/api/games/${id}`)
+        .set('Authorization', `Bearer ${player1Token}`);
+      expect(gameRes.body.game.status).toBe('in_progress');
+      expect(gameRes.body.game.player_o_id).toBe(succeeded[0].body.game.player_o_id);
+    });
+
+    it('should apply only one of two simultaneous moves by the same player', async () => {
+      const id = await createGame();
+      await request(app)
+        .post(`/api/games/${id}/join`)
+        .set('Authorization', `Bearer ${player2Token}`);
+
+      const responses = await Promise.all([0, 8].map(position => request(app)
+        .post(`/api/games/${id}/move`)
+        .set('Authorization', `Bearer ${player1Token}`)
+        .send({ position })));
+
+      expect(responses.filter(res => res.statusCode === 200)).toHaveLength(1);
+      responses
+        .filter(res => res.statusCode !== 200)
+        .forEach(res => expect([400, 409]).toContain(res.statusCode));
+
+      const gameRes = await request(app)
+        .get(`/api/games/${id}`)
+        .set('Authorization', `Bearer ${player1Token}`);
+      expect(gameRes.body.game.board.filter(cell => cell === 'X')).toHaveLength(1);
+      expect(gameRes.body.game.current_turn).toBe('O');
+
+      const movesRes = await request(app)
+        .get(`/api/games/${id}/moves`)
+        .set('Authorization', `Bearer ${player1Token}`);
+      expect(movesRes.body.moves).toHaveLength(1);
+    });
+  });
+
   /**
    * Statistics Tests
    */
@@ -0,0 +1,163 @@
+const request = require('supertest');
+const app = require('../server');
+const pool = require('../db');
+
+/**
+ * Leaderboard API Tests
+ * Tests for ranking, sorting, filtering and paginating users
+ */
+
+describe('Leaderboard API', () => {
+  let alice, bob, carol;
+
+  /**
+   * Register a fresh user
+   */
+  const registerUser = async (name) => {
+    const suffix = `${Date.now()}${Math.floor(Math.random() * 1000)}`;
+    const res = await request(app).post('/api/auth/register').send({
+      username: `${name}${suffix}`,
+      email: `${name}${suffix}@test.com`,
+      password: 'password123'
+    });
+    return { token: res.body.token, id: res.body.user.id };
+  };
+
+  /**
+   * Play a game where player X wins with the top row
+   */
+  const playWin = async (x, o) => {
+    const createRes = await request(app)
+      .post('/api/games')
+      .set('Authorization', `Bearer ${x.token}`);
+    const id = createRes.body.game.id;
+
+    await request(app)
+      .post(`/api/games/${id}/join`)
+      .set('Authorization', `Bearer ${o.token}`);
+
+    for (const [index, position] of [0, 3, 1, 4, 2].entries()) {
+      await request(app)
+        .post(`/api/games/${id}/move`)
+        .set('Authorization', `Bearer ${(index % 2 === 0 ? x : o).token}`)
+        .send({ position });
+    }
+    return id;
+  };
+
+  /**
+   * Get the leaderboard as seen by a user, keeping only this suite's users
+   */
+  const getLeaderboard = async (user, query = '') => {
+    const res = await request(app)
+      .get(`/api/leaderboard?limit=100${query}`)
+      .set('Authorization', `Bearer ${user.token}`);
+    const ids = [alice.id, bob.id, carol.id];
+    return { res, entries: res.body.leaderboard.filter(entry => ids.includes(entry.user_id)) };
+  };
+
+  beforeAll(async () => {
+    alice = await registerUser('alice');
+    bob = await registerUser('bob');
+    carol = await registerUser('carol');
+
+    // Alice: 2 wins, Bob: 1 win 1 loss, Carol: 1 win 2 losses
+    await playWin(alice, bob);
+    await playWin(bob, carol);
+    await playWin(carol, alice);
+    const oldGameId = await playWin(alice, carol);
+
+    // Move one of Alice's wins to last month
+    await pool.query(
+      "UPDATE game_history SET finished_at = CURRENT_TIMESTAMP - INTERVAL '40 days' WHERE game_id = $1",
+      [oldGameId]
+    );
+  });
+
+  it('should rank users by rating by default', async () => {
+    const { res, entries } = await getLeaderboard(alice);
+
+    expect(res.statusCode).toBe(200);
+    const ratings = entries.map(entry => entry.rating);
+    expect(ratings).toEqual([...ratings].sort((a, b) => b - a));
+    expect(entries[0]).toMatchObject({ user_id: alice.id, games: 3, wins: 2, losses: 1, draws: 0 });
+    expect(entries[0].win_rate).toBe(66.7);
+  });
+
+  it('should sort by wins and win rate', async () => {
+    const byWins = await getLeaderboard(alice, '&sort=wins');
+    expect(byWins.entries[0].user_id).toBe(alice.id);
+
+    const byWinRate = await getLeaderboard(alice, '&sort=win_rate');
+    expect(byWinRate.entries.map(entry => entry.user_id)).toEqual([alice.id, bob.id, carol.id]);
+  });
+
+  it('should only count games in the time window', async () => {
+    const { entries } = await getLeaderboard(alice, '&window=week');
+    const aliceEntry = entries.find(entry => entry.user_id === alice.id);
+    const carolEntry = entries.find(entry => entry.user_id === carol.id);
+
+    expect(aliceEntry).toMatchObject({ games: 2, wins: 1 });
+    expect(carolEntry).toMatchObject({ games: 2, wins: 1 });
+  });
+
+  it('should filter out users below the minimum number of games', async () => {
+    const { entries } = await getLeaderboard(alice, '&window=week&min_games=3');
+    expect(entries).toHaveLength(0);
+  });
+
+  it('should paginate and always return the current user', async () => {
+    const res = await request(app)
+      .get('/api/leaderboard?limit=1&page=2')
+      .set('Authorization', `Bearer ${carol.token}`);
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.page).toBe(2);
+    expect(res.body.leaderboard).toHaveLength(1);
+    expect(res.body.leaderboard[0].rank).toBe(2);
+    expect(res.body.total).toBeGreaterThanOrEqual(3);
+    expect(res.body.current_user.user_id).toBe(carol.id);
+  });
+
+  it('should leave out users without games by default', async () => {
+    const newcomer = await registerUser('newcomer');
+
+    const res = await request(app)
+      .get('/api/leaderboard')
+      .set('Authorization', `Bearer ${newcomer.token}`);
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.current_user).toBeNull();
+  });
+
+  it('should return the total past the last page', async () => {
+    const newcomer = await registerUser('lastpage');
+
+    const firstRes = await request(app)
+      .get('/api/leaderboard')
+      .set('Authorization', `Bearer ${newcomer.token}`);
+
+    const res = await request(app)
+      .get('/api/leaderboard?page=100000')
+      .set('Authorization', `Bearer ${newcomer.token}`);
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.leaderboard).toHaveLength(0);
+    expect(res.body.total).toBe(firstRes.body.total);
+    expect(res.body.total).toBeGreaterThanOrEqual(3);
+  });
+
+  it('should reject invalid parameters', async () => {
+    for (const query of ['sort=losses', 'window=year', 'min_games=-1', 'page=0', 'limit=101']) {
+      const res = await request(app)
+        .get(`/api/leaderboard?${query}`)
+        .set('Authorization', `Bearer ${alice.token}`);
+      expect(res.statusCode).toBe(400);
+    }
+  });
+
+  it('should return 401 without authentication', async () => {
+    const res = await request(app).get('/api/leaderboard');
+    expect(res.statusCode).toBe(401);
+  });
+});
@@ -0,0 +1,184 @@
+const request = require('supertest');
+const app = require('../server');
+const pool = require('../db');
+
+/**
+ * Matchmaking API Tests
+ * Tests for queueing, pairing, rating ranges, status and cancellation
+ */
+
+describe('Matchmaking API', () => {
+  /**
+   * Register a fresh user
+   */
+  const registerUser = async (name) => {
+    const suffix = `${Date.now()}${Math.floor(Math.random() * 1000)}`;
+    const res = await request(app).post('/api/auth/register').send({
+      username: `${name}${suffix}`,
+      email: `${name}${suffix}@test.com`,
+      password: 'password123'
+    });
+    return { token: res.body.token, id: res.body.user.id };
+  };
+
+  const queue = (user, body = {}) => request(app)
+    .post('/api/matchmaking/queue')
+    .set('Authorization', `Bearer ${user.token}`)
+    .send(body);
+
+  const status = (user) => request(app)
+    .get('/api/matchmaking/queue')
+    .set('Authorization', `Bearer ${user.token}`);
+
+  const cancel = (user) => request(app)
+    .delete('/api/matchmaking/queue')
+    .set('Authorization', `Bearer ${user.token}`);
+
+  // Start every test with an empty queue
+  beforeEach(async () => {
+    await pool.query('DELETE FROM matchmaking_queue WHERE game_id IS NULL');
+  });
+
+  it('should queue a player when nobody is waiting', async () => {
+    const alice = await registerUser('mmalice');
+
+    const res = await queue(alice);
+
+    expect(res.statusCode).toBe(202);
+    expect(res.body.status).toBe('queued');
+    expect(res.body.wait_seconds).toBe(0);
+
+    const statusRes = await status(alice);
+    expect(statusRes.body.status).toBe('queued');
+  });
+
+  it('should keep the place in the queue when queueing twice', async () => {
+    const alice = await registerUser('mmalice');
+
+    const first = await queue(alice);
+    const second = await queue(alice);
+
+    expect(second.statusCode).toBe(202);
+    expect(second.body.queued_at).toBe(first.body.queued_at);
+  });
+
+  it('should pair two players into an in-progress game', async () => {
+    const alice = await registerUser('mmalice');
+    const bob = await registerUser('mmbob');
+
+    await queue(alice);
+    const res = await queue(bob);
+
+    expect(res.statusCode).toBe(201);
+    expect(res.body.status).toBe('matched');
+    expect(res.body.game.status).toBe('in_progress');
+    // The player who waited longer plays first
+    expect(res.body.game.player_x_id).toBe(alice.id);
+    expect(res.body.game.player_o_id).toBe(bob.id);
+    expect(res.body.game.players.x.username).toMatch(/^mmalice/);
+    expect(res.body.game.players.o.username).toMatch(/^mmbob/);
+
+    const statusRes = await status(alice);
+    expect(statusRes.body.status).toBe('matched');
+    expect(statusRes.body.game.id).toBe(res.body.game.id);
+  });
+
+  it('should only pair players within the requested rating range', async () => {
+    const alice = await registerUser('mmalice');
+    const bob = await registerUser('mmbob');
+    const carol = await registerUser('mmcarol');
+    await pool.query('UPDATE users SET rating = 1500 WHERE id = $1', [alice.id]);
+    await pool.query('UPDATE users SET rating = 1250 WHERE id = $1', [carol.id]);
+
+    await queue(alice);
+
+    // Bob (1200) is 300 points below Alice
+    const bobRes = await queue(bob, { rating_range: 100 });
+    expect(bobRes.statusCode).toBe(202);
+
+    // Carol (1250) is in Bob's range but Alice is not in hers
+    const carolRes = await queue(carol, { rating_range: 200 });
+    expect(carolRes.statusCode).toBe(201);
+    expect(carolRes.body.game.player_x_id).toBe(bob.id);
+
+    expect((await status(alice)).body.status).toBe('queued');
+  });
+
+  it('should create a single game when two players queue at the same time', async () => {
+    const alice = await registerUser('mmalice');
+    const bob = await registerUser('mmbob');
+
+    const responses = await Promise.all([queue(alice), queue(bob)]);
+
+    expect(responses.map(res => res.statusCode).sort()).toEqual([201, 202]);
+
+    const aliceStatus = await status(alice);
+    const bobStatus = await status(bob);
+    expect(aliceStatus.body.status).toBe('matched');
+    expect(bobStatus.body.game.id).toBe(aliceStatus.body.game.id);
+  });
+
+  it('should leave the queue', async () => {
+    const alice = await registerUser('mmalice');
+    await queue(alice);
+
+    const res = await cancel(alice);
+    expect(res.statusCode).toBe(200);
+    expect((await status(alice)).body.status).toBe('idle');
+
+    const again = await cancel(alice);
+    expect(again.statusCode).toBe(404);
+  });
+
+  it('should not leave the queue once matched', async () => {
+    const alice = await registerUser('mmalice');
+    const bob = await registerUser('mmbob');
+    await queue(alice);
+    const matchRes = await queue(bob);
+
+    const res = await cancel(alice);
+
+    expect(res.statusCode).toBe(409);
+    expect(res.body.game.id).toBe(matchRes.body.game.id);
+  });
+
+  it('should search again after a previous match', async () => {
+    const alice = await registerUser('mmalice');
+    const bob = await registerUser('mmbob');
+    await queue(alice);
+    await queue(bob);
+
+    const res = await queue(alice);
+
+    expect(res.statusCode).toBe(202);
+    expect(res.body.status).toBe('queued');
+  });
+
+  it('should be idle again once the matched game is over', async () => {
+    const alice = await registerUser('mmalice');
+    const bob = await registerUser('mmbob');
+    await queue(alice);
+    const matchRes = await queue(bob);
+
+    await request(app)
+      .post(`/api/games/${matchRes.body.game.id}/resign`)
+      .set('Authorization', `Bearer ${alice.token}`);
+
+    expect((await status(alice)).body.status).toBe('idle');
+    expect((await status(bob)).body.status).toBe('idle');
+    expect((await cancel(alice)).statusCode).toBe(404);
+  });
+
+  it('should reject an invalid rating range', async () => {
+    const alice = await registerUser('mmalice');
+
+    const res = await queue(alice, { rating_range: -5 });
+
+    expect(res.statusCode).toBe(400);
+  });
+
+  it('should return 401 without authentication', async () => {
+    const res = await request(app).post('/api/matchmaking/queue');
+    expect(res.statusCode).toBe(401);
+  });
+});
@@ -0,0 +1,131 @@
+const request = require('supertest');
+const app = require('../server');
+
+/**
+ * Chat API Tests
+ * Tests for posting and reading the messages of a game
+ */
+
+describe('Chat API', () => {
+  let player1Token, player2Token, spectatorToken;
+  let player1Id;
+  let gameId;
+
+  const register = async (prefix) => {
+    const user = {
+      username: `${prefix}${Date.now()}`,
+      email: `${prefix}${Date.now()}@test.com`,
+      password: 'password123'
+    };
+    const res = await request(app).post('/api/auth/register').send(user);
+    return res.body;
+  };
+
+  const postMessage = (token, body, id = gameId) => request(app)
+    .post(`/api/games/${id}/messages`)
+    .set('Authorization', `Bearer ${token}`)
+    .send({ body });
+
+  const getMessages = (token, id = gameId) => request(app)
+    .get(`/api/games/${id}/messages`)
+    .set('Authorization', `Bearer ${token}`);
+
+  beforeAll(async () => {
+    const player1 = await register('chat1');
+    player1Token = player1.token;
+    player1Id = player1.user.id;
+    player2Token = (await register('chat2')).token;
+    spectatorToken = (await register('chat3')).token;
+
+    const createRes = await request(app)
+      .post('/api/games')
+      .set('Authorization', `Bearer ${player1Token}`);
+    gameId = createRes.body.game.id;
+
+    await request(app)
+      .post(`/api/games/${gameId}/join`)
+      .set('Authorization', `Bearer ${player2Token}`);
+  });
+
+  it('should post a message and list it for everyone watching', async () => {
+    const res = await postMessage(player1Token, '  Good luck!  ');
+
+    expect(res.statusCode).toBe(201);
+    expect(res.body.message).toMatchObject({
+      game_id: gameId,
+      user_id: player1Id,
+      role: 'player',
+      body: 'Good luck!'
+    });
+    expect(res.body.message.username).toMatch(/^chat1/);
+
+    const listRes = await getMessages(spectatorToken);
+    expect(listRes.statusCode).toBe(200);
+    expect(listRes.body.messages.map(message => message.body)).toContain('Good luck!');
+  });
+
+  it('should let spectators chat and tag their messages', async () => {
+    const res = await postMessage(spectatorToken, 'Nice move');
+
+    expect(res.statusCode).toBe(201);
+    expect(res.body.message.role).toBe('spectator');
+  });
+
+  it('should reject empty and overlong messages', async () => {
+    expect((await postMessage(player1Token, '   ')).statusCode).toBe(400);
+    expect((await postMessage(player1Token, 'a'.repeat(501))).statusCode).toBe(400);
+    expect((await postMessage(player1Token, 42)).statusCode).toBe(400);
+  });
+
+  it('should mask blocked words', async () => {
+    const res = await postMessage(player2Token, 'Oh sh1t, well played from Scunthorpe');
+
+    expect(res.body.message.body).toBe('Oh ****, well played from Scunthorpe');
+  });
+
+  it('should stop spectators from posting once muted', async () => {
+    const muteRes = await request(app)
+      .post(`/api/games/${gameId}/spectators/mute`)
+      .set('Authorization', `Bearer ${player2Token}`);
+    expect(muteRes.statusCode).toBe(200);
+    expect(muteRes.body.game.spectators_muted).toBe(true);
+
+    const spectatorRes = await postMessage(spectatorToken, 'Hello?');
+    expect(spectatorRes.statusCode).toBe(403);
+
+    // Only players can change the setting, and they can still talk
+    const spectatorUnmute = await request(app)
+      .post(`/api/games/${gameId}/spectators/unmute`)
+      .set('Authorization', `Bearer ${spectatorToken}`);
+    expect(spectatorUnmute.statusCode).toBe(403);
+    expect((await postMessage(player1Token, 'Quiet now')).statusCode).toBe(201);
+
+    await request(app)
+      .post(`/api/games/${gameId}/spectators/unmute`)
+      .set('Authorization', `Bearer ${player1Token}`);
+    expect((await postMessage(spectatorToken, 'Thanks')).statusCode).toBe(201);
+  });
+
+  it('should keep the chat readable after the game is over', async () => {
+    await request(app)
+      .post(`/api/games/${gameId}/resign`)
+      .set('Authorization', `Bearer ${player1Token}`);
+
+    const res = await getMessages(player2Token);
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.messages[0].body).toBe('Good luck!');
+    expect(res.body.messages.length).toBeGreaterThanOrEqual(5);
+  });
+
+  it('should hide the chat of private games from other users', async () => {
+    const createRes = await request(app)
+      .post('/api/games')
+      .set('Authorization', `Bearer ${player1Token}`)
+      .send({ private: true });
+    const privateId = createRes.body.game.id;
+
+    expect((await getMessages(spectatorToken, privateId)).statusCode).toBe(404);
+    expect((await postMessage(spectatorToken, 'Hi', privateId)).statusCode).toBe(404);
+  });
+});
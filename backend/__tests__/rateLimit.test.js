@@ -0,0 +1,147 @@
+const express = require('express');
+const request = require('supertest');
+const app = require('../server');
+const pool = require('../db');
+const { createMemoryStore, createPostgresStore, rateLimit, readSetting } = require('../lib/rateLimit');
+
+/**
+ * Rate Limiting Tests
+ * Tests for the counter stores, the rate limiting middleware and the
+ * limits applied to the API
+ */
+
+describe('Rate limiting', () => {
+  beforeEach(() => {
+    process.env.RATE_LIMIT_ENABLED = 'true';
+  });
+
+  afterEach(() => {
+    delete process.env.RATE_LIMIT_ENABLED;
+  });
+
+  describe.each([
+    ['memory', createMemoryStore],
+    ['postgres', createPostgresStore]
+  ])('%s store', (name, createStore) => {
+    const key = `test:${name}:${Date.now()}`;
+
+    it('should count requests over a window and start again after it', async () => {
+      const store = createStore();
+
+      const first = await store.increment(key, 200);
+      const second = await store.increment(key, 200);
+      expect(first.count).toBe(1);
+      expect(second.count).toBe(2);
+      expect(second.resetAt).toBe(first.resetAt);
+      expect(first.resetAt).toBeGreaterThan(Date.now());
+
+      await new Promise(resolve => setTimeout(resolve, 250));
+
+      expect((await store.increment(key, 200)).count).toBe(1);
+    });
+  });
+
+  it('should purge expired counters from PostgreSQL', async () => {
+    const store = createPostgresStore();
+    const key = `test:purge:${Date.now()}`;
+
+    await store.increment(key, 1);
+    await new Promise(resolve => setTimeout(resolve, 10));
+    await store.purge();
+
+    const result = await pool.query('SELECT 1 FROM rate_limits WHERE key = $1', [key]);
+    expect(result.rows).toHaveLength(0);
+  });
+
+  describe('readSetting', () => {
+    afterEach(() => {
+      delete process.env.RATE_LIMIT_TEST_SETTING;
+    });
+
+    it('should fall back to the default when the setting is unset or not a number', () => {
+      expect(readSetting('RATE_LIMIT_TEST_SETTING', 10)).toBe(10);
+
+      process.env.RATE_LIMIT_TEST_SETTING = 'abc';
+      expect(readSetting('RATE_LIMIT_TEST_SETTING', 10)).toBe(10);
+    });
+
+    it('should keep a configured 0', () => {
+      process.env.RATE_LIMIT_TEST_SETTING = '0';
+      expect(readSetting('RATE_LIMIT_TEST_SETTING', 10)).toBe(0);
+    });
+  });
+
+  describe('middleware', () => {
+    /**
+     * Create an app limited to 2 requests per minute
+     * @param {string} by - Bucket of the limiter ('ip' or 'user')
+     */
+    const createApp = (by) => {
+      const limited = express();
+      limited.use((req, res, next) => {
+        if (req.headers['x-user']) req.user = { id: Number(req.headers['x-user']) };
+        next();
+      });
+      limited.get('/', rateLimit({ name: 'test', max: 2, windowSeconds: 60, by, store: createMemoryStore() }), (req, res) => {
+        res.json({ ok: true });
+      });
+      return limited;
+    };
+
+    it('should answer 429 with Retry-After over the limit', async () => {
+      const limited = createApp('ip');
+
+      expect((await request(limited).get('/')).statusCode).toBe(200);
+      expect((await request(limited).get('/')).statusCode).toBe(200);
+
+      const res = await request(limited).get('/');
+      expect(res.statusCode).toBe(429);
+      expect(res.body.error).toMatch(/^Too many requests/);
+      expect(Number(res.headers['retry-after'])).toBeGreaterThan(0);
+      expect(Number(res.headers['retry-after'])).toBeLessThanOrEqual(60);
+    });
+
+    it('should count each user separately', async () => {
+      const limited = createApp('user');
+
+      await request(limited).get('/').set('X-User', '1');
+      await request(limited).get('/').set('X-User', '1');
+
+      expect((await request(limited).get('/').set('X-User', '1')).statusCode).toBe(429);
+      expect((await request(limited).get('/').set('X-User', '2')).statusCode).toBe(200);
+    });
+
+    it('should let everything through when disabled', async () => {
+      process.env.RATE_LIMIT_ENABLED = 'false';
+      const limited = createApp('ip');
+
+      for (let i = 0; i < 3; i++) {
+        expect((await request(limited).get('/')).statusCode).toBe(200);
+      }
+    });
+  });
+
+  it('should limit game creation per user', async () => {
+    const suffix = `${Date.now()}${Math.floor(Math.random() * 1000)}`;
+    const registerRes = await request(app).post('/api/auth/register').send({
+      username: `ratelimit${suffix}`,
+      email: `ratelimit${suffix}@test.com`,
+      password: 'password123'
+    });
+    const { token } = registerRes.body;
+
+    const create = () => request(app)
+      .post('/api/games')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ opponent: 'bot' });
+
+    // RATE_LIMIT_GAME_CREATE_MAX defaults to 10 games per minute
+    for (let i = 0; i < 10; i++) {
+      expect((await create()).statusCode).toBe(201);
+    }
+
+    const res = await create();
+    expect(res.statusCode).toBe(429);
+    expect(res.headers['retry-after']).toBeDefined();
+  });
+});
@@ -0,0 +1,48 @@
+const { DEFAULT_RATING, K_FACTOR, expectedScore, calculateRatings } = require('../lib/rating');
+
+/**
+ * Rating Tests
+ * Tests for Elo expected scores and rating updates
+ */
+
+describe('Rating', () => {
+  describe('expectedScore', () => {
+    it('should expect an even result between equal ratings', () => {
+      expect(expectedScore(1200, 1200)).toBe(0.5);
+    });
+
+    it('should favour the higher rated player', () => {
+      expect(expectedScore(1600, 1200)).toBeCloseTo(0.909, 3);
+      expect(expectedScore(1200, 1600)).toBeCloseTo(0.091, 3);
+    });
+  });
+
+  describe('calculateRatings', () => {
+    it('should move equal ratings by half the K factor on a win', () => {
+      expect(calculateRatings(DEFAULT_RATING, DEFAULT_RATING, 'X')).toEqual({
+        x: DEFAULT_RATING + K_FACTOR / 2,
+        o: DEFAULT_RATING - K_FACTOR / 2
+      });
+      expect(calculateRatings(DEFAULT_RATING, DEFAULT_RATING, 'O')).toEqual({
+        x: DEFAULT_RATING - K_FACTOR / 2,
+        o: DEFAULT_RATING + K_FACTOR / 2
+      });
+    });
+
+    it('should count a draw as half a point', () => {
+      expect(calculateRatings(1200, 1200, 'D')).toEqual({ x: 1200, o: 1200 });
+      expect(calculateRatings(1400, 1200, 'D')).toEqual({ x: 1392, o: 1208 });
+    });
+
+    it('should reward an upset more than an expected win', () => {
+      const upset = calculateRatings(1200, 1600, 'X');
+      const expected = calculateRatings(1600, 1200, 'X');
+      expect(upset.x - 1200).toBeGreaterThan(expected.x - 1600);
+    });
+
+    it('should keep the sum of both ratings unchanged', () => {
+      const { x, o } = calculateRatings(1337, 1111, 'O');
+      expect(x + o).toBe(1337 + 1111);
+    });
+  });
+});
@@ -0,0 +1,342 @@
+const http = require('http');
+const request = require('supertest');
+const WebSocket = require('ws');
+const app = require('../server');
+const pool = require('../db');
+const realtime = require('../lib/realtime');
+const events = require('../lib/events');
+const spectators = require('../lib/spectators');
+
+/**
+ * Realtime API Tests
+ * Tests for WebSocket authentication and game/lobby event delivery
+ * Events travel through Postgres LISTEN/NOTIFY like in production
+ */
+
+describe('Realtime WebSocket', () => {
+  let server;
+  let wsUrl;
+  let player1Token, player2Token, player3Token;
+  let player1Id, player2Id;
+  const sockets = [];
+
+  /**
+   * Open an authenticated WebSocket connection
+   * Resolves once the connection is open
+   */
+  const connect = (token) => new Promise((resolve, reject) => {
+    const socket = new WebSocket(`${wsUrl}?token=${token}`);
+    sockets.push(socket);
+    socket.once('open', () => resolve(socket));
+    socket.once('error', reject);
+  });
+
+  /**
+   * Wait for the next event with the given name on a socket
+   */
+  const nextEvent = (socket, event) => new Promise((resolve) => {
+    const onMessage = (raw) => {
+      const message = JSON.parse(raw.toString());
+      if (message.event === event) {
+        socket.off('message', onMessage);
+        resolve(message);
+      }
+    };
+    socket.on('message', onMessage);
+  });
+
+  /**
+   * Subscribe to a channel and give the server a moment to register it
+   */
+  const subscribe = async (socket, channel) => {
+    socket.send(JSON.stringify({ type: 'subscribe', channel }));
+    await new Promise(resolve => setTimeout(resolve, 50));
+  };
+
+  beforeAll(async () => {
+    server = http.createServer(app);
+    realtime.attach(server);
+    spectators.start();
+    await events.listen();
+    await new Promise(resolve => server.listen(0, resolve));
+    wsUrl = `ws://localhost:${server.address().port}${realtime.WS_PATH}`;
+
+    const user1 = {
+      username: `rt1${Date.now()}`,
+      email: `rt1${Date.now()}@test.com`,
+      password: 'password123'
+    };
+    const res1 = await request(app).post('/api/auth/register').send(user1);
+    player1Token = res1.body.token;
+    player1Id = res1.body.user.id;
+
+    const user2 = {
+      username: `rt2${Date.now()}`,
+      email: `rt2${Date.now()}@test.com`,
+      password: 'password123'
+    };
+    const res2 = await request(app).post('/api/auth/register').send(user2);
+    player2Token = res2.body.token;
+    player2Id = res2.body.user.id;
+
+    const user3 = {
+      username: `rt3${Date.now()}`,
+      email: `rt3${Date.now()}@test.com`,
+      password: 'password123'
+    };
+    const res3 = await request(app).post('/api/auth/register').send(user3);
+    player3Token = res3.body.token;
+  });
+
+  /**
+   * Create a game between player 1 and player 2
+   */
+  const startGame = async (options = {}) => {
+    const createRes = await request(app)
+      .post('/api/games')
+      .set('Authorization', `Bearer ${player1Token}`)
+      .send(options);
+    const gameId = createRes.body.game.id;
+
+    await request(app)
+      .post(`/api/games/${gameId}/join`)
+      .set('Authorization', `Bearer ${player2Token}`)
+      .send({ invite_code: createRes.body.game.invite_code });
+
+    return gameId;
+  };
+
+  afterAll(async () => {
+    sockets.forEach(socket => socket.terminate());
+    await spectators.stop();
+    await events.stop();
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  it('should reject connections without a valid token', async () => {
+    const socket = new WebSocket(`${wsUrl}?token=invalidtoken123`);
+    sockets.push(socket);
+
+    const statusCode = await new Promise((resolve) => {
+      socket.once('unexpected-response', (req, res) => resolve(res.statusCode));
+      socket.once('error', () => resolve(null));
+    });
+
+    expect(statusCode).toBe(401);
+  });
+
+  it('should reject connections of a logged out session', async () => {
+    const user = { username: `rt4${Date.now()}`, email: `rt4${Date.now()}@test.com`, password: 'password123' };
+    const res = await request(app).post('/api/auth/register').send(user);
+    await request(app).post('/api/auth/logout').send({ refresh_token: res.body.refresh_token });
+
+    const socket = new WebSocket(`${wsUrl}?token=${res.body.token}`);
+    sockets.push(socket);
+
+    const statusCode = await new Promise((resolve) => {
+      socket.once('unexpected-response', (req, res) => resolve(res.statusCode));
+      socket.once('error', () => resolve(null));
+    });
+
+    expect(statusCode).toBe(401);
+  });
+
+  /**
+   * Wait for a socket to be closed by the server
+   * Resolves with the close code
+   */
+  const closed = (socket) => new Promise((resolve) => {
+    socket.once('close', (code) => resolve(code));
+  });
+
+  it('should close the socket of a session that logs out', async () => {
+    const user = { username: `rt5${Date.now()}`, email: `rt5${Date.now()}@test.com`, password: 'password123' };
+    const res = await request(app).post('/api/auth/register').send(user);
+    const socket = await connect(res.body.token);
+    await subscribe(socket, 'lobby');
+
+    const socketClosed = closed(socket);
+    await request(app).post('/api/auth/logout').send({ refresh_token: res.body.refresh_token });
+
+    expect(await socketClosed).toBe(4001);
+  });
+
+  it('should close the socket of a session revoked from another device', async () => {
+    const user = { username: `rt6${Date.now()}`, email: `rt6${Date.now()}@test.com`, password: 'password123' };
+    const res = await request(app).post('/api/auth/register').send(user);
+    const otherRes = await request(app)
+      .post('/api/auth/login')
+      .send({ username: user.username, password: user.password });
+    const socket = await connect(res.body.token);
+    const otherSocket = await connect(otherRes.body.token);
+
+    const listRes = await request(app)
+      .get('/api/auth/sessions')
+      .set('Authorization', `Bearer ${otherRes.body.token}`);
+    const session = listRes.body.sessions.find(item => !item.current);
+
+    const socketClosed = closed(socket);
+    await request(app)
+      .delete(`/api/auth/sessions/${session.id}`)
+      .set('Authorization', `Bearer ${otherRes.body.token}`);
+
+    expect(await socketClosed).toBe(4001);
+    expect(otherSocket.readyState).toBe(WebSocket.OPEN);
+  });
+
+  it('should push lobby events when games are created and filled', async () => {
+    const socket = await connect(player2Token);
+    await subscribe(socket, 'lobby');
+
+    const created = nextEvent(socket, 'game:created');
+    const createRes = await request(app)
+      .post('/api/games')
+      .set('Authorization', `Bearer ${player1Token}`);
+
+    const createdEvent = await created;
+    expect(createdEvent.channel).toBe('lobby');
+    expect(createdEvent.data.id).toBe(createRes.body.game.id);
+    expect(createdEvent.data.status).toBe('waiting');
+
+    const filled = nextEvent(socket, 'game:filled');
+    await request(app)
+      .post(`/api/games/${createRes.body.game.id}/join`)
+      .set('Authorization', `Bearer ${player2Token}`);
+
+    const filledEvent = await filled;
+    expect(filledEvent.data.id).toBe(createRes.body.game.id);
+    expect(filledEvent.data.status).toBe('in_progress');
+  });
+
+  it('should push game state to subscribers after a move', async () => {
+    const createRes = await request(app)
+      .post('/api/games')
+      .set('Authorization', `Bearer ${player1Token}`);
+    const gameId = createRes.body.game.id;
+
+    await request(app)
+      .post(`/api/games/${gameId}/join`)
+      .set('Authorization', `Bearer ${player2Token}`);
+
+    const socket = await connect(player2Token);
+    await subscribe(socket, `game:${gameId}`);
+
+    const update = nextEvent(socket, 'game:update');
+    await request(app)
+      .post(`/api/games/${gameId}/move`)
+      .set('Authorization', `Bearer ${player1Token}`)
+      .send({ position: 4 });
+
+    const updateEvent = await update;
+    expect(updateEvent.channel).toBe(`game:${gameId}`);
+    expect(updateEvent.data.board[4]).toBe('X');
+    expect(updateEvent.data.current_turn).toBe('O');
+  });
+
+  it('should relay events published by another instance', async () => {
+    const gameId = await startGame();
+    const socket = await connect(player1Token);
+    await subscribe(socket, `game:${gameId}`);
+
+    // Another backend instance publishes through Postgres NOTIFY
+    const update = nextEvent(socket, 'game:update');
+    await pool.query('SELECT pg_notify($1, $2)', [
+      'game_events',
+      JSON.stringify({ channel: `game:${gameId}`, event: 'game:update', data: { id: gameId } })
+    ]);
+
+    const updateEvent = await update;
+    expect(updateEvent.data.id).toBe(gameId);
+  });
+
+  it('should deliver chat messages alongside game updates', async () => {
+    const gameId = await startGame();
+    const socket = await connect(player2Token);
+    await subscribe(socket, `game:${gameId}`);
+
+    const chat = nextEvent(socket, 'chat:message');
+    await request(app)
+      .post(`/api/games/${gameId}/messages`)
+      .set('Authorization', `Bearer ${player1Token}`)
+      .send({ body: 'Hello' });
+
+    const chatEvent = await chat;
+    expect(chatEvent.data.body).toBe('Hello');
+    expect(chatEvent.data.user_id).toBe(player1Id);
+  });
+
+  it('should reject subscriptions to private games of other users', async () => {
+    const gameId = await startGame({ private: true });
+    const socket = await connect(player3Token);
+
+    const error = nextEvent(socket, 'error');
+    socket.send(JSON.stringify({ type: 'subscribe', channel: `game:${gameId}` }));
+
+    const errorEvent = await error;
+    expect(errorEvent.data.error).toBe('Game not found');
+  });
+
+  it('should keep the players informed of the spectator count', async () => {
+    const gameId = await startGame();
+    const playerSocket = await connect(player1Token);
+    await subscribe(playerSocket, `game:${gameId}`);
+
+    // Players following their own game are not spectators
+    const joined = nextEvent(playerSocket, 'spectators:update');
+    const spectatorSocket = await connect(player3Token);
+    await subscribe(spectatorSocket, `game:${gameId}`);
+    expect((await joined).data).toEqual({ game_id: gameId, count: 1 });
+
+    const gameRes = await request(app)
+      .get(`/api/games/${gameId}`)
+      .set('Authorization', `Bearer ${player3Token}`);
+    expect(gameRes.body.role).toBe('spectator');
+    expect(gameRes.body.spectators).toBe(1);
+
+    const left = nextEvent(playerSocket, 'spectators:update');
+    spectatorSocket.close();
+    expect((await left).data).toEqual({ game_id: gameId, count: 0 });
+  });
+
+  it('should notify both players on their user channel when matched', async () => {
+    await pool.query('DELETE FROM matchmaking_queue WHERE user_id IN ($1, $2)', [player1Id, player2Id]);
+
+    const socket1 = await connect(player1Token);
+    const socket2 = await connect(player2Token);
+    await subscribe(socket1, `user:${player1Id}`);
+    await subscribe(socket2, `user:${player2Id}`);
+
+    const found1 = nextEvent(socket1, 'match:found');
+    const found2 = nextEvent(socket2, 'match:found');
+
+    await request(app)
+      .post('/api/matchmaking/queue')
+      .set('Authorization', `Bearer ${player1Token}`);
+    const matchRes = await request(app)
+      .post('/api/matchmaking/queue')
+      .set('Authorization', `Bearer ${player2Token}`);
+
+    expect((await found1).data.id).toBe(matchRes.body.game.id);
+    expect((await found2).data.id).toBe(matchRes.body.game.id);
+  });
+
+  it("should reject subscriptions to another user's channel", async () => {
+    const socket = await connect(player1Token);
+
+    const error = nextEvent(socket, 'error');
+    socket.send(JSON.stringify({ type: 'subscribe', channel: `user:${player2Id}` }));
+
+    const errorEvent = await error;
+    expect(errorEvent.data.error).toBe('Invalid channel');
+  });
+
+  it('should reject subscriptions to unknown channels', async () => {
+    const socket = await connect(player1Token);
+
+    const error = nextEvent(socket, 'error');
+    socket.send(JSON.stringify({ type: 'subscribe', channel: 'admin' }));
+
+    const errorEvent = await error;
+    expect(errorEvent.data.error).toBe('Invalid channel');
+  });
+});
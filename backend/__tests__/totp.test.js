@@ -0,0 +1,59 @@
+const totp = require('../lib/totp');
+
+/**
+ * TOTP Tests
+ * Tests for one-time codes, checked against the RFC 6238 test vectors
+ */
+
+// Base32 of the RFC 6238 SHA-1 test secret "12345678901234567890"
+const RFC_SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+
+describe('TOTP', () => {
+  describe('base32', () => {
+    it('should encode and decode the RFC test secret', () => {
+      expect(totp.base32Encode(Buffer.from('12345678901234567890'))).toBe(RFC_SECRET);
+      expect(totp.base32Decode(RFC_SECRET.toLowerCase()).toString()).toBe('12345678901234567890');
+    });
+
+    it('should reject invalid characters', () => {
+      expect(() => totp.base32Decode('ABC1')).toThrow('Invalid base32 character');
+    });
+  });
+
+  describe('generateCode', () => {
+    it('should match the RFC 6238 test vectors', () => {
+      // Last 6 digits of the 8-digit codes of the RFC
+      expect(totp.generateCode(RFC_SECRET, totp.getStep(59 * 1000))).toBe('287082');
+      expect(totp.generateCode(RFC_SECRET, totp.getStep(1111111109 * 1000))).toBe('081804');
+      expect(totp.generateCode(RFC_SECRET, totp.getStep(1234567890 * 1000))).toBe('005924');
+      expect(totp.generateCode(RFC_SECRET, totp.getStep(20000000000 * 1000))).toBe('353130');
+    });
+  });
+
+  describe('verifyCode', () => {
+    const time = 1111111109 * 1000;
+
+    it('should return the step of a valid code', () => {
+      expect(totp.verifyCode(RFC_SECRET, '081804', time)).toBe(totp.getStep(time));
+    });
+
+    it('should accept the neighbouring steps for clock drift', () => {
+      const step = totp.getStep(time);
+      expect(totp.verifyCode(RFC_SECRET, totp.generateCode(RFC_SECRET, step - 1), time)).toBe(step - 1);
+      expect(totp.verifyCode(RFC_SECRET, totp.generateCode(RFC_SECRET, step + 1), time)).toBe(step + 1);
+      expect(totp.verifyCode(RFC_SECRET, totp.generateCode(RFC_SECRET, step + 2), time)).toBeNull();
+    });
+
+    it('should reject malformed codes', () => {
+      expect(totp.verifyCode(RFC_SECRET, '81804', time)).toBeNull();
+      expect(totp.verifyCode(RFC_SECRET, 'abcdef', time)).toBeNull();
+      expect(totp.verifyCode(RFC_SECRET, undefined, time)).toBeNull();
+    });
+  });
+
+  it('should generate distinct 32-character secrets', () => {
+    const secret = totp.generateSecret();
+    expect(secret).toMatch(/^[A-Z2-7]{32}$/);
+    expect(totp.generateSecret()).not.toBe(secret);
+  });
+});
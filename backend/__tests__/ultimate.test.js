@@ -0,0 +1,88 @@
+const {
+  getMetaBoard,
+  checkUltimateWinner,
+  validateUltimateMove,
+  getNextBoard
+} = require('../lib/ultimate');
+
+/**
+ * Ultimate Tic-Tac-Toe Tests
+ * Tests for meta-board results, the "sent to board" rule and game winner
+ */
+
+describe('Ultimate Tic-Tac-Toe', () => {
+  /**
+   * Build an 81-cell board from a map of smallBoard -> 9 cells
+   */
+  const ultimateBoard = (smallBoards = {}) => {
+    const board = Array(81).fill('');
+    for (const [index, cells] of Object.entries(smallBoards)) {
+      cells.forEach((cell, i) => {
+        board[index * 9 + i] = cell;
+      });
+    }
+    return board;
+  };
+
+  const WON_BY_X = ['X', 'X', 'X', 'O', 'O', '', '', '', ''];
+  const WON_BY_O = ['O', 'O', 'O', 'X', 'X', '', 'X', '', ''];
+  const DRAWN = ['X', 'O', 'X', 'X', 'O', 'O', 'O', 'X', 'X'];
+
+  describe('getMetaBoard', () => {
+    it('should report won, drawn and open small boards', () => {
+      const board = ultimateBoard({ 0: WON_BY_X, 4: WON_BY_O, 8: DRAWN });
+      expect(getMetaBoard(board)).toEqual(['X', '', '', '', 'O', '', '', '', 'D']);
+    });
+  });
+
+  describe('checkUltimateWinner', () => {
+    it('should detect three won small boards in a row', () => {
+      const board = ultimateBoard({ 0: WON_BY_X, 4: WON_BY_X, 8: WON_BY_X });
+      expect(checkUltimateWinner(board)).toBe('X');
+    });
+
+    it('should not count a line of drawn boards as a win', () => {
+      const board = ultimateBoard({ 0: DRAWN, 1: DRAWN, 2: DRAWN });
+      expect(checkUltimateWinner(board)).toBeNull();
+    });
+
+    it('should be a draw once every small board is decided without a line', () => {
+      const board = ultimateBoard({
+        0: WON_BY_X, 1: WON_BY_O, 2: WON_BY_X,
+        3: WON_BY_X, 4: WON_BY_O, 5: WON_BY_O,
+        6: WON_BY_O, 7: WON_BY_X, 8: DRAWN
+      });
+      expect(checkUltimateWinner(board)).toBe('D');
+    });
+  });
+
+  describe('validateUltimateMove', () => {
+    it('should allow any open board when not sent anywhere', () => {
+      expect(validateUltimateMove(ultimateBoard(), null, 40)).toBeNull();
+    });
+
+    it('should force the move into the board the player was sent to', () => {
+      expect(validateUltimateMove(ultimateBoard(), 2, 40)).toBe('You must play in board 3');
+      expect(validateUltimateMove(ultimateBoard(), 2, 22)).toBeNull();
+    });
+
+    it('should reject moves in a decided board', () => {
+      const board = ultimateBoard({ 0: WON_BY_X });
+      expect(validateUltimateMove(board, null, 5)).toContain('already decided');
+    });
+  });
+
+  describe('getNextBoard', () => {
+    it('should send the opponent to the board matching the cell played', () => {
+      const board = ultimateBoard();
+      board[4 * 9 + 2] = 'X';
+      expect(getNextBoard(board, 4 * 9 + 2)).toBe(2);
+    });
+
+    it('should let the opponent play anywhere when sent to a decided board', () => {
+      const board = ultimateBoard({ 2: WON_BY_O });
+      board[4 * 9 + 2] = 'X';
+      expect(getNextBoard(board, 4 * 9 + 2)).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,397 @@
+const request = require('supertest');
+const app = require('../server');
+const pool = require('../db');
+
+/**
+ * Users API Tests
+ * Tests for rating updates after finished games and the rating history
+ */
+
+describe('Users API', () => {
+  let player1Token, player2Token;
+  let player1Id, player2Id;
+
+  /**
+   * Register a fresh user
+   */
+  const registerUser = async (name) => {
+    const suffix = `${Date.now()}${Math.floor(Math.random() * 1000)}`;
+    const res = await request(app).post('/api/auth/register').send({
+      username: `${name}${suffix}`,
+      email: `${name}${suffix}@test.com`,
+      password: 'password123'
+    });
+    return { token: res.body.token, id: res.body.user.id };
+  };
+
+  /**
+   * Play a full game between player 1 (X) and player 2 (O)
+   * @param {Array} positions - Positions played alternately, starting with X
+   */
+  const playGame = async (positions) => {
+    const createRes = await request(app)
+      .post('/api/games')
+      .set('Authorization', `Bearer ${player1Token}`);
+    const id = createRes.body.game.id;
+
+    await request(app)
+      .post(`/api/games/${id}/join`)
+      .set('Authorization', `Bearer ${player2Token}`);
+
+    let res;
+    for (const [index, position] of positions.entries()) {
+      res = await request(app)
+        .post(`/api/games/${id}/move`)
+        .set('Authorization', `Bearer ${index % 2 === 0 ? player1Token : player2Token}`)
+        .send({ position });
+    }
+    return res.body.game;
+  };
+
+  const getStats = async (token) => {
+    const res = await request(app)
+      .get('/api/games/stats/me')
+      .set('Authorization', `Bearer ${token}`);
+    return res.body.stats;
+  };
+
+  beforeAll(async () => {
+    ({ token: player1Token, id: player1Id } = await registerUser('rated1'));
+    ({ token: player2Token, id: player2Id } = await registerUser('rated2'));
+  });
+
+  describe('Ratings', () => {
+    it('should start new players at 1200', async () => {
+      const stats = await getStats(player1Token);
+      expect(stats.rating).toBe(1200);
+      expect(stats.rating_trend).toBe(0);
+    });
+
+    it('should update both ratings when a game is won', async () => {
+      // X wins with the top row
+      const game = await playGame([0, 3, 1, 4, 2]);
+      expect(game.winner).toBe('X');
+
+      expect((await getStats(player1Token)).rating).toBe(1216);
+      expect((await getStats(player2Token)).rating).toBe(1184);
+    });
+
+    it('should count a draw as half a point', async () => {
+      // X O X / X O O / O X X
+      const game = await playGame([0, 1, 2, 4, 3, 5, 7, 6, 8]);
+      expect(game.winner).toBe('D');
+
+      // The higher rated player loses points on a draw
+      const stats1 = await getStats(player1Token);
+      const stats2 = await getStats(player2Token);
+      expect(stats1.rating).toBe(1215);
+      expect(stats2.rating).toBe(1185);
+      expect(stats1.rating_trend).toBe(15);
+      expect(stats2.rating_trend).toBe(-15);
+    });
+
+    it('should not rate games against the bot', async () => {
+      const createRes = await request(app)
+        .post('/api/games')
+        .set('Authorization', `Bearer ${player1Token}`)
+        .send({ opponent: 'bot', difficulty: 'easy' });
+      const id = createRes.body.game.id;
+
+      let game = createRes.body.game;
+      while (game.status !== 'finished') {
+        const position = game.board.indexOf('');
+        const res = await request(app)
+          .post(`/api/games/${id}/move`)
+          .set('Authorization', `Bearer ${player1Token}`)
+          .send({ position });
+        game = res.body.game;
+      }
+
+      expect((await getStats(player1Token)).rating).toBe(1215);
+    });
+  });
+
+  describe('GET /api/users/:id/ratings', () => {
+    it('should return the rating history oldest first', async () => {
+      const res = await request(app)
+        .get(`/api/users/${player2Id}/ratings`)
+        .set('Authorization', `Bearer ${player1Token}`);
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body.user).toMatchObject({ id: player2Id, rating: 1185 });
+      expect(res.body.ratings).toHaveLength(2);
+      expect(res.body.ratings[0]).toMatchObject({
+        opponent_id: player1Id,
+        result: 'loss',
+        rating_before: 1200,
+        rating_after: 1184,
+        change: -16
+      });
+      expect(res.body.ratings[1]).toMatchObject({
+        result: 'draw',
+        rating_before: 1184,
+        rating_after: 1185,
+        change: 1
+      });
+    });
+
+    it('should accept "me" for the authenticated user', async () => {
+      const res = await request(app)
+        .get('/api/users/me/ratings')
+        .set('Authorization', `Bearer ${player1Token}`);
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body.user.id).toBe(player1Id);
+      expect(res.body.ratings.map(entry => entry.result)).toEqual(['win', 'draw']);
+    });
+
+    it('should limit the history to the most recent games', async () => {
+      const res = await request(app)
+        .get('/api/users/me/ratings?limit=1')
+        .set('Authorization', `Bearer ${player1Token}`);
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body.ratings).toHaveLength(1);
+      expect(res.body.ratings[0].result).toBe('draw');
+    });
+
+    it('should reject an invalid limit', async () => {
+      const res = await request(app)
+        .get('/api/users/me/ratings?limit=0')
+        .set('Authorization', `Bearer ${player1Token}`);
+
+      expect(res.statusCode).toBe(400);
+    });
+
+    it('should return 404 for a non-existent user', async () => {
+      const res = await request(app)
+        .get('/api/users/999999/ratings')
+        .set('Authorization', `Bearer ${player1Token}`);
+
+      expect(res.statusCode).toBe(404);
+    });
+
+    it('should return 401 without authentication', async () => {
+      const res = await request(app).get('/api/users/me/ratings');
+      expect(res.statusCode).toBe(401);
+    });
+  });
+
+  describe('GET /api/users/me/stats', () => {
+    let alice, bob, carol;
+
+    /**
+     * Play a full game, X moving first
+     */
+    const playBetween = async (x, o, positions) => {
+      const createRes = await request(app).post('/api/games').set('Authorization', `Bearer ${x.token}`);
+      const id = createRes.body.game.id;
+      await request(app).post(`/api/games/${id}/join`).set('Authorization', `Bearer ${o.token}`);
+
+      for (const [index, position] of positions.entries()) {
+        await request(app)
+          .post(`/api/games/${id}/move`)
+          .set('Authorization', `Bearer ${(index % 2 === 0 ? x : o).token}`)
+          .send({ position });
+      }
+    };
+
+    const getDetailedStats = async (user) => {
+      const res = await request(app)
+        .get('/api/users/me/stats')
+        .set('Authorization', `Bearer ${user.token}`);
+      return res.body.stats;
+    };
+
+    beforeAll(async () => {
+      alice = await registerUser('statsalice');
+      bob = await registerUser('statsbob');
+      carol = await registerUser('statscarol');
+    });
+
+    it('should return empty stats for a new player', async () => {
+      const stats = await getDetailedStats(alice);
+
+      expect(stats.games).toBe(0);
+      expect(stats.as_x).toEqual({ games: 0, wins: 0, draws: 0, losses: 0, win_rate: 0 });
+      expect(stats.current_win_streak).toBe(0);
+      expect(stats.average_duration_seconds).toBeNull();
+      expect(stats.favorite_opening).toBeNull();
+      expect(stats.head_to_head).toEqual([]);
+      expect(stats.monthly).toHaveLength(12);
+    });
+
+    it('should split results by symbol and track streaks, openings and opponents', async () => {
+      // Win as X, win as O, draw as X, then win as X again
+      await playBetween(alice, bob, [0, 3, 1, 4, 2]);
+      await playBetween(bob, alice, [0, 3, 1, 4, 8, 5]);
+      await playBetween(alice, carol, [0, 1, 2, 4, 3, 5, 7, 6, 8]);
+      await playBetween(alice, bob, [4, 0, 1, 2, 7]);
+
+      const stats = await getDetailedStats(alice);
+
+      expect(stats).toMatchObject({ games: 4, wins: 3, draws: 1, losses: 0, win_rate: 75 });
+      expect(stats.as_x).toEqual({ games: 3, wins: 2, draws: 1, losses: 0, win_rate: 66.7 });
+      expect(stats.as_o).toEqual({ games: 1, wins: 1, draws: 0, losses: 0, win_rate: 100 });
+      expect(stats.current_win_streak).toBe(1);
+      expect(stats.best_win_streak).toBe(2);
+      expect(stats.average_moves).toBe(6.3);
+      expect(stats.average_duration_seconds).toEqual(expect.any(Number));
+      expect(stats.favorite_opening).toEqual({ position: 0, count: 2 });
+
+      expect(stats.head_to_head).toEqual([
+        { opponent: { id: bob.id, username: expect.stringMatching(/^statsbob/) }, games: 3, wins: 3, draws: 0, losses: 0, win_rate: 100 },
+        { opponent: { id: carol.id, username: expect.stringMatching(/^statscarol/) }, games: 1, wins: 0, draws: 1, losses: 0, win_rate: 0 }
+      ]);
+
+      const thisMonth = stats.monthly[stats.monthly.length - 1];
+      expect(thisMonth).toMatchObject({ games: 4, wins: 3, draws: 1, losses: 0 });
+      expect(thisMonth.month).toMatch(/^\d{4}-\d{2}$/);
+    });
+
+    it('should report the losing side of the same games', async () => {
+      const stats = await getDetailedStats(bob);
+
+      expect(stats).toMatchObject({ games: 3, wins: 0, losses: 3 });
+      expect(stats.as_o.losses).toBe(2);
+      expect(stats.current_win_streak).toBe(0);
+    });
+
+    it('should keep a loss once the winner deletes their account', async () => {
+      const dave = await registerUser('statsdave');
+      const erin = await registerUser('statserin');
+      await playBetween(erin, dave, [0, 3, 1, 4, 2]);
+
+      // game_history.winner_id is emptied along with the account
+      await pool.query('DELETE FROM users WHERE id = $1', [erin.id]);
+
+      expect(await getDetailedStats(dave)).toMatchObject({ games: 1, wins: 0, draws: 0, losses: 1 });
+      expect(await getStats(dave.token)).toMatchObject({ total_games: 1, wins: 0, draws: 0, losses: 1 });
+    });
+  });
+
+  describe('GET /api/users/me/history', () => {
+    let alice, bob;
+    let wonId, drawnId;
+
+    /**
+     * Play a full game, X moving first
+     */
+    const playBetween = async (x, o, positions) => {
+      const createRes = await request(app).post('/api/games').set('Authorization', `Bearer ${x.token}`);
+      const id = createRes.body.game.id;
+      await request(app).post(`/api/games/${id}/join`).set('Authorization', `Bearer ${o.token}`);
+
+      for (const [index, position] of positions.entries()) {
+        await request(app)
+          .post(`/api/games/${id}/move`)
+          .set('Authorization', `Bearer ${(index % 2 === 0 ? x : o).token}`)
+          .send({ position });
+      }
+      return id;
+    };
+
+    const getHistory = (user, query = '') => request(app)
+      .get(`/api/users/me/history${query}`)
+      .set('Authorization', `Bearer ${user.token}`);
+
+    beforeAll(async () => {
+      alice = await registerUser('histalice');
+      bob = await registerUser('histbob');
+
+      wonId = await playBetween(alice, bob, [0, 3, 1, 4, 2]);
+      drawnId = await playBetween(bob, alice, [0, 1, 2, 4, 3, 5, 7, 6, 8]);
+
+      // Aborted games are not part of the history
+      const abortedRes = await request(app).post('/api/games').set('Authorization', `Bearer ${alice.token}`);
+      await request(app).post(`/api/games/${abortedRes.body.game.id}/abort`).set('Authorization', `Bearer ${alice.token}`);
+    });
+
+    it('should list finished games newest first from the user\'s side', async () => {
+      const res = await getHistory(alice);
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body.total).toBe(2);
+      expect(res.body.next_cursor).toBeNull();
+      expect(res.body.history.map(entry => entry.game_id)).toEqual([drawnId, wonId]);
+
+      const [drawn, won] = res.body.history;
+      expect(won).toMatchObject({
+        symbol: 'X',
+        opponent: { id: bob.id, username: expect.stringMatching(/^histbob/) },
+        result: 'win',
+        termination_reason: 'normal',
+        moves: 5,
+        rating_change: 16
+      });
+      expect(won.duration_seconds).toEqual(expect.any(Number));
+      expect(drawn).toMatchObject({ symbol: 'O', result: 'draw', moves: 9 });
+
+      const bobRes = await getHistory(bob, '?result=loss');
+      expect(bobRes.body.history.map(entry => entry.game_id)).toEqual([wonId]);
+      expect(bobRes.body.history[0].rating_change).toBe(-16);
+    });
+
+    it('should page through the history with a cursor', async () => {
+      const first = await getHistory(alice, '?limit=1');
+      expect(first.body.history.map(entry => entry.game_id)).toEqual([drawnId]);
+      expect(first.body.total).toBe(2);
+
+      const second = await getHistory(alice, `?limit=1&cursor=${first.body.next_cursor}`);
+      expect(second.body.history.map(entry => entry.game_id)).toEqual([wonId]);
+      expect(second.body.next_cursor).toBeNull();
+    });
+
+    it('should filter by result, opponent and date', async () => {
+      const wins = await getHistory(alice, '?result=win');
+      expect(wins.body.history.map(entry => entry.game_id)).toEqual([wonId]);
+
+      // Usernames match whatever their case
+      const { username } = (await getHistory(alice)).body.history[0].opponent;
+      const byName = await getHistory(alice, `?opponent=${username.toUpperCase()}`);
+      expect(byName.body.total).toBe(2);
+
+      const unknown = await getHistory(alice, '?opponent=nobody-at-all');
+      expect(unknown.body.total).toBe(0);
+
+      const tomorrow = new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString();
+      const future = await getHistory(alice, `?from=${tomorrow}`);
+      expect(future.body.total).toBe(0);
+
+      // A date without a time covers the whole day
+      const today = new Date().toISOString().slice(0, 10);
+      const untilToday = await getHistory(alice, `?to=${today}`);
+      expect(untilToday.body.total).toBe(2);
+    });
+
+    it('should count a game lost to the bot as a loss', async () => {
+      const carol = await registerUser('histcarol');
+      const createRes = await request(app)
+        .post('/api/games')
+        .set('Authorization', `Bearer ${carol.token}`)
+        .send({ opponent: 'bot' });
+      const id = createRes.body.game.id;
+      await request(app).post(`/api/games/${id}/resign`).set('Authorization', `Bearer ${carol.token}`);
+
+      const res = await getHistory(carol);
+      expect(res.body.history).toHaveLength(1);
+      expect(res.body.history[0]).toMatchObject({ game_id: id, opponent: null, result: 'loss', termination_reason: 'resignation' });
+
+      expect((await getHistory(carol, '?result=loss')).body.total).toBe(1);
+      expect((await getHistory(carol, '?result=draw')).body.total).toBe(0);
+    });
+
+    it('should reject invalid filters', async () => {
+      for (const query of ['?result=forfeit', '?from=someday', '?cursor=!!', '?limit=500']) {
+        const res = await getHistory(alice, query);
+        expect(res.statusCode).toBe(400);
+      }
+    });
+
+    it('should fill in the duration of finished games', async () => {
+      const result = await pool.query('SELECT duration_seconds FROM game_history WHERE game_id = $1', [wonId]);
+
+      expect(result.rows[0].duration_seconds).toBeGreaterThanOrEqual(0);
+    });
+  });
+});
@@ -7,21 +7,53 @@ CREATE TABLE IF NOT EXISTS users (
     username VARCHAR(50) NOT NULL UNIQUE,
     email VARCHAR(255) NOT NULL UNIQUE,
     password_hash VARCHAR(255) NOT NULL,
+    rating INTEGER NOT NULL DEFAULT 1200, -- Elo rating, updated after every finished game between two users
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-    last_login TIMESTAMP
+    last_login TIMESTAMP,
+    verified_at TIMESTAMP, -- When the email address was verified, NULL until then
+    totp_secret VARCHAR(64), -- Base32 TOTP secret, set from two-factor setup on
+    totp_enabled_at TIMESTAMP, -- When two-factor authentication was confirmed, NULL while disabled
+    totp_last_step BIGINT, -- Time step of the last accepted code, so a code cannot be used twice
+    failed_logins INTEGER NOT NULL DEFAULT 0, -- Failed login attempts since the last successful login
+    locked_until TIMESTAMP -- Logins are refused until then after too many failures
 );
 
 -- Create games table to track tic-tac-toe game sessions
 -- Stores game state, players, and results
+-- Supports any m,n,k game (e.g. 3x3 tic-tac-toe, 15x15 five-in-a-row)
+-- and Ultimate Tic-Tac-Toe, whose 81-cell board is grouped by small board
+-- (position = small board index * 9 + cell index)
 CREATE TABLE IF NOT EXISTS games (
     id SERIAL PRIMARY KEY,
     player_x_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
     player_o_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
-    board TEXT NOT NULL DEFAULT '["","","","","","","","",""]', -- JSON array representing 3x3 grid
+    board TEXT NOT NULL DEFAULT '["","","","","","","","",""]', -- JSON array of board_width * board_height cells, row by row
+    board_width INTEGER NOT NULL DEFAULT 3 CHECK (board_width BETWEEN 3 AND 19),
+    board_height INTEGER NOT NULL DEFAULT 3 CHECK (board_height BETWEEN 3 AND 19),
+    win_length INTEGER NOT NULL DEFAULT 3 CHECK (win_length >= 3), -- Symbols in a row needed to win (5 for Gomoku)
+    game_type VARCHAR(20) NOT NULL DEFAULT 'standard' CHECK (game_type IN ('standard', 'ultimate')),
+    next_board INTEGER CHECK (next_board BETWEEN 0 AND 8), -- Ultimate: small board the next move must go in (NULL = any)
     current_turn CHAR(1) CHECK (current_turn IN ('X', 'O')) DEFAULT 'X',
     winner CHAR(1) CHECK (winner IN ('X', 'O', 'D')), -- D for Draw
-    status VARCHAR(20) CHECK (status IN ('waiting', 'in_progress', 'finished')) DEFAULT 'waiting',
+    status VARCHAR(20) CHECK (status IN ('waiting', 'in_progress', 'finished', 'aborted')) DEFAULT 'waiting',
+    bot_level VARCHAR(10) CHECK (bot_level IN ('easy', 'medium', 'hard')), -- Set when player O is the built-in bot
+    is_private BOOLEAN NOT NULL DEFAULT FALSE, -- Private games are hidden from the lobby and joined with their invite code
+    invite_code VARCHAR(32) UNIQUE, -- Unguessable code shared by the creator of a private game
+    time_control VARCHAR(10) CHECK (time_control IN ('move', 'total')), -- NULL for untimed games
+    time_limit_seconds INTEGER CHECK (time_limit_seconds > 0), -- Time per move, or per player for the whole game
+    increment_seconds INTEGER NOT NULL DEFAULT 0, -- Added to a player's clock after each of their moves ('total' only)
+    player_x_time_ms INTEGER, -- Remaining time of each player when the current turn started
+    player_o_time_ms INTEGER,
+    turn_started_at TIMESTAMPTZ, -- When the clock of the player to move started running
+    draw_offered_by CHAR(1) CHECK (draw_offered_by IN ('X', 'O')), -- Player whose draw offer awaits an answer
+    spectators_muted BOOLEAN NOT NULL DEFAULT FALSE, -- Players can stop spectators from posting in the chat
+    rematch_requested_by CHAR(1) CHECK (rematch_requested_by IN ('X', 'O')), -- Player whose rematch request awaits an answer
+    previous_game_id INTEGER UNIQUE REFERENCES games(id) ON DELETE SET NULL, -- Game this one is the rematch of
+    rematch_game_id INTEGER REFERENCES games(id) ON DELETE SET NULL, -- Rematch of this game, once accepted
+    series_id INTEGER REFERENCES games(id) ON DELETE SET NULL, -- First game of a series of rematches
+    termination_reason VARCHAR(20) CHECK (termination_reason IN ('normal', 'timeout', 'resignation', 'agreement', 'aborted')), -- How a finished game ended
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    started_at TIMESTAMP, -- When the second player joined (creation time for bot games), NULL while waiting
     finished_at TIMESTAMP
 );
 
@@ -34,15 +66,180 @@ CREATE TABLE IF NOT EXISTS game_history (
     player_o_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
     winner_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
     moves_count INTEGER,
-    duration_seconds INTEGER,
+    duration_seconds INTEGER, -- From the start of the game to its end, NULL if it never started
+    bot_level VARCHAR(10), -- Copied from games.bot_level, NULL for games between two users
+    player_x_rating_before INTEGER, -- Elo ratings around the game, NULL for unrated (bot) games
+    player_x_rating_after INTEGER,
+    player_o_rating_before INTEGER,
+    player_o_rating_after INTEGER,
+    termination_reason VARCHAR(20), -- Copied from games.termination_reason; aborted games count in no statistics
     finished_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
+-- Create game moves table to record every move in order
+-- Allows replaying a game move by move
+CREATE TABLE IF NOT EXISTS game_moves (
+    id SERIAL PRIMARY KEY,
+    game_id INTEGER NOT NULL REFERENCES games(id) ON DELETE CASCADE,
+    player_id INTEGER REFERENCES users(id) ON DELETE SET NULL, -- NULL for moves played by the bot
+    symbol CHAR(1) NOT NULL CHECK (symbol IN ('X', 'O')),
+    position INTEGER NOT NULL,
+    move_number INTEGER NOT NULL, -- 1 for the first move of the game
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (game_id, move_number)
+);
+
+-- Create matchmaking queue table
+-- One row per user looking for an opponent; game_id is set once the user
+-- has been paired, so the status endpoint can point them to their game
+CREATE TABLE IF NOT EXISTS matchmaking_queue (
+    user_id INTEGER PRIMARY KEY REFERENCES users(id) ON DELETE CASCADE,
+    rating INTEGER NOT NULL, -- Rating when joining the queue
+    rating_range INTEGER CHECK (rating_range >= 0), -- Maximum rating difference accepted (NULL = any opponent)
+    game_id INTEGER REFERENCES games(id) ON DELETE CASCADE,
+    queued_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Create game messages table for the per-game chat
+-- Messages stay readable after the game is over
+CREATE TABLE IF NOT EXISTS game_messages (
+    id SERIAL PRIMARY KEY,
+    game_id INTEGER NOT NULL REFERENCES games(id) ON DELETE CASCADE,
+    user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    body TEXT NOT NULL, -- Stored after profanity filtering
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Create game spectators table
+-- One row per user watching a game through a given backend instance, so that
+-- every instance reports the same spectator count; rows of an instance that
+-- stopped refreshing last_seen (e.g. after a crash) are ignored and cleaned up
+CREATE TABLE IF NOT EXISTS game_spectators (
+    game_id INTEGER NOT NULL REFERENCES games(id) ON DELETE CASCADE,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    instance_id VARCHAR(36) NOT NULL, -- Backend instance holding the user's socket
+    last_seen TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (game_id, user_id, instance_id)
+);
+
+-- Create sessions table
+-- One row per login; the refresh token is only stored as a SHA-256 hash and
+-- replaced on every refresh, and a revoked session rejects its access tokens
+CREATE TABLE IF NOT EXISTS sessions (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    refresh_token_hash CHAR(64) NOT NULL UNIQUE,
+    user_agent VARCHAR(255),
+    ip VARCHAR(45),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    last_used_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP, -- Login or last refresh
+    expires_at TIMESTAMP NOT NULL,
+    revoked_at TIMESTAMP -- Set on logout or revoke
+);
+
+-- Create password resets table
+-- One row per "forgot password" request; the token sent by email is only
+-- stored as a SHA-256 hash and can be used once before it expires
+CREATE TABLE IF NOT EXISTS password_resets (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    token_hash CHAR(64) NOT NULL UNIQUE,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    expires_at TIMESTAMP NOT NULL,
+    used_at TIMESTAMP -- Set once the password was reset, or when a newer request replaced it
+);
+
+-- Create email verifications table
+-- One row per verification email; like password resets, the token is only
+-- stored as a SHA-256 hash and can be used once before it expires
+CREATE TABLE IF NOT EXISTS email_verifications (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    token_hash CHAR(64) NOT NULL UNIQUE,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    expires_at TIMESTAMP NOT NULL,
+    used_at TIMESTAMP -- Set once the email was verified, or when a newer email replaced it
+);
+
+-- Create recovery codes table
+-- One-time codes replacing the authenticator app of a two-factor account;
+-- only their SHA-256 hash is stored
+CREATE TABLE IF NOT EXISTS recovery_codes (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    code_hash CHAR(64) NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    used_at TIMESTAMP
+);
+
+-- Create rate limits table
+-- Request counters of the rate limiter when RATE_LIMIT_STORE=postgres, so
+-- that every backend instance counts against the same limits
+CREATE TABLE IF NOT EXISTS rate_limits (
+    key VARCHAR(255) PRIMARY KEY, -- Limiter name and bucket, e.g. 'auth:ip:10.0.0.1'
+    count INTEGER NOT NULL,
+    reset_at TIMESTAMPTZ NOT NULL -- End of the current window
+);
+
+-- Upgrade databases created by an earlier version of this file
+-- CREATE TABLE IF NOT EXISTS leaves existing tables as they are, so every
+-- column added since the first version is also added here; running this
+-- file again brings an existing database up to date
+ALTER TABLE users ADD COLUMN IF NOT EXISTS rating INTEGER NOT NULL DEFAULT 1200;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS verified_at TIMESTAMP;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS totp_secret VARCHAR(64);
+ALTER TABLE users ADD COLUMN IF NOT EXISTS totp_enabled_at TIMESTAMP;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS totp_last_step BIGINT;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS failed_logins INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS locked_until TIMESTAMP;
+ALTER TABLE games ADD COLUMN IF NOT EXISTS bot_level VARCHAR(10) CHECK (bot_level IN ('easy', 'medium', 'hard'));
+ALTER TABLE games ADD COLUMN IF NOT EXISTS board_width INTEGER NOT NULL DEFAULT 3 CHECK (board_width BETWEEN 3 AND 19);
+ALTER TABLE games ADD COLUMN IF NOT EXISTS board_height INTEGER NOT NULL DEFAULT 3 CHECK (board_height BETWEEN 3 AND 19);
+ALTER TABLE games ADD COLUMN IF NOT EXISTS win_length INTEGER NOT NULL DEFAULT 3 CHECK (win_length >= 3);
+ALTER TABLE games ADD COLUMN IF NOT EXISTS game_type VARCHAR(20) NOT NULL DEFAULT 'standard' CHECK (game_type IN ('standard', 'ultimate'));
+ALTER TABLE games ADD COLUMN IF NOT EXISTS next_board INTEGER CHECK (next_board BETWEEN 0 AND 8);
+ALTER TABLE games ADD COLUMN IF NOT EXISTS is_private BOOLEAN NOT NULL DEFAULT FALSE;
+ALTER TABLE games ADD COLUMN IF NOT EXISTS invite_code VARCHAR(32) UNIQUE;
+ALTER TABLE games ADD COLUMN IF NOT EXISTS time_control VARCHAR(10) CHECK (time_control IN ('move', 'total'));
+ALTER TABLE games ADD COLUMN IF NOT EXISTS time_limit_seconds INTEGER CHECK (time_limit_seconds > 0);
+ALTER TABLE games ADD COLUMN IF NOT EXISTS increment_seconds INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE games ADD COLUMN IF NOT EXISTS player_x_time_ms INTEGER;
+ALTER TABLE games ADD COLUMN IF NOT EXISTS player_o_time_ms INTEGER;
+ALTER TABLE games ADD COLUMN IF NOT EXISTS turn_started_at TIMESTAMPTZ;
+ALTER TABLE games ADD COLUMN IF NOT EXISTS termination_reason VARCHAR(20) CHECK (termination_reason IN ('normal', 'timeout', 'resignation', 'agreement', 'aborted'));
+ALTER TABLE games ADD COLUMN IF NOT EXISTS draw_offered_by CHAR(1) CHECK (draw_offered_by IN ('X', 'O'));
+ALTER TABLE games ADD COLUMN IF NOT EXISTS rematch_requested_by CHAR(1) CHECK (rematch_requested_by IN ('X', 'O'));
+ALTER TABLE games ADD COLUMN IF NOT EXISTS previous_game_id INTEGER UNIQUE REFERENCES games(id) ON DELETE SET NULL;
+ALTER TABLE games ADD COLUMN IF NOT EXISTS rematch_game_id INTEGER REFERENCES games(id) ON DELETE SET NULL;
+ALTER TABLE games ADD COLUMN IF NOT EXISTS series_id INTEGER REFERENCES games(id) ON DELETE SET NULL;
+ALTER TABLE games ADD COLUMN IF NOT EXISTS spectators_muted BOOLEAN NOT NULL DEFAULT FALSE;
+ALTER TABLE games ADD COLUMN IF NOT EXISTS started_at TIMESTAMP;
+-- Allow the statuses and termination reasons added since the first version
+ALTER TABLE games DROP CONSTRAINT IF EXISTS games_status_check;
+ALTER TABLE games ADD CONSTRAINT games_status_check CHECK (status IN ('waiting', 'in_progress', 'finished', 'aborted'));
+ALTER TABLE games DROP CONSTRAINT IF EXISTS games_termination_reason_check;
+ALTER TABLE games ADD CONSTRAINT games_termination_reason_check
+    CHECK (termination_reason IN ('normal', 'timeout', 'resignation', 'agreement', 'aborted'));
+ALTER TABLE game_history ADD COLUMN IF NOT EXISTS bot_level VARCHAR(10);
+ALTER TABLE game_history ADD COLUMN IF NOT EXISTS player_x_rating_before INTEGER;
+ALTER TABLE game_history ADD COLUMN IF NOT EXISTS player_x_rating_after INTEGER;
+ALTER TABLE game_history ADD COLUMN IF NOT EXISTS player_o_rating_before INTEGER;
+ALTER TABLE game_history ADD COLUMN IF NOT EXISTS player_o_rating_after INTEGER;
+ALTER TABLE game_history ADD COLUMN IF NOT EXISTS termination_reason VARCHAR(20);
+
 -- Create indexes for faster lookups
 CREATE INDEX IF NOT EXISTS idx_users_username ON users(username);
 CREATE INDEX IF NOT EXISTS idx_users_email ON users(email);
 CREATE INDEX IF NOT EXISTS idx_games_status ON games(status);
 CREATE INDEX IF NOT EXISTS idx_games_player_x ON games(player_x_id);
 CREATE INDEX IF NOT EXISTS idx_games_player_o ON games(player_o_id);
+CREATE INDEX IF NOT EXISTS idx_games_created_at ON games(created_at);
 CREATE INDEX IF NOT EXISTS idx_game_history_player_x ON game_history(player_x_id);
 CREATE INDEX IF NOT EXISTS idx_game_history_player_o ON game_history(player_o_id);
+CREATE INDEX IF NOT EXISTS idx_game_history_finished_at ON game_history(finished_at);
+CREATE INDEX IF NOT EXISTS idx_game_moves_game ON game_moves(game_id);
+CREATE INDEX IF NOT EXISTS idx_game_messages_game ON game_messages(game_id);
+CREATE INDEX IF NOT EXISTS idx_sessions_user ON sessions(user_id);
+CREATE INDEX IF NOT EXISTS idx_password_resets_user ON password_resets(user_id);
+CREATE INDEX IF NOT EXISTS idx_email_verifications_user ON email_verifications(user_id);
+CREATE INDEX IF NOT EXISTS idx_recovery_codes_user ON recovery_codes(user_id);
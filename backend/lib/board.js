@@ -0,0 +1,107 @@
+// Classic tic-tac-toe settings, used as defaults everywhere
+const DEFAULT_SIZE = 3;
+const DEFAULT_WIN_LENGTH = 3;
+
+// Limits accepted when creating a game
+const MIN_SIZE = 3;
+const MAX_SIZE = 19;
+const MIN_WIN_LENGTH = 3;
+
+// Line directions to scan from each cell: right, down, down-right, down-left
+const DIRECTIONS = [
+  [1, 0],
+  [0, 1],
+  [1, 1],
+  [-1, 1]
+];
+
+/**
+ * Create an empty board
+ *
+ * @param {number} width - Number of columns
+ * @param {number} height - Number of rows
+ * @returns {Array} Board with width * height empty cells
+ */
+const createBoard = (width = DEFAULT_SIZE, height = DEFAULT_SIZE) => {
+  return Array(width * height).fill('');
+};
+
+/**
+ * Validate board dimensions and win length
+ *
+ * @param {number} width - Number of columns
+ * @param {number} height - Number of rows
+ * @param {number} winLength - Number of symbols in a row needed to win
+ * @returns {string|null} Error message, or null if the settings are valid
+ */
+const validateBoardSettings = (width, height, winLength) => {
+  const isInteger = value => Number.isInteger(value);
+
+  if (!isInteger(width) || !isInteger(height) ||
+      width < MIN_SIZE || width > MAX_SIZE || height < MIN_SIZE || height > MAX_SIZE) {
+    return `Board width and height must be integers between ${MIN_SIZE} and ${MAX_SIZE}`;
+  }
+
+  if (!isInteger(winLength) || winLength < MIN_WIN_LENGTH || winLength > Math.max(width, height)) {
+    return `Win length must be an integer between ${MIN_WIN_LENGTH} and the largest board dimension`;
+  }
+
+  return null;
+};
+
+/**
+ * Check if there's a winner on the board
+ * Checks all rows, columns, and diagonals for winLength symbols in a row
+ *
+ * @param {Array} board - width * height array representing the game board (row by row)
+ * @param {number} width - Number of columns (default: 3)
+ * @param {number} height - Number of rows (default: 3)
+ * @param {number} winLength - Number of symbols in a row needed to win (default: 3)
+ * @returns {string|null} 'X', 'O', 'D' (draw), or null (game continues)
+ */
+const checkWinner = (board, width = DEFAULT_SIZE, height = DEFAULT_SIZE, winLength = DEFAULT_WIN_LENGTH) => {
+  // Check each line starting from each occupied cell
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      // Only X and O can own a line ('D' marks a drawn board in a meta-board)
+      const symbol = board[y * width + x];
+      if (symbol !== 'X' && symbol !== 'O') {
+        continue;
+      }
+
+      for (const [dx, dy] of DIRECTIONS) {
+        // Skip lines that would run off the board
+        const endX = x + dx * (winLength - 1);
+        const endY = y + dy * (winLength - 1);
+        if (endX < 0 || endX >= width || endY >= height) {
+          continue;
+        }
+
+        let count = 1;
+        while (count < winLength && board[(y + dy * count) * width + (x + dx * count)] === symbol) {
+          count++;
+        }
+
+        if (count === winLength) {
+          return symbol; // Return 'X' or 'O'
+        }
+      }
+    }
+  }
+
+  // Check for draw (all cells filled, no winner)
+  if (board.every(cell => cell !== '')) {
+    return 'D';
+  }
+
+  // Game continues
+  return null;
+};
+
+module.exports = {
+  DEFAULT_SIZE,
+  DEFAULT_WIN_LENGTH,
+  createBoard,
+  validateBoardSettings,
+  checkWinner
+};
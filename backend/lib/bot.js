@@ -0,0 +1,161 @@
+const { checkWinner } = require('./board');
+
+// Difficulty levels available for bot games
+const BOT_LEVELS = ['easy', 'medium', 'hard'];
+
+/**
+ * Get the indexes of all empty cells on the board
+ *
+ * @param {Array} board - Game board
+ * @returns {number[]} Empty cell positions
+ */
+const emptyCells = (board) => {
+  return board.reduce((cells, cell, index) => {
+    if (cell === '') {
+      cells.push(index);
+    }
+    return cells;
+  }, []);
+};
+
+/**
+ * Pick a random element of an array
+ *
+ * @param {Array} items - Non-empty array
+ * @returns {*} Random element
+ */
+const randomItem = (items) => items[Math.floor(Math.random() * items.length)];
+
+/**
+ * Find a cell that completes a line for the given symbol
+ *
+ * @param {Array} board - Game board
+ * @param {string} symbol - 'X' or 'O'
+ * @returns {number|null} Winning position or null if there is none
+ */
+const findWinningMove = (board, symbol) => {
+  for (const position of emptyCells(board)) {
+    const next = [...board];
+    next[position] = symbol;
+    if (checkWinner(next) === symbol) {
+      return position;
+    }
+  }
+  return null;
+};
+
+/**
+ * Easy bot: plays a random empty cell
+ */
+const easyMove = (board) => randomItem(emptyCells(board));
+
+/**
+ * Medium bot: wins if it can, blocks the opponent's winning move,
+ * then prefers the center, then a corner, then any cell
+ */
+const mediumMove = (board, symbol) => {
+  const opponent = symbol === 'X' ? 'O' : 'X';
+
+  const winningMove = findWinningMove(board, symbol);
+  if (winningMove !== null) {
+    return winningMove;
+  }
+
+  const blockingMove = findWinningMove(board, opponent);
+  if (blockingMove !== null) {
+    return blockingMove;
+  }
+
+  if (board[4] === '') {
+    return 4;
+  }
+
+  const corners = [0, 2, 6, 8].filter(position => board[position] === '');
+  if (corners.length > 0) {
+    return randomItem(corners);
+  }
+
+  return easyMove(board);
+};
+
+/**
+ * Score a board with minimax from the bot's point of view
+ * Faster wins and slower losses score better
+ *
+ * @param {Array} board - Game board
+ * @param {string} symbol - Bot symbol
+ * @param {boolean} botTurn - Whether the bot plays next
+ * @param {number} depth - Number of moves played since the root
+ * @returns {number} Score (positive = good for the bot)
+ */
+const minimax = (board, symbol, botTurn, depth) => {
+  const opponent = symbol === 'X' ? 'O' : 'X';
+  const result = checkWinner(board);
+
+  if (result === symbol) {
+    return 10 - depth;
+  }
+  if (result === opponent) {
+    return depth - 10;
+  }
+  if (result === 'D') {
+    return 0;
+  }
+
+  const scores = emptyCells(board).map((position) => {
+    const next = [...board];
+    next[position] = botTurn ? symbol : opponent;
+    return minimax(next, symbol, !botTurn, depth + 1);
+  });
+
+  return botTurn ? Math.max(...scores) : Math.min(...scores);
+};
+
+/**
+ * Hard bot: perfect play with minimax, random among equally good moves
+ */
+const hardMove = (board, symbol) => {
+  let bestScore = -Infinity;
+  let bestMoves = [];
+
+  for (const position of emptyCells(board)) {
+    const next = [...board];
+    next[position] = symbol;
+    const score = minimax(next, symbol, false, 1);
+
+    if (score > bestScore) {
+      bestScore = score;
+      bestMoves = [position];
+    } else if (score === bestScore) {
+      bestMoves.push(position);
+    }
+  }
+
+  return randomItem(bestMoves);
+};
+
+/**
+ * Choose the bot's next move
+ *
+ * @param {Array} board - Game board (must have at least one empty cell)
+ * @param {string} symbol - Symbol played by the bot ('X' or 'O')
+ * @param {string} level - Difficulty level ('easy', 'medium' or 'hard')
+ * @returns {number} Position to play
+ */
+const chooseMove = (board, symbol, level) => {
+  switch (level) {
+    case 'easy':
+      return easyMove(board);
+    case 'medium':
+      return mediumMove(board, symbol);
+    case 'hard':
+      return hardMove(board, symbol);
+    default:
+      throw new Error(`Unknown bot level: ${level}`);
+  }
+};
+
+module.exports = {
+  BOT_LEVELS,
+  chooseMove
+};
@@ -0,0 +1,129 @@
+/**
+ * Game clock helpers
+ *
+ * Timed games use one of two time controls:
+ * - 'move': each move must be played within `seconds`
+ * - 'total': each player has `seconds` for the whole game, plus
+ *   `increment` seconds added after each of their moves
+ *
+ * Each player's remaining time is stored in milliseconds as it was when
+ * the current turn started (turn_started_at); the player to move loses
+ * the time elapsed since then
+ */
+
+const TIME_CONTROL_TYPES = ['move', 'total'];
+
+// Bounds of the time control settings, in seconds
+const MIN_SECONDS = 5;
+const MAX_SECONDS = 3600;
+const MAX_INCREMENT = 60;
+
+/**
+ * Validate a time control requested on game creation
+ *
+ * @param {Object} timeControl - { type, seconds, increment }
+ * @returns {string|null} Error message, or null if the time control is valid
+ */
+const validateTimeControl = (timeControl) => {
+  if (typeof timeControl !== 'object' || timeControl === null) {
+    return 'Invalid time control. Must be an object with type and seconds';
+  }
+
+  const { type, seconds, increment = 0 } = timeControl;
+
+  if (!TIME_CONTROL_TYPES.includes(type)) {
+    return `Invalid time control type. Must be one of: ${TIME_CONTROL_TYPES.join(', ')}`;
+  }
+
+  if (!Number.isInteger(seconds) || seconds < MIN_SECONDS || seconds > MAX_SECONDS) {
+    return `Invalid time control seconds. Must be an integer between ${MIN_SECONDS} and ${MAX_SECONDS}`;
+  }
+
+  if (!Number.isInteger(increment) || increment < 0 || increment > MAX_INCREMENT) {
+    return `Invalid time control increment. Must be an integer between 0 and ${MAX_INCREMENT}`;
+  }
+
+  if (type === 'move' && increment !== 0) {
+    return 'Per-move time controls do not take an increment';
+  }
+
+  return null;
+};
+
+/**
+ * Get a player's remaining time
+ *
+ * @param {Object} game - Game row
+ * @param {string} symbol - 'X' or 'O'
+ * @param {number} [now] - Current time in milliseconds
+ * @returns {number|null} Remaining milliseconds (never negative), or null for untimed games
+ */
+const getRemaining = (game, symbol, now = Date.now()) => {
+  if (!game.time_control) {
+    return null;
+  }
+
+  const stored = symbol === 'X' ? game.player_x_time_ms : game.player_o_time_ms;
+  const isRunning = game.status === 'in_progress' && game.current_turn === symbol && game.turn_started_at;
+  const elapsed = isRunning ? now - new Date(game.turn_started_at).getTime() : 0;
+
+  return Math.max(0, stored - elapsed);
+};
+
+/**
+ * Check if the player to move has run out of time
+ *
+ * @param {Object} game - Game row
+ * @param {number} [now] - Current time in milliseconds
+ * @returns {boolean} True if the game is lost on time by the player to move
+ */
+const isFlagged = (game, now = Date.now()) => {
+  return game.status === 'in_progress' &&
+    Boolean(game.time_control) &&
+    getRemaining(game, game.current_turn, now) === 0;
+};
+
+/**
+ * Get the time a player has left once their move is played
+ *
+ * @param {Object} game - Game row, before the move
+ * @param {string} symbol - Symbol of the player who moved
+ * @param {number} [now] - Current time in milliseconds
+ * @returns {number} Milliseconds to store for the player
+ */
+const getTimeAfterMove = (game, symbol, now = Date.now()) => {
+  if (game.time_control === 'move') {
+    return game.time_limit_seconds * 1000;
+  }
+
+  return getRemaining(game, symbol, now) + game.increment_seconds * 1000;
+};
+
+/**
+ * Format the clock of a game for API responses
+ *
+ * @param {Object} game - Game row
+ * @returns {Object|null} { x_ms, o_ms, running } where running is the symbol
+ *                        whose clock is ticking (null when stopped), or null for untimed games
+ */
+const formatClock = (game) => {
+  if (!game.time_control) {
+    return null;
+  }
+
+  const now = Date.now();
+  return {
+    x_ms: getRemaining(game, 'X', now),
+    o_ms: getRemaining(game, 'O', now),
+    running: game.status === 'in_progress' && game.turn_started_at ? game.current_turn : null
+  };
+};
+
+module.exports = {
+  TIME_CONTROL_TYPES,
+  validateTimeControl,
+  getRemaining,
+  isFlagged,
+  getTimeAfterMove,
+  formatClock
+};
@@ -0,0 +1,20 @@
+/**
+ * Error carrying an HTTP status code
+ * Thrown from route logic (e.g. inside a transaction) to abort the
+ * current operation and answer the client with the given status
+ */
+class ApiError extends Error {
+  /**
+   * @param {number} status - HTTP status code to respond with
+   * @param {string} message - Error message sent to the client
+   */
+  constructor(status, message) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+  }
+}
+
+module.exports = {
+  ApiError
+};
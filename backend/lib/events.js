@@ -0,0 +1,122 @@
+const pool = require('../db');
+const realtime = require('./realtime');
+
+// Postgres notification channel shared by every backend instance
+const NOTIFY_CHANNEL = 'game_events';
+
+// Postgres rejects NOTIFY payloads of 8000 bytes or more
+const MAX_PAYLOAD_SIZE = 7900;
+
+// Delay before re-establishing a lost LISTEN connection
+const RECONNECT_DELAY = 5000;
+
+// Client checked out of the pool for LISTEN (null when not listening)
+let listener = null;
+let reconnectTimer = null;
+let stopped = false;
+
+/**
+ * Publish an event to every backend instance
+ * The event goes through Postgres NOTIFY so that sockets connected to
+ * any instance receive it, including the one that published it
+ * Failures are logged and never propagated to the caller
+ *
+ * @param {string} channel - Realtime channel ('lobby' or 'game:<id>')
+ * @param {string} event - Event name
+ * @param {Object} data - Event payload
+ */
+const publish = async (channel, event, data) => {
+  const payload = JSON.stringify({ channel, event, data });
+
+  // Too large for NOTIFY: at least deliver to this instance's sockets
+  if (Buffer.byteLength(payload) > MAX_PAYLOAD_SIZE) {
+    console.error(`Event ${event} on ${channel} is too large to broadcast`);
+    realtime.publish(channel, event, data);
+    return;
+  }
+
+  try {
+    await pool.query('SELECT pg_notify($1, $2)', [NOTIFY_CHANNEL, payload]);
+  } catch (error) {
+    console.error('Error publishing event:', error);
+  }
+};
+
+/**
+ * Relay a Postgres notification to local WebSocket subscribers
+ *
+ * @param {Object} message - Notification from the pg client
+ */
+const handleNotification = (message) => {
+  try {
+    const { channel, event, data } = JSON.parse(message.payload);
+    realtime.publish(channel, event, data);
+  } catch (error) {
+    console.error('Invalid event notification:', error);
+  }
+};
+
+/**
+ * Start listening for events published by any backend instance
+ * Holds one pool connection for the lifetime of the process and
+ * reconnects automatically if it is lost
+ */
+const listen = async () => {
+  stopped = false;
+  if (listener) {
+    return;
+  }
+
+  try {
+    const client = await pool.connect();
+
+    client.on('notification', handleNotification);
+    client.on('error', (error) => {
+      console.error('Event listener connection lost:', error);
+      client.release(error);
+      listener = null;
+      scheduleReconnect();
+    });
+
+    await client.query(`LISTEN ${NOTIFY_CHANNEL}`);
+    listener = client;
+  } catch (error) {
+    console.error('Error starting event listener:', error);
+    scheduleReconnect();
+  }
+};
+
+/**
+ * Retry listen() after a delay unless stop() was called
+ */
+const scheduleReconnect = () => {
+  if (stopped || reconnectTimer) {
+    return;
+  }
+  reconnectTimer = setTimeout(() => {
+    reconnectTimer = null;
+    listen();
+  }, RECONNECT_DELAY);
+};
+
+/**
+ * Stop listening and return the connection to the pool
+ */
+const stop = async () => {
+  stopped = true;
+  clearTimeout(reconnectTimer);
+  reconnectTimer = null;
+
+  if (listener) {
+    const client = listener;
+    listener = null;
+    await client.query(`UNLISTEN ${NOTIFY_CHANNEL}`);
+    client.release();
+  }
+};
+
+module.exports = {
+  publish,
+  listen,
+  stop
+};
@@ -0,0 +1,203 @@
+const { getMetaBoard } = require('./ultimate');
+const { calculateRatings } = require('./rating');
+const { getRemaining, formatClock } = require('./clock');
+
+/**
+ * Format one side of a game for API responses
+ *
+ * @param {Object} game - Game row with the player columns added by withPlayers
+ * @param {string} side - 'x' or 'o'
+ * @returns {Object|null} { id, username, rating }, or null while the seat is empty (or taken by the bot)
+ */
+const formatPlayer = (game, side) => {
+  const id = game[`player_${side}_id`];
+  if (!id) {
+    return null;
+  }
+
+  return {
+    id,
+    username: game[`player_${side}_username`],
+    rating: game[`player_${side}_rating`]
+  };
+};
+
+/**
+ * Format a game row for API responses and realtime events
+ * Used by every endpoint returning games so that all responses share the same shape
+ * Rows must go through withPlayers first so that the players can be named
+ *
+ * @param {Object} game - Row from the games table, with the player columns added by withPlayers
+ * @returns {Object} Game object with the board parsed
+ */
+const formatGame = (game) => {
+  const board = JSON.parse(game.board);
+
+  return {
+    id: game.id,
+    player_x_id: game.player_x_id,
+    player_o_id: game.player_o_id,
+    players: {
+      x: formatPlayer(game, 'x'),
+      o: formatPlayer(game, 'o')
+    },
+    game_type: game.game_type,
+    board,
+    board_width: game.board_width,
+    board_height: game.board_height,
+    win_length: game.win_length,
+    // Ultimate games: result of each small board and where the next move must go
+    meta_board: game.game_type === 'ultimate' ? getMetaBoard(board) : null,
+    next_board: game.next_board,
+    current_turn: game.current_turn,
+    winner: game.winner,
+    status: game.status,
+    bot_level: game.bot_level,
+    is_private: game.is_private,
+    // Timed games: time control settings and each player's remaining time
+    time_control: game.time_control
+      ? { type: game.time_control, seconds: game.time_limit_seconds, increment: game.increment_seconds }
+      : null,
+    clock: formatClock(game),
+    draw_offered_by: game.draw_offered_by,
+    spectators_muted: game.spectators_muted,
+    // Rematches: pending request, and the games before and after this one in the series
+    rematch_requested_by: game.rematch_requested_by,
+    previous_game_id: game.previous_game_id,
+    rematch_game_id: game.rematch_game_id,
+    series_id: game.series_id,
+    termination_reason: game.termination_reason,
+    created_at: game.created_at,
+    started_at: game.started_at,
+    finished_at: game.finished_at
+  };
+};
+
+/**
+ * Add both players' usernames and current ratings to game rows
+ * Loads every player of the given games in a single query
+ *
+ * @param {Object} client - Database client or pool
+ * @param {Object|Object[]} games - Game row, or array of game rows
+ * @returns {Promise<Object|Object[]>} Copies of the rows with player_x_username, player_x_rating,
+ *                                     player_o_username and player_o_rating
+ */
+const withPlayers = async (client, games) => {
+  const rows = Array.isArray(games) ? games : [games];
+  const userIds = [...new Set(rows.flatMap(game => [game.player_x_id, game.player_o_id]).filter(Boolean))];
+
+  const result = userIds.length > 0
+    ? await client.query('SELECT id, username, rating FROM users WHERE id = ANY($1)', [userIds])
+    : { rows: [] };
+  const users = new Map(result.rows.map(user => [user.id, user]));
+
+  const named = rows.map(game => {
+    const x = users.get(game.player_x_id) || {};
+    const o = users.get(game.player_o_id) || {};
+    return {
+      ...game,
+      player_x_username: x.username || null,
+      player_x_rating: x.rating || null,
+      player_o_username: o.username || null,
+      player_o_rating: o.rating || null
+    };
+  });
+
+  return Array.isArray(games) ? named : named[0];
+};
+
+/**
+ * Check if a user may see a game
+ * Private games are only visible to their players
+ *
+ * @param {Object} game - Game row
+ * @param {number} userId - User ID
+ * @returns {boolean} True if the user may see the game
+ */
+const canViewGame = (game, userId) => {
+  return !game.is_private || game.player_x_id === userId || game.player_o_id === userId;
+};
+
+/**
+ * Record the result of a finished game
+ * Adds the game_history row (with the game duration) and, for games between two users, updates
+ * both players' Elo ratings and keeps the ratings before and after the game
+ * Aborted games leave the ratings untouched
+ *
+ * @param {Object} client - Transaction client
+ * @param {Object} game - Finished game row (locked by the caller)
+ * @param {string|null} winner - 'X', 'O', 'D' (draw) or null (aborted)
+ * @param {number} movesCount - Number of moves played
+ */
+const recordGameResult = async (client, game, winner, movesCount) => {
+  const winnerId = winner === 'X' ? game.player_x_id : (winner === 'O' ? game.player_o_id : null);
+  const durationSeconds = game.started_at
+    ? Math.round((new Date(game.finished_at) - new Date(game.started_at)) / 1000)
+    : null;
+  let ratings = { x: {}, o: {} };
+
+  if (!game.bot_level && game.status !== 'aborted') {
+    // Lock both players in id order so concurrent games cannot deadlock
+    const playersResult = await client.query(
+      'SELECT id, rating FROM users WHERE id = ANY($1) ORDER BY id FOR UPDATE',
+      [[game.player_x_id, game.player_o_id]]
+    );
+    const ratingOf = (userId) => playersResult.rows.find(row => row.id === userId).rating;
+
+    const before = { x: ratingOf(game.player_x_id), o: ratingOf(game.player_o_id) };
+    const after = calculateRatings(before.x, before.o, winner);
+    ratings = {
+      x: { before: before.x, after: after.x },
+      o: { before: before.o, after: after.o }
+    };
+
+    await client.query('UPDATE users SET rating = $1 WHERE id = $2', [after.x, game.player_x_id]);
+    await client.query('UPDATE users SET rating = $1 WHERE id = $2', [after.o, game.player_o_id]);
+  }
+
+  await client.query(
+    `INSERT INTO game_history
+       (game_id, player_x_id, player_o_id, winner_id, moves_count, duration_seconds, bot_level, termination_reason,
+        player_x_rating_before, player_x_rating_after, player_o_rating_before, player_o_rating_after)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)`,
+    [game.id, game.player_x_id, game.player_o_id, winnerId, movesCount, durationSeconds, game.bot_level, game.termination_reason,
+      ratings.x.before, ratings.x.after, ratings.o.before, ratings.o.after]
+  );
+};
+
+/**
+ * End a game and record its result
+ * Every way a game can end goes through here, so the game row,
+ * the game_history row and both ratings always stay in sync
+ *
+ * @param {Object} client - Transaction client
+ * @param {Object} game - Game row (locked by the caller), with the final board
+ * @param {string|null} winner - 'X', 'O', 'D' (draw), or null when the game is aborted
+ * @param {string} reason - Termination reason: 'normal' (line or full board), 'timeout',
+ *                          'resignation', 'agreement' (accepted draw offer) or 'aborted'
+ * @returns {Promise<Object>} Finished (or aborted) game row
+ */
+const finishGame = async (client, game, winner, reason) => {
+  // Stop the clocks at the time each player had left
+  const result = await client.query(
+    `UPDATE games
+     SET winner = $1, status = $2, termination_reason = $3, next_board = NULL, draw_offered_by = NULL,
+         player_x_time_ms = $4, player_o_time_ms = $5, turn_started_at = NULL,
+         finished_at = CURRENT_TIMESTAMP
+     WHERE id = $6 RETURNING *`,
+    [winner, reason === 'aborted' ? 'aborted' : 'finished', reason, getRemaining(game, 'X'), getRemaining(game, 'O'), game.id]
+  );
+  const finished = result.rows[0];
+
+  const movesCount = JSON.parse(finished.board).filter(cell => cell !== '').length;
+  await recordGameResult(client, finished, winner, movesCount);
+
+  return finished;
+};
+
+module.exports = {
+  formatGame,
+  withPlayers,
+  canViewGame,
+  finishGame
+};
@@ -0,0 +1,76 @@
+const pool = require('../db');
+
+/**
+ * Progressive lockout of accounts after failed logins
+ *
+ * Every wrong password (or wrong two-factor code) of an account counts as
+ * a failure, at login as well as when managing two-factor authentication.
+ * From LOGIN_LOCKOUT_THRESHOLD failures on, each new failure locks the
+ * account for twice as long as the previous one, starting at
+ * LOGIN_LOCKOUT_BASE_SECONDS and up to LOGIN_LOCKOUT_MAX_SECONDS. While
+ * locked, logins are refused without checking the password; a successful
+ * login clears the failures
+ */
+
+// Failures before the account gets locked
+const LOCKOUT_THRESHOLD = parseInt(process.env.LOGIN_LOCKOUT_THRESHOLD) || 5;
+
+// Length of the first lockout, in seconds
+const LOCKOUT_BASE_SECONDS = parseInt(process.env.LOGIN_LOCKOUT_BASE_SECONDS) || 30;
+
+// Longest lockout, in seconds
+const LOCKOUT_MAX_SECONDS = parseInt(process.env.LOGIN_LOCKOUT_MAX_SECONDS) || 3600;
+
+/**
+ * Get how long an account stays locked
+ *
+ * @param {number} userId - User ID
+ * @returns {Promise<number>} Seconds to wait, 0 if logins are accepted
+ */
+const getLockDelay = async (userId) => {
+  const result = await pool.query(
+    'SELECT CEIL(EXTRACT(EPOCH FROM locked_until - CURRENT_TIMESTAMP))::int AS delay FROM users WHERE id = $1',
+    [userId]
+  );
+  return Math.max(0, result.rows[0].delay || 0);
+};
+
+/**
+ * Count a failed login, locking the account past the threshold
+ *
+ * @param {number} userId - User ID
+ * @returns {Promise<number>} Seconds the account is now locked for, 0 if it is not
+ */
+const recordFailedLogin = async (userId) => {
+  // The exponent is capped so that POWER cannot overflow; LEAST caps the delay anyway
+  const result = await pool.query(
+    `UPDATE users SET
+       failed_logins = failed_logins + 1,
+       locked_until = CASE WHEN failed_logins + 1 >= $2
+         THEN CURRENT_TIMESTAMP + LEAST($3 * POWER(2, LEAST(failed_logins + 1 - $2, 20)), $4) * INTERVAL '1 second'
+         ELSE locked_until END
+     WHERE id = $1
+     RETURNING CEIL(EXTRACT(EPOCH FROM locked_until - CURRENT_TIMESTAMP))::int AS delay`,
+    [userId, LOCKOUT_THRESHOLD, LOCKOUT_BASE_SECONDS, LOCKOUT_MAX_SECONDS]
+  );
+  return Math.max(0, result.rows[0].delay || 0);
+};
+
+/**
+ * Clear the failed logins of an account after a successful login
+ *
+ * @param {number} userId - User ID
+ * @returns {Promise<void>}
+ */
+const clearFailedLogins = async (userId) => {
+  await pool.query(
+    'UPDATE users SET failed_logins = 0, locked_until = NULL WHERE id = $1 AND failed_logins > 0',
+    [userId]
+  );
+};
+
+module.exports = {
+  getLockDelay,
+  recordFailedLogin,
+  clearFailedLogins
+};
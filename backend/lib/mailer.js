@@ -0,0 +1,138 @@
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const nodemailer = require('nodemailer');
+
+/**
+ * Outgoing email
+ *
+ * Emails go through a transport chosen with MAIL_TRANSPORT:
+ * - 'smtp': delivered by an SMTP server (SMTP_HOST, SMTP_PORT, SMTP_SECURE,
+ *   SMTP_USER, SMTP_PASSWORD), e.g. the provider in production or a local
+ *   MailHog in development
+ * - 'console': printed in the server logs
+ * - 'file': written as one text file per email in MAIL_DIR
+ * - 'memory': kept in the outbox array, for tests
+ * Defaults to 'smtp' in production, 'memory' in tests, 'console' otherwise
+ */
+
+// Sender address of every email
+const MAIL_FROM = process.env.MAIL_FROM || 'Tic-Tac-Toe <no-reply@localhost>';
+
+// Public URL of the frontend, used to build links in emails
+const APP_URL = (process.env.APP_URL || 'http://localhost:3000').replace(/\/$/, '');
+
+// Emails sent through the memory transport, oldest first
+const outbox = [];
+
+/**
+ * Format an email as plain text, headers first
+ *
+ * @param {Object} message - { from, to, subject, text }
+ * @returns {string} Formatted email
+ */
+const formatMessage = (message) => [
+  `From: ${message.from}`,
+  `To: ${message.to}`,
+  `Subject: ${message.subject}`,
+  `Date: ${new Date().toUTCString()}`,
+  '',
+  message.text
+].join('\n');
+
+/**
+ * Create the SMTP transport
+ *
+ * @returns {Object} Transport with a send(message) method
+ */
+const createSmtpTransport = () => {
+  const transporter = nodemailer.createTransport({
+    host: process.env.SMTP_HOST || 'localhost',
+    port: parseInt(process.env.SMTP_PORT) || 587,
+    secure: process.env.SMTP_SECURE === 'true',
+    auth: process.env.SMTP_USER
+      ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASSWORD }
+      : undefined
+  });
+
+  return {
+    send: (message) => transporter.sendMail(message)
+  };
+};
+
+/**
+ * Available transports, keyed by MAIL_TRANSPORT value
+ */
+const TRANSPORTS = {
+  smtp: createSmtpTransport,
+  console: () => ({
+    send: async (message) => {
+      console.log(`Email sent:\n${formatMessage(message)}\n`);
+    }
+  }),
+  file: () => {
+    const dir = process.env.MAIL_DIR || path.join(os.tmpdir(), 'tictactoe-mail');
+    return {
+      send: async (message) => {
+        await fs.mkdir(dir, { recursive: true });
+        const name = `${Date.now()}-${message.to.replace(/[^\w.@-]/g, '_')}.txt`;
+        await fs.writeFile(path.join(dir, name), formatMessage(message));
+      }
+    };
+  },
+  memory: () => ({
+    send: async (message) => {
+      outbox.push(message);
+    }
+  })
+};
+
+/**
+ * Get the name of the configured transport
+ *
+ * @returns {string} Transport name
+ */
+const getTransportName = () => {
+  if (process.env.MAIL_TRANSPORT) return process.env.MAIL_TRANSPORT;
+  if (process.env.NODE_ENV === 'production') return 'smtp';
+  return process.env.NODE_ENV === 'test' ? 'memory' : 'console';
+};
+
+// Transport in use, created on first email
+let transport = null;
+
+/**
+ * Send an email
+ *
+ * @param {Object} message - { to, subject, text }
+ * @returns {Promise<void>} Rejects if the transport fails
+ */
+const sendMail = async (message) => {
+  if (!transport) {
+    const name = getTransportName();
+    if (!TRANSPORTS[name]) {
+      throw new Error(`Unknown mail transport: ${name}`);
+    }
+    transport = TRANSPORTS[name]();
+  }
+
+  await transport.send({ from: MAIL_FROM, ...message });
+};
+
+/**
+ * Build a link to a page of the frontend
+ *
+ * @param {string} pathname - Path of the page, e.g. '/reset-password'
+ * @param {Object} [params] - Query string parameters
+ * @returns {string} Absolute URL
+ */
+const appLink = (pathname, params = {}) => {
+  const query = new URLSearchParams(params).toString();
+  return `${APP_URL}${pathname}${query ? `?${query}` : ''}`;
+};
+
+module.exports = {
+  sendMail,
+  appLink,
+  outbox
+};
@@ -0,0 +1,101 @@
+/**
+ * Cursor pagination helpers
+ *
+ * Paginated lists are ordered by row ID. A cursor is an opaque token
+ * pointing at the last row of a page; the next page starts right after it,
+ * so rows added in the meantime never shift the pages already seen
+ * (unlike page numbers and offsets)
+ * Also parses the from/to date filters shared by these lists
+ */
+
+// Date without a time, e.g. 2026-10-19
+const DATE_ONLY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Build the cursor pointing at a row
+ *
+ * @param {number} id - ID of the last row of a page
+ * @returns {string} Opaque cursor
+ */
+const encodeCursor = (id) => Buffer.from(String(id)).toString('base64url');
+
+/**
+ * Read the row ID a cursor points at
+ *
+ * @param {string} cursor - Cursor from a previous page
+ * @returns {number|null} Row ID, or null if the cursor is invalid
+ */
+const decodeCursor = (cursor) => {
+  const id = Number(Buffer.from(String(cursor), 'base64url').toString());
+  return Number.isInteger(id) && id > 0 ? id : null;
+};
+
+/**
+ * Parse the page size of a paginated request
+ *
+ * @param {string|undefined} value - Raw limit query value
+ * @param {number} defaultLimit - Page size when no limit is given
+ * @param {number} maxLimit - Largest page size allowed
+ * @returns {number|null} Page size, or null if invalid
+ */
+const parseLimit = (value, defaultLimit, maxLimit) => {
+  if (value === undefined) {
+    return defaultLimit;
+  }
+
+  const limit = Number(value);
+  return Number.isInteger(limit) && limit >= 1 && limit <= maxLimit ? limit : null;
+};
+
+/**
+ * Split the rows of a page query fetched with one row more than the page size
+ * The extra row only tells that another page follows
+ *
+ * @param {Object[]} rows - Rows fetched with LIMIT limit + 1
+ * @param {number} limit - Page size
+ * @returns {Object} { rows, nextCursor } where nextCursor is null on the last page
+ */
+const paginate = (rows, limit) => {
+  const page = rows.slice(0, limit);
+
+  return {
+    rows: page,
+    nextCursor: rows.length > limit ? encodeCursor(page[page.length - 1].id) : null
+  };
+};
+
+/**
+ * Parse a from/to date filter of a list
+ * A date without a time in `to` includes the whole day
+ *
+ * @param {string} name - 'from' or 'to'
+ * @param {string} value - Raw query value (ISO 8601)
+ * @returns {Object|null} { operator, date } to compare the row date with,
+ *                        or null if the date is invalid
+ */
+const parseDateFilter = (name, value) => {
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    return null;
+  }
+
+  if (name === 'from') {
+    return { operator: '>=', date };
+  }
+
+  if (DATE_ONLY_PATTERN.test(value)) {
+    // Up to the end of that day: before midnight of the next one
+    date.setUTCDate(date.getUTCDate() + 1);
+    return { operator: '<', date };
+  }
+
+  return { operator: '<=', date };
+};
+
+module.exports = {
+  encodeCursor,
+  decodeCursor,
+  parseLimit,
+  paginate,
+  parseDateFilter
+};
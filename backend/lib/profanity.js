@@ -0,0 +1,71 @@
+/**
+ * Basic profanity filter for the game chat
+ *
+ * Listed words are masked with asterisks, whatever their case and
+ * wherever they appear as a whole word (e.g. "Damn!" but not "Amsterdam")
+ * Common letter-for-symbol substitutions are caught too (e.g. "sh1t")
+ */
+
+// Words masked in chat messages
+const BLOCKED_WORDS = [
+  'ass',
+  'asshole',
+  'bastard',
+  'bitch',
+  'bollocks',
+  'crap',
+  'cunt',
+  'damn',
+  'dick',
+  'fuck',
+  'fucker',
+  'fucking',
+  'motherfucker',
+  'piss',
+  'prick',
+  'shit',
+  'slut',
+  'twat',
+  'wanker',
+  'whore'
+];
+
+// Characters commonly typed in place of a letter
+const SUBSTITUTES = {
+  a: '[a@4]',
+  e: '[e3]',
+  i: '[i1!]',
+  o: '[o0]',
+  s: '[s$5]',
+  t: '[t7]'
+};
+
+/**
+ * Build the pattern matching a blocked word and its common spellings
+ *
+ * @param {string} word - Blocked word
+ * @returns {string} Regular expression source
+ */
+const buildPattern = (word) => {
+  return word.split('').map(letter => SUBSTITUTES[letter] || letter).join('');
+};
+
+// Whole words only: not preceded or followed by another letter or digit
+const BLOCKED_PATTERN = new RegExp(
+  `(?<![\\p{L}\\p{N}])(?:${BLOCKED_WORDS.map(buildPattern).join('|')})(?![\\p{L}\\p{N}])`,
+  'giu'
+);
+
+/**
+ * Mask the blocked words of a text
+ *
+ * @param {string} text - Text to filter
+ * @returns {string} Text with every blocked word replaced by asterisks
+ */
+const filterProfanity = (text) => {
+  return text.replace(BLOCKED_PATTERN, match => '*'.repeat(match.length));
+};
+
+module.exports = {
+  filterProfanity
+};
@@ -0,0 +1,188 @@
+const pool = require('../db');
+
+/**
+ * Request rate limiting
+ *
+ * Each limiter counts the requests of a bucket (the client IP, or the
+ * logged in user) over a fixed window and answers 429 with a Retry-After
+ * header once the bucket is over its maximum. Counters live in a store
+ * chosen with RATE_LIMIT_STORE:
+ * - 'memory': in this process; enough for a single backend instance
+ * - 'postgres': in the rate_limits table, shared by every instance
+ * Rate limiting is off in tests unless RATE_LIMIT_ENABLED is set
+ */
+
+// Delay between two purges of expired counters
+const PURGE_INTERVAL = 60 * 1000;
+
+/**
+ * Create a store keeping the counters in memory
+ *
+ * @returns {Object} Store with increment(key, windowMs) and purge()
+ */
+const createMemoryStore = () => {
+  const counters = new Map();
+
+  return {
+    increment: async (key, windowMs) => {
+      const now = Date.now();
+      let counter = counters.get(key);
+      if (!counter || counter.resetAt <= now) {
+        counter = { count: 0, resetAt: now + windowMs };
+        counters.set(key, counter);
+      }
+      counter.count++;
+      return { count: counter.count, resetAt: counter.resetAt };
+    },
+    purge: async () => {
+      const now = Date.now();
+      for (const [key, counter] of counters) {
+        if (counter.resetAt <= now) counters.delete(key);
+      }
+    }
+  };
+};
+
+/**
+ * Create a store keeping the counters in PostgreSQL
+ *
+ * @returns {Object} Store with increment(key, windowMs) and purge()
+ */
+const createPostgresStore = () => ({
+  increment: async (key, windowMs) => {
+    // A single upsert, so concurrent requests on any instance all count
+    const result = await pool.query(
+      `INSERT INTO rate_limits (key, count, reset_at)
+       VALUES ($1, 1, CURRENT_TIMESTAMP + $2 * INTERVAL '1 millisecond')
+       ON CONFLICT (key) DO UPDATE SET
+         count = CASE WHEN rate_limits.reset_at <= CURRENT_TIMESTAMP THEN 1 ELSE rate_limits.count + 1 END,
+         reset_at = CASE WHEN rate_limits.reset_at <= CURRENT_TIMESTAMP THEN EXCLUDED.reset_at ELSE rate_limits.reset_at END
+       RETURNING count, reset_at`,
+      [key, windowMs]
+    );
+    const { count, reset_at: resetAt } = result.rows[0];
+    return { count, resetAt: resetAt.getTime() };
+  },
+  purge: async () => {
+    await pool.query('DELETE FROM rate_limits WHERE reset_at <= CURRENT_TIMESTAMP');
+  }
+});
+
+/**
+ * Available stores, keyed by RATE_LIMIT_STORE value
+ */
+const STORES = {
+  memory: createMemoryStore,
+  postgres: createPostgresStore
+};
+
+// Store in use, created on first use
+let store = null;
+
+/**
+ * Get the configured store
+ *
+ * @returns {Object} Store
+ * @throws {Error} If RATE_LIMIT_STORE names an unknown store
+ */
+const getStore = () => {
+  if (!store) {
+    const name = process.env.RATE_LIMIT_STORE || 'memory';
+    if (!STORES[name]) {
+      throw new Error(`Unknown rate limit store: ${name}`);
+    }
+    store = STORES[name]();
+  }
+  return store;
+};
+
+/**
+ * Check whether rate limiting is on
+ *
+ * @returns {boolean} False in tests unless RATE_LIMIT_ENABLED is 'true', and
+ *                    anywhere RATE_LIMIT_ENABLED is 'false'
+ */
+const isEnabled = () => {
+  if (process.env.RATE_LIMIT_ENABLED) return process.env.RATE_LIMIT_ENABLED === 'true';
+  return process.env.NODE_ENV !== 'test';
+};
+
+/**
+ * Read an integer setting
+ *
+ * @param {string} name - Environment variable
+ * @param {number} defaultValue - Value when the variable is unset or not a number
+ * @returns {number} Setting value (a configured 0 is kept)
+ */
+const readSetting = (name, defaultValue) => {
+  const value = parseInt(process.env[name]);
+  return Number.isNaN(value) ? defaultValue : value;
+};
+
+/**
+ * Create a rate limiting middleware
+ *
+ * @param {Object} options - Limiter options
+ * @param {string} options.name - Name of the limiter, prefixing its bucket keys
+ * @param {number} options.max - Requests allowed per window and bucket
+ * @param {number} options.windowSeconds - Length of the window
+ * @param {string} [options.by] - 'ip' (default), or 'user' to count per logged in
+ *                                user (falls back to the IP); 'user' limiters must
+ *                                run after authenticateToken
+ * @param {Object} [options.store] - Store to use instead of the configured one
+ * @returns {Function} Express middleware
+ */
+const rateLimit = ({ name, max, windowSeconds, by = 'ip', store: limiterStore }) => async (req, res, next) => {
+  if (!isEnabled()) {
+    return next();
+  }
+
+  const bucket = by === 'user' && req.user ? `user:${req.user.id}` : `ip:${req.ip}`;
+
+  try {
+    const { count, resetAt } = await (limiterStore || getStore()).increment(`${name}:${bucket}`, windowSeconds * 1000);
+
+    if (count > max) {
+      const retryAfter = Math.max(1, Math.ceil((resetAt - Date.now()) / 1000));
+      res.set('Retry-After', String(retryAfter));
+      return res.status(429).json({ error: `Too many requests, please try again in ${retryAfter} seconds` });
+    }
+  } catch (error) {
+    // Better to let requests through than to take the API down with the store
+    console.error('Error checking rate limit:', error);
+  }
+
+  next();
+};
+
+let timer = null;
+
+/**
+ * Start purging expired counters periodically
+ */
+const start = () => {
+  if (timer) {
+    return;
+  }
+
+  timer = setInterval(() => {
+    getStore().purge().catch(error => console.error('Error purging rate limits:', error));
+  }, PURGE_INTERVAL);
+};
+
+/**
+ * Stop purging expired counters
+ */
+const stop = () => {
+  clearInterval(timer);
+  timer = null;
+};
+
+module.exports = {
+  createMemoryStore,
+  createPostgresStore,
+  readSetting,
+  rateLimit,
+  start,
+  stop
+};
@@ -0,0 +1,50 @@
+/**
+ * Elo rating helpers
+ *
+ * Every player starts at DEFAULT_RATING. After a rated game both ratings
+ * move towards the actual result by K_FACTOR times the difference between
+ * the score (1 for a win, 0.5 for a draw, 0 for a loss) and the expected score
+ */
+
+// Rating of a new player (matches the users.rating column default)
+const DEFAULT_RATING = 1200;
+
+// Maximum rating change for a single game
+const K_FACTOR = 32;
+
+/**
+ * Get the expected score of a player against an opponent
+ *
+ * @param {number} rating - Player rating
+ * @param {number} opponentRating - Opponent rating
+ * @returns {number} Expected score between 0 and 1
+ */
+const expectedScore = (rating, opponentRating) => {
+  return 1 / (1 + Math.pow(10, (opponentRating - rating) / 400));
+};
+
+/**
+ * Calculate both players' new ratings after a game
+ *
+ * @param {number} ratingX - Rating of player X before the game
+ * @param {number} ratingO - Rating of player O before the game
+ * @param {string} winner - 'X', 'O' or 'D' (draw)
+ * @returns {Object} New ratings: { x, o }
+ */
+const calculateRatings = (ratingX, ratingO, winner) => {
+  const scoreX = winner === 'X' ? 1 : (winner === 'D' ? 0.5 : 0);
+  const change = Math.round(K_FACTOR * (scoreX - expectedScore(ratingX, ratingO)));
+
+  // Elo is zero-sum: whatever X gains, O loses
+  return {
+    x: ratingX + change,
+    o: ratingO - change
+  };
+};
+
+module.exports = {
+  DEFAULT_RATING,
+  K_FACTOR,
+  expectedScore,
+  calculateRatings
+};
@@ -0,0 +1,279 @@
+const { EventEmitter } = require('events');
+const { WebSocketServer } = require('ws');
+const pool = require('../db');
+const { verifyAccessToken } = require('../middleware/auth');
+const { canViewGame } = require('./games');
+
+// Path on which the WebSocket endpoint is exposed
+const WS_PATH = '/api/ws';
+
+// Interval between heartbeat pings used to detect dead connections
+const HEARTBEAT_INTERVAL = 30000;
+
+// Event closing the sockets of a revoked session, published on 'session:<id>'
+const SESSION_REVOKED_EVENT = 'session:revoked';
+
+// Close code sent to the sockets of a revoked session
+const SESSION_REVOKED_CODE = 4001;
+
+// Map of channel name -> Set of subscribed sockets
+const channels = new Map();
+
+// Emits 'game:subscribe' (user, game) and 'game:unsubscribe' (user, gameId)
+// whenever a socket starts or stops following a game
+const subscriptions = new EventEmitter();
+
+/**
+ * Check whether a client may subscribe to a channel
+ * Supported channels are 'lobby', 'game:<id>' and 'user:<id>';
+ * a user channel carries private notifications (e.g. matchmaking)
+ * and is only open to that user
+ *
+ * @param {string} channel - Channel name requested by the client
+ * @param {Object} user - Authenticated user of the socket
+ * @returns {boolean} True if the client may subscribe to the channel
+ */
+const isValidChannel = (channel, user) => {
+  return channel === 'lobby' || /^game:\d+$/.test(channel) || channel === `user:${user.id}`;
+};
+
+/**
+ * Get the ID of the game a channel belongs to
+ *
+ * @param {string} channel - Channel name
+ * @returns {number|null} Game ID, or null for other channels
+ */
+const getGameId = (channel) => {
+  const match = /^game:(\d+)$/.exec(channel);
+  return match ? Number(match[1]) : null;
+};
+
+/**
+ * Subscribe a socket to a channel
+ *
+ * @param {WebSocket} socket - Client socket
+ * @param {string} channel - Channel name
+ */
+const subscribe = (socket, channel) => {
+  if (!channels.has(channel)) {
+    channels.set(channel, new Set());
+  }
+  channels.get(channel).add(socket);
+  socket.channels.add(channel);
+};
+
+/**
+ * Unsubscribe a socket from a channel
+ *
+ * @param {WebSocket} socket - Client socket
+ * @param {string} channel - Channel name
+ */
+const unsubscribe = (socket, channel) => {
+  const subscribers = channels.get(channel);
+  if (subscribers) {
+    subscribers.delete(socket);
+    if (subscribers.size === 0) {
+      channels.delete(channel);
+    }
+  }
+  socket.channels.delete(channel);
+
+  const gameId = getGameId(channel);
+  if (gameId) {
+    subscriptions.emit('game:unsubscribe', socket.user, gameId);
+  }
+};
+
+/**
+ * Subscribe a socket to a game channel
+ * Game channels are only open to users who may see the game, so that
+ * the moves of private games never reach other users
+ *
+ * @param {WebSocket} socket - Client socket
+ * @param {string} channel - Channel name ('game:<id>')
+ * @returns {Promise<boolean>} True if the socket was subscribed
+ */
+const subscribeToGame = async (socket, channel) => {
+  const result = await pool.query('SELECT * FROM games WHERE id = $1', [getGameId(channel)]);
+  const game = result.rows[0];
+
+  if (!game || !canViewGame(game, socket.user.id)) {
+    return false;
+  }
+
+  // The socket may have closed while the game was loading
+  if (socket.readyState === socket.OPEN && !socket.channels.has(channel)) {
+    subscribe(socket, channel);
+    subscriptions.emit('game:subscribe', socket.user, game);
+  }
+  return true;
+};
+
+/**
+ * Handle a message sent by a client
+ * Clients send { type: 'subscribe' | 'unsubscribe', channel }
+ *
+ * @param {WebSocket} socket - Client socket
+ * @param {string} raw - Raw message payload
+ */
+const handleMessage = async (socket, raw) => {
+  let message;
+  try {
+    message = JSON.parse(raw);
+  } catch (error) {
+    socket.send(JSON.stringify({ event: 'error', data: { error: 'Invalid message' } }));
+    return;
+  }
+
+  if (!isValidChannel(message.channel, socket.user)) {
+    socket.send(JSON.stringify({ event: 'error', data: { error: 'Invalid channel' } }));
+    return;
+  }
+
+  if (message.type === 'subscribe') {
+    if (!getGameId(message.channel)) {
+      subscribe(socket, message.channel);
+      return;
+    }
+
+    try {
+      if (!(await subscribeToGame(socket, message.channel))) {
+        socket.send(JSON.stringify({ event: 'error', data: { error: 'Game not found' } }));
+      }
+    } catch (error) {
+      console.error('Error subscribing to game:', error);
+      socket.send(JSON.stringify({ event: 'error', data: { error: 'Failed to subscribe' } }));
+    }
+  } else if (message.type === 'unsubscribe' && socket.channels.has(message.channel)) {
+    unsubscribe(socket, message.channel);
+  }
+};
+
+/**
+ * Authenticate a WebSocket upgrade request
+ * Browsers cannot set headers on WebSocket requests, so the JWT
+ * is passed as a "token" query parameter instead
+ *
+ * @param {http.IncomingMessage} req - Upgrade request
+ * @returns {Promise<Object|null>} Decoded user or null if the token is invalid
+ */
+const authenticateUpgrade = async (req) => {
+  const url = new URL(req.url, 'http://localhost');
+  const token = url.searchParams.get('token');
+
+  if (!token) {
+    return null;
+  }
+
+  try {
+    return await verifyAccessToken(token);
+  } catch (error) {
+    console.error('Error verifying WebSocket token:', error);
+    return null;
+  }
+};
+
+/**
+ * Attach the WebSocket server to an HTTP server
+ * Connections are authenticated with the same JWT as the REST API
+ *
+ * @param {http.Server} server - HTTP server the Express app listens on
+ * @returns {WebSocketServer} The WebSocket server
+ */
+const attach = (server) => {
+  const wss = new WebSocketServer({ noServer: true });
+
+  server.on('upgrade', async (req, socket, head) => {
+    const { pathname } = new URL(req.url, 'http://localhost');
+    if (pathname !== WS_PATH) {
+      socket.destroy();
+      return;
+    }
+
+    const user = await authenticateUpgrade(req);
+    if (!user) {
+      socket.write('HTTP/1.1 401 Unauthorized\r\n\r\n');
+      socket.destroy();
+      return;
+    }
+
+    wss.handleUpgrade(req, socket, head, (ws) => {
+      wss.emit('connection', ws, req, user);
+    });
+  });
+
+  wss.on('connection', (socket, req, user) => {
+    socket.user = user;
+    socket.channels = new Set();
+    socket.isAlive = true;
+
+    // Internal channel, so that revoking the session closes the socket
+    subscribe(socket, `session:${user.sid}`);
+
+    socket.on('pong', () => {
+      socket.isAlive = true;
+    });
+
+    socket.on('message', (raw) => handleMessage(socket, raw.toString()));
+
+    socket.on('close', () => {
+      for (const channel of [...socket.channels]) {
+        unsubscribe(socket, channel);
+      }
+    });
+  });
+
+  // Terminate connections that stopped answering pings
+  const heartbeat = setInterval(() => {
+    for (const socket of wss.clients) {
+      if (!socket.isAlive) {
+        socket.terminate();
+        continue;
+      }
+      socket.isAlive = false;
+      socket.ping();
+    }
+  }, HEARTBEAT_INTERVAL);
+
+  wss.on('close', () => clearInterval(heartbeat));
+  server.on('close', () => wss.close());
+
+  return wss;
+};
+
+/**
+ * Push an event to every socket subscribed to a channel
+ * The session:revoked event on a 'session:<id>' channel closes the
+ * session's sockets instead of being delivered
+ *
+ * @param {string} channel - Channel name ('lobby', 'game:<id>', 'user:<id>' or 'session:<id>')
+ * @param {string} event - Event name
+ * @param {Object} data - Event payload
+ */
+const publish = (channel, event, data) => {
+  const subscribers = channels.get(channel);
+  if (!subscribers) {
+    return;
+  }
+
+  if (event === SESSION_REVOKED_EVENT) {
+    for (const socket of [...subscribers]) {
+      socket.close(SESSION_REVOKED_CODE, 'Session revoked');
+    }
+    return;
+  }
+
+  const message = JSON.stringify({ channel, event, data });
+  for (const socket of subscribers) {
+    if (socket.readyState === socket.OPEN) {
+      socket.send(message);
+    }
+  }
+};
+
+module.exports = {
+  attach,
+  publish,
+  subscriptions,
+  WS_PATH
+};
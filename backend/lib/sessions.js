@@ -0,0 +1,163 @@
+const pool = require('../db');
+const { generateSecretToken, hashToken } = require('./tokens');
+
+/**
+ * Login sessions and refresh tokens
+ *
+ * Every login (or registration) opens a session. The client gets a
+ * short-lived access token (JWT carrying the session ID) and a long-lived
+ * refresh token, only stored as a SHA-256 hash. Each refresh replaces the
+ * refresh token (rotation), so a token can only be used once; revoking the
+ * session invalidates both tokens at once
+ */
+
+// Lifetime of an access token, in seconds
+const ACCESS_TOKEN_TTL_SECONDS = parseInt(process.env.ACCESS_TOKEN_TTL_SECONDS) || 15 * 60;
+
+// Lifetime of a session without any refresh, in days
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+
+/**
+ * Describe the device a request comes from
+ *
+ * @param {Object} req - Express request object
+ * @returns {Object} { userAgent, ip }
+ */
+const describeClient = (req) => ({
+  userAgent: (req.get('user-agent') || '').slice(0, 255) || null,
+  ip: req.ip || null
+});
+
+/**
+ * Open a session for a user
+ *
+ * @param {number} userId - User ID
+ * @param {Object} req - Express request object of the login
+ * @returns {Promise<Object>} { session, refreshToken }
+ */
+const createSession = async (userId, req) => {
+  const refreshToken = generateSecretToken();
+  const { userAgent, ip } = describeClient(req);
+
+  const result = await pool.query(
+    `INSERT INTO sessions (user_id, refresh_token_hash, user_agent, ip, expires_at)
+     VALUES ($1, $2, $3, $4, CURRENT_TIMESTAMP + $5 * INTERVAL '1 day')
+     RETURNING *`,
+    [userId, hashToken(refreshToken), userAgent, ip, REFRESH_TOKEN_TTL_DAYS]
+  );
+
+  return { session: result.rows[0], refreshToken };
+};
+
+/**
+ * Exchange a refresh token for a new one
+ * The old token stops working and the session lifetime starts over
+ *
+ * @param {string} refreshToken - Current refresh token of the session
+ * @param {Object} req - Express request object of the refresh
+ * @returns {Promise<Object|null>} { session, refreshToken }, or null if the token
+ *                                 is unknown, already used, expired or revoked
+ */
+const rotateSession = async (refreshToken, req) => {
+  const newToken = generateSecretToken();
+  const { userAgent, ip } = describeClient(req);
+
+  // A single UPDATE, so two refreshes racing with the same token cannot both succeed
+  const result = await pool.query(
+    `UPDATE sessions
+     SET refresh_token_hash = $1, user_agent = COALESCE($2, user_agent), ip = $3,
+         last_used_at = CURRENT_TIMESTAMP, expires_at = CURRENT_TIMESTAMP + $4 * INTERVAL '1 day'
+     WHERE refresh_token_hash = $5 AND revoked_at IS NULL AND expires_at > CURRENT_TIMESTAMP
+     RETURNING *`,
+    [hashToken(newToken), userAgent, ip, REFRESH_TOKEN_TTL_DAYS, hashToken(refreshToken)]
+  );
+
+  return result.rows.length > 0 ? { session: result.rows[0], refreshToken: newToken } : null;
+};
+
+/**
+ * Check that a session can still be used
+ *
+ * @param {number} sessionId - Session ID
+ * @returns {Promise<boolean>} True if the session exists, was not revoked and has not expired
+ */
+const isSessionActive = async (sessionId) => {
+  const result = await pool.query(
+    'SELECT 1 FROM sessions WHERE id = $1 AND revoked_at IS NULL AND expires_at > CURRENT_TIMESTAMP',
+    [sessionId]
+  );
+  return result.rows.length > 0;
+};
+
+/**
+ * List the sessions a user is still logged in with
+ *
+ * @param {number} userId - User ID
+ * @returns {Promise<Array>} Active sessions, most recently used first
+ */
+const listSessions = async (userId) => {
+  const result = await pool.query(
+    `SELECT id, user_agent, ip, created_at, last_used_at, expires_at
+     FROM sessions
+     WHERE user_id = $1 AND revoked_at IS NULL AND expires_at > CURRENT_TIMESTAMP
+     ORDER BY last_used_at DESC, id DESC`,
+    [userId]
+  );
+  return result.rows;
+};
+
+/**
+ * Revoke the session a refresh token belongs to
+ *
+ * @param {string} refreshToken - Refresh token of the session
+ * @returns {Promise<number|null>} ID of the revoked session, or null if none was
+ */
+const revokeByRefreshToken = async (refreshToken) => {
+  const result = await pool.query(
+    'UPDATE sessions SET revoked_at = CURRENT_TIMESTAMP WHERE refresh_token_hash = $1 AND revoked_at IS NULL RETURNING id',
+    [hashToken(refreshToken)]
+  );
+  return result.rows.length > 0 ? result.rows[0].id : null;
+};
+
+/**
+ * Revoke one of a user's sessions
+ *
+ * @param {number} userId - Owner of the session
+ * @param {number} sessionId - Session ID
+ * @returns {Promise<boolean>} True if a session was revoked
+ */
+const revokeSession = async (userId, sessionId) => {
+  const result = await pool.query(
+    'UPDATE sessions SET revoked_at = CURRENT_TIMESTAMP WHERE id = $1 AND user_id = $2 AND revoked_at IS NULL',
+    [sessionId, userId]
+  );
+  return result.rowCount > 0;
+};
+
+/**
+ * Revoke every session of a user, e.g. after a password change
+ *
+ * @param {number} userId - User ID
+ * @param {Object} [client] - Transaction client, defaults to the pool
+ * @returns {Promise<number[]>} IDs of the revoked sessions
+ */
+const revokeAllSessions = async (userId, client = pool) => {
+  const result = await client.query(
+    'UPDATE sessions SET revoked_at = CURRENT_TIMESTAMP WHERE user_id = $1 AND revoked_at IS NULL RETURNING id',
+    [userId]
+  );
+  return result.rows.map(row => row.id);
+};
+
+module.exports = {
+  ACCESS_TOKEN_TTL_SECONDS,
+  REFRESH_TOKEN_TTL_DAYS,
+  createSession,
+  rotateSession,
+  isSessionActive,
+  listSessions,
+  revokeByRefreshToken,
+  revokeSession,
+  revokeAllSessions
+};
@@ -0,0 +1,166 @@
+const crypto = require('crypto');
+const pool = require('../db');
+const events = require('./events');
+const realtime = require('./realtime');
+
+// Identifies this backend instance in the game_spectators table
+const INSTANCE_ID = crypto.randomUUID();
+
+// Delay between two refreshes of this instance's spectator rows
+const REFRESH_INTERVAL = 30000;
+
+// Rows not refreshed for this long belong to a dead instance
+const STALE_AFTER_SECONDS = 90;
+
+// Map of "<gameId>:<userId>" -> number of this instance's sockets watching
+const watchers = new Map();
+
+let timer = null;
+
+/**
+ * Count the users watching a game on any backend instance
+ * A user watching from several tabs counts once
+ *
+ * @param {Object} client - Database client or pool
+ * @param {number} gameId - Game ID
+ * @returns {Promise<number>} Number of spectators
+ */
+const countSpectators = async (client, gameId) => {
+  const result = await client.query(
+    `SELECT COUNT(DISTINCT user_id) AS count FROM game_spectators
+     WHERE game_id = $1 AND last_seen > CURRENT_TIMESTAMP - make_interval(secs => $2)`,
+    [gameId, STALE_AFTER_SECONDS]
+  );
+  return parseInt(result.rows[0].count);
+};
+
+/**
+ * Push the current spectator count to everyone following a game
+ *
+ * @param {number} gameId - Game ID
+ */
+const publishCount = async (gameId) => {
+  const count = await countSpectators(pool, gameId);
+  await events.publish(`game:${gameId}`, 'spectators:update', { game_id: gameId, count });
+};
+
+/**
+ * Record a socket that started following a game
+ * Players following their own game are not spectators
+ *
+ * @param {Object} user - Authenticated user of the socket
+ * @param {Object} game - Game row
+ */
+const handleSubscribe = async (user, game) => {
+  if (game.player_x_id === user.id || game.player_o_id === user.id) {
+    return;
+  }
+
+  const key = `${game.id}:${user.id}`;
+  const sockets = watchers.get(key) || 0;
+  watchers.set(key, sockets + 1);
+  if (sockets > 0) {
+    return;
+  }
+
+  try {
+    await pool.query(
+      `INSERT INTO game_spectators (game_id, user_id, instance_id) VALUES ($1, $2, $3)
+       ON CONFLICT (game_id, user_id, instance_id) DO UPDATE SET last_seen = CURRENT_TIMESTAMP`,
+      [game.id, user.id, INSTANCE_ID]
+    );
+    await publishCount(game.id);
+  } catch (error) {
+    console.error('Error adding spectator:', error);
+  }
+};
+
+/**
+ * Record a socket that stopped following a game
+ *
+ * @param {Object} user - Authenticated user of the socket
+ * @param {number} gameId - Game ID
+ */
+const handleUnsubscribe = async (user, gameId) => {
+  const key = `${gameId}:${user.id}`;
+  const sockets = watchers.get(key);
+  if (!sockets) {
+    return;
+  }
+
+  if (sockets > 1) {
+    watchers.set(key, sockets - 1);
+    return;
+  }
+  watchers.delete(key);
+
+  try {
+    await pool.query(
+      'DELETE FROM game_spectators WHERE game_id = $1 AND user_id = $2 AND instance_id = $3',
+      [gameId, user.id, INSTANCE_ID]
+    );
+    await publishCount(gameId);
+  } catch (error) {
+    console.error('Error removing spectator:', error);
+  }
+};
+
+/**
+ * Keep the rows of the spectators still watching alive and drop stale rows
+ * Only rows matching a current watcher are refreshed, so a row left behind
+ * by a socket that closed while its row was being written expires as well
+ */
+const refresh = async () => {
+  const keys = [...watchers.keys()].map(key => key.split(':').map(Number));
+
+  try {
+    await pool.query(
+      `UPDATE game_spectators SET last_seen = CURRENT_TIMESTAMP
+       WHERE instance_id = $1
+         AND (game_id, user_id) IN (SELECT * FROM unnest($2::integer[], $3::integer[]))`,
+      [INSTANCE_ID, keys.map(([gameId]) => gameId), keys.map(([, userId]) => userId)]
+    );
+    await pool.query(
+      'DELETE FROM game_spectators WHERE last_seen <= CURRENT_TIMESTAMP - make_interval(secs => $1)',
+      [STALE_AFTER_SECONDS]
+    );
+  } catch (error) {
+    console.error('Error refreshing spectators:', error);
+  }
+};
+
+/**
+ * Start tracking the spectators of the games followed on this instance
+ */
+const start = () => {
+  if (timer) {
+    return;
+  }
+
+  realtime.subscriptions.on('game:subscribe', handleSubscribe);
+  realtime.subscriptions.on('game:unsubscribe', handleUnsubscribe);
+  timer = setInterval(refresh, REFRESH_INTERVAL);
+};
+
+/**
+ * Stop tracking spectators and remove this instance's rows
+ */
+const stop = async () => {
+  if (!timer) {
+    return;
+  }
+
+  realtime.subscriptions.off('game:subscribe', handleSubscribe);
+  realtime.subscriptions.off('game:unsubscribe', handleUnsubscribe);
+  clearInterval(timer);
+  timer = null;
+
+  watchers.clear();
+  await pool.query('DELETE FROM game_spectators WHERE instance_id = $1', [INSTANCE_ID]);
+};
+
+module.exports = {
+  countSpectators,
+  start,
+  stop
+};
@@ -0,0 +1,99 @@
+const pool = require('../db');
+const events = require('./events');
+const { formatGame, withPlayers, finishGame } = require('./games');
+const { isFlagged } = require('./clock');
+const { withTransaction } = require('./transaction');
+
+// Delay between two sweeps of the running clocks
+const SWEEP_INTERVAL = 1000;
+
+let timer = null;
+let sweeping = false;
+
+/**
+ * End every timed game whose player to move has run out of time
+ * A flagged game is lost by the player to move, even if they never
+ * send another request
+ * Games locked by a move in progress are skipped and checked again on
+ * the next sweep, since the move request detects the timeout itself
+ *
+ * @returns {Promise<Array>} Games finished by this sweep
+ */
+const sweepClocks = async () => {
+  const result = await pool.query(
+    "SELECT * FROM games WHERE status = 'in_progress' AND time_control IS NOT NULL AND turn_started_at IS NOT NULL"
+  );
+
+  const now = Date.now();
+  const finished = [];
+
+  for (const candidate of result.rows.filter(game => isFlagged(game, now))) {
+    try {
+      const game = await withTransaction(async (client) => {
+        const lockResult = await client.query(
+          'SELECT * FROM games WHERE id = $1 FOR UPDATE SKIP LOCKED',
+          [candidate.id]
+        );
+
+        // Locked by another request, or moved in the meantime
+        const current = lockResult.rows[0];
+        if (!current || !isFlagged(current)) {
+          return null;
+        }
+
+        const timedOut = await finishGame(client, current, current.current_turn === 'X' ? 'O' : 'X', 'timeout');
+        return withPlayers(client, timedOut);
+      });
+
+      if (game) {
+        await events.publish(`game:${game.id}`, 'game:update', formatGame(game));
+        finished.push(game);
+      }
+    } catch (error) {
+      console.error(`Error ending timed out game ${candidate.id}:`, error);
+    }
+  }
+
+  return finished;
+};
+
+/**
+ * Start sweeping the clocks periodically
+ * A sweep never starts while the previous one is still running
+ *
+ * @param {number} [interval] - Delay between sweeps in milliseconds
+ */
+const start = (interval = SWEEP_INTERVAL) => {
+  if (timer) {
+    return;
+  }
+
+  timer = setInterval(async () => {
+    if (sweeping) {
+      return;
+    }
+
+    sweeping = true;
+    try {
+      await sweepClocks();
+    } catch (error) {
+      console.error('Error sweeping game clocks:', error);
+    } finally {
+      sweeping = false;
+    }
+  }, interval);
+};
+
+/**
+ * Stop sweeping the clocks
+ */
+const stop = () => {
+  clearInterval(timer);
+  timer = null;
+};
+
+module.exports = {
+  sweepClocks,
+  start,
+  stop
+};
@@ -0,0 +1,32 @@
+const crypto = require('crypto');
+
+/**
+ * Secret tokens sent to clients (refresh tokens, links sent by email)
+ *
+ * Tokens are random and only their SHA-256 hash is stored, so a leak of
+ * the database does not leak usable tokens. Being unguessable, they do not
+ * need a slow hash like passwords
+ */
+
+// Random bytes in a token (encoded as 43 URL-safe characters)
+const TOKEN_BYTES = 32;
+
+/**
+ * Generate a new secret token
+ *
+ * @returns {string} Unguessable URL-safe token
+ */
+const generateSecretToken = () => crypto.randomBytes(TOKEN_BYTES).toString('base64url');
+
+/**
+ * Hash a secret token for storage and lookup
+ *
+ * @param {string} token - Secret token
+ * @returns {string} Hex SHA-256 digest
+ */
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+module.exports = {
+  generateSecretToken,
+  hashToken
+};
@@ -0,0 +1,151 @@
+const crypto = require('crypto');
+
+/**
+ * Time-based one-time passwords (RFC 6238), as generated by authenticator
+ * apps: a 6-digit code derived from a shared secret and the current
+ * 30-second time step with HMAC-SHA1 (RFC 4226)
+ */
+
+// Alphabet of the base32 encoding used for secrets (RFC 4648)
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+// Random bytes in a secret (encoded as 32 base32 characters)
+const SECRET_BYTES = 20;
+
+// Duration of a time step, in seconds
+const STEP_SECONDS = 30;
+
+// Digits in a code
+const DIGITS = 6;
+
+// Time steps accepted on each side of the current one, for clock drift
+const DRIFT_STEPS = 1;
+
+/**
+ * Encode bytes in base32, without padding
+ *
+ * @param {Buffer} buffer - Bytes to encode
+ * @returns {string} Base32 string
+ */
+const base32Encode = (buffer) => {
+  let bits = '';
+  for (const byte of buffer) {
+    bits += byte.toString(2).padStart(8, '0');
+  }
+
+  let output = '';
+  for (let i = 0; i < bits.length; i += 5) {
+    output += BASE32_ALPHABET[parseInt(bits.slice(i, i + 5).padEnd(5, '0'), 2)];
+  }
+  return output;
+};
+
+/**
+ * Decode a base32 string; case, spaces and padding are ignored
+ *
+ * @param {string} input - Base32 string
+ * @returns {Buffer} Decoded bytes
+ * @throws {Error} If the string contains other characters
+ */
+const base32Decode = (input) => {
+  let bits = '';
+  for (const char of input.toUpperCase().replace(/[\s=]/g, '')) {
+    const value = BASE32_ALPHABET.indexOf(char);
+    if (value === -1) {
+      throw new Error(`Invalid base32 character: ${char}`);
+    }
+    bits += value.toString(2).padStart(5, '0');
+  }
+
+  const bytes = [];
+  for (let i = 0; i + 8 <= bits.length; i += 8) {
+    bytes.push(parseInt(bits.slice(i, i + 8), 2));
+  }
+  return Buffer.from(bytes);
+};
+
+/**
+ * Generate a new shared secret
+ *
+ * @returns {string} Base32 secret, to store and show to the user
+ */
+const generateSecret = () => base32Encode(crypto.randomBytes(SECRET_BYTES));
+
+/**
+ * Get the time step of a moment
+ *
+ * @param {number} [time] - Timestamp in milliseconds (defaults to now)
+ * @returns {number} Time step number
+ */
+const getStep = (time = Date.now()) => Math.floor(time / 1000 / STEP_SECONDS);
+
+/**
+ * Generate the code of a time step
+ *
+ * @param {string} secret - Base32 secret
+ * @param {number} step - Time step number
+ * @returns {string} Code of DIGITS digits
+ */
+const generateCode = (secret, step) => {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+
+  // Dynamic truncation (RFC 4226 section 5.3)
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+  return String(binary % 10 ** DIGITS).padStart(DIGITS, '0');
+};
+
+/**
+ * Check a code against the steps around a moment
+ *
+ * @param {string} secret - Base32 secret
+ * @param {string} code - Code typed by the user
+ * @param {number} [time] - Timestamp in milliseconds (defaults to now)
+ * @returns {number|null} Time step the code belongs to, or null if it is wrong;
+ *                        callers store it to refuse the same code twice
+ */
+const verifyCode = (secret, code, time = Date.now()) => {
+  if (typeof code !== 'string' || !new RegExp(`^\\d{${DIGITS}}$`).test(code)) {
+    return null;
+  }
+
+  const current = getStep(time);
+  for (let step = current - DRIFT_STEPS; step <= current + DRIFT_STEPS; step++) {
+    if (crypto.timingSafeEqual(Buffer.from(generateCode(secret, step)), Buffer.from(code))) {
+      return step;
+    }
+  }
+  return null;
+};
+
+/**
+ * Build the otpauth:// URI that authenticator apps import (usually as a QR code)
+ *
+ * @param {Object} options - { secret, account, issuer }
+ * @returns {string} otpauth URI
+ */
+const buildUri = ({ secret, account, issuer }) => {
+  const label = encodeURIComponent(`${issuer}:${account}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(DIGITS),
+    period: String(STEP_SECONDS)
+  });
+  return `otpauth://totp/${label}?${params}`;
+};
+
+module.exports = {
+  STEP_SECONDS,
+  base32Encode,
+  base32Decode,
+  generateSecret,
+  getStep,
+  generateCode,
+  verifyCode,
+  buildUri
+};
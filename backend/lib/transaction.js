@@ -0,0 +1,43 @@
+const pool = require('../db');
+
+// Postgres error codes raised when two requests race for the same rows
+const LOCK_NOT_AVAILABLE = '55P03'; // SELECT ... FOR UPDATE NOWAIT on a locked row
+const UNIQUE_VIOLATION = '23505';
+
+/**
+ * Run a callback inside a database transaction
+ * Commits if the callback resolves, rolls back if it throws
+ *
+ * @param {Function} callback - Async function receiving the transaction client
+ * @returns {Promise<*>} Value returned by the callback
+ */
+const withTransaction = async (callback) => {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+    const result = await callback(client);
+    await client.query('COMMIT');
+    return result;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * Check if an error means another request won a race for the same rows
+ *
+ * @param {Error} error - Error thrown by a query
+ * @returns {boolean} True if the request should be answered with 409 Conflict
+ */
+const isConflictError = (error) => {
+  return error.code === LOCK_NOT_AVAILABLE || error.code === UNIQUE_VIOLATION;
+};
+
+module.exports = {
+  withTransaction,
+  isConflictError
+};
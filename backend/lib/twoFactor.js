@@ -0,0 +1,155 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const pool = require('../db');
+const totp = require('./totp');
+const { hashToken } = require('./tokens');
+const { JWT_SECRET } = require('../middleware/auth');
+
+/**
+ * Two-factor authentication
+ *
+ * Users enable it by scanning a TOTP secret into an authenticator app and
+ * confirming a first code; they then get one-time recovery codes for when
+ * the app is lost. Logging in to such an account takes two steps: the
+ * password exchanges for a short-lived challenge token, and the challenge
+ * token plus a code (from the app, or a recovery code) for the session
+ */
+
+// Name of the account's issuer shown in authenticator apps
+const ISSUER = 'Tic-Tac-Toe';
+
+// Lifetime of a login challenge, in seconds
+const CHALLENGE_TTL_SECONDS = parseInt(process.env.TWO_FACTOR_CHALLENGE_TTL_SECONDS) || 300;
+
+// Recovery codes issued at once; issuing new ones invalidates the old ones
+const RECOVERY_CODE_COUNT = 10;
+
+// Purpose claim telling challenge tokens apart from access tokens
+const CHALLENGE_PURPOSE = '2fa';
+
+/**
+ * Build the otpauth URI of a user's secret
+ *
+ * @param {Object} user - User with username
+ * @param {string} secret - Base32 secret
+ * @returns {string} otpauth URI, rendered as a QR code by the frontend
+ */
+const buildUri = (user, secret) => totp.buildUri({ secret, account: user.username, issuer: ISSUER });
+
+/**
+ * Normalize a recovery code as typed by the user (case, spaces and dashes)
+ *
+ * @param {string} code - Recovery code
+ * @returns {string} Normalized code
+ */
+const normalizeRecoveryCode = (code) => code.toLowerCase().replace(/[\s-]/g, '');
+
+/**
+ * Replace the recovery codes of a user
+ *
+ * @param {number} userId - User ID
+ * @param {Object} [client] - Database client, to run inside a transaction
+ * @returns {Promise<Array<string>>} New codes, e.g. "3f9a1-c07be"; only their hashes are stored
+ */
+const replaceRecoveryCodes = async (userId, client = pool) => {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const hex = crypto.randomBytes(5).toString('hex');
+    return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+  });
+
+  await client.query('DELETE FROM recovery_codes WHERE user_id = $1', [userId]);
+  await client.query(
+    'INSERT INTO recovery_codes (user_id, code_hash) SELECT $1, UNNEST($2::char(64)[])',
+    [userId, codes.map(code => hashToken(normalizeRecoveryCode(code)))]
+  );
+
+  return codes;
+};
+
+/**
+ * Count the recovery codes a user has left
+ *
+ * @param {number} userId - User ID
+ * @returns {Promise<number>} Unused recovery codes
+ */
+const countRecoveryCodes = async (userId) => {
+  const result = await pool.query(
+    'SELECT COUNT(*)::int AS count FROM recovery_codes WHERE user_id = $1 AND used_at IS NULL',
+    [userId]
+  );
+  return result.rows[0].count;
+};
+
+/**
+ * Check a second-factor code of a user with two-factor authentication enabled
+ * An authenticator code is refused if it (or a later one) was already used,
+ * and a recovery code is used up
+ *
+ * @param {Object} user - User row with id and totp_secret
+ * @param {string} code - Authenticator or recovery code
+ * @param {Object} [client] - Database client, to run inside a transaction
+ * @returns {Promise<string|null>} 'totp' or 'recovery', or null if the code is rejected
+ */
+const checkCode = async (user, code, client = pool) => {
+  if (typeof code !== 'string') {
+    return null;
+  }
+
+  const step = totp.verifyCode(user.totp_secret, code.replace(/\s/g, ''));
+  if (step !== null) {
+    const result = await client.query(
+      `UPDATE users SET totp_last_step = $2
+       WHERE id = $1 AND (totp_last_step IS NULL OR totp_last_step < $2)
+       RETURNING id`,
+      [user.id, step]
+    );
+    return result.rows.length > 0 ? 'totp' : null;
+  }
+
+  const result = await client.query(
+    `UPDATE recovery_codes SET used_at = CURRENT_TIMESTAMP
+     WHERE user_id = $1 AND code_hash = $2 AND used_at IS NULL
+     RETURNING id`,
+    [user.id, hashToken(normalizeRecoveryCode(code))]
+  );
+  return result.rows.length > 0 ? 'recovery' : null;
+};
+
+/**
+ * Create the challenge token of a login waiting for its second factor
+ * It carries no session ID, so it is never accepted as an access token
+ *
+ * @param {Object} user - User with id
+ * @returns {string} Signed challenge token, valid CHALLENGE_TTL_SECONDS
+ */
+const createChallenge = (user) => jwt.sign(
+  { id: user.id, purpose: CHALLENGE_PURPOSE },
+  JWT_SECRET,
+  { expiresIn: CHALLENGE_TTL_SECONDS }
+);
+
+/**
+ * Read a challenge token
+ *
+ * @param {string} token - Challenge token from the first login step
+ * @returns {number|null} ID of the user logging in, or null if the token is
+ *                        invalid, expired or not a challenge token
+ */
+const readChallenge = (token) => {
+  try {
+    const payload = jwt.verify(token, JWT_SECRET);
+    return payload.purpose === CHALLENGE_PURPOSE ? payload.id : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+module.exports = {
+  CHALLENGE_TTL_SECONDS,
+  buildUri,
+  replaceRecoveryCodes,
+  countRecoveryCodes,
+  checkCode,
+  createChallenge,
+  readChallenge
+};
@@ -0,0 +1,90 @@
+const { checkWinner } = require('./board');
+
+/**
+ * Ultimate Tic-Tac-Toe helpers
+ *
+ * The board is stored as 81 cells grouped by small board:
+ * position = smallBoard * 9 + cell, where both smallBoard and cell
+ * are indexes (0-8) on a 3x3 grid, row by row
+ */
+
+// Number of cells on a small board (and number of small boards)
+const SMALL_BOARD_CELLS = 9;
+
+/**
+ * Get the cells of one small board
+ *
+ * @param {Array} board - 81-cell ultimate board
+ * @param {number} index - Small board index (0-8)
+ * @returns {Array} 9 cells of the small board
+ */
+const getSmallBoard = (board, index) => {
+  return board.slice(index * SMALL_BOARD_CELLS, (index + 1) * SMALL_BOARD_CELLS);
+};
+
+/**
+ * Get the meta-board: the result of each small board
+ *
+ * @param {Array} board - 81-cell ultimate board
+ * @returns {Array} 9 cells: 'X' or 'O' (won), 'D' (drawn) or '' (still open)
+ */
+const getMetaBoard = (board) => {
+  const meta = [];
+  for (let index = 0; index < SMALL_BOARD_CELLS; index++) {
+    meta.push(checkWinner(getSmallBoard(board, index)) || '');
+  }
+  return meta;
+};
+
+/**
+ * Check if there's a winner of the whole game
+ * A player wins with three won small boards in a row; drawn boards
+ * count for nobody, and the game is a draw once every board is decided
+ *
+ * @param {Array} board - 81-cell ultimate board
+ * @returns {string|null} 'X', 'O', 'D' (draw), or null (game continues)
+ */
+const checkUltimateWinner = (board) => checkWinner(getMetaBoard(board));
+
+/**
+ * Validate a move against the "sent to board" rule
+ *
+ * @param {Array} board - 81-cell ultimate board
+ * @param {number|null} nextBoard - Small board the player must play in (null = any)
+ * @param {number} position - Position of the move (0-80)
+ * @returns {string|null} Error message, or null if the move is allowed
+ */
+const validateUltimateMove = (board, nextBoard, position) => {
+  const smallBoard = Math.floor(position / SMALL_BOARD_CELLS);
+
+  if (nextBoard !== null && smallBoard !== nextBoard) {
+    return `You must play in board ${nextBoard + 1}`;
+  }
+
+  if (getMetaBoard(board)[smallBoard] !== '') {
+    return 'This board is already decided';
+  }
+
+  return null;
+};
+
+/**
+ * Get the small board the opponent is sent to after a move
+ * The cell played inside its small board picks the next small board;
+ * if that board is already decided the opponent may play anywhere
+ *
+ * @param {Array} board - 81-cell ultimate board, after the move
+ * @param {number} position - Position of the move (0-80)
+ * @returns {number|null} Next small board index, or null for any board
+ */
+const getNextBoard = (board, position) => {
+  const target = position % SMALL_BOARD_CELLS;
+  return getMetaBoard(board)[target] === '' ? target : null;
+};
+
+module.exports = {
+  getMetaBoard,
+  checkUltimateWinner,
+  validateUltimateMove,
+  getNextBoard
+};
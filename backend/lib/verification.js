@@ -0,0 +1,166 @@
+const pool = require('../db');
+const { generateSecretToken, hashToken } = require('./tokens');
+const { sendMail, appLink } = require('./mailer');
+const { withTransaction } = require('./transaction');
+
+/**
+ * Email address verification
+ *
+ * A link carrying a single-use token is emailed on registration (and on
+ * request afterwards); following it sets users.verified_at. Unverified
+ * accounts work normally unless EMAIL_VERIFICATION_REQUIRED_FOR lists
+ * actions they are barred from:
+ * - 'ranked': games against other players (creating, joining, matchmaking),
+ *   which change the Elo rating; bot games stay open
+ * - 'chat': posting in game chats
+ */
+
+// Actions that can be reserved to verified accounts
+const RESTRICTIONS = ['ranked', 'chat'];
+
+// Lifetime of a verification link, in hours
+const VERIFICATION_TTL_HOURS = parseInt(process.env.EMAIL_VERIFICATION_TTL_HOURS) || 48;
+
+// Minimum delay between two verification emails to the same user, in seconds
+const RESEND_INTERVAL_SECONDS = parseInt(process.env.EMAIL_VERIFICATION_RESEND_SECONDS) || 60;
+
+// Error messages of the restricted actions
+const RESTRICTION_ERRORS = {
+  ranked: 'Verify your email address to play against other players',
+  chat: 'Verify your email address to chat'
+};
+
+// Loose email format check: something@domain.tld, no spaces
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@.]+(\.[^\s@.]+)+$/;
+
+/**
+ * Check the format of an email address
+ *
+ * @param {string} email - Email address
+ * @returns {boolean} True if the address looks deliverable
+ */
+const isValidEmail = (email) => typeof email === 'string' && email.length <= 255 && EMAIL_PATTERN.test(email);
+
+/**
+ * Get the actions reserved to verified accounts in this deployment
+ *
+ * @returns {Array<string>} Actions listed in EMAIL_VERIFICATION_REQUIRED_FOR (none by default)
+ */
+const getRequiredFor = () => (process.env.EMAIL_VERIFICATION_REQUIRED_FOR || '')
+  .split(',')
+  .map(action => action.trim())
+  .filter(action => RESTRICTIONS.includes(action));
+
+/**
+ * Get the actions a user is currently barred from
+ *
+ * @param {Object} user - User row with verified_at
+ * @returns {Array<string>} Restricted actions, empty once the email is verified
+ */
+const getRestrictions = (user) => (user.verified_at ? [] : getRequiredFor());
+
+/**
+ * Check whether an action is reserved to verified accounts
+ *
+ * @param {string} action - One of RESTRICTIONS
+ * @returns {boolean} True if unverified users cannot perform the action
+ */
+const isRestricted = (action) => getRequiredFor().includes(action);
+
+/**
+ * Check whether a user verified their email address
+ *
+ * @param {number} userId - User ID
+ * @returns {Promise<boolean>} True once the address is verified
+ */
+const isEmailVerified = async (userId) => {
+  const result = await pool.query('SELECT verified_at FROM users WHERE id = $1', [userId]);
+  return result.rows.length > 0 && result.rows[0].verified_at !== null;
+};
+
+/**
+ * Email a new verification link to a user
+ * Earlier links of the user stop working
+ *
+ * @param {Object} user - User row with id, username and email
+ * @returns {Promise<void>}
+ */
+const sendVerificationEmail = async (user) => {
+  const token = generateSecretToken();
+
+  await withTransaction(async (client) => {
+    await client.query(
+      'UPDATE email_verifications SET used_at = CURRENT_TIMESTAMP WHERE user_id = $1 AND used_at IS NULL',
+      [user.id]
+    );
+    await client.query(
+      `INSERT INTO email_verifications (user_id, token_hash, expires_at)
+       VALUES ($1, $2, CURRENT_TIMESTAMP + $3 * INTERVAL '1 hour')`,
+      [user.id, hashToken(token), VERIFICATION_TTL_HOURS]
+    );
+  });
+
+  await sendMail({
+    to: user.email,
+    subject: 'Verify your Tic-Tac-Toe email address',
+    text: [
+      `Hi ${user.username},`,
+      '',
+      'Please confirm that this is your email address by opening this link',
+      `within ${VERIFICATION_TTL_HOURS} hours:`,
+      '',
+      appLink('/verify-email', { token }),
+      '',
+      'If you did not create a Tic-Tac-Toe account, you can ignore this email.'
+    ].join('\n')
+  });
+};
+
+/**
+ * Get how long a user must wait before another verification email
+ *
+ * @param {number} userId - User ID
+ * @returns {Promise<number>} Seconds to wait, 0 if an email can be sent now
+ */
+const getResendDelay = async (userId) => {
+  const result = await pool.query(
+    `SELECT CEIL(EXTRACT(EPOCH FROM MAX(created_at) + $2 * INTERVAL '1 second' - CURRENT_TIMESTAMP))::int AS delay
+     FROM email_verifications WHERE user_id = $1`,
+    [userId, RESEND_INTERVAL_SECONDS]
+  );
+  return Math.max(0, result.rows[0].delay || 0);
+};
+
+/**
+ * Verify an email address with the token of a verification link
+ *
+ * @param {string} token - Token from the link
+ * @returns {Promise<number|null>} ID of the verified user, or null if the
+ *                                 token is unknown, used or expired
+ */
+const verifyEmail = async (token) => {
+  const result = await pool.query(
+    `WITH verification AS (
+       UPDATE email_verifications SET used_at = CURRENT_TIMESTAMP
+       WHERE token_hash = $1 AND used_at IS NULL AND expires_at > CURRENT_TIMESTAMP
+       RETURNING user_id
+     )
+     UPDATE users SET verified_at = COALESCE(verified_at, CURRENT_TIMESTAMP)
+     WHERE id = (SELECT user_id FROM verification)
+     RETURNING id`,
+    [hashToken(token)]
+  );
+  return result.rows.length > 0 ? result.rows[0].id : null;
+};
+
+module.exports = {
+  RESTRICTIONS,
+  RESTRICTION_ERRORS,
+  isValidEmail,
+  getRestrictions,
+  isRestricted,
+  isEmailVerified,
+  sendVerificationEmail,
+  getResendDelay,
+  verifyEmail
+};
@@ -1,8 +1,34 @@
 const jwt = require('jsonwebtoken');
+const { ACCESS_TOKEN_TTL_SECONDS, isSessionActive } = require('../lib/sessions');
+const { RESTRICTION_ERRORS, isRestricted, isEmailVerified } = require('../lib/verification');
 
 // Secret key for JWT signing - in production, use environment variable
 const JWT_SECRET = process.env.JWT_SECRET || 'your-secret-key-change-in-production';
 
+/**
+ * Verify an access token
+ * The token must be correctly signed, not expired, and belong to a session
+ * that is still active (not logged out or revoked)
+ *
+ * @param {string} token - JWT access token
+ * @returns {Promise<Object|null>} Decoded user, or null if the token is rejected
+ */
+const verifyAccessToken = async (token) => {
+  let user;
+  try {
+    user = jwt.verify(token, JWT_SECRET);
+  } catch (error) {
+    return null;
+  }
+
+  // Tokens issued before sessions existed carry no session ID
+  if (!user.sid || !(await isSessionActive(user.sid))) {
+    return null;
+  }
+
+  return user;
+};
+
 /**
  * Authentication middleware to verify JWT tokens
  * Checks if the request has a valid JWT token in the Authorization header
@@ -12,7 +38,7 @@ const JWT_SECRET = process.env.JWT_SECRET || 'your-secret-key-change-in-producti
  * @param {Object} res - Express response object
  * @param {Function} next - Express next middleware function
  */
-const authenticateToken = (req, res, next) => {
+const authenticateToken = async (req, res, next) => {
   // Get token from Authorization header (format: "Bearer TOKEN")
   const authHeader = req.headers['authorization'];
   const token = authHeader && authHeader.split(' ')[1];
@@ -22,37 +48,73 @@ const authenticateToken = (req, res, next) => {
     return res.status(401).json({ error: 'Access token required' });
   }
 
-  // Verify the token
-  jwt.verify(token, JWT_SECRET, (err, user) => {
-    if (err) {
+  try {
+    // Verify the token and its session
+    const user = await verifyAccessToken(token);
+    if (!user) {
       return res.status(403).json({ error: 'Invalid or expired token' });
     }
 
     // Attach user information to request object for use in route handlers
     req.user = user;
-    next();
-  });
+  } catch (error) {
+    console.error('Error verifying access token:', error);
+    return res.status(500).json({ error: 'Failed to authenticate' });
+  }
+
+  next();
+};
+
+/**
+ * Create a middleware reserving a route to users with a verified email
+ * Does nothing unless the action is listed in EMAIL_VERIFICATION_REQUIRED_FOR
+ * Must run after authenticateToken
+ *
+ * @param {string} action - Restricted action ('ranked' or 'chat')
+ * @param {Function} [appliesTo] - Called with the request; the check is skipped when it returns false
+ * @returns {Function} Express middleware
+ */
+const requireVerifiedEmail = (action, appliesTo = () => true) => async (req, res, next) => {
+  if (!isRestricted(action) || !appliesTo(req)) {
+    return next();
+  }
+
+  try {
+    if (!(await isEmailVerified(req.user.id))) {
+      return res.status(403).json({ error: RESTRICTION_ERRORS[action] });
+    }
+  } catch (error) {
+    console.error('Error checking email verification:', error);
+    return res.status(500).json({ error: 'Failed to check email verification' });
+  }
+
+  next();
 };
 
 /**
- * Generate a JWT token for a user
- * Token expires in 24 hours by default
+ * Generate a JWT access token for a user
+ * Access tokens are short-lived (ACCESS_TOKEN_TTL_SECONDS) and are
+ * renewed with the session's refresh token
  *
  * @param {Object} user - User object with id, username, and email
+ * @param {number} sessionId - ID of the session the token belongs to
  * @returns {string} JWT token
  */
-const generateToken = (user) => {
+const generateToken = (user, sessionId) => {
   const payload = {
     id: user.id,
     username: user.username,
-    email: user.email
+    email: user.email,
+    sid: sessionId
   };
 
-  return jwt.sign(payload, JWT_SECRET, { expiresIn: '24h' });
+  return jwt.sign(payload, JWT_SECRET, { expiresIn: ACCESS_TOKEN_TTL_SECONDS });
 };
 
 module.exports = {
   authenticateToken,
+  verifyAccessToken,
+  requireVerifiedEmail,
   generateToken,
   JWT_SECRET
 };
@@ -0,0 +1,41 @@
+const { rateLimit, readSetting } = require('../lib/rateLimit');
+
+/**
+ * Rate limiters of the API routes, configured with environment variables
+ * (see lib/rateLimit.js)
+ */
+
+/**
+ * Every API request, per client IP
+ */
+const limitApi = rateLimit({
+  name: 'api',
+  max: readSetting('RATE_LIMIT_API_MAX', 300),
+  windowSeconds: readSetting('RATE_LIMIT_API_WINDOW_SECONDS', 60)
+});
+
+/**
+ * Login, registration and password reset attempts, per client IP
+ */
+const limitAuth = rateLimit({
+  name: 'auth',
+  max: readSetting('RATE_LIMIT_AUTH_MAX', 20),
+  windowSeconds: readSetting('RATE_LIMIT_AUTH_WINDOW_SECONDS', 900)
+});
+
+/**
+ * Game creation, per user, so the lobby cannot be flooded
+ * Must run after authenticateToken
+ */
+const limitGameCreation = rateLimit({
+  name: 'games',
+  by: 'user',
+  max: readSetting('RATE_LIMIT_GAME_CREATE_MAX', 10),
+  windowSeconds: readSetting('RATE_LIMIT_GAME_CREATE_WINDOW_SECONDS', 60)
+});
+
+module.exports = {
+  limitApi,
+  limitAuth,
+  limitGameCreation
+};
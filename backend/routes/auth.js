@@ -1,22 +1,84 @@
 const express = require('express');
 const bcrypt = require('bcrypt');
 const pool = require('../db');
-const { generateToken } = require('../middleware/auth');
+const { authenticateToken, generateToken } = require('../middleware/auth');
+const { limitAuth } = require('../middleware/rateLimit');
+const sessions = require('../lib/sessions');
+const events = require('../lib/events');
+const { generateSecretToken, hashToken } = require('../lib/tokens');
+const { withTransaction } = require('../lib/transaction');
+const { sendMail, appLink } = require('../lib/mailer');
+const verification = require('../lib/verification');
+const totp = require('../lib/totp');
+const twoFactor = require('../lib/twoFactor');
+const lockout = require('../lib/loginLockout');
 
 const router = express.Router();
 
+// Minimum length of a password
+const MIN_PASSWORD_LENGTH = 6;
+
+// Lifetime of a password reset link, in minutes
+const PASSWORD_RESET_TTL_MINUTES = parseInt(process.env.PASSWORD_RESET_TTL_MINUTES) || 60;
+
+// Columns of the users table needed by formatUser
+const USER_COLUMNS = 'id, username, email, created_at, verified_at, totp_enabled_at';
+
+/**
+ * Close the WebSocket connections of revoked sessions on every backend instance
+ *
+ * @param {number[]} sessionIds - IDs of the revoked sessions
+ */
+const disconnectSessions = (sessionIds) => Promise.all(
+  sessionIds.map(sessionId => events.publish(`session:${sessionId}`, 'session:revoked', {}))
+);
+
+/**
+ * Format a user for the client
+ *
+ * @param {Object} user - User row with the USER_COLUMNS
+ * @returns {Object} Public profile, with the actions the user is barred from
+ *                   until their email is verified
+ */
+const formatUser = (user) => ({
+  id: user.id,
+  username: user.username,
+  email: user.email,
+  created_at: user.created_at,
+  verified_at: user.verified_at,
+  two_factor_enabled: user.totp_enabled_at !== null,
+  restrictions: verification.getRestrictions(user)
+});
+
+/**
+ * Open a session and issue its tokens
+ *
+ * @param {Object} user - User object with id, username, and email
+ * @param {Object} req - Express request object of the login
+ * @returns {Promise<Object>} { token, refresh_token, expires_in } to merge into the response
+ */
+const startSession = async (user, req) => {
+  const { session, refreshToken } = await sessions.createSession(user.id, req);
+  return {
+    token: generateToken(user, session.id),
+    refresh_token: refreshToken,
+    expires_in: sessions.ACCESS_TOKEN_TTL_SECONDS
+  };
+};
+
 /**
  * Register a new user
  * POST /api/auth/register
  *
- * Creates a new user account with hashed password
- * Returns user info and JWT token on success
+ * Creates a new user account with hashed password and emails it a
+ * verification link
+ * Returns user info, an access token and a refresh token on success
  *
  * @body {string} username - Unique username (3-50 characters)
  * @body {string} email - Valid email address
  * @body {string} password - Password (minimum 6 characters)
  */
-router.post('/register', async (req, res) => {
+router.post('/register', limitAuth, async (req, res) => {
   const { username, email, password } = req.body;
 
   // Validate input
@@ -28,8 +90,12 @@ router.post('/register', async (req, res) => {
     return res.status(400).json({ error: 'Username must be between 3 and 50 characters' });
   }
 
-  if (password.length < 6) {
-    return res.status(400).json({ error: 'Password must be at least 6 characters' });
+  if (!verification.isValidEmail(email)) {
+    return res.status(400).json({ error: 'Invalid email address' });
+  }
+
+  if (password.length < MIN_PASSWORD_LENGTH) {
+    return res.status(400).json({ error: `Password must be at least ${MIN_PASSWORD_LENGTH} characters` });
   }
 
   try {
@@ -48,24 +114,26 @@ router.post('/register', async (req, res) => {
 
     // Insert new user into database
     const result = await pool.query(
-      'INSERT INTO users (username, email, password_hash) VALUES ($1, $2, $3) RETURNING id, username, email, created_at',
+      `INSERT INTO users (username, email, password_hash) VALUES ($1, $2, $3) RETURNING ${USER_COLUMNS}`,
       [username, email, passwordHash]
     );
 
     const newUser = result.rows[0];
 
-    // Generate JWT token for the new user
-    const token = generateToken(newUser);
+    // The account works without it; a new link can be requested later
+    try {
+      await verification.sendVerificationEmail(newUser);
+    } catch (error) {
+      console.error('Error sending verification email:', error);
+    }
+
+    // Log the new user in
+    const tokens = await startSession(newUser, req);
 
     res.status(201).json({
       message: 'User registered successfully',
-      user: {
-        id: newUser.id,
-        username: newUser.username,
-        email: newUser.email,
-        created_at: newUser.created_at
-      },
-      token
+      user: formatUser(newUser),
+      ...tokens
     });
   } catch (error) {
     console.error('Error registering user:', error);
@@ -73,17 +141,59 @@ router.post('/register', async (req, res) => {
   }
 });
 
+/**
+ * Refuse a login attempt on a locked account
+ *
+ * @param {Object} res - Express response object
+ * @param {number} delay - Seconds the account stays locked
+ */
+const sendLocked = (res, delay) => {
+  res.set('Retry-After', String(delay));
+  res.status(429).json({ error: `Too many failed logins, please try again in ${delay} seconds` });
+};
+
+/**
+ * Complete a login: record it and open a session for this device
+ *
+ * @param {Object} user - User row with the USER_COLUMNS
+ * @param {Object} req - Express request object of the login
+ * @returns {Promise<Object>} Response body of a successful login
+ */
+const completeLogin = async (user, req) => {
+  await pool.query(
+    'UPDATE users SET last_login = CURRENT_TIMESTAMP WHERE id = $1',
+    [user.id]
+  );
+  await lockout.clearFailedLogins(user.id);
+
+  const tokens = await startSession(user, req);
+
+  return {
+    message: 'Login successful',
+    user: formatUser(user),
+    ...tokens
+  };
+};
+
 /**
  * Login with existing credentials
  * POST /api/auth/login
  *
- * Authenticates user and returns JWT token
+ * Authenticates user and opens a session: returns a short-lived access
+ * token (JWT) and the refresh token used to renew it
  * Updates last_login timestamp on success
  *
+ * Accounts with two-factor authentication get no session yet: the
+ * response is { two_factor_required: true, challenge_token, expires_in },
+ * and the challenge token must be exchanged with a code at /login/2fa
+ *
+ * Repeated failures lock the account for longer and longer (see
+ * lib/loginLockout.js): logins are then refused with 429 and Retry-After
+ *
  * @body {string} username - Username or email
  * @body {string} password - User password
  */
-router.post('/login', async (req, res) => {
+router.post('/login', limitAuth, async (req, res) => {
   const { username, password } = req.body;
 
   // Validate input
@@ -94,7 +204,7 @@ router.post('/login', async (req, res) => {
   try {
     // Find user by username or email
     const result = await pool.query(
-      'SELECT id, username, email, password_hash, created_at FROM users WHERE username = $1 OR email = $1',
+      `SELECT ${USER_COLUMNS}, password_hash FROM users WHERE username = $1 OR email = $1`,
       [username]
     );
 
@@ -104,35 +214,617 @@ router.post('/login', async (req, res) => {
 
     const user = result.rows[0];
 
+    const lockDelay = await lockout.getLockDelay(user.id);
+    if (lockDelay > 0) {
+      return sendLocked(res, lockDelay);
+    }
+
     // Compare provided password with stored hash
     const passwordMatch = await bcrypt.compare(password, user.password_hash);
 
     if (!passwordMatch) {
+      await lockout.recordFailedLogin(user.id);
       return res.status(401).json({ error: 'Invalid credentials' });
     }
 
-    // Update last login timestamp
-    await pool.query(
-      'UPDATE users SET last_login = CURRENT_TIMESTAMP WHERE id = $1',
-      [user.id]
+    // The second factor is checked by /login/2fa
+    if (user.totp_enabled_at) {
+      return res.json({
+        two_factor_required: true,
+        challenge_token: twoFactor.createChallenge(user),
+        expires_in: twoFactor.CHALLENGE_TTL_SECONDS
+      });
+    }
+
+    res.json(await completeLogin(user, req));
+  } catch (error) {
+    console.error('Error logging in:', error);
+    res.status(500).json({ error: 'Failed to login' });
+  }
+});
+
+/**
+ * Complete a two-factor login
+ * POST /api/auth/login/2fa
+ *
+ * Exchanges the challenge token returned by /login and a code from the
+ * authenticator app (or an unused recovery code) for a session, like a
+ * password-only login; wrong codes count as failed logins
+ *
+ * @body {string} challenge_token - Challenge token from /login
+ * @body {string} code - 6-digit authenticator code, or a recovery code
+ */
+router.post('/login/2fa', limitAuth, async (req, res) => {
+  const { challenge_token: challengeToken, code } = req.body;
+
+  if (!challengeToken || typeof challengeToken !== 'string' || !code || typeof code !== 'string') {
+    return res.status(400).json({ error: 'Challenge token and code are required' });
+  }
+
+  const userId = twoFactor.readChallenge(challengeToken);
+  if (!userId) {
+    return res.status(401).json({ error: 'Invalid or expired challenge, please log in again' });
+  }
+
+  try {
+    const result = await pool.query(
+      `SELECT ${USER_COLUMNS}, totp_secret FROM users WHERE id = $1`,
+      [userId]
+    );
+    const user = result.rows[0];
+
+    // Two-factor authentication was disabled since the challenge was issued
+    if (!user || !user.totp_enabled_at) {
+      return res.status(401).json({ error: 'Invalid or expired challenge, please log in again' });
+    }
+
+    const lockDelay = await lockout.getLockDelay(user.id);
+    if (lockDelay > 0) {
+      return sendLocked(res, lockDelay);
+    }
+
+    const method = await twoFactor.checkCode(user, code);
+    if (!method) {
+      await lockout.recordFailedLogin(user.id);
+      return res.status(401).json({ error: 'Invalid code' });
+    }
+
+    const response = await completeLogin(user, req);
+    if (method === 'recovery') {
+      response.recovery_codes_left = await twoFactor.countRecoveryCodes(user.id);
+    }
+
+    res.json(response);
+  } catch (error) {
+    console.error('Error completing two-factor login:', error);
+    res.status(500).json({ error: 'Failed to login' });
+  }
+});
+
+/**
+ * Request a password reset
+ * POST /api/auth/forgot-password
+ *
+ * Emails a single-use reset link to the account with this email, replacing
+ * any earlier link. The response is the same whether or not an account
+ * exists, so it cannot be used to find out who is registered
+ *
+ * @body {string} email - Email address of the account
+ */
+router.post('/forgot-password', limitAuth, async (req, res) => {
+  const { email } = req.body;
+
+  if (!email || typeof email !== 'string') {
+    return res.status(400).json({ error: 'Email is required' });
+  }
+
+  const response = { message: 'If an account exists for this email, a reset link has been sent' };
+
+  try {
+    const result = await pool.query(
+      'SELECT id, username, email FROM users WHERE email = $1',
+      [email.trim()]
     );
 
-    // Generate JWT token
-    const token = generateToken(user);
+    if (result.rows.length === 0) {
+      return res.json(response);
+    }
+
+    const user = result.rows[0];
+    const token = generateSecretToken();
+
+    await withTransaction(async (client) => {
+      // Only the latest link works
+      await client.query(
+        'UPDATE password_resets SET used_at = CURRENT_TIMESTAMP WHERE user_id = $1 AND used_at IS NULL',
+        [user.id]
+      );
+      await client.query(
+        `INSERT INTO password_resets (user_id, token_hash, expires_at)
+         VALUES ($1, $2, CURRENT_TIMESTAMP + $3 * INTERVAL '1 minute')`,
+        [user.id, hashToken(token), PASSWORD_RESET_TTL_MINUTES]
+      );
+    });
+
+    try {
+      await sendMail({
+        to: user.email,
+        subject: 'Reset your Tic-Tac-Toe password',
+        text: [
+          `Hi ${user.username},`,
+          '',
+          'Someone asked to reset the password of your Tic-Tac-Toe account.',
+          `Choose a new password within ${PASSWORD_RESET_TTL_MINUTES} minutes:`,
+          '',
+          appLink('/reset-password', { token }),
+          '',
+          'If you did not ask for this, you can ignore this email.'
+        ].join('\n')
+      });
+    } catch (error) {
+      // Answering with an error would reveal that the account exists
+      console.error('Error sending password reset email:', error);
+    }
+
+    res.json(response);
+  } catch (error) {
+    console.error('Error requesting password reset:', error);
+    res.status(500).json({ error: 'Failed to request password reset' });
+  }
+});
+
+/**
+ * Reset a password
+ * POST /api/auth/reset-password
+ *
+ * Sets a new password with the token of a reset link. The token can only
+ * be used once, and every session of the account is logged out
+ *
+ * @body {string} token - Token from the reset link
+ * @body {string} password - New password (minimum 6 characters)
+ */
+router.post('/reset-password', limitAuth, async (req, res) => {
+  const { token, password } = req.body;
+
+  if (!token || typeof token !== 'string' || !password || typeof password !== 'string') {
+    return res.status(400).json({ error: 'Token and password are required' });
+  }
+
+  if (password.length < MIN_PASSWORD_LENGTH) {
+    return res.status(400).json({ error: `Password must be at least ${MIN_PASSWORD_LENGTH} characters` });
+  }
+
+  try {
+    const passwordHash = await bcrypt.hash(password, 10);
+
+    const revokedSessionIds = await withTransaction(async (client) => {
+      // Consuming the token in the same statement that checks it keeps it single-use
+      const reset = await client.query(
+        `UPDATE password_resets SET used_at = CURRENT_TIMESTAMP
+         WHERE token_hash = $1 AND used_at IS NULL AND expires_at > CURRENT_TIMESTAMP
+         RETURNING user_id`,
+        [hashToken(token)]
+      );
+
+      if (reset.rows.length === 0) {
+        return null;
+      }
+
+      const { user_id: resetUserId } = reset.rows[0];
+      await client.query('UPDATE users SET password_hash = $1 WHERE id = $2', [passwordHash, resetUserId]);
+      return sessions.revokeAllSessions(resetUserId, client);
+    });
+
+    if (!revokedSessionIds) {
+      return res.status(400).json({ error: 'Invalid or expired reset token' });
+    }
+
+    await disconnectSessions(revokedSessionIds);
+
+    res.json({ message: 'Password has been reset' });
+  } catch (error) {
+    console.error('Error resetting password:', error);
+    res.status(500).json({ error: 'Failed to reset password' });
+  }
+});
+
+/**
+ * Verify an email address
+ * GET /api/auth/verify/:token
+ *
+ * Marks the address as verified with the token of an emailed
+ * verification link; the link can only be used once
+ */
+router.get('/verify/:token', async (req, res) => {
+  try {
+    const userId = await verification.verifyEmail(req.params.token);
+    if (!userId) {
+      return res.status(400).json({ error: 'Invalid or expired verification link' });
+    }
+
+    const result = await pool.query(
+      `SELECT ${USER_COLUMNS} FROM users WHERE id = $1`,
+      [userId]
+    );
 
     res.json({
-      message: 'Login successful',
-      user: {
-        id: user.id,
-        username: user.username,
-        email: user.email,
-        created_at: user.created_at
-      },
-      token
+      message: 'Email verified',
+      user: formatUser(result.rows[0])
     });
   } catch (error) {
-    console.error('Error logging in:', error);
-    res.status(500).json({ error: 'Failed to login' });
+    console.error('Error verifying email:', error);
+    res.status(500).json({ error: 'Failed to verify email' });
+  }
+});
+
+/**
+ * Resend the verification email
+ * POST /api/auth/verify/resend
+ *
+ * Emails a new verification link, replacing the previous one. Limited to
+ * one email per EMAIL_VERIFICATION_RESEND_SECONDS: earlier requests get
+ * 429 with a Retry-After header
+ */
+router.post('/verify/resend', authenticateToken, async (req, res) => {
+  try {
+    const result = await pool.query(
+      'SELECT id, username, email, verified_at FROM users WHERE id = $1',
+      [req.user.id]
+    );
+    const user = result.rows[0];
+
+    if (user.verified_at) {
+      return res.status(400).json({ error: 'Email already verified' });
+    }
+
+    const delay = await verification.getResendDelay(user.id);
+    if (delay > 0) {
+      res.set('Retry-After', String(delay));
+      return res.status(429).json({ error: `Please wait ${delay} seconds before requesting another email` });
+    }
+
+    await verification.sendVerificationEmail(user);
+    res.json({ message: 'Verification email sent' });
+  } catch (error) {
+    console.error('Error resending verification email:', error);
+    res.status(500).json({ error: 'Failed to send verification email' });
+  }
+});
+
+/**
+ * Renew an access token
+ * POST /api/auth/refresh
+ *
+ * Exchanges the session's refresh token for a new access token and a new
+ * refresh token; the old refresh token can no longer be used
+ *
+ * @body {string} refresh_token - Current refresh token of the session
+ */
+router.post('/refresh', async (req, res) => {
+  const { refresh_token: refreshToken } = req.body;
+
+  if (!refreshToken || typeof refreshToken !== 'string') {
+    return res.status(400).json({ error: 'Refresh token is required' });
+  }
+
+  try {
+    const rotated = await sessions.rotateSession(refreshToken, req);
+    if (!rotated) {
+      return res.status(401).json({ error: 'Invalid refresh token' });
+    }
+
+    const result = await pool.query(
+      `SELECT ${USER_COLUMNS} FROM users WHERE id = $1`,
+      [rotated.session.user_id]
+    );
+    const user = result.rows[0];
+
+    res.json({
+      user: formatUser(user),
+      token: generateToken(user, rotated.session.id),
+      refresh_token: rotated.refreshToken,
+      expires_in: sessions.ACCESS_TOKEN_TTL_SECONDS
+    });
+  } catch (error) {
+    console.error('Error refreshing token:', error);
+    res.status(500).json({ error: 'Failed to refresh token' });
+  }
+});
+
+/**
+ * Logout
+ * POST /api/auth/logout
+ *
+ * Revokes the session of the given refresh token: its refresh token and
+ * access tokens stop working. Works without an access token, so an
+ * expired client can still log out; unknown tokens are ignored
+ *
+ * @body {string} refresh_token - Refresh token of the session to close
+ */
+router.post('/logout', async (req, res) => {
+  const { refresh_token: refreshToken } = req.body;
+
+  if (!refreshToken || typeof refreshToken !== 'string') {
+    return res.status(400).json({ error: 'Refresh token is required' });
+  }
+
+  try {
+    const sessionId = await sessions.revokeByRefreshToken(refreshToken);
+    if (sessionId) {
+      await disconnectSessions([sessionId]);
+    }
+    res.json({ message: 'Logged out' });
+  } catch (error) {
+    console.error('Error logging out:', error);
+    res.status(500).json({ error: 'Failed to logout' });
+  }
+});
+
+/**
+ * List active sessions
+ * GET /api/auth/sessions
+ *
+ * Returns the devices the user is logged in on; the session of the
+ * request's access token is flagged as current
+ */
+router.get('/sessions', authenticateToken, async (req, res) => {
+  try {
+    const rows = await sessions.listSessions(req.user.id);
+    res.json({
+      sessions: rows.map(session => ({ ...session, current: session.id === req.user.sid }))
+    });
+  } catch (error) {
+    console.error('Error fetching sessions:', error);
+    res.status(500).json({ error: 'Failed to fetch sessions' });
+  }
+});
+
+/**
+ * Revoke a session
+ * DELETE /api/auth/sessions/:id
+ *
+ * Logs one of the user's devices out; revoking the current session
+ * logs out the caller
+ */
+router.delete('/sessions/:id', authenticateToken, async (req, res) => {
+  const sessionId = Number(req.params.id);
+
+  if (!Number.isInteger(sessionId) || sessionId <= 0) {
+    return res.status(400).json({ error: 'Invalid session ID' });
+  }
+
+  try {
+    const revoked = await sessions.revokeSession(req.user.id, sessionId);
+    if (!revoked) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+
+    await disconnectSessions([sessionId]);
+    res.json({ message: 'Session revoked' });
+  } catch (error) {
+    console.error('Error revoking session:', error);
+    res.status(500).json({ error: 'Failed to revoke session' });
+  }
+});
+
+/**
+ * Get the two-factor authentication status
+ * GET /api/auth/2fa
+ *
+ * Returns whether two-factor authentication is enabled and how many
+ * recovery codes are left
+ */
+router.get('/2fa', authenticateToken, async (req, res) => {
+  try {
+    const result = await pool.query('SELECT totp_enabled_at FROM users WHERE id = $1', [req.user.id]);
+    const enabled = result.rows[0].totp_enabled_at !== null;
+
+    res.json({
+      enabled,
+      recovery_codes_left: enabled ? await twoFactor.countRecoveryCodes(req.user.id) : 0
+    });
+  } catch (error) {
+    console.error('Error fetching two-factor status:', error);
+    res.status(500).json({ error: 'Failed to fetch two-factor status' });
+  }
+});
+
+/**
+ * Start enabling two-factor authentication
+ * POST /api/auth/2fa/setup
+ *
+ * Generates a new TOTP secret and returns it with its otpauth URI, to add
+ * to an authenticator app. Two-factor authentication stays disabled until
+ * a first code is confirmed with /2fa/enable; calling this again replaces
+ * the pending secret
+ */
+router.post('/2fa/setup', authenticateToken, async (req, res) => {
+  try {
+    const secret = totp.generateSecret();
+
+    const result = await pool.query(
+      `UPDATE users SET totp_secret = $2, totp_last_step = NULL
+       WHERE id = $1 AND totp_enabled_at IS NULL
+       RETURNING username`,
+      [req.user.id, secret]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(400).json({ error: 'Two-factor authentication is already enabled' });
+    }
+
+    res.json({
+      secret,
+      otpauth_uri: twoFactor.buildUri(result.rows[0], secret)
+    });
+  } catch (error) {
+    console.error('Error setting up two-factor authentication:', error);
+    res.status(500).json({ error: 'Failed to set up two-factor authentication' });
+  }
+});
+
+/**
+ * Enable two-factor authentication
+ * POST /api/auth/2fa/enable
+ *
+ * Confirms the secret from /2fa/setup with a first code and returns the
+ * recovery codes, which are only shown this once
+ *
+ * @body {string} code - 6-digit code from the authenticator app
+ */
+router.post('/2fa/enable', authenticateToken, async (req, res) => {
+  const { code } = req.body;
+
+  if (!code || typeof code !== 'string') {
+    return res.status(400).json({ error: 'Code is required' });
+  }
+
+  try {
+    const result = await pool.query(
+      'SELECT totp_secret, totp_enabled_at FROM users WHERE id = $1',
+      [req.user.id]
+    );
+    const user = result.rows[0];
+
+    if (user.totp_enabled_at) {
+      return res.status(400).json({ error: 'Two-factor authentication is already enabled' });
+    }
+
+    if (!user.totp_secret) {
+      return res.status(400).json({ error: 'Set up two-factor authentication first' });
+    }
+
+    const step = totp.verifyCode(user.totp_secret, code.replace(/\s/g, ''));
+    if (step === null) {
+      return res.status(400).json({ error: 'Invalid code' });
+    }
+
+    const recoveryCodes = await withTransaction(async (client) => {
+      const enabled = await client.query(
+        `UPDATE users SET totp_enabled_at = CURRENT_TIMESTAMP, totp_last_step = $3
+         WHERE id = $1 AND totp_secret = $2 AND totp_enabled_at IS NULL
+         RETURNING id`,
+        [req.user.id, user.totp_secret, step]
+      );
+
+      // Enabled, or set up again, by a concurrent request
+      if (enabled.rows.length === 0) {
+        return null;
+      }
+
+      return twoFactor.replaceRecoveryCodes(req.user.id, client);
+    });
+
+    if (!recoveryCodes) {
+      return res.status(409).json({ error: 'Two-factor setup changed, please try again' });
+    }
+
+    res.json({
+      message: 'Two-factor authentication enabled',
+      recovery_codes: recoveryCodes
+    });
+  } catch (error) {
+    console.error('Error enabling two-factor authentication:', error);
+    res.status(500).json({ error: 'Failed to enable two-factor authentication' });
+  }
+});
+
+/**
+ * Disable two-factor authentication
+ * POST /api/auth/2fa/disable
+ *
+ * Requires the password and a current code (or a recovery code), so a
+ * stolen session cannot remove the second factor; wrong ones count as
+ * failed logins, and are refused with 429 while the account is locked
+ *
+ * @body {string} password - User password
+ * @body {string} code - Authenticator or recovery code
+ */
+router.post('/2fa/disable', authenticateToken, limitAuth, async (req, res) => {
+  const { password, code } = req.body;
+
+  if (!password || typeof password !== 'string' || !code || typeof code !== 'string') {
+    return res.status(400).json({ error: 'Password and code are required' });
+  }
+
+  try {
+    const result = await pool.query(
+      'SELECT id, password_hash, totp_secret, totp_enabled_at FROM users WHERE id = $1',
+      [req.user.id]
+    );
+    const user = result.rows[0];
+
+    if (!user.totp_enabled_at) {
+      return res.status(400).json({ error: 'Two-factor authentication is not enabled' });
+    }
+
+    const lockDelay = await lockout.getLockDelay(user.id);
+    if (lockDelay > 0) {
+      return sendLocked(res, lockDelay);
+    }
+
+    if (!(await bcrypt.compare(password, user.password_hash)) || !(await twoFactor.checkCode(user, code))) {
+      await lockout.recordFailedLogin(user.id);
+      return res.status(401).json({ error: 'Invalid password or code' });
+    }
+
+    await withTransaction(async (client) => {
+      await client.query(
+        'UPDATE users SET totp_secret = NULL, totp_enabled_at = NULL, totp_last_step = NULL WHERE id = $1',
+        [user.id]
+      );
+      await client.query('DELETE FROM recovery_codes WHERE user_id = $1', [user.id]);
+    });
+
+    res.json({ message: 'Two-factor authentication disabled' });
+  } catch (error) {
+    console.error('Error disabling two-factor authentication:', error);
+    res.status(500).json({ error: 'Failed to disable two-factor authentication' });
+  }
+});
+
+/**
+ * Regenerate the recovery codes
+ * POST /api/auth/2fa/recovery-codes
+ *
+ * Replaces every recovery code (used or not) with new ones, returned
+ * this once; wrong codes count as failed logins, like at /2fa/disable
+ *
+ * @body {string} code - Authenticator or recovery code
+ */
+router.post('/2fa/recovery-codes', authenticateToken, limitAuth, async (req, res) => {
+  const { code } = req.body;
+
+  if (!code || typeof code !== 'string') {
+    return res.status(400).json({ error: 'Code is required' });
+  }
+
+  try {
+    const result = await pool.query(
+      'SELECT id, totp_secret, totp_enabled_at FROM users WHERE id = $1',
+      [req.user.id]
+    );
+    const user = result.rows[0];
+
+    if (!user.totp_enabled_at) {
+      return res.status(400).json({ error: 'Two-factor authentication is not enabled' });
+    }
+
+    const lockDelay = await lockout.getLockDelay(user.id);
+    if (lockDelay > 0) {
+      return sendLocked(res, lockDelay);
+    }
+
+    if (!(await twoFactor.checkCode(user, code))) {
+      await lockout.recordFailedLogin(user.id);
+      return res.status(401).json({ error: 'Invalid code' });
+    }
+
+    const recoveryCodes = await withTransaction(client => twoFactor.replaceRecoveryCodes(user.id, client));
+    res.json({ recovery_codes: recoveryCodes });
+  } catch (error) {
+    console.error('Error regenerating recovery codes:', error);
+    res.status(500).json({ error: 'Failed to regenerate recovery codes' });
   }
 });
 
@@ -140,15 +832,14 @@ router.post('/login', async (req, res) => {
  * Get current user profile
  * GET /api/auth/me
  *
- * Returns the authenticated user's profile information
+ * Returns the authenticated user's profile information, in the same
+ * format as after a login, with the last login date
  * Requires valid JWT token in Authorization header
  */
-router.get('/me', async (req, res) => {
-  // This route should be protected by authenticateToken middleware
-  // which is applied in server.js
+router.get('/me', authenticateToken, async (req, res) => {
   try {
     const result = await pool.query(
-      'SELECT id, username, email, created_at, last_login FROM users WHERE id = $1',
+      `SELECT ${USER_COLUMNS}, last_login FROM users WHERE id = $1`,
       [req.user.id]
     );
 
@@ -156,7 +847,8 @@ router.get('/me', async (req, res) => {
       return res.status(404).json({ error: 'User not found' });
     }
 
-    res.json({ user: result.rows[0] });
+    const user = result.rows[0];
+    res.json({ user: { ...formatUser(user), last_login: user.last_login } });
   } catch (error) {
     console.error('Error fetching user profile:', error);
     res.status(500).json({ error: 'Failed to fetch user profile' });
@@ -1,43 +1,185 @@
+const crypto = require('crypto');
 const express = require('express');
 const pool = require('../db');
+const events = require('../lib/events');
+const { DEFAULT_SIZE, DEFAULT_WIN_LENGTH, createBoard, validateBoardSettings, checkWinner } = require('../lib/board');
+const { BOT_LEVELS, chooseMove } = require('../lib/bot');
+const { checkUltimateWinner, validateUltimateMove, getNextBoard } = require('../lib/ultimate');
+const { formatGame, withPlayers, finishGame, canViewGame } = require('../lib/games');
+const { validateTimeControl, isFlagged, getTimeAfterMove } = require('../lib/clock');
+const { countSpectators } = require('../lib/spectators');
+const { withTransaction, isConflictError } = require('../lib/transaction');
+const { ApiError } = require('../lib/errors');
+const { decodeCursor, parseLimit, paginate, parseDateFilter } = require('../lib/pagination');
+const { requireVerifiedEmail } = require('../middleware/auth');
+const { limitGameCreation } = require('../middleware/rateLimit');
 
 const router = express.Router();
 
+// Game types: classic m,n,k games and Ultimate Tic-Tac-Toe
+const GAME_TYPES = ['standard', 'ultimate'];
+
+// Ultimate games store their 9 small boards in a single 81-cell board
+const ULTIMATE_SIZE = 9;
+
+// Number of recent rated games the rating trend of the stats is computed over
+const RATING_TREND_GAMES = 10;
+
+// Random bytes in an invite code (encoded as 22 URL-safe characters)
+const INVITE_CODE_BYTES = 16;
+
+// Statuses accepted by the game list filter
+const GAME_STATUSES = ['waiting', 'in_progress', 'finished', 'aborted'];
+
+// Results the game list can be filtered on, from the user's point of view ($1 is the user ID)
+const RESULT_CONDITIONS = {
+  win: "((winner = 'X' AND player_x_id = $1) OR (winner = 'O' AND player_o_id = $1))",
+  loss: "((winner = 'O' AND player_x_id = $1) OR (winner = 'X' AND player_o_id = $1))",
+  draw: "(winner = 'D' AND (player_x_id = $1 OR player_o_id = $1))"
+};
+
+// Game list orders; IDs follow creation order
+const SORT_ORDERS = {
+  newest: 'DESC',
+  oldest: 'ASC'
+};
+
+// Games per page of the game list when no limit is given, and the maximum
+const DEFAULT_GAMES_LIMIT = 20;
+const MAX_GAMES_LIMIT = 100;
+
 /**
- * Check if there's a winner on the board
- * Checks all rows, columns, and diagonals
+ * Select a game and lock its row for the rest of the transaction
+ * NOWAIT makes a concurrent request fail at once instead of queuing
+ * behind the lock and acting on a state it never saw
  *
- * @param {Array} board - 9-element array representing the game board
- * @returns {string|null} 'X', 'O', 'D' (draw), or null (game continues)
+ * @param {Object} client - Transaction client
+ * @param {string|number} id - Game ID
+ * @returns {Promise<Object>} Locked game row
+ * @throws {ApiError} 404 if the game does not exist
  */
-const checkWinner = (board) => {
-  // Winning combinations (indexes on a 3x3 grid)
-  const winPatterns = [
-    [0, 1, 2], // Top row
-    [3, 4, 5], // Middle row
-    [6, 7, 8], // Bottom row
-    [0, 3, 6], // Left column
-    [1, 4, 7], // Middle column
-    [2, 5, 8], // Right column
-    [0, 4, 8], // Diagonal top-left to bottom-right
-    [2, 4, 6]  // Diagonal top-right to bottom-left
-  ];
-
-  // Check each winning pattern
-  for (const pattern of winPatterns) {
-    const [a, b, c] = pattern;
-    if (board[a] && board[a] === board[b] && board[a] === board[c]) {
-      return board[a]; // Return 'X' or 'O'
-    }
+const lockGame = async (client, id) => {
+  const result = await client.query('SELECT * FROM games WHERE id = $1 FOR UPDATE NOWAIT', [id]);
+
+  if (result.rows.length === 0) {
+    throw new ApiError(404, 'Game not found');
+  }
+
+  return result.rows[0];
+};
+
+/**
+ * Get the symbol a user plays in a game
+ *
+ * @param {Object} game - Game row
+ * @param {number} userId - User ID
+ * @returns {string} 'X' or 'O'
+ * @throws {ApiError} 403 if the user is not a player in the game
+ */
+const getPlayerSymbol = (game, userId) => {
+  if (game.player_x_id === userId) {
+    return 'X';
+  }
+  if (game.player_o_id === userId) {
+    return 'O';
+  }
+  throw new ApiError(403, 'You are not a player in this game');
+};
+
+/**
+ * Get the symbol of a player's opponent
+ *
+ * @param {string} symbol - 'X' or 'O'
+ * @returns {string} 'O' or 'X'
+ */
+const opponentOf = (symbol) => (symbol === 'X' ? 'O' : 'X');
+
+/**
+ * Format a game for its creator
+ * Adds the invite code of private games, which is left out of the
+ * shared game format so it never reaches the lobby or game channels
+ *
+ * @param {Object} game - Game row
+ * @param {number} userId - User ID of the requester
+ * @returns {Object} Formatted game
+ */
+const formatGameFor = (game, userId) => {
+  const formatted = formatGame(game);
+  if (game.is_private && game.player_x_id === userId) {
+    formatted.invite_code = game.invite_code;
+  }
+  return formatted;
+};
+
+/**
+ * Add a user to a locked game as player O and start it
+ *
+ * @param {Object} client - Transaction client
+ * @param {Object} game - Game row (locked by the caller)
+ * @param {number} playerId - ID of the joining user
+ * @returns {Promise<Object>} Updated game row
+ * @throws {ApiError} 400 if the game cannot be joined by this user
+ */
+const joinGame = async (client, game, playerId) => {
+  // Check if game is waiting for a player
+  if (game.status !== 'waiting') {
+    throw new ApiError(400, 'Game is not available to join');
+  }
+
+  // Check if user is trying to join their own game
+  if (game.player_x_id === playerId) {
+    throw new ApiError(400, 'Cannot join your own game');
+  }
+
+  // Check if game already has player O
+  if (game.player_o_id) {
+    throw new ApiError(400, 'Game already has two players');
+  }
+
+  // Update game with player O and change status to in_progress
+  // The clock of player X starts running in timed games
+  const updateResult = await client.query(
+    'UPDATE games SET player_o_id = $1, status = $2, turn_started_at = $3, started_at = CURRENT_TIMESTAMP WHERE id = $4 RETURNING *',
+    [playerId, 'in_progress', game.time_control ? new Date() : null, game.id]
+  );
+
+  return withPlayers(client, updateResult.rows[0]);
+};
+
+/**
+ * Publish the events of a game that was just joined
+ * Pushes the new state to player X and removes public games from open lobbies
+ *
+ * @param {Object} game - Updated game row
+ */
+const publishJoin = async (game) => {
+  await events.publish(`game:${game.id}`, 'game:update', formatGame(game));
+
+  if (!game.is_private) {
+    await events.publish('lobby', 'game:filled', formatGame(game));
+  }
+};
+
+/**
+ * Send the error response for a failed game request
+ * ApiErrors carry their own status, lost races become 409 Conflict,
+ * anything else is logged and reported as a 500
+ *
+ * @param {Object} res - Express response object
+ * @param {Error} error - Error thrown while handling the request
+ * @param {string} message - Error message for unexpected failures
+ */
+const sendError = (res, error, message) => {
+  if (error instanceof ApiError) {
+    return res.status(error.status).json({ error: error.message });
   }
 
-  // Check for draw (all cells filled, no winner)
-  if (board.every(cell => cell !== '')) {
-    return 'D';
+  if (isConflictError(error)) {
+    return res.status(409).json({ error: 'Game was updated by another request, please retry' });
   }
 
-  // Game continues
-  return null;
+  console.error(`${message}:`, error);
+  res.status(500).json({ error: message });
 };
 
 /**
@@ -45,31 +187,117 @@ const checkWinner = (board) => {
  * POST /api/games
  *
  * Creates a new tic-tac-toe game with the authenticated user as player X
- * Game status is 'waiting' until another player joins
+ * Game status is 'waiting' until another player joins, unless the game
+ * is played against the built-in bot, which takes player O and starts at once
+ * Games against players are reserved to verified emails when 'ranked' is restricted
+ * Limited to RATE_LIMIT_GAME_CREATE_MAX games per user and window
+ *
+ * @body {string} [opponent] - 'bot' to play against the built-in bot
+ * @body {string} [difficulty] - Bot level: 'easy', 'medium' or 'hard' (default: 'medium')
+ * @body {number} [board_width] - Number of columns (default: 3)
+ * @body {number} [board_height] - Number of rows (default: 3)
+ * @body {number} [win_length] - Symbols in a row needed to win (default: 3, e.g. 5 for Gomoku)
+ * @body {string} [game_type] - 'standard' (default) or 'ultimate' (fixed board of 9 small boards)
+ * @body {boolean} [private] - Hide the game from the lobby; the response carries the invite code to share
+ * @body {Object} [time_control] - { type: 'move', seconds } for a limit per move, or
+ *                                 { type: 'total', seconds, increment } for a limit per player for the whole game
  */
-router.post('/', async (req, res) => {
+router.post('/', limitGameCreation, requireVerifiedEmail('ranked', req => req.body.opponent !== 'bot'), async (req, res) => {
+  const {
+    opponent,
+    difficulty = 'medium',
+    game_type: gameType = 'standard',
+    private: isPrivate = false,
+    time_control: timeControl = null
+  } = req.body;
+
+  if (!GAME_TYPES.includes(gameType)) {
+    return res.status(400).json({ error: `Invalid game type. Must be one of: ${GAME_TYPES.join(', ')}` });
+  }
+
+  const isUltimate = gameType === 'ultimate';
+  const hasBoardSettings = ['board_width', 'board_height', 'win_length'].some(key => req.body[key] !== undefined);
+
+  if (isUltimate && hasBoardSettings) {
+    return res.status(400).json({ error: 'Ultimate games use a fixed board and do not accept board settings' });
+  }
+
+  // Ultimate games keep their 9 small boards in one 9x9 board
+  const {
+    board_width: width = isUltimate ? ULTIMATE_SIZE : DEFAULT_SIZE,
+    board_height: height = isUltimate ? ULTIMATE_SIZE : DEFAULT_SIZE,
+    win_length: winLength = DEFAULT_WIN_LENGTH
+  } = req.body;
+
+  if (opponent !== undefined && opponent !== 'bot') {
+    return res.status(400).json({ error: "Invalid opponent. Must be 'bot' or omitted" });
+  }
+
+  const botLevel = opponent === 'bot' ? difficulty : null;
+
+  if (botLevel && !BOT_LEVELS.includes(botLevel)) {
+    return res.status(400).json({ error: `Invalid difficulty. Must be one of: ${BOT_LEVELS.join(', ')}` });
+  }
+
+  if (typeof isPrivate !== 'boolean') {
+    return res.status(400).json({ error: 'Invalid private flag. Must be a boolean' });
+  }
+
+  if (botLevel && isPrivate) {
+    return res.status(400).json({ error: 'Bot games cannot be private' });
+  }
+
+  if (timeControl !== null) {
+    if (botLevel) {
+      return res.status(400).json({ error: 'Bot games cannot be timed' });
+    }
+
+    const timeControlError = validateTimeControl(timeControl);
+    if (timeControlError) {
+      return res.status(400).json({ error: timeControlError });
+    }
+  }
+
+  const settingsError = validateBoardSettings(width, height, winLength);
+  if (settingsError) {
+    return res.status(400).json({ error: settingsError });
+  }
+
+  // The bot only knows how to play classic tic-tac-toe
+  const isClassic = !isUltimate && width === DEFAULT_SIZE && height === DEFAULT_SIZE && winLength === DEFAULT_WIN_LENGTH;
+  if (botLevel && !isClassic) {
+    return res.status(400).json({ error: 'Bot games are only available on the classic 3x3 board' });
+  }
+
   try {
     const playerId = req.user.id;
 
+    const inviteCode = isPrivate ? crypto.randomBytes(INVITE_CODE_BYTES).toString('base64url') : null;
+
+    // Both clocks start full; they only run once the opponent has joined
+    const timeLimit = timeControl ? timeControl.seconds : null;
+    const clockMs = timeControl ? timeControl.seconds * 1000 : null;
+
     // Create new game with current user as player X
     const result = await pool.query(
-      'INSERT INTO games (player_x_id, status) VALUES ($1, $2) RETURNING *',
-      [playerId, 'waiting']
+      `INSERT INTO games (player_x_id, status, bot_level, game_type, board, board_width, board_height, win_length, is_private, invite_code,
+                          time_control, time_limit_seconds, increment_seconds, player_x_time_ms, player_o_time_ms, started_at)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $14,
+               CASE WHEN $3::varchar IS NULL THEN NULL ELSE CURRENT_TIMESTAMP END) RETURNING *`,
+      [playerId, botLevel ? 'in_progress' : 'waiting', botLevel, gameType, JSON.stringify(createBoard(width, height)), width, height, winLength, isPrivate, inviteCode,
+        timeControl ? timeControl.type : null, timeLimit, timeControl ? timeControl.increment || 0 : 0, clockMs]
     );
 
-    const game = result.rows[0];
+    const game = await withPlayers(pool, result.rows[0]);
+
+    // Let lobby subscribers know a new public game is waiting for a player
+    if (!botLevel && !isPrivate) {
+      await events.publish('lobby', 'game:created', formatGame(game));
+    }
 
     res.status(201).json({
       message: 'Game created successfully',
-      game: {
-        id: game.id,
-        player_x_id: game.player_x_id,
-        player_o_id: game.player_o_id,
-        board: JSON.parse(game.board),
-        current_turn: game.current_turn,
-        status: game.status,
-        created_at: game.created_at
-      }
+      game: formatGameFor(game, playerId)
     });
   } catch (error) {
     console.error('Error creating game:', error);
@@ -83,59 +311,73 @@ router.post('/', async (req, res) => {
  *
  * Allows a user to join a waiting game as player O
  * Updates game status to 'in_progress'
+ * Runs in a transaction with the game row locked, so two users racing
+ * for the same game cannot both join (the loser gets 409 Conflict)
+ * Reserved to verified emails when 'ranked' is restricted
+ *
+ * @body {string} [invite_code] - Required to join a private game
  */
-router.post('/:id/join', async (req, res) => {
+router.post('/:id/join', requireVerifiedEmail('ranked'), async (req, res) => {
   const { id } = req.params;
   const playerId = req.user.id;
 
   try {
-    // Get the game
-    const gameResult = await pool.query('SELECT * FROM games WHERE id = $1', [id]);
+    const updatedGame = await withTransaction(async (client) => {
+      // Get the game and lock it until the transaction ends
+      const game = await lockGame(client, id);
 
-    if (gameResult.rows.length === 0) {
-      return res.status(404).json({ error: 'Game not found' });
-    }
+      // Private games can only be joined with their invite code
+      if (game.is_private && req.body.invite_code !== game.invite_code) {
+        throw new ApiError(403, 'This game is private. Join it with its invite code');
+      }
 
-    const game = gameResult.rows[0];
+      return joinGame(client, game, playerId);
+    });
 
-    // Check if game is waiting for a player
-    if (game.status !== 'waiting') {
-      return res.status(400).json({ error: 'Game is not available to join' });
-    }
+    await publishJoin(updatedGame);
 
-    // Check if user is trying to join their own game
-    if (game.player_x_id === playerId) {
-      return res.status(400).json({ error: 'Cannot join your own game' });
-    }
+    res.json({
+      message: 'Joined game successfully',
+      game: formatGame(updatedGame)
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to join game');
+  }
+});
 
-    // Check if game already has player O
-    if (game.player_o_id) {
-      return res.status(400).json({ error: 'Game already has two players' });
-    }
+/**
+ * Join a private game with its invite code
+ * POST /api/games/join/:code
+ *
+ * Same as joining by ID, but the game is looked up by its invite code,
+ * which is all an invite link carries
+ */
+router.post('/join/:code', requireVerifiedEmail('ranked'), async (req, res) => {
+  const { code } = req.params;
+  const playerId = req.user.id;
 
-    // Update game with player O and change status to in_progress
-    const updateResult = await pool.query(
-      'UPDATE games SET player_o_id = $1, status = $2 WHERE id = $3 RETURNING *',
-      [playerId, 'in_progress', id]
-    );
+  try {
+    const updatedGame = await withTransaction(async (client) => {
+      const result = await client.query(
+        'SELECT * FROM games WHERE invite_code = $1 FOR UPDATE NOWAIT',
+        [code]
+      );
+
+      if (result.rows.length === 0) {
+        throw new ApiError(404, 'Invalid invite code');
+      }
 
-    const updatedGame = updateResult.rows[0];
+      return joinGame(client, result.rows[0], playerId);
+    });
+
+    await publishJoin(updatedGame);
 
     res.json({
       message: 'Joined game successfully',
-      game: {
-        id: updatedGame.id,
-        player_x_id: updatedGame.player_x_id,
-        player_o_id: updatedGame.player_o_id,
-        board: JSON.parse(updatedGame.board),
-        current_turn: updatedGame.current_turn,
-        status: updatedGame.status,
-        created_at: updatedGame.created_at
-      }
+      game: formatGame(updatedGame)
     });
   } catch (error) {
-    console.error('Error joining game:', error);
-    res.status(500).json({ error: 'Failed to join game' });
+    sendError(res, error, 'Failed to join game');
   }
 });
 
@@ -145,8 +387,15 @@ router.post('/:id/join', async (req, res) => {
  *
  * Places a move on the board, checks for winner, and updates game state
  * Only the player whose turn it is can make a move
+ * In bot games the bot replies immediately as player O
+ * The game update, move records and game history row are written in one
+ * transaction with the game row locked; a request that loses a race
+ * against another move on the same game gets 409 Conflict
+ * In timed games the player's clock is updated, and a move played after
+ * the clock ran out ends the game as lost on time instead
  *
- * @body {number} position - Position on board (0-8)
+ * @body {number} position - Position on board (0 to width * height - 1, row by row)
+ *                           For ultimate games: smallBoard * 9 + cell (0-80)
  */
 router.post('/:id/move', async (req, res) => {
   const { id } = req.params;
@@ -154,141 +403,679 @@ router.post('/:id/move', async (req, res) => {
   const playerId = req.user.id;
 
   // Validate position
-  if (position === undefined || position < 0 || position > 8) {
-    return res.status(400).json({ error: 'Invalid position. Must be between 0 and 8' });
+  if (!Number.isInteger(position) || position < 0) {
+    return res.status(400).json({ error: 'Invalid position. Must be a non-negative integer' });
   }
 
   try {
-    // Get the game
-    const gameResult = await pool.query('SELECT * FROM games WHERE id = $1', [id]);
+    const { updatedGame, winner, botPosition, timedOut } = await withTransaction(async (client) => {
+      // Get the game and lock it until the transaction ends
+      const game = await lockGame(client, id);
 
-    if (gameResult.rows.length === 0) {
-      return res.status(404).json({ error: 'Game not found' });
+      // Check the position fits on this game's board
+      const cellCount = game.board_width * game.board_height;
+      if (position >= cellCount) {
+        throw new ApiError(400, `Invalid position. Must be between 0 and ${cellCount - 1}`);
+      }
+
+      // Check if game is in progress
+      if (game.status !== 'in_progress') {
+        throw new ApiError(400, 'Game is not in progress');
+      }
+
+      // Determine which player is making the move
+      const playerSymbol = getPlayerSymbol(game, playerId);
+
+      // Check if it's the player's turn
+      if (game.current_turn !== playerSymbol) {
+        throw new ApiError(400, 'Not your turn');
+      }
+
+      // A player whose clock ran out loses, even if the sweeper has not caught it yet
+      const now = Date.now();
+      if (isFlagged(game, now)) {
+        const timedOutGame = await finishGame(client, game, opponentOf(playerSymbol), 'timeout');
+        return { updatedGame: await withPlayers(client, timedOutGame), timedOut: true };
+      }
+
+      // Parse the board
+      const board = JSON.parse(game.board);
+
+      // Check if position is already occupied
+      if (board[position] !== '') {
+        throw new ApiError(400, 'Position already occupied');
+      }
+
+      // Enforce the "sent to board" rule of ultimate games
+      const isUltimate = game.game_type === 'ultimate';
+      if (isUltimate) {
+        const ultimateError = validateUltimateMove(board, game.next_board, position);
+        if (ultimateError) {
+          throw new ApiError(400, ultimateError);
+        }
+      }
+
+      // Make the move
+      board[position] = playerSymbol;
+
+      // Moves to record in game_moves, numbered from the first move of the game
+      const moveNumber = board.filter(cell => cell !== '').length;
+      const moves = [{ playerId, symbol: playerSymbol, position, moveNumber }];
+
+      // Check for winner or draw
+      let result = isUltimate
+        ? checkUltimateWinner(board)
+        : checkWinner(board, game.board_width, game.board_height, game.win_length);
+
+      // Small board the opponent is sent to (ultimate games only)
+      const nextBoard = isUltimate && !result ? getNextBoard(board, position) : null;
+
+      // Determine next turn
+      let nextTurn = playerSymbol === 'X' ? 'O' : 'X';
+
+      // In bot games, the bot answers right away as player O
+      let botMove = null;
+      if (!result && game.bot_level) {
+        botMove = chooseMove(board, 'O', game.bot_level);
+        board[botMove] = 'O';
+        moves.push({ playerId: null, symbol: 'O', position: botMove, moveNumber: moveNumber + 1 });
+        result = checkWinner(board);
+        nextTurn = 'X';
+      }
+
+      // Update game state and restart the clock for the next player
+      // Moving instead of answering declines the opponent's draw offer
+      const clockColumn = playerSymbol === 'X' ? 'player_x_time_ms' : 'player_o_time_ms';
+      const updateResult = await client.query(
+        `UPDATE games SET board = $1, current_turn = $2, next_board = $3, ${clockColumn} = $4, turn_started_at = $5,
+                          draw_offered_by = $6
+         WHERE id = $7 RETURNING *`,
+        [
+          JSON.stringify(board),
+          nextTurn,
+          nextBoard,
+          game.time_control ? getTimeAfterMove(game, playerSymbol, now) : null,
+          game.time_control ? new Date(now) : null,
+          game.draw_offered_by === playerSymbol ? playerSymbol : null,
+          id
+        ]
+      );
+      let updatedGame = updateResult.rows[0];
+
+      // Game finished: record in game history and update ratings
+      if (result) {
+        updatedGame = await finishGame(client, updatedGame, result, 'normal');
+      }
+
+      // Record the move (and the bot's reply) for replays
+      for (const move of moves) {
+        await client.query(
+          'INSERT INTO game_moves (game_id, player_id, symbol, position, move_number) VALUES ($1, $2, $3, $4, $5)',
+          [id, move.playerId, move.symbol, move.position, move.moveNumber]
+        );
+      }
+
+      return { updatedGame: await withPlayers(client, updatedGame), winner: result, botPosition: botMove };
+    });
+
+    // Push the new state to everyone watching this game
+    await events.publish(`game:${id}`, 'game:update', formatGame(updatedGame));
+
+    if (timedOut) {
+      return res.status(400).json({ error: 'Your time is up', game: formatGame(updatedGame) });
     }
 
-    const game = gameResult.rows[0];
+    let message = 'Move made successfully';
+    if (winner === 'D') {
+      message = 'Game ended in a draw';
+    } else if (winner) {
+      message = updatedGame.bot_level && winner === 'O' ? 'The bot wins!' : `Player ${winner} wins!`;
+    }
+
+    res.json({
+      message,
+      bot_move: botPosition,
+      game: formatGame(updatedGame)
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to make move');
+  }
+});
+
+/**
+ * Run a game action (resign, abort, draw offers, rematches) on a locked game
+ * Pushes the new state to the game channel once the transaction is committed
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} action - Receives (client, game, playerSymbol) and returns
+ *                            { game, message } with the updated game row, plus
+ *                            the new game as `rematch` when a rematch starts
+ * @param {string} failureMessage - Error message for unexpected failures
+ * @returns {Promise<Object|null>} Result of the action, or null if it failed
+ */
+const runGameAction = async (req, res, action, failureMessage) => {
+  try {
+    const result = await withTransaction(async (client) => {
+      const locked = await lockGame(client, req.params.id);
+      const outcome = await action(client, locked, getPlayerSymbol(locked, req.user.id));
+
+      return {
+        ...outcome,
+        game: await withPlayers(client, outcome.game),
+        rematch: outcome.rematch ? await withPlayers(client, outcome.rematch) : undefined
+      };
+    });
+    const { game, message, rematch } = result;
+
+    await events.publish(`game:${game.id}`, 'game:update', formatGame(game));
+
+    res.json(rematch
+      ? { message, game: formatGameFor(game, req.user.id), rematch: formatGameFor(rematch, req.user.id) }
+      : { message, game: formatGameFor(game, req.user.id) });
+    return result;
+  } catch (error) {
+    sendError(res, error, failureMessage);
+    return null;
+  }
+};
+
+/**
+ * Check that a game can still be played
+ *
+ * @param {Object} game - Game row
+ * @throws {ApiError} 400 if the game is not in progress
+ */
+const assertInProgress = (game) => {
+  if (game.status !== 'in_progress') {
+    throw new ApiError(400, 'Game is not in progress');
+  }
+};
 
-    // Check if game is in progress
-    if (game.status !== 'in_progress') {
-      return res.status(400).json({ error: 'Game is not in progress' });
+/**
+ * Resign a game
+ * POST /api/games/:id/resign
+ *
+ * The opponent (or the bot) wins the game
+ */
+router.post('/:id/resign', (req, res) => {
+  runGameAction(req, res, async (client, game, playerSymbol) => {
+    assertInProgress(game);
+
+    return {
+      game: await finishGame(client, game, opponentOf(playerSymbol), 'resignation'),
+      message: 'You resigned'
+    };
+  }, 'Failed to resign');
+});
+
+/**
+ * Abort a game
+ * POST /api/games/:id/abort
+ *
+ * Allowed to the creator while the game is waiting for an opponent, and to
+ * either player until the first move is played. Aborted games have no
+ * winner and count in neither the statistics nor the ratings
+ */
+router.post('/:id/abort', async (req, res) => {
+  const result = await runGameAction(req, res, async (client, game) => {
+    if (game.status === 'in_progress') {
+      const board = JSON.parse(game.board);
+      if (board.some(cell => cell !== '')) {
+        throw new ApiError(400, 'Games can only be aborted before the first move');
+      }
+    } else if (game.status !== 'waiting') {
+      throw new ApiError(400, 'Game is already over');
+    }
+
+    return {
+      game: await finishGame(client, game, null, 'aborted'),
+      message: 'Game aborted'
+    };
+  }, 'Failed to abort game');
+
+  // Remove the game from open lobbies
+  if (result && !result.game.is_private) {
+    await events.publish('lobby', 'game:aborted', formatGame(result.game));
+  }
+});
+
+/**
+ * Offer a draw to the opponent
+ * POST /api/games/:id/draw-offer
+ *
+ * The offer stands until the opponent accepts or declines it, or plays a move
+ */
+router.post('/:id/draw-offer', (req, res) => {
+  runGameAction(req, res, async (client, game, playerSymbol) => {
+    assertInProgress(game);
+
+    if (game.bot_level) {
+      throw new ApiError(400, 'The bot does not accept draw offers');
+    }
+
+    if (game.draw_offered_by === playerSymbol) {
+      throw new ApiError(400, 'You already offered a draw');
     }
 
-    // Determine which player is making the move
-    let playerSymbol;
-    if (game.player_x_id === playerId) {
-      playerSymbol = 'X';
-    } else if (game.player_o_id === playerId) {
-      playerSymbol = 'O';
-    } else {
-      return res.status(403).json({ error: 'You are not a player in this game' });
+    if (game.draw_offered_by) {
+      throw new ApiError(400, 'Your opponent already offered a draw');
+    }
+
+    const result = await client.query(
+      'UPDATE games SET draw_offered_by = $1 WHERE id = $2 RETURNING *',
+      [playerSymbol, game.id]
+    );
+
+    return { game: result.rows[0], message: 'Draw offered' };
+  }, 'Failed to offer a draw');
+});
+
+/**
+ * Check that the opponent of a player has offered a draw
+ *
+ * @param {Object} game - Game row
+ * @param {string} playerSymbol - Symbol of the player answering the offer
+ * @throws {ApiError} 400 if there is no offer to answer
+ */
+const assertDrawOffered = (game, playerSymbol) => {
+  assertInProgress(game);
+
+  if (game.draw_offered_by !== opponentOf(playerSymbol)) {
+    throw new ApiError(400, 'No draw offer to answer');
+  }
+};
+
+/**
+ * Accept the opponent's draw offer
+ * POST /api/games/:id/draw-offer/accept
+ */
+router.post('/:id/draw-offer/accept', (req, res) => {
+  runGameAction(req, res, async (client, game, playerSymbol) => {
+    assertDrawOffered(game, playerSymbol);
+
+    return {
+      game: await finishGame(client, game, 'D', 'agreement'),
+      message: 'Draw agreed'
+    };
+  }, 'Failed to accept the draw offer');
+});
+
+/**
+ * Decline the opponent's draw offer
+ * POST /api/games/:id/draw-offer/decline
+ */
+router.post('/:id/draw-offer/decline', (req, res) => {
+  runGameAction(req, res, async (client, game, playerSymbol) => {
+    assertDrawOffered(game, playerSymbol);
+
+    const result = await client.query(
+      'UPDATE games SET draw_offered_by = NULL WHERE id = $1 RETURNING *',
+      [game.id]
+    );
+
+    return { game: result.rows[0], message: 'Draw offer declined' };
+  }, 'Failed to decline the draw offer');
+});
+
+/**
+ * Check that a finished game can be rematched by a player
+ *
+ * @param {Object} game - Game row
+ * @throws {ApiError} 400 if the game cannot be rematched
+ */
+const assertRematchable = (game) => {
+  if (game.status !== 'finished') {
+    throw new ApiError(400, 'Only finished games can be rematched');
+  }
+
+  if (game.bot_level) {
+    throw new ApiError(400, 'Start a new game to play the bot again');
+  }
+
+  if (game.rematch_game_id) {
+    throw new ApiError(400, 'This game was already rematched');
+  }
+};
+
+/**
+ * Ask the opponent for a rematch
+ * POST /api/games/:id/rematch
+ *
+ * The request stands until the opponent accepts or declines it
+ */
+router.post('/:id/rematch', (req, res) => {
+  runGameAction(req, res, async (client, game, playerSymbol) => {
+    assertRematchable(game);
+
+    if (game.rematch_requested_by === playerSymbol) {
+      throw new ApiError(400, 'You already asked for a rematch');
     }
 
-    // Check if it's the player's turn
-    if (game.current_turn !== playerSymbol) {
-      return res.status(400).json({ error: 'Not your turn' });
+    if (game.rematch_requested_by) {
+      throw new ApiError(400, 'Your opponent already asked for a rematch');
     }
 
-    // Parse the board
-    const board = JSON.parse(game.board);
+    const result = await client.query(
+      'UPDATE games SET rematch_requested_by = $1 WHERE id = $2 RETURNING *',
+      [playerSymbol, game.id]
+    );
 
-    // Check if position is already occupied
-    if (board[position] !== '') {
-      return res.status(400).json({ error: 'Position already occupied' });
+    return { game: result.rows[0], message: 'Rematch requested' };
+  }, 'Failed to request a rematch');
+});
+
+/**
+ * Accept the opponent's rematch request
+ * POST /api/games/:id/rematch/accept
+ *
+ * Starts a new game with the same settings and the colours swapped,
+ * linked to this one and part of the same series. Both players are
+ * sent to it with a 'rematch:started' event on the game channel
+ * Reserved to verified emails when 'ranked' is restricted
+ */
+router.post('/:id/rematch/accept', requireVerifiedEmail('ranked'), async (req, res) => {
+  const result = await runGameAction(req, res, async (client, game, playerSymbol) => {
+    assertRematchable(game);
+
+    if (game.rematch_requested_by !== opponentOf(playerSymbol)) {
+      throw new ApiError(400, 'No rematch request to answer');
     }
 
-    // Make the move
-    board[position] = playerSymbol;
+    // The series is named after its first game
+    const seriesId = game.series_id || game.id;
 
-    // Check for winner or draw
-    const winner = checkWinner(board);
+    const rematchResult = await client.query(
+      `INSERT INTO games (player_x_id, player_o_id, status, game_type, board, board_width, board_height, win_length, is_private,
+                          time_control, time_limit_seconds, increment_seconds, player_x_time_ms, player_o_time_ms, turn_started_at,
+                          previous_game_id, series_id, started_at)
+       VALUES ($1, $2, 'in_progress', $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $12, $13, $14, $15, CURRENT_TIMESTAMP) RETURNING *`,
+      [
+        game.player_o_id,
+        game.player_x_id,
+        game.game_type,
+        JSON.stringify(createBoard(game.board_width, game.board_height)),
+        game.board_width,
+        game.board_height,
+        game.win_length,
+        game.is_private,
+        game.time_control,
+        game.time_limit_seconds,
+        game.increment_seconds,
+        game.time_control ? game.time_limit_seconds * 1000 : null,
+        game.time_control ? new Date() : null,
+        game.id,
+        seriesId
+      ]
+    );
+    const rematch = rematchResult.rows[0];
 
-    // Determine next turn
-    const nextTurn = playerSymbol === 'X' ? 'O' : 'X';
+    const updateResult = await client.query(
+      `UPDATE games SET rematch_requested_by = NULL, rematch_game_id = $1, series_id = $2
+       WHERE id = $3 RETURNING *`,
+      [rematch.id, seriesId, game.id]
+    );
 
-    // Update game state
-    let updateQuery;
-    let updateParams;
+    return { game: updateResult.rows[0], rematch, message: 'Rematch started' };
+  }, 'Failed to accept the rematch');
 
-    if (winner) {
-      // Game finished
-      updateQuery = 'UPDATE games SET board = $1, current_turn = $2, winner = $3, status = $4, finished_at = CURRENT_TIMESTAMP WHERE id = $5 RETURNING *';
-      updateParams = [JSON.stringify(board), nextTurn, winner, 'finished', id];
+  // The rematch starts with both players, so it never shows in the lobby
+  if (result) {
+    await events.publish(`game:${result.game.id}`, 'rematch:started', formatGame(result.rematch));
+  }
+});
 
-      // Record in game history
-      const winnerId = winner === 'X' ? game.player_x_id : (winner === 'O' ? game.player_o_id : null);
-      const movesCount = board.filter(cell => cell !== '').length;
+/**
+ * Decline the opponent's rematch request
+ * POST /api/games/:id/rematch/decline
+ */
+router.post('/:id/rematch/decline', (req, res) => {
+  runGameAction(req, res, async (client, game, playerSymbol) => {
+    assertRematchable(game);
 
-      await pool.query(
-        'INSERT INTO game_history (game_id, player_x_id, player_o_id, winner_id, moves_count) VALUES ($1, $2, $3, $4, $5)',
-        [id, game.player_x_id, game.player_o_id, winnerId, movesCount]
-      );
-    } else {
-      // Game continues
-      updateQuery = 'UPDATE games SET board = $1, current_turn = $2 WHERE id = $3 RETURNING *';
-      updateParams = [JSON.stringify(board), nextTurn, id];
+    if (game.rematch_requested_by !== opponentOf(playerSymbol)) {
+      throw new ApiError(400, 'No rematch request to answer');
     }
 
-    const updateResult = await pool.query(updateQuery, updateParams);
-    const updatedGame = updateResult.rows[0];
+    const result = await client.query(
+      'UPDATE games SET rematch_requested_by = NULL WHERE id = $1 RETURNING *',
+      [game.id]
+    );
 
-    res.json({
-      message: winner ? (winner === 'D' ? 'Game ended in a draw' : `Player ${winner} wins!`) : 'Move made successfully',
-      game: {
-        id: updatedGame.id,
-        player_x_id: updatedGame.player_x_id,
-        player_o_id: updatedGame.player_o_id,
-        board: JSON.parse(updatedGame.board),
-        current_turn: updatedGame.current_turn,
-        winner: updatedGame.winner,
-        status: updatedGame.status,
-        finished_at: updatedGame.finished_at
+    return { game: result.rows[0], message: 'Rematch declined' };
+  }, 'Failed to decline the rematch');
+});
+
+/**
+ * Stop spectators from posting in the chat of a game
+ * POST /api/games/:id/spectators/mute
+ *
+ * Either player can mute (or unmute) spectators, at any time
+ */
+router.post('/:id/spectators/mute', (req, res) => {
+  runGameAction(req, res, async (client, game) => {
+    const result = await client.query(
+      'UPDATE games SET spectators_muted = TRUE WHERE id = $1 RETURNING *',
+      [game.id]
+    );
+    return { game: result.rows[0], message: 'Spectators muted' };
+  }, 'Failed to mute spectators');
+});
+
+/**
+ * Let spectators post in the chat of a game again
+ * POST /api/games/:id/spectators/unmute
+ */
+router.post('/:id/spectators/unmute', (req, res) => {
+  runGameAction(req, res, async (client, game) => {
+    const result = await client.query(
+      'UPDATE games SET spectators_muted = FALSE WHERE id = $1 RETURNING *',
+      [game.id]
+    );
+    return { game: result.rows[0], message: 'Spectators unmuted' };
+  }, 'Failed to unmute spectators');
+});
+
+/**
+ * List games
+ * GET /api/games
+ *
+ * Returns a page of games, newest first by default, with the cursor of the
+ * next page and the number of games matching the filters
+ * Private games are left out unless the user plays in them
+ *
+ * @query {string} [status] - Comma-separated statuses (waiting, in_progress, finished, aborted)
+ * @query {string} [player] - 'me' for the user's own games only
+ * @query {number} [opponent] - User ID: only games between the user and this opponent
+ * @query {string} [from] - Only games created at or after this date (ISO 8601)
+ * @query {string} [to] - Only games created at or before this date (ISO 8601);
+ *                        a date without a time includes the whole day
+ * @query {string} [result] - 'win', 'loss' or 'draw': only the user's games with this result
+ * @query {string} [sort] - 'newest' (default) or 'oldest'
+ * @query {string} [cursor] - next_cursor of the previous page
+ * @query {number} [limit] - Games per page (default: 20, max: 100)
+ */
+router.get('/', async (req, res) => {
+  const userId = req.user.id;
+  const { player, opponent, from, to, result, sort = 'newest', cursor } = req.query;
+
+  // Private games are only listed for their players
+  const conditions = ['(is_private = FALSE OR player_x_id = $1 OR player_o_id = $1)'];
+  const params = [userId];
+  const addParam = (value) => {
+    params.push(value);
+    return `$${params.length}`;
+  };
+
+  if (req.query.status !== undefined) {
+    const statuses = String(req.query.status).split(',');
+    if (statuses.some(status => !GAME_STATUSES.includes(status))) {
+      return res.status(400).json({ error: `Invalid status. Must be one or more of: ${GAME_STATUSES.join(', ')}` });
+    }
+    conditions.push(`status = ANY(${addParam(statuses)})`);
+  }
+
+  if (player !== undefined) {
+    if (player !== 'me') {
+      return res.status(400).json({ error: "Invalid player. Must be 'me'" });
+    }
+    conditions.push('(player_x_id = $1 OR player_o_id = $1)');
+  }
+
+  if (opponent !== undefined) {
+    const opponentId = Number(opponent);
+    if (!Number.isInteger(opponentId) || opponentId < 1) {
+      return res.status(400).json({ error: 'Invalid opponent. Must be a user ID' });
+    }
+    const param = addParam(opponentId);
+    conditions.push(`((player_x_id = $1 AND player_o_id = ${param}) OR (player_o_id = $1 AND player_x_id = ${param}))`);
+  }
+
+  for (const [name, value] of [['from', from], ['to', to]]) {
+    if (value !== undefined) {
+      const filter = parseDateFilter(name, value);
+      if (!filter) {
+        return res.status(400).json({ error: `Invalid ${name} date` });
       }
+      conditions.push(`created_at ${filter.operator} ${addParam(filter.date)}`);
+    }
+  }
+
+  if (result !== undefined) {
+    if (!Object.prototype.hasOwnProperty.call(RESULT_CONDITIONS, result)) {
+      return res.status(400).json({ error: `Invalid result. Must be one of: ${Object.keys(RESULT_CONDITIONS).join(', ')}` });
+    }
+    conditions.push(RESULT_CONDITIONS[result]);
+  }
+
+  if (!Object.prototype.hasOwnProperty.call(SORT_ORDERS, sort)) {
+    return res.status(400).json({ error: `Invalid sort. Must be one of: ${Object.keys(SORT_ORDERS).join(', ')}` });
+  }
+
+  const limit = parseLimit(req.query.limit, DEFAULT_GAMES_LIMIT, MAX_GAMES_LIMIT);
+  if (limit === null) {
+    return res.status(400).json({ error: `Invalid limit. Must be between 1 and ${MAX_GAMES_LIMIT}` });
+  }
+
+  // The total ignores the cursor: it counts every page
+  const filters = conditions.join(' AND ');
+  const countParams = [...params];
+
+  if (cursor !== undefined) {
+    const cursorId = decodeCursor(cursor);
+    if (cursorId === null) {
+      return res.status(400).json({ error: 'Invalid cursor' });
+    }
+    conditions.push(`id ${sort === 'newest' ? '<' : '>'} ${addParam(cursorId)}`);
+  }
+
+  try {
+    // Operators and sort order come from the whitelists above, never from the raw query
+    const pageResult = await pool.query(
+      `SELECT * FROM games WHERE ${conditions.join(' AND ')}
+       ORDER BY id ${SORT_ORDERS[sort]}
+       LIMIT ${addParam(limit + 1)}`,
+      params
+    );
+    const countResult = await pool.query(`SELECT COUNT(*) FROM games WHERE ${filters}`, countParams);
+
+    const page = paginate(pageResult.rows, limit);
+    const games = (await withPlayers(pool, page.rows)).map(game => formatGameFor(game, userId));
+
+    res.json({
+      games,
+      next_cursor: page.nextCursor,
+      total: parseInt(countResult.rows[0].count)
     });
   } catch (error) {
-    console.error('Error making move:', error);
-    res.status(500).json({ error: 'Failed to make move' });
+    console.error('Error fetching games:', error);
+    res.status(500).json({ error: 'Failed to fetch games' });
   }
 });
 
 /**
- * Get all available games
- * GET /api/games
+ * Get the moves of a game
+ * GET /api/games/:id/moves
  *
- * Returns list of games, optionally filtered by status
- * @query {string} status - Filter by game status (waiting, in_progress, finished)
+ * Returns every move of the game in the order it was played
+ * Used by the frontend to replay a game step by step
  */
-router.get('/', async (req, res) => {
-  const { status } = req.query;
+router.get('/:id/moves', async (req, res) => {
+  const { id } = req.params;
 
   try {
-    let query = 'SELECT * FROM games';
-    const params = [];
+    const gameResult = await pool.query('SELECT id, is_private, player_x_id, player_o_id FROM games WHERE id = $1', [id]);
+
+    if (gameResult.rows.length === 0 || !canViewGame(gameResult.rows[0], req.user.id)) {
+      return res.status(404).json({ error: 'Game not found' });
+    }
+
+    const result = await pool.query(
+      'SELECT move_number, player_id, symbol, position, created_at FROM game_moves WHERE game_id = $1 ORDER BY move_number',
+      [id]
+    );
+
+    res.json({ moves: result.rows });
+  } catch (error) {
+    console.error('Error fetching moves:', error);
+    res.status(500).json({ error: 'Failed to fetch moves' });
+  }
+});
+
+/**
+ * Get the series of rematches a game belongs to
+ * GET /api/games/:id/series
+ *
+ * Returns the games of the series in order and the running score
+ * Colours swap after every game, so the score is kept per player
+ */
+router.get('/:id/series', async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    const gameResult = await pool.query('SELECT * FROM games WHERE id = $1', [id]);
 
-    if (status) {
-      query += ' WHERE status = $1';
-      params.push(status);
+    if (gameResult.rows.length === 0 || !canViewGame(gameResult.rows[0], req.user.id)) {
+      return res.status(404).json({ error: 'Game not found' });
     }
 
-    query += ' ORDER BY created_at DESC';
+    const game = gameResult.rows[0];
+    if (!game.series_id) {
+      return res.status(404).json({ error: 'Game is not part of a series' });
+    }
 
-    const result = await pool.query(query, params);
+    const result = await pool.query(
+      'SELECT * FROM games WHERE series_id = $1 ORDER BY id',
+      [game.series_id]
+    );
 
-    const games = result.rows.map(game => ({
-      id: game.id,
-      player_x_id: game.player_x_id,
-      player_o_id: game.player_o_id,
-      board: JSON.parse(game.board),
-      current_turn: game.current_turn,
-      winner: game.winner,
-      status: game.status,
-      created_at: game.created_at,
-      finished_at: game.finished_at
-    }));
+    // The first game decides who the two players are
+    const first = result.rows[0];
+    const players = [first.player_x_id, first.player_o_id].map(playerId => ({ id: playerId, wins: 0 }));
+    let draws = 0;
 
-    res.json({ games });
+    for (const row of result.rows) {
+      const winnerId = row.winner === 'X' ? row.player_x_id : (row.winner === 'O' ? row.player_o_id : null);
+      if (row.winner === 'D') {
+        draws += 1;
+      } else {
+        const winningPlayer = players.find(player => player.id === winnerId);
+        if (winningPlayer) {
+          winningPlayer.wins += 1;
+        }
+      }
+    }
+
+    const games = await withPlayers(pool, result.rows);
+
+    res.json({
+      series_id: game.series_id,
+      games: games.map(formatGame),
+      score: { players, draws }
+    });
   } catch (error) {
-    console.error('Error fetching games:', error);
-    res.status(500).json({ error: 'Failed to fetch games' });
+    console.error('Error fetching series:', error);
+    res.status(500).json({ error: 'Failed to fetch series' });
   }
 });
 
@@ -296,7 +1083,9 @@ router.get('/', async (req, res) => {
  * Get a specific game by ID
  * GET /api/games/:id
  *
- * Returns detailed information about a single game
+ * Returns detailed information about a single game, the requester's role
+ * ('player' or 'spectator') and the spectator count
+ * Private games are reported as not found to anyone but their players
  */
 router.get('/:id', async (req, res) => {
   const { id } = req.params;
@@ -304,24 +1093,18 @@ router.get('/:id', async (req, res) => {
   try {
     const result = await pool.query('SELECT * FROM games WHERE id = $1', [id]);
 
-    if (result.rows.length === 0) {
+    // Private games are hidden from anyone but their players
+    if (result.rows.length === 0 || !canViewGame(result.rows[0], req.user.id)) {
       return res.status(404).json({ error: 'Game not found' });
     }
 
-    const game = result.rows[0];
+    const game = await withPlayers(pool, result.rows[0]);
+    const isPlayer = game.player_x_id === req.user.id || game.player_o_id === req.user.id;
 
     res.json({
-      game: {
-        id: game.id,
-        player_x_id: game.player_x_id,
-        player_o_id: game.player_o_id,
-        board: JSON.parse(game.board),
-        current_turn: game.current_turn,
-        winner: game.winner,
-        status: game.status,
-        created_at: game.created_at,
-        finished_at: game.finished_at
-      }
+      game: formatGameFor(game, req.user.id),
+      role: isPlayer ? 'player' : 'spectator',
+      spectators: await countSpectators(pool, game.id)
     });
   } catch (error) {
     console.error('Error fetching game:', error);
@@ -334,36 +1117,87 @@ router.get('/:id', async (req, res) => {
  * GET /api/games/stats/me
  *
  * Returns statistics for the authenticated user's games
+ * Games against the bot are left out of the main stats and
+ * reported separately per difficulty level in bot_stats
+ * Aborted games are not counted
+ * Includes the current Elo rating and its change over the last rated games
+ * See GET /api/users/me/stats for streaks, openings and head-to-head records
  */
 router.get('/stats/me', async (req, res) => {
   const userId = req.user.id;
 
   try {
-    // Get total games played
-    const totalGames = await pool.query(
-      'SELECT COUNT(*) as count FROM game_history WHERE player_x_id = $1 OR player_o_id = $1',
+    // Get total games played, wins and draws
+    // Results come from games.winner: winner_id is emptied when the winner deletes their account
+    const totals = await pool.query(
+      `SELECT COUNT(*) as total,
+              COUNT(*) FILTER (WHERE g.winner = CASE WHEN h.player_x_id = $1 THEN 'X' ELSE 'O' END) as wins,
+              COUNT(*) FILTER (WHERE g.winner = 'D') as draws
+       FROM game_history h
+       JOIN games g ON g.id = h.game_id
+       WHERE (h.player_x_id = $1 OR h.player_o_id = $1) AND h.bot_level IS NULL AND h.termination_reason IS DISTINCT FROM 'aborted'`,
       [userId]
     );
 
-    // Get wins
-    const wins = await pool.query(
-      'SELECT COUNT(*) as count FROM game_history WHERE winner_id = $1',
+    // Get results against the bot (the user is always player X)
+    const botGames = await pool.query(
+      `SELECT h.bot_level,
+              COUNT(*) as total,
+              COUNT(*) FILTER (WHERE g.winner = 'X') as wins,
+              COUNT(*) FILTER (WHERE g.winner = 'D') as draws
+       FROM game_history h
+       JOIN games g ON g.id = h.game_id
+       WHERE h.player_x_id = $1 AND h.bot_level IS NOT NULL AND h.termination_reason IS DISTINCT FROM 'aborted'
+       GROUP BY h.bot_level`,
       [userId]
     );
 
-    // Get draws
-    const draws = await pool.query(
-      'SELECT COUNT(*) as count FROM game_history WHERE (player_x_id = $1 OR player_o_id = $1) AND winner_id IS NULL',
-      [userId]
+    // Get the current rating and the ratings before the last rated games
+    const user = await pool.query('SELECT rating FROM users WHERE id = $1', [userId]);
+    const recentRatings = await pool.query(
+      `SELECT CASE WHEN player_x_id = $1 THEN player_x_rating_before ELSE player_o_rating_before END AS rating_before
+       FROM game_history
+       WHERE (player_x_id = $1 OR player_o_id = $1) AND player_x_rating_before IS NOT NULL
+       ORDER BY finished_at DESC, id DESC
+       LIMIT $2`,
+      [userId, RATING_TREND_GAMES]
     );
 
+    // Trend: rating change over the last RATING_TREND_GAMES rated games
+    const currentRating = user.rows[0].rating;
+    const oldestRating = recentRatings.rows.length > 0
+      ? recentRatings.rows[recentRatings.rows.length - 1].rating_before
+      : currentRating;
+
+    const botStats = {};
+    for (const level of BOT_LEVELS) {
+      const row = botGames.rows.find(r => r.bot_level === level);
+      const total = row ? parseInt(row.total) : 0;
+      const botWins = row ? parseInt(row.wins) : 0;
+      const botDraws = row ? parseInt(row.draws) : 0;
+
+      botStats[level] = {
+        total_games: total,
+        wins: botWins,
+        draws: botDraws,
+        losses: total - botWins - botDraws
+      };
+    }
+
+    const totalGames = parseInt(totals.rows[0].total);
+    const wins = parseInt(totals.rows[0].wins);
+    const draws = parseInt(totals.rows[0].draws);
+
     res.json({
       stats: {
-        total_games: parseInt(totalGames.rows[0].count),
-        wins: parseInt(wins.rows[0].count),
-        draws: parseInt(draws.rows[0].count),
-        losses: parseInt(totalGames.rows[0].count) - parseInt(wins.rows[0].count) - parseInt(draws.rows[0].count)
-      }
+        total_games: totalGames,
+        wins,
+        draws,
+        losses: totalGames - wins - draws,
+        rating: currentRating,
+        rating_trend: currentRating - oldestRating
+      },
+      bot_stats: botStats
     });
   } catch (error) {
     console.error('Error fetching stats:', error);
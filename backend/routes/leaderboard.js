@@ -0,0 +1,164 @@
+const express = require('express');
+const pool = require('../db');
+
+const router = express.Router();
+
+// Sort keys and the expression ranking players by each of them
+const SORT_COLUMNS = {
+  rating: 'rating',
+  wins: 'wins',
+  win_rate: 'wins::float / NULLIF(games, 0)'
+};
+
+// Time windows and the start of each of them (null = all time)
+const TIME_WINDOWS = {
+  all: null,
+  month: "date_trunc('month', CURRENT_TIMESTAMP)",
+  week: "date_trunc('week', CURRENT_TIMESTAMP)"
+};
+
+// Page size when no limit is given, and the maximum
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+/**
+ * Parse an optional integer query parameter
+ *
+ * @param {string|undefined} value - Raw query value
+ * @param {number} defaultValue - Value used when the parameter is missing
+ * @param {number} min - Smallest allowed value
+ * @returns {number|null} Parsed value, or null if invalid
+ */
+const parseIntegerParam = (value, defaultValue, min) => {
+  if (value === undefined) {
+    return defaultValue;
+  }
+
+  const number = Number(value);
+  return Number.isInteger(number) && number >= min ? number : null;
+};
+
+/**
+ * Format a leaderboard row for API responses
+ *
+ * @param {Object} row - Ranked row from the leaderboard query
+ * @returns {Object} Leaderboard entry
+ */
+const formatEntry = (row) => {
+  const games = parseInt(row.games);
+  const wins = parseInt(row.wins);
+  const draws = parseInt(row.draws);
+
+  return {
+    rank: parseInt(row.rank),
+    user_id: row.user_id,
+    username: row.username,
+    rating: row.rating,
+    games,
+    wins,
+    draws,
+    losses: games - wins - draws,
+    win_rate: games > 0 ? Math.round((wins / games) * 1000) / 10 : 0
+  };
+};
+
+/**
+ * Get the global leaderboard
+ * GET /api/leaderboard
+ *
+ * Ranks users by their results in games between two users (bot games and
+ * aborted games are left out), computed from game_history over the chosen time window
+ * Also returns the authenticated user's own entry, even when it is not
+ * on the requested page, so clients can always show where they stand
+ *
+ * @query {string} [sort] - 'rating' (default), 'wins' or 'win_rate'
+ * @query {string} [window] - 'all' (default), 'month' or 'week' (calendar month/week so far)
+ * @query {number} [min_games] - Minimum games played in the window (default: 1)
+ * @query {number} [page] - Page number, starting at 1 (default: 1)
+ * @query {number} [limit] - Entries per page (default: 20, max: 100)
+ */
+router.get('/', async (req, res) => {
+  const { sort = 'rating', window = 'all' } = req.query;
+
+  if (!Object.prototype.hasOwnProperty.call(SORT_COLUMNS, sort)) {
+    return res.status(400).json({ error: `Invalid sort. Must be one of: ${Object.keys(SORT_COLUMNS).join(', ')}` });
+  }
+
+  if (!Object.prototype.hasOwnProperty.call(TIME_WINDOWS, window)) {
+    return res.status(400).json({ error: `Invalid window. Must be one of: ${Object.keys(TIME_WINDOWS).join(', ')}` });
+  }
+
+  const minGames = parseIntegerParam(req.query.min_games, 1, 0);
+  if (minGames === null) {
+    return res.status(400).json({ error: 'Invalid min_games. Must be a non-negative integer' });
+  }
+
+  const page = parseIntegerParam(req.query.page, 1, 1);
+  if (page === null) {
+    return res.status(400).json({ error: 'Invalid page. Must be a positive integer' });
+  }
+
+  const limit = parseIntegerParam(req.query.limit, DEFAULT_LIMIT, 1);
+  if (limit === null || limit > MAX_LIMIT) {
+    return res.status(400).json({ error: `Invalid limit. Must be between 1 and ${MAX_LIMIT}` });
+  }
+
+  // Both values come from the whitelists above, never from the raw query
+  const since = TIME_WINDOWS[window];
+  const windowFilter = since ? `AND finished_at >= ${since}` : '';
+  const sortColumn = SORT_COLUMNS[sort];
+  const offset = (page - 1) * limit;
+
+  // Results and totals of every user, shared by the page and the count
+  const totalsQuery = `WITH results AS (
+         SELECT player_x_id AS user_id, winner_id FROM game_history
+         WHERE bot_level IS NULL AND termination_reason IS DISTINCT FROM 'aborted' ${windowFilter}
+         UNION ALL
+         SELECT player_o_id AS user_id, winner_id FROM game_history
+         WHERE bot_level IS NULL AND termination_reason IS DISTINCT FROM 'aborted' ${windowFilter}
+       ),
+       totals AS (
+         SELECT u.id AS user_id,
+                u.username,
+                u.rating,
+                COUNT(r.user_id) AS games,
+                COUNT(*) FILTER (WHERE r.winner_id = u.id) AS wins,
+                COUNT(*) FILTER (WHERE r.user_id IS NOT NULL AND r.winner_id IS NULL) AS draws
+         FROM users u
+         LEFT JOIN results r ON r.user_id = u.id
+         GROUP BY u.id
+       )`;
+
+  try {
+    const result = await pool.query(
+      `${totalsQuery},
+       ranked AS (
+         SELECT *,
+                ROW_NUMBER() OVER (ORDER BY ${sortColumn} DESC NULLS LAST, rating DESC, username) AS rank
+         FROM totals
+         WHERE games >= $1
+       )
+       SELECT * FROM ranked
+       WHERE (rank > $2 AND rank <= $2 + $3) OR user_id = $4
+       ORDER BY rank`,
+      [minGames, offset, limit, req.user.id]
+    );
+    // Counted apart, so pages past the end still get the total
+    const countResult = await pool.query(`${totalsQuery} SELECT COUNT(*) FROM totals WHERE games >= $1`, [minGames]);
+
+    const entries = result.rows.map(formatEntry);
+
+    res.json({
+      leaderboard: entries.filter(entry => entry.rank > offset && entry.rank <= offset + limit),
+      current_user: entries.find(entry => entry.user_id === req.user.id) || null,
+      page,
+      limit,
+      total: parseInt(countResult.rows[0].count)
+    });
+  } catch (error) {
+    console.error('Error fetching leaderboard:', error);
+    res.status(500).json({ error: 'Failed to fetch leaderboard' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,190 @@
+const express = require('express');
+const pool = require('../db');
+const events = require('../lib/events');
+const { createBoard } = require('../lib/board');
+const { formatGame, withPlayers } = require('../lib/games');
+const { withTransaction } = require('../lib/transaction');
+const { requireVerifiedEmail } = require('../middleware/auth');
+
+const router = express.Router();
+
+/**
+ * Get a user's matchmaking status from their queue row
+ * A match only counts while its game is in progress: once the game is
+ * over (or aborted) the user is back to idle
+ *
+ * @param {Object} client - Database client or pool
+ * @param {number} userId - User ID
+ * @returns {Promise<Object>} { status: 'idle' }, { status: 'queued', queued_at, wait_seconds }
+ *                            or { status: 'matched', game }
+ */
+const getStatus = async (client, userId) => {
+  const result = await client.query(
+    `SELECT q.queued_at, EXTRACT(EPOCH FROM CURRENT_TIMESTAMP - q.queued_at) AS wait_seconds, g.*
+     FROM matchmaking_queue q
+     LEFT JOIN games g ON g.id = q.game_id
+     WHERE q.user_id = $1`,
+    [userId]
+  );
+
+  if (result.rows.length === 0) {
+    return { status: 'idle' };
+  }
+
+  const row = result.rows[0];
+  if (row.id) {
+    return row.status === 'in_progress'
+      ? { status: 'matched', game: formatGame(await withPlayers(client, row)) }
+      : { status: 'idle' };
+  }
+
+  return {
+    status: 'queued',
+    queued_at: row.queued_at,
+    wait_seconds: Math.floor(row.wait_seconds)
+  };
+};
+
+/**
+ * Join the matchmaking queue
+ * POST /api/matchmaking/queue
+ *
+ * Pairs the user with the player who has been waiting the longest
+ * (within both players' rating ranges) in a new classic game that starts
+ * right away, the longest waiting player taking X. Without a suitable
+ * opponent the user stays in the queue until someone else joins it.
+ * Both players are notified with a 'match:found' event on their
+ * 'user:<id>' realtime channel
+ * Pairing runs under a transaction-level advisory lock so that players
+ * joining at the same time (on any backend instance) cannot miss each other
+ * Reserved to verified emails when 'ranked' is restricted
+ *
+ * @body {number} [rating_range] - Maximum rating difference accepted (default: any opponent)
+ */
+router.post('/queue', requireVerifiedEmail('ranked'), async (req, res) => {
+  const userId = req.user.id;
+  const { rating_range: ratingRange = null } = req.body;
+
+  if (ratingRange !== null && (!Number.isInteger(ratingRange) || ratingRange < 0)) {
+    return res.status(400).json({ error: 'Invalid rating range. Must be a non-negative integer' });
+  }
+
+  try {
+    const result = await withTransaction(async (client) => {
+      await client.query("SELECT pg_advisory_xact_lock(hashtext('matchmaking'))");
+
+      // Already waiting: keep the original place in the queue
+      const current = await getStatus(client, userId);
+      if (current.status === 'queued') {
+        return current;
+      }
+
+      const userResult = await client.query('SELECT rating FROM users WHERE id = $1', [userId]);
+      const rating = userResult.rows[0].rating;
+
+      const opponentResult = await client.query(
+        `SELECT user_id FROM matchmaking_queue
+         WHERE user_id <> $1
+           AND game_id IS NULL
+           AND (rating_range IS NULL OR ABS(rating - $2) <= rating_range)
+           AND ($3::integer IS NULL OR ABS(rating - $2) <= $3)
+         ORDER BY queued_at
+         LIMIT 1
+         FOR UPDATE`,
+        [userId, rating, ratingRange]
+      );
+
+      let matchedGame = null;
+      if (opponentResult.rows.length > 0) {
+        const opponentId = opponentResult.rows[0].user_id;
+
+        const gameResult = await client.query(
+          `INSERT INTO games (player_x_id, player_o_id, status, board, started_at)
+           VALUES ($1, $2, 'in_progress', $3, CURRENT_TIMESTAMP) RETURNING *`,
+          [opponentId, userId, JSON.stringify(createBoard())]
+        );
+        matchedGame = gameResult.rows[0];
+
+        await client.query(
+          'UPDATE matchmaking_queue SET game_id = $1 WHERE user_id = $2',
+          [matchedGame.id, opponentId]
+        );
+      }
+
+      // Queue the user, or record their match so the status endpoint can report it
+      await client.query(
+        `INSERT INTO matchmaking_queue (user_id, rating, rating_range, game_id)
+         VALUES ($1, $2, $3, $4)
+         ON CONFLICT (user_id) DO UPDATE
+         SET rating = $2, rating_range = $3, game_id = $4, queued_at = CURRENT_TIMESTAMP`,
+        [userId, rating, ratingRange, matchedGame ? matchedGame.id : null]
+      );
+
+      return matchedGame
+        ? { status: 'matched', game: formatGame(await withPlayers(client, matchedGame)) }
+        : getStatus(client, userId);
+    });
+
+    if (result.status === 'matched') {
+      const { game } = result;
+      await events.publish(`user:${game.player_x_id}`, 'match:found', game);
+      await events.publish(`user:${game.player_o_id}`, 'match:found', game);
+
+      return res.status(201).json(result);
+    }
+
+    res.status(202).json(result);
+  } catch (error) {
+    console.error('Error joining matchmaking queue:', error);
+    res.status(500).json({ error: 'Failed to join matchmaking queue' });
+  }
+});
+
+/**
+ * Get the user's matchmaking status
+ * GET /api/matchmaking/queue
+ *
+ * Returns 'idle' (not queued), 'queued' (with the time spent waiting)
+ * or 'matched' (with the game the user was paired into)
+ */
+router.get('/queue', async (req, res) => {
+  try {
+    res.json(await getStatus(pool, req.user.id));
+  } catch (error) {
+    console.error('Error fetching matchmaking status:', error);
+    res.status(500).json({ error: 'Failed to fetch matchmaking status' });
+  }
+});
+
+/**
+ * Leave the matchmaking queue
+ * DELETE /api/matchmaking/queue
+ *
+ * Fails with 409 if the user was paired before the request arrived
+ */
+router.delete('/queue', async (req, res) => {
+  const userId = req.user.id;
+
+  try {
+    const result = await pool.query(
+      'DELETE FROM matchmaking_queue WHERE user_id = $1 AND game_id IS NULL',
+      [userId]
+    );
+
+    if (result.rowCount > 0) {
+      return res.json({ message: 'Left the matchmaking queue' });
+    }
+
+    const current = await getStatus(pool, userId);
+    if (current.status === 'matched') {
+      return res.status(409).json({ error: 'Already matched with an opponent', game: current.game });
+    }
+
+    res.status(404).json({ error: 'Not in the matchmaking queue' });
+  } catch (error) {
+    console.error('Error leaving matchmaking queue:', error);
+    res.status(500).json({ error: 'Failed to leave matchmaking queue' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,140 @@
+const express = require('express');
+const pool = require('../db');
+const events = require('../lib/events');
+const { canViewGame } = require('../lib/games');
+const { filterProfanity } = require('../lib/profanity');
+const { requireVerifiedEmail } = require('../middleware/auth');
+
+// Mounted on /api/games/:id/messages, so the game ID comes from the parent path
+const router = express.Router({ mergeParams: true });
+
+// Maximum length of a chat message, in characters
+const MAX_MESSAGE_LENGTH = 500;
+
+// Number of messages returned when no limit is given, and the maximum
+const DEFAULT_MESSAGES_LIMIT = 100;
+const MAX_MESSAGES_LIMIT = 200;
+
+/**
+ * Load a game the user may see
+ *
+ * @param {string} id - Game ID
+ * @param {number} userId - User ID
+ * @returns {Promise<Object|null>} Game row, or null if missing or private to other users
+ */
+const findVisibleGame = async (id, userId) => {
+  const result = await pool.query('SELECT * FROM games WHERE id = $1', [id]);
+  const game = result.rows[0];
+  return game && canViewGame(game, userId) ? game : null;
+};
+
+/**
+ * Format a chat message for API responses and realtime events
+ *
+ * @param {Object} row - Message row joined with its author's username
+ * @param {Object} game - Game the message belongs to
+ * @returns {Object} Message with the author's role in the game
+ */
+const formatMessage = (row, game) => ({
+  id: row.id,
+  game_id: row.game_id,
+  user_id: row.user_id,
+  username: row.username,
+  role: row.user_id === game.player_x_id || row.user_id === game.player_o_id ? 'player' : 'spectator',
+  body: row.body,
+  created_at: row.created_at
+});
+
+/**
+ * Get the chat messages of a game
+ * GET /api/games/:id/messages
+ *
+ * Returns the most recent messages, oldest first
+ * Open to players and spectators, during and after the game
+ *
+ * @query {number} [limit] - Number of messages (default: 100, max: 200)
+ */
+router.get('/', async (req, res) => {
+  const limit = req.query.limit === undefined ? DEFAULT_MESSAGES_LIMIT : Number(req.query.limit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_MESSAGES_LIMIT) {
+    return res.status(400).json({ error: `Invalid limit. Must be between 1 and ${MAX_MESSAGES_LIMIT}` });
+  }
+
+  try {
+    const game = await findVisibleGame(req.params.id, req.user.id);
+    if (!game) {
+      return res.status(404).json({ error: 'Game not found' });
+    }
+
+    const result = await pool.query(
+      `SELECT * FROM (
+         SELECT m.*, u.username
+         FROM game_messages m
+         LEFT JOIN users u ON u.id = m.user_id
+         WHERE m.game_id = $1
+         ORDER BY m.id DESC
+         LIMIT $2
+       ) recent
+       ORDER BY id`,
+      [game.id, limit]
+    );
+
+    res.json({ messages: result.rows.map(row => formatMessage(row, game)) });
+  } catch (error) {
+    console.error('Error fetching messages:', error);
+    res.status(500).json({ error: 'Failed to fetch messages' });
+  }
+});
+
+/**
+ * Post a chat message
+ * POST /api/games/:id/messages
+ *
+ * Blocked words are masked before the message is stored, and the message
+ * is pushed to everyone following the game with a 'chat:message' event
+ * Spectators cannot post once a player has muted them, and unverified
+ * users cannot post when 'chat' is restricted
+ *
+ * @body {string} body - Message text (1 to 500 characters once trimmed)
+ */
+router.post('/', requireVerifiedEmail('chat'), async (req, res) => {
+  const text = typeof req.body.body === 'string' ? req.body.body.trim() : '';
+
+  if (text.length === 0) {
+    return res.status(400).json({ error: 'Message cannot be empty' });
+  }
+
+  if (text.length > MAX_MESSAGE_LENGTH) {
+    return res.status(400).json({ error: `Message is too long. Maximum ${MAX_MESSAGE_LENGTH} characters` });
+  }
+
+  try {
+    const game = await findVisibleGame(req.params.id, req.user.id);
+    if (!game) {
+      return res.status(404).json({ error: 'Game not found' });
+    }
+
+    const isPlayer = req.user.id === game.player_x_id || req.user.id === game.player_o_id;
+    if (!isPlayer && game.spectators_muted) {
+      return res.status(403).json({ error: 'Spectators are muted in this game' });
+    }
+
+    const result = await pool.query(
+      `WITH inserted AS (
+         INSERT INTO game_messages (game_id, user_id, body) VALUES ($1, $2, $3) RETURNING *
+       )
+       SELECT inserted.*, u.username FROM inserted LEFT JOIN users u ON u.id = inserted.user_id`,
+      [game.id, req.user.id, filterProfanity(text)]
+    );
+    const message = formatMessage(result.rows[0], game);
+
+    await events.publish(`game:${game.id}`, 'chat:message', message);
+
+    res.status(201).json({ message });
+  } catch (error) {
+    console.error('Error posting message:', error);
+    res.status(500).json({ error: 'Failed to post message' });
+  }
+});
+
+module.exports = router;
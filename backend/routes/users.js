@@ -0,0 +1,386 @@
+const express = require('express');
+const pool = require('../db');
+const { decodeCursor, parseLimit, paginate, parseDateFilter } = require('../lib/pagination');
+
+const router = express.Router();
+
+// Number of rating history entries returned when no limit is given, and the maximum
+const DEFAULT_RATINGS_LIMIT = 50;
+const MAX_RATINGS_LIMIT = 200;
+
+// Games per page of the game history when no limit is given, and the maximum
+const DEFAULT_HISTORY_LIMIT = 20;
+const MAX_HISTORY_LIMIT = 100;
+
+// Opponents listed in the head-to-head records of the detailed stats (most played first)
+const HEAD_TO_HEAD_LIMIT = 10;
+
+// Months of activity in the detailed stats, including the current month
+const ACTIVITY_MONTHS = 12;
+
+// Symbol the user ($1) played in a game_history row
+const HISTORY_SYMBOL = "CASE WHEN h.player_x_id = $1 THEN 'X' ELSE 'O' END";
+
+// Results the game history can be filtered on ($1 is the user ID)
+// They read games.winner: winner_id is also NULL when the bot wins
+const HISTORY_RESULT_CONDITIONS = {
+  win: `g.winner = ${HISTORY_SYMBOL}`,
+  loss: `g.winner IN ('X', 'O') AND g.winner <> ${HISTORY_SYMBOL}`,
+  draw: "g.winner = 'D'"
+};
+
+/**
+ * Resolve the :id route parameter to a user ID
+ * 'me' stands for the authenticated user
+ *
+ * @param {Object} req - Express request object
+ * @returns {number|null} User ID, or null if the parameter is not a valid ID
+ */
+const resolveUserId = (req) => {
+  if (req.params.id === 'me') {
+    return req.user.id;
+  }
+
+  const userId = Number(req.params.id);
+  return Number.isInteger(userId) && userId > 0 ? userId : null;
+};
+
+/**
+ * Format a game_history row from the point of view of one of its players
+ *
+ * @param {Object} row - Row from the history query, with the winner of the game
+ * @param {number} userId - ID of the player
+ * @returns {Object} History entry
+ */
+const formatHistoryEntry = (row, userId) => {
+  const isX = row.player_x_id === userId;
+  const symbol = isX ? 'X' : 'O';
+  const ratingBefore = isX ? row.player_x_rating_before : row.player_o_rating_before;
+  const ratingAfter = isX ? row.player_x_rating_after : row.player_o_rating_after;
+
+  return {
+    id: row.id,
+    game_id: row.game_id,
+    symbol,
+    opponent: row.opponent_id ? { id: row.opponent_id, username: row.opponent_username } : null,
+    bot_level: row.bot_level,
+    result: row.winner === 'D' ? 'draw' : (row.winner === symbol ? 'win' : 'loss'),
+    termination_reason: row.termination_reason,
+    moves: row.moves_count,
+    duration_seconds: row.duration_seconds,
+    rating_change: ratingBefore === null ? null : ratingAfter - ratingBefore,
+    finished_at: row.finished_at
+  };
+};
+
+/**
+ * Get the authenticated user's game history
+ * GET /api/users/me/history
+ *
+ * Returns a page of the user's finished games, newest first, with the
+ * opponent, result, symbol played, number of moves and duration of each
+ * Aborted games are left out
+ *
+ * @query {string} [result] - 'win', 'loss' or 'draw'
+ * @query {string} [opponent] - Opponent username (case-insensitive)
+ * @query {string} [from] - Only games finished at or after this date (ISO 8601)
+ * @query {string} [to] - Only games finished at or before this date (ISO 8601);
+ *                        a date without a time includes the whole day
+ * @query {string} [cursor] - next_cursor of the previous page
+ * @query {number} [limit] - Games per page (default: 20, max: 100)
+ */
+router.get('/me/history', async (req, res) => {
+  const userId = req.user.id;
+  const { result, opponent, from, to, cursor } = req.query;
+
+  const conditions = [
+    '(h.player_x_id = $1 OR h.player_o_id = $1)',
+    "h.termination_reason IS DISTINCT FROM 'aborted'"
+  ];
+  const params = [userId];
+  const addParam = (value) => {
+    params.push(value);
+    return `$${params.length}`;
+  };
+
+  if (result !== undefined) {
+    if (!Object.prototype.hasOwnProperty.call(HISTORY_RESULT_CONDITIONS, result)) {
+      return res.status(400).json({ error: `Invalid result. Must be one of: ${Object.keys(HISTORY_RESULT_CONDITIONS).join(', ')}` });
+    }
+    conditions.push(HISTORY_RESULT_CONDITIONS[result]);
+  }
+
+  if (opponent) {
+    conditions.push(`LOWER(o.username) = LOWER(${addParam(String(opponent))})`);
+  }
+
+  for (const [name, value] of [['from', from], ['to', to]]) {
+    if (value !== undefined) {
+      const filter = parseDateFilter(name, value);
+      if (!filter) {
+        return res.status(400).json({ error: `Invalid ${name} date` });
+      }
+      conditions.push(`h.finished_at ${filter.operator} ${addParam(filter.date)}`);
+    }
+  }
+
+  const limit = parseLimit(req.query.limit, DEFAULT_HISTORY_LIMIT, MAX_HISTORY_LIMIT);
+  if (limit === null) {
+    return res.status(400).json({ error: `Invalid limit. Must be between 1 and ${MAX_HISTORY_LIMIT}` });
+  }
+
+  // The total ignores the cursor: it counts every page
+  const filters = conditions.join(' AND ');
+  const countParams = [...params];
+
+  if (cursor !== undefined) {
+    const cursorId = decodeCursor(cursor);
+    if (cursorId === null) {
+      return res.status(400).json({ error: 'Invalid cursor' });
+    }
+    conditions.push(`h.id < ${addParam(cursorId)}`);
+  }
+
+  // The opponent is whichever player is not the user
+  const fromClause = `FROM game_history h
+       JOIN games g ON g.id = h.game_id
+       LEFT JOIN users o ON o.id = CASE WHEN h.player_x_id = $1 THEN h.player_o_id ELSE h.player_x_id END`;
+
+  try {
+    const pageResult = await pool.query(
+      `SELECT h.*, g.winner, o.id AS opponent_id, o.username AS opponent_username
+       ${fromClause}
+       WHERE ${conditions.join(' AND ')}
+       ORDER BY h.id DESC
+       LIMIT ${addParam(limit + 1)}`,
+      params
+    );
+    const countResult = await pool.query(`SELECT COUNT(*) ${fromClause} WHERE ${filters}`, countParams);
+
+    const page = paginate(pageResult.rows, limit);
+
+    res.json({
+      history: page.rows.map(row => formatHistoryEntry(row, userId)),
+      next_cursor: page.nextCursor,
+      total: parseInt(countResult.rows[0].count)
+    });
+  } catch (error) {
+    console.error('Error fetching game history:', error);
+    res.status(500).json({ error: 'Failed to fetch game history' });
+  }
+});
+
+/**
+ * Format win/draw/loss counts, with the win rate as a percentage
+ *
+ * @param {Object} counts - { games, wins, draws } as returned by PostgreSQL
+ * @returns {Object} { games, wins, draws, losses, win_rate }
+ */
+const formatRecord = ({ games, wins, draws }) => ({
+  games,
+  wins,
+  draws,
+  losses: games - wins - draws,
+  win_rate: games > 0 ? Math.round((wins / games) * 1000) / 10 : 0
+});
+
+/**
+ * Get the authenticated user's detailed statistics
+ * GET /api/users/me/stats
+ *
+ * Covers games between two users (bot games and aborted games are left out):
+ * results as X and as O, current and best win streaks, average game length,
+ * most played first move on the classic board, head-to-head records against
+ * the most played opponents and results per month over the last 12 months
+ * Everything is computed in a single query over game_history; results come
+ * from games.winner, like in the game history
+ */
+router.get('/me/stats', async (req, res) => {
+  try {
+    const result = await pool.query(
+      `WITH played AS (
+         SELECT h.id,
+                h.game_id,
+                h.finished_at,
+                h.duration_seconds,
+                h.moves_count,
+                CASE WHEN h.player_x_id = $1 THEN 'X' ELSE 'O' END AS symbol,
+                CASE WHEN h.player_x_id = $1 THEN h.player_o_id ELSE h.player_x_id END AS opponent_id,
+                CASE WHEN g.winner = 'D' THEN 'draw' WHEN g.winner = ${HISTORY_SYMBOL} THEN 'win' ELSE 'loss' END AS result
+         FROM game_history h
+         JOIN games g ON g.id = h.game_id
+         WHERE (h.player_x_id = $1 OR h.player_o_id = $1)
+           AND h.bot_level IS NULL
+           AND h.termination_reason IS DISTINCT FROM 'aborted'
+       ),
+       -- Runs of consecutive identical results (gaps and islands)
+       streaks AS (
+         SELECT result, COUNT(*) AS length, MAX(id) AS last_id
+         FROM (
+           SELECT id, result,
+                  ROW_NUMBER() OVER (ORDER BY id) - ROW_NUMBER() OVER (PARTITION BY result ORDER BY id) AS run
+           FROM played
+         ) runs
+         GROUP BY result, run
+       ),
+       months AS (
+         SELECT generate_series(
+                  date_trunc('month', CURRENT_TIMESTAMP) - ($3 - 1) * INTERVAL '1 month',
+                  date_trunc('month', CURRENT_TIMESTAMP),
+                  INTERVAL '1 month'
+                ) AS month
+       )
+       SELECT json_build_object(
+         'total', (SELECT json_build_object(
+                     'games', COUNT(*),
+                     'wins', COUNT(*) FILTER (WHERE result = 'win'),
+                     'draws', COUNT(*) FILTER (WHERE result = 'draw'))
+                   FROM played),
+         'by_symbol', (SELECT json_object_agg(symbol, record) FROM (
+                         SELECT s.symbol, json_build_object(
+                           'games', COUNT(p.id),
+                           'wins', COUNT(*) FILTER (WHERE p.result = 'win'),
+                           'draws', COUNT(*) FILTER (WHERE p.result = 'draw')) AS record
+                         FROM (VALUES ('X'), ('O')) AS s(symbol)
+                         LEFT JOIN played p ON p.symbol = s.symbol
+                         GROUP BY s.symbol
+                       ) symbols),
+         'current_win_streak', COALESCE((SELECT length FROM streaks
+                                         WHERE result = 'win' AND last_id = (SELECT MAX(id) FROM played)), 0),
+         'best_win_streak', COALESCE((SELECT MAX(length) FROM streaks WHERE result = 'win'), 0),
+         'average_duration_seconds', (SELECT ROUND(AVG(duration_seconds)) FROM played),
+         'average_moves', (SELECT ROUND(AVG(moves_count), 1) FROM played),
+         'favorite_opening', (SELECT json_build_object('position', m.position, 'count', COUNT(*))
+                              FROM played p
+                              JOIN games g ON g.id = p.game_id
+                              JOIN game_moves m ON m.game_id = p.game_id AND m.move_number = 1
+                              WHERE p.symbol = 'X' AND g.game_type = 'standard'
+                                AND g.board_width = 3 AND g.board_height = 3
+                              GROUP BY m.position
+                              ORDER BY COUNT(*) DESC, m.position
+                              LIMIT 1),
+         'head_to_head', COALESCE((SELECT json_agg(opponent ORDER BY games DESC, username) FROM (
+                            SELECT u.id, u.username,
+                                   COUNT(*) AS games,
+                                   json_build_object(
+                                     'id', u.id,
+                                     'username', u.username,
+                                     'games', COUNT(*),
+                                     'wins', COUNT(*) FILTER (WHERE p.result = 'win'),
+                                     'draws', COUNT(*) FILTER (WHERE p.result = 'draw')) AS opponent
+                            FROM played p
+                            JOIN users u ON u.id = p.opponent_id
+                            GROUP BY u.id
+                            ORDER BY games DESC, u.username
+                            LIMIT $2
+                          ) opponents), '[]'::json),
+         'monthly', (SELECT json_agg(activity ORDER BY month) FROM (
+                       SELECT mo.month, json_build_object(
+                                'month', to_char(mo.month, 'YYYY-MM'),
+                                'games', COUNT(p.id),
+                                'wins', COUNT(*) FILTER (WHERE p.result = 'win'),
+                                'draws', COUNT(*) FILTER (WHERE p.result = 'draw')) AS activity
+                       FROM months mo
+                       LEFT JOIN played p ON date_trunc('month', p.finished_at) = mo.month
+                       GROUP BY mo.month
+                     ) months_played)
+       ) AS stats`,
+      [req.user.id, HEAD_TO_HEAD_LIMIT, ACTIVITY_MONTHS]
+    );
+
+    const stats = result.rows[0].stats;
+
+    res.json({
+      stats: {
+        ...formatRecord(stats.total),
+        as_x: formatRecord(stats.by_symbol.X),
+        as_o: formatRecord(stats.by_symbol.O),
+        current_win_streak: stats.current_win_streak,
+        best_win_streak: stats.best_win_streak,
+        average_duration_seconds: stats.average_duration_seconds,
+        average_moves: stats.average_moves,
+        favorite_opening: stats.favorite_opening,
+        head_to_head: stats.head_to_head.map(({ id, username, ...counts }) => ({
+          opponent: { id, username },
+          ...formatRecord(counts)
+        })),
+        monthly: stats.monthly.map(({ month, ...counts }) => ({ month, ...formatRecord(counts) }))
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching detailed stats:', error);
+    res.status(500).json({ error: 'Failed to fetch statistics' });
+  }
+});
+
+/**
+ * Get a user's rating history
+ * GET /api/users/:id/ratings
+ *
+ * Returns the user's current rating and the rating change of each rated
+ * game (games between two users), oldest first
+ *
+ * @param {string} id - User ID, or 'me' for the authenticated user
+ * @query {number} [limit] - Number of most recent games to include (default: 50, max: 200)
+ */
+router.get('/:id/ratings', async (req, res) => {
+  const userId = resolveUserId(req);
+  if (!userId) {
+    return res.status(400).json({ error: 'Invalid user ID' });
+  }
+
+  const limit = req.query.limit === undefined ? DEFAULT_RATINGS_LIMIT : Number(req.query.limit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_RATINGS_LIMIT) {
+    return res.status(400).json({ error: `Invalid limit. Must be between 1 and ${MAX_RATINGS_LIMIT}` });
+  }
+
+  try {
+    const userResult = await pool.query(
+      'SELECT id, username, rating FROM users WHERE id = $1',
+      [userId]
+    );
+
+    if (userResult.rows.length === 0) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    // Pick the user's side of each rated game, newest first for the limit
+    const historyResult = await pool.query(
+      `SELECT * FROM (
+         SELECT h.game_id,
+                h.finished_at,
+                h.winner_id,
+                CASE WHEN h.player_x_id = $1 THEN h.player_o_id ELSE h.player_x_id END AS opponent_id,
+                CASE WHEN h.player_x_id = $1 THEN h.player_x_rating_before ELSE h.player_o_rating_before END AS rating_before,
+                CASE WHEN h.player_x_id = $1 THEN h.player_x_rating_after ELSE h.player_o_rating_after END AS rating_after
+         FROM game_history h
+         WHERE (h.player_x_id = $1 OR h.player_o_id = $1)
+           AND h.player_x_rating_before IS NOT NULL
+         ORDER BY h.finished_at DESC, h.id DESC
+         LIMIT $2
+       ) recent
+       ORDER BY finished_at, game_id`,
+      [userId, limit]
+    );
+
+    const ratings = historyResult.rows.map(row => ({
+      game_id: row.game_id,
+      opponent_id: row.opponent_id,
+      result: row.winner_id === null ? 'draw' : (row.winner_id === userId ? 'win' : 'loss'),
+      rating_before: row.rating_before,
+      rating_after: row.rating_after,
+      change: row.rating_after - row.rating_before,
+      finished_at: row.finished_at
+    }));
+
+    res.json({
+      user: userResult.rows[0],
+      ratings
+    });
+  } catch (error) {
+    console.error('Error fetching rating history:', error);
+    res.status(500).json({ error: 'Failed to fetch rating history' });
+  }
+});
+
+module.exports = router;
@@ -1,13 +1,31 @@
+const http = require('http');
 const express = require('express');
 const cors = require('cors');
 const pool = require('./db');
 const { authenticateToken } = require('./middleware/auth');
+const { limitApi } = require('./middleware/rateLimit');
 const authRoutes = require('./routes/auth');
 const gameRoutes = require('./routes/game');
+const messageRoutes = require('./routes/messages');
+const userRoutes = require('./routes/users');
+const leaderboardRoutes = require('./routes/leaderboard');
+const matchmakingRoutes = require('./routes/matchmaking');
+const realtime = require('./lib/realtime');
+const events = require('./lib/events');
+const sweeper = require('./lib/sweeper');
+const spectators = require('./lib/spectators');
+const rateLimit = require('./lib/rateLimit');
 
 const app = express();
 const PORT = process.env.PORT || 3001;
 
+// Behind a reverse proxy, take the client IP (used by rate limiting and
+// the session list) from X-Forwarded-For: TRUST_PROXY is the number of
+// proxies in front of the backend, or their addresses (e.g. 'loopback')
+if (process.env.TRUST_PROXY) {
+  app.set('trust proxy', parseInt(process.env.TRUST_PROXY) || process.env.TRUST_PROXY);
+}
+
 // Middleware
 app.use(cors());
 app.use(express.json());
@@ -37,17 +55,19 @@ app.get('/api/health', async (req, res) => {
   }
 });
 
+// Limit the request rate of each client
+app.use('/api', limitApi);
+
 // Public routes (no authentication required)
 app.use('/api/auth', authRoutes);
 
 // Protected routes (authentication required)
-// Apply authenticateToken middleware to all /api/games routes
+// Apply authenticateToken middleware to all /api/games, /api/users, /api/leaderboard and /api/matchmaking routes
+app.use('/api/games/:id/messages', authenticateToken, messageRoutes);
 app.use('/api/games', authenticateToken, gameRoutes);
-
-// Apply authenticateToken to the /me endpoint
-const authRouter = express.Router();
-authRouter.get('/me', authenticateToken, require('./routes/auth'));
-app.use('/api/auth', authRouter);
+app.use('/api/users', authenticateToken, userRoutes);
+app.use('/api/leaderboard', authenticateToken, leaderboardRoutes);
+app.use('/api/matchmaking', authenticateToken, matchmakingRoutes);
 
 // 404 handler for undefined routes
 app.use((req, res) => {
@@ -62,9 +82,27 @@ app.use((err, req, res, next) => {
 
 // Start server only if this file is run directly (not imported for testing)
 if (require.main === module) {
-  app.listen(PORT, '0.0.0.0', () => {
+  const server = http.createServer(app);
+
+  // WebSocket endpoint for realtime game and lobby updates
+  realtime.attach(server);
+
+  // Relay events published by any backend instance to local sockets
+  events.listen();
+
+  // End timed games whose player to move has run out of time
+  sweeper.start();
+
+  // Count the users watching each game
+  spectators.start();
+
+  // Forget expired rate limit counters
+  rateLimit.start();
+
+  server.listen(PORT, '0.0.0.0', () => {
     console.log(`Tic-Tac-Toe API server running on port ${PORT}`);
     console.log(`Health check: http://localhost:${PORT}/api/health`);
+    console.log(`WebSocket: ws://localhost:${PORT}${realtime.WS_PATH}`);
   });
 }
 
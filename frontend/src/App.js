@@ -1,28 +1,41 @@
 import React from 'react';
-import { BrowserRouter as Router, Routes, Route, Navigate } from 'react-router-dom';
+import { BrowserRouter as Router, Routes, Route, Navigate, useLocation } from 'react-router-dom';
 import { AuthProvider, useAuth } from './context/AuthContext';
 import Login from './components/Login';
 import Register from './components/Register';
+import ForgotPassword from './components/ForgotPassword';
+import ResetPassword from './components/ResetPassword';
+import VerifyEmail from './components/VerifyEmail';
 import GameList from './components/GameList';
 import Game from './components/Game';
+import Replay from './components/Replay';
+import Leaderboard from './components/Leaderboard';
+import History from './components/History';
+import Stats from './components/Stats';
+import Sessions from './components/Sessions';
+import TwoFactor from './components/TwoFactor';
+import JoinGame from './components/JoinGame';
 import './App.css';
 
 /**
  * Protected Route Component
- * Redirects to login if user is not authenticated
+ * Redirects to login if user is not authenticated, remembering the
+ * requested page (e.g. an invite link) to come back to after login
  */
 const ProtectedRoute = ({ children }) => {
   const { isAuthenticated } = useAuth();
-  return isAuthenticated ? children : <Navigate to="/login" />;
+  const location = useLocation();
+  return isAuthenticated ? children : <Navigate to="/login" state={{ from: location.pathname }} />;
 };
 
 /**
  * Public Route Component
- * Redirects to games list if user is already authenticated
+ * Redirects to the remembered page, or the games list, if user is already authenticated
  */
 const PublicRoute = ({ children }) => {
   const { isAuthenticated } = useAuth();
-  return !isAuthenticated ? children : <Navigate to="/games" />;
+  const location = useLocation();
+  return !isAuthenticated ? children : <Navigate to={location.state?.from || '/games'} />;
 };
 
 /**
@@ -55,6 +68,18 @@ function App() {
                 </PublicRoute>
               }
             />
+            <Route
+              path="/forgot-password"
+              element={
+                <PublicRoute>
+                  <ForgotPassword />
+                </PublicRoute>
+              }
+            />
+
+            {/* Reachable from an emailed link whether or not this browser is logged in */}
+            <Route path="/reset-password" element={<ResetPassword />} />
+            <Route path="/verify-email" element={<VerifyEmail />} />
 
             {/* Protected routes - only accessible when authenticated */}
             <Route
@@ -74,6 +99,69 @@ function App() {
               }
             />
 
+            <Route
+              path="/game/:id/replay"
+              element={
+                <ProtectedRoute>
+                  <Replay />
+                </ProtectedRoute>
+              }
+            />
+
+            <Route
+              path="/leaderboard"
+              element={
+                <ProtectedRoute>
+                  <Leaderboard />
+                </ProtectedRoute>
+              }
+            />
+
+            <Route
+              path="/history"
+              element={
+                <ProtectedRoute>
+                  <History />
+                </ProtectedRoute>
+              }
+            />
+
+            <Route
+              path="/stats"
+              element={
+                <ProtectedRoute>
+                  <Stats />
+                </ProtectedRoute>
+              }
+            />
+
+            <Route
+              path="/sessions"
+              element={
+                <ProtectedRoute>
+                  <Sessions />
+                </ProtectedRoute>
+              }
+            />
+
+            <Route
+              path="/two-factor"
+              element={
+                <ProtectedRoute>
+                  <TwoFactor />
+                </ProtectedRoute>
+              }
+            />
+
+            <Route
+              path="/join/:code"
+              element={
+                <ProtectedRoute>
+                  <JoinGame />
+                </ProtectedRoute>
+              }
+            />
+
             {/* 404 catch-all route */}
             <Route path="*" element={<Navigate to="/" />} />
           </Routes>
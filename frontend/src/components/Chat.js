@@ -0,0 +1,111 @@
+import React, { useState, useEffect, useRef } from 'react';
+import './Chat.css';
+
+// Maximum length of a chat message (matches the API limit)
+const MAX_MESSAGE_LENGTH = 500;
+
+/**
+ * Chat Component
+ * Chat panel of a game, shared by players and spectators
+ * The parent owns the messages (fetched and pushed in realtime) and sends them
+ *
+ * @param {Array} messages - Messages to display, oldest first
+ * @param {number} currentUserId - ID of the logged in user
+ * @param {Function} onSend - Called with the message text; rejects with the API error
+ * @param {boolean} canPost - Whether the user may post (false for muted spectators)
+ * @param {string} [blockedReason] - Shown instead of the message form when the user may not post
+ * @param {boolean} isPlayer - Whether the user plays in the game (players can mute spectators)
+ * @param {boolean} spectatorsMuted - Whether spectators are muted
+ * @param {Function} onToggleMute - Called to mute or unmute spectators
+ */
+const Chat = ({ messages, currentUserId, onSend, canPost, blockedReason = 'The players have muted spectators', isPlayer, spectatorsMuted, onToggleMute }) => {
+  const [draft, setDraft] = useState('');
+  const [sending, setSending] = useState(false);
+  const [error, setError] = useState('');
+  const listRef = useRef(null);
+
+  // Keep the latest message in view
+  useEffect(() => {
+    if (listRef.current) {
+      listRef.current.scrollTop = listRef.current.scrollHeight;
+    }
+  }, [messages]);
+
+  /**
+   * Send the draft message
+   * @param {Event} e - Form submit event
+   */
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!draft.trim()) {
+      return;
+    }
+
+    setSending(true);
+    setError('');
+
+    try {
+      await onSend(draft);
+      setDraft('');
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setSending(false);
+    }
+  };
+
+  return (
+    <div className="chat-panel">
+      <div className="chat-header">
+        <h3>Chat</h3>
+        {isPlayer && (
+          <button onClick={onToggleMute} className="btn-mute">
+            {spectatorsMuted ? 'Unmute spectators' : 'Mute spectators'}
+          </button>
+        )}
+      </div>
+
+      <div className="chat-messages" ref={listRef}>
+        {messages.length === 0 ? (
+          <p className="chat-empty">No messages yet</p>
+        ) : (
+          messages.map(message => (
+            <div
+              key={message.id}
+              className={`chat-message ${message.user_id === currentUserId ? 'own' : ''}`}
+            >
+              <span className={`chat-author ${message.role}`}>
+                {message.username || 'Deleted user'}
+                {message.role === 'spectator' && ' (spectator)'}
+              </span>
+              <span className="chat-body">{message.body}</span>
+            </div>
+          ))
+        )}
+      </div>
+
+      {canPost ? (
+        <form onSubmit={handleSubmit} className="chat-form">
+          <input
+            type="text"
+            value={draft}
+            onChange={(e) => setDraft(e.target.value)}
+            maxLength={MAX_MESSAGE_LENGTH}
+            placeholder="Type a message..."
+            aria-label="Message"
+            disabled={sending}
+          />
+          <button type="submit" className="btn-send" disabled={sending || !draft.trim()}>
+            Send
+          </button>
+        </form>
+      ) : (
+        <p className="chat-muted">{blockedReason}</p>
+      )}
+
+      {error && <p className="chat-error">{error}</p>}
+    </div>
+  );
+};
+
+export default Chat;
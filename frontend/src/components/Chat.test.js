@@ -0,0 +1,86 @@
+import React from 'react';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import Chat from './Chat';
+
+/**
+ * Chat Component Tests
+ * Tests for the message list, sending and spectator muting
+ */
+
+const messages = [
+  { id: 1, game_id: 1, user_id: 1, username: 'alice', role: 'player', body: 'Good luck', created_at: '2026-01-01T10:00:00Z' },
+  { id: 2, game_id: 1, user_id: 3, username: 'carol', role: 'spectator', body: 'Nice move', created_at: '2026-01-01T10:01:00Z' }
+];
+
+// Helper function to render the chat with sensible defaults
+const renderChat = (props = {}) => {
+  const defaults = {
+    messages,
+    currentUserId: 1,
+    onSend: jest.fn().mockResolvedValue(undefined),
+    canPost: true,
+    isPlayer: true,
+    spectatorsMuted: false,
+    onToggleMute: jest.fn()
+  };
+
+  return render(<Chat {...defaults} {...props} />);
+};
+
+describe('Chat Component', () => {
+  it('should show messages with spectators marked', () => {
+    renderChat();
+
+    expect(screen.getByText('Good luck')).toBeInTheDocument();
+    expect(screen.getByText('Nice move')).toBeInTheDocument();
+    expect(screen.getByText(/carol \(spectator\)/)).toBeInTheDocument();
+  });
+
+  it('should send the draft and clear it', async () => {
+    const onSend = jest.fn().mockResolvedValue(undefined);
+    renderChat({ onSend });
+
+    const input = screen.getByLabelText('Message');
+    fireEvent.change(input, { target: { value: 'Hello' } });
+    fireEvent.click(screen.getByRole('button', { name: /send/i }));
+
+    await waitFor(() => expect(input).toHaveValue(''));
+    expect(onSend).toHaveBeenCalledWith('Hello');
+  });
+
+  it('should keep the draft and show the error when sending fails', async () => {
+    const onSend = jest.fn().mockRejectedValue(new Error('Spectators are muted in this game'));
+    renderChat({ onSend });
+
+    const input = screen.getByLabelText('Message');
+    fireEvent.change(input, { target: { value: 'Hello' } });
+    fireEvent.click(screen.getByRole('button', { name: /send/i }));
+
+    expect(await screen.findByText('Spectators are muted in this game')).toBeInTheDocument();
+    expect(input).toHaveValue('Hello');
+  });
+
+  it('should tell muted spectators they cannot post', () => {
+    renderChat({ canPost: false, isPlayer: false, spectatorsMuted: true });
+
+    expect(screen.getByText(/players have muted spectators/i)).toBeInTheDocument();
+    expect(screen.queryByLabelText('Message')).not.toBeInTheDocument();
+    expect(screen.queryByRole('button', { name: /mute spectators/i })).not.toBeInTheDocument();
+  });
+
+  it('should explain why posting is blocked', () => {
+    renderChat({ canPost: false, blockedReason: 'Verify your email address to chat' });
+
+    expect(screen.getByText('Verify your email address to chat')).toBeInTheDocument();
+    expect(screen.queryByLabelText('Message')).not.toBeInTheDocument();
+  });
+
+  it('should let players toggle spectator muting', () => {
+    const onToggleMute = jest.fn();
+    renderChat({ spectatorsMuted: true, onToggleMute });
+
+    fireEvent.click(screen.getByRole('button', { name: /unmute spectators/i }));
+
+    expect(onToggleMute).toHaveBeenCalled();
+  });
+});
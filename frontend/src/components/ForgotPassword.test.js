@@ -0,0 +1,51 @@
+import React from 'react';
+import { render, screen, fireEvent } from '@testing-library/react';
+import { MemoryRouter } from 'react-router-dom';
+import ForgotPassword from './ForgotPassword';
+
+/**
+ * ForgotPassword Component Tests
+ * Tests for requesting a password reset link
+ */
+
+// Mock fetch for API calls
+global.fetch = jest.fn();
+
+describe('ForgotPassword Component', () => {
+  beforeEach(() => {
+    fetch.mockReset();
+  });
+
+  it('should request a reset link and show the confirmation', async () => {
+    fetch.mockResolvedValueOnce({
+      ok: true,
+      json: async () => ({ message: 'If an account exists for this email, a reset link has been sent' })
+    });
+
+    render(<MemoryRouter><ForgotPassword /></MemoryRouter>);
+
+    fireEvent.change(screen.getByLabelText(/email/i), { target: { value: 'alice@test.com' } });
+    fireEvent.click(screen.getByRole('button', { name: /send reset link/i }));
+
+    expect(await screen.findByText(/a reset link has been sent/i)).toBeInTheDocument();
+    expect(fetch).toHaveBeenCalledWith(
+      expect.stringContaining('/api/auth/forgot-password'),
+      expect.objectContaining({ body: JSON.stringify({ email: 'alice@test.com' }) })
+    );
+    expect(screen.queryByRole('button', { name: /send reset link/i })).not.toBeInTheDocument();
+  });
+
+  it('should display the API error', async () => {
+    fetch.mockResolvedValueOnce({
+      ok: false,
+      json: async () => ({ error: 'Email is required' })
+    });
+
+    render(<MemoryRouter><ForgotPassword /></MemoryRouter>);
+
+    fireEvent.change(screen.getByLabelText(/email/i), { target: { value: 'alice@test.com' } });
+    fireEvent.click(screen.getByRole('button', { name: /send reset link/i }));
+
+    expect(await screen.findByText('Email is required')).toBeInTheDocument();
+  });
+});
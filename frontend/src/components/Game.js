@@ -1,8 +1,27 @@
 import React, { useState, useEffect } from 'react';
 import { useParams, useNavigate } from 'react-router-dom';
 import { useAuth } from '../context/AuthContext';
+import { useRealtime } from '../hooks/useRealtime';
+import { formatTimeControl } from '../utils/timeControl';
+import Chat from './Chat';
 import './Game.css';
 
+// Refresh interval of the running clock, in milliseconds
+const CLOCK_TICK = 250;
+
+// Remaining time under which a clock is highlighted, in milliseconds
+const LOW_TIME = 10000;
+
+/**
+ * Format a remaining time as minutes and seconds, e.g. "2:05"
+ * Rounded up so that a clock only shows 0:00 once the time is up
+ * @param {number} ms - Remaining milliseconds
+ */
+const formatClockTime = (ms) => {
+  const seconds = Math.ceil(ms / 1000);
+  return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+};
+
 /**
  * Game Component
  * Main tic-tac-toe game board and logic
@@ -17,9 +36,36 @@ const Game = () => {
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState('');
   const [makingMove, setMakingMove] = useState(false);
+  const [inviteCopied, setInviteCopied] = useState(false);
+  const [clockSyncedAt, setClockSyncedAt] = useState(0);
+  const [now, setNow] = useState(Date.now());
+  const [series, setSeries] = useState(null);
+  const [role, setRole] = useState('player');
+  const [spectators, setSpectators] = useState(0);
+  const [messages, setMessages] = useState([]);
 
   const API_URL = process.env.REACT_APP_API_URL || 'http://localhost:3001';
 
+  // Unverified accounts may be barred from the chat (see VerificationBanner)
+  const chatLocked = (user.restrictions || []).includes('chat');
+
+  /**
+   * Store the latest game state
+   * Remember when it arrived: the clock times it carries were true at that moment
+   * Updates pushed over the socket never carry the invite code, so the
+   * creator keeps the one they already have
+   * @param {Object} data - Game from the API
+   */
+  const updateGame = (data) => {
+    setGame(current => (
+      current && current.id === data.id && current.invite_code && !data.invite_code
+        ? { ...data, invite_code: current.invite_code }
+        : data
+    ));
+    setClockSyncedAt(Date.now());
+    setNow(Date.now());
+  };
+
   /**
    * Fetch game data from the server
    * @param {boolean} isInitialLoad - Whether this is the first load (shows loading indicator)
@@ -44,7 +90,9 @@ const Game = () => {
       }
 
       const data = await response.json();
-      setGame(data.game);
+      updateGame(data.game);
+      setRole(data.role);
+      setSpectators(data.spectators);
       setError('');
     } catch (err) {
       setError(err.message);
@@ -55,28 +103,201 @@ const Game = () => {
     }
   };
 
-  // Load game on mount and set up continuous polling
+  /**
+   * Fetch the chat messages of the game
+   */
+  const fetchMessages = async () => {
+    try {
+      const response = await fetch(`${API_URL}/api/games/${id}/messages`, {
+        headers: {
+          'Authorization': `Bearer ${token}`
+        }
+      });
+
+      if (response.ok) {
+        const data = await response.json();
+        setMessages(data.messages);
+      }
+    } catch (err) {
+      console.error('Error fetching messages:', err);
+    }
+  };
+
+  /**
+   * Add a chat message unless it is already shown
+   * The sender gets their message both from the API and from the socket
+   * @param {Object} message - Chat message
+   */
+  const addMessage = (message) => {
+    setMessages(current => (current.some(m => m.id === message.id) ? current : [...current, message]));
+  };
+
+  // Receive game state pushed by the server after every move or join,
+  // follow both players to the new game when a rematch starts
+  // and keep the spectator count up to date
+  const connected = useRealtime(`game:${id}`, (event, data) => {
+    if (event === 'game:update') {
+      updateGame(data);
+    } else if (event === 'rematch:started') {
+      navigate(`/game/${data.id}`);
+    } else if (event === 'spectators:update') {
+      setSpectators(data.count);
+    } else if (event === 'chat:message') {
+      addMessage(data);
+    }
+  });
+
+  // Initial fetch with loading indicator
   useEffect(() => {
-    // Initial fetch with loading indicator
     fetchGame(true);
+    fetchMessages();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [id]);
+
+  // Fall back to polling every 2 seconds while the socket is down
+  useEffect(() => {
+    if (connected) {
+      // Catch up on anything missed while disconnected
+      fetchGame(false);
+      fetchMessages();
+      return undefined;
+    }
 
-    // Set up interval for continuous polling every 2 seconds
     const interval = setInterval(() => {
       fetchGame(false);
+      fetchMessages();
     }, 2000);
 
-    // Cleanup interval on unmount
+    // Cleanup interval on unmount or once the socket is back
     return () => clearInterval(interval);
     // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, [id]);
+  }, [id, connected]);
+
+  // Fetch the running score of a series of rematches, again after each result
+  const seriesId = game ? game.series_id : null;
+  const gameStatus = game ? game.status : null;
+  useEffect(() => {
+    if (!seriesId) {
+      setSeries(null);
+      return;
+    }
+
+    const fetchSeries = async () => {
+      try {
+        const response = await fetch(`${API_URL}/api/games/${id}/series`, {
+          headers: {
+            'Authorization': `Bearer ${token}`
+          }
+        });
+
+        if (response.ok) {
+          setSeries(await response.json());
+        }
+      } catch (err) {
+        console.error('Error fetching series:', err);
+      }
+    };
+
+    fetchSeries();
+  }, [API_URL, id, token, seriesId, gameStatus]);
+
+  // Tick the running clock of timed games
+  const runningClock = game && game.clock ? game.clock.running : null;
+  useEffect(() => {
+    if (!runningClock) {
+      return undefined;
+    }
+
+    const interval = setInterval(() => setNow(Date.now()), CLOCK_TICK);
+    return () => clearInterval(interval);
+  }, [runningClock]);
+
+  /**
+   * Copy the invite link of a private game to the clipboard
+   * The link opens the /join/:code route for whoever receives it
+   */
+  const handleCopyInvite = async () => {
+    const link = `${window.location.origin}/join/${game.invite_code}`;
+    try {
+      await navigator.clipboard.writeText(link);
+      setInviteCopied(true);
+      setTimeout(() => setInviteCopied(false), 2000);
+    } catch (err) {
+      setError('Failed to copy the invite link');
+    }
+  };
+
+  /**
+   * Send a game action (resign, abort, draw offer or rematch) and show the resulting game
+   * Opens the new game when the action starts a rematch
+   * @param {string} action - Action path, e.g. 'resign' or 'draw-offer/accept'
+   */
+  const handleAction = async (action) => {
+    setError('');
+
+    try {
+      const response = await fetch(`${API_URL}/api/games/${id}/${action}`, {
+        method: 'POST',
+        headers: {
+          'Authorization': `Bearer ${token}`
+        }
+      });
+
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error || 'Action failed');
+      }
+
+      if (data.rematch) {
+        navigate(`/game/${data.rematch.id}`);
+        return;
+      }
+
+      updateGame(data.game);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  /**
+   * Post a chat message
+   * @param {string} body - Message text
+   * @throws {Error} With the API error when the message is rejected
+   */
+  const handleSendMessage = async (body) => {
+    const response = await fetch(`${API_URL}/api/games/${id}/messages`, {
+      method: 'POST',
+      headers: {
+        'Authorization': `Bearer ${token}`,
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({ body })
+    });
+
+    const data = await response.json();
+    if (!response.ok) {
+      throw new Error(data.error || 'Failed to send message');
+    }
+
+    addMessage(data.message);
+  };
+
+  /**
+   * Resign after confirmation
+   */
+  const handleResign = () => {
+    if (window.confirm('Resign this game? Your opponent will win.')) {
+      handleAction('resign');
+    }
+  };
 
   /**
    * Handle cell click - make a move
-   * @param {number} position - Position on the board (0-8)
+   * @param {number} position - Position on the board (row by row)
    */
   const handleCellClick = async (position) => {
-    // Prevent moves if game is not in progress
-    if (!game || game.status !== 'in_progress') {
+    // Prevent moves if game is not in progress or the user is only watching
+    if (!game || game.status !== 'in_progress' || isSpectator()) {
       return;
     }
 
@@ -85,6 +306,13 @@ const Game = () => {
       return;
     }
 
+    // Ultimate games: the move must go in the board the player was sent to
+    if (isUltimate() && !isPlayableBoard(Math.floor(position / 9))) {
+      setError(game.next_board !== null ? `You must play in board ${game.next_board + 1}` : 'This board is already decided');
+      setTimeout(() => setError(''), 2000);
+      return;
+    }
+
     // Check if it's the player's turn
     const playerSymbol = game.player_x_id === user.id ? 'X' : 'O';
     if (game.current_turn !== playerSymbol) {
@@ -108,10 +336,14 @@ const Game = () => {
 
       if (!response.ok) {
         const data = await response.json();
+        // A move played too late ends the game on time
+        if (data.game) {
+          updateGame(data.game);
+        }
         throw new Error(data.error || 'Failed to make move');
       }
 
-      // Refresh game state
+      // Refresh game state (the socket usually delivers it first)
       await fetchGame();
     } catch (err) {
       setError(err.message);
@@ -122,11 +354,12 @@ const Game = () => {
 
   /**
    * Render a single cell on the board
-   * @param {number} index - Cell index (0-8)
+   * @param {number} index - Cell index (row by row)
    */
   const renderCell = (index) => {
     const value = game.board[index];
-    const isClickable = game.status === 'in_progress' && value === '' && !makingMove;
+    const isClickable = game.status === 'in_progress' && value === '' && !makingMove && !isSpectator() &&
+      (!isUltimate() || isPlayableBoard(Math.floor(index / 9)));
 
     return (
       <div
@@ -139,6 +372,59 @@ const Game = () => {
     );
   };
 
+  /**
+   * Check if the game is an Ultimate Tic-Tac-Toe game
+   */
+  const isUltimate = () => game.game_type === 'ultimate';
+
+  /**
+   * Check if a small board of an ultimate game can receive the next move
+   * @param {number} smallBoard - Small board index (0-8)
+   */
+  const isPlayableBoard = (smallBoard) => {
+    return game.status === 'in_progress' &&
+      game.meta_board[smallBoard] === '' &&
+      (game.next_board === null || game.next_board === smallBoard);
+  };
+
+  /**
+   * Render the nested board of an ultimate game
+   * Each small board holds cells smallBoard * 9 to smallBoard * 9 + 8
+   */
+  const renderUltimateBoard = () => (
+    <div className="ultimate-board">
+      {game.meta_board.map((result, smallBoard) => (
+        <div
+          key={smallBoard}
+          className={`small-board ${isPlayableBoard(smallBoard) ? 'playable' : ''} ${result ? 'decided' : ''}`}
+        >
+          {Array.from({ length: 9 }, (_, cell) => renderCell(smallBoard * 9 + cell))}
+          {result && (
+            <div className={`small-board-result ${result}`}>
+              {result === 'D' ? '-' : result}
+            </div>
+          )}
+        </div>
+      ))}
+    </div>
+  );
+
+  /**
+   * Check if the game uses the classic 3x3 board (sized by the stylesheet)
+   */
+  const isClassicBoard = () => game.board_width === 3 && game.board_height === 3;
+
+  /**
+   * Get the cell size in pixels so that large boards still fit on screen
+   */
+  const getCellSize = () => {
+    const size = Math.max(game.board_width, game.board_height);
+    if (size <= 3) return 120;
+    if (size <= 5) return 80;
+    if (size <= 9) return 48;
+    return 32;
+  };
+
   /**
    * Get winner message
    */
@@ -146,10 +432,25 @@ const Game = () => {
     if (!game.winner) return null;
 
     if (game.winner === 'D') {
-      return "It's a draw!";
+      return game.termination_reason === 'agreement' ? 'Draw agreed.' : "It's a draw!";
+    }
+
+    if (isSpectator()) {
+      const reason = { resignation: ' by resignation', timeout: ' on time' }[game.termination_reason] || '';
+      return `${getPlayerName(game.winner)} wins${reason}!`;
+    }
+
+    if (game.bot_level) {
+      return game.winner === 'X' ? 'You beat the bot! 🎉' : 'The bot won! 🤖';
     }
 
     const winnerId = game.winner === 'X' ? game.player_x_id : game.player_o_id;
+    if (game.termination_reason === 'resignation') {
+      return winnerId === user.id ? 'Your opponent resigned. You won! 🎉' : 'You resigned.';
+    }
+    if (game.termination_reason === 'timeout') {
+      return winnerId === user.id ? 'Your opponent ran out of time. You won! 🎉' : 'You ran out of time! ⏱';
+    }
     if (winnerId === user.id) {
       return 'You won! 🎉';
     } else {
@@ -157,14 +458,133 @@ const Game = () => {
     }
   };
 
+  /**
+   * Get the time a player has left, counting down from the last game update
+   * @param {string} symbol - 'X' or 'O'
+   * @returns {number} Remaining milliseconds
+   */
+  const getRemainingTime = (symbol) => {
+    const stored = symbol === 'X' ? game.clock.x_ms : game.clock.o_ms;
+    const elapsed = game.clock.running === symbol ? now - clockSyncedAt : 0;
+    return Math.max(0, stored - elapsed);
+  };
+
+  /**
+   * Render the clock of a player
+   * @param {string} symbol - 'X' or 'O'
+   */
+  const renderClock = (symbol) => {
+    const remaining = getRemainingTime(symbol);
+    const isRunning = game.clock.running === symbol;
+    const isLow = remaining < LOW_TIME;
+
+    return (
+      <div
+        className={`clock ${isRunning ? 'running' : ''} ${isLow ? 'low' : ''}`}
+        data-testid={`clock-${symbol}`}
+      >
+        <span className="clock-symbol">{symbol}</span>
+        <span className="clock-time">{formatClockTime(remaining)}</span>
+      </div>
+    );
+  };
+
+  /**
+   * Check if the user is watching the game rather than playing it
+   */
+  const isSpectator = () => role === 'spectator';
+
   /**
    * Get current player symbol
+   * @returns {string|null} 'X' or 'O', or null for spectators
    */
   const getPlayerSymbol = () => {
-    if (!game) return null;
+    if (!game || isSpectator()) return null;
     return game.player_x_id === user.id ? 'X' : 'O';
   };
 
+  /**
+   * Get the name of the player playing a symbol
+   * @param {string} symbol - 'X' or 'O'
+   */
+  const getPlayerName = (symbol) => {
+    if (symbol === 'O' && game.bot_level) return `Bot (${game.bot_level})`;
+    const player = symbol === 'X' ? game.players.x : game.players.o;
+    return player ? player.username : `Player ${symbol}`;
+  };
+
+  /**
+   * Get the rating of the player playing a symbol, e.g. " (1250)"
+   * Empty for the bot and empty seats
+   * @param {string} symbol - 'X' or 'O'
+   */
+  const getPlayerRating = (symbol) => {
+    const player = symbol === 'X' ? game.players.x : game.players.o;
+    return player ? ` (${player.rating})` : '';
+  };
+
+  /**
+   * Check if the game can still be aborted by the user
+   * The creator can abort while waiting, either player before the first move
+   */
+  const canAbort = () => {
+    if (game.status === 'waiting') return game.player_x_id === user.id;
+    return game.status === 'in_progress' && game.board.every(cell => cell === '');
+  };
+
+  /**
+   * Render the rematch controls of a finished game against another player
+   */
+  const renderRematch = () => {
+    if (game.rematch_game_id) {
+      return (
+        <button onClick={() => navigate(`/game/${game.rematch_game_id}`)} className="btn-new-game">
+          Go to Rematch
+        </button>
+      );
+    }
+
+    if (game.rematch_requested_by === getPlayerSymbol()) {
+      return <p className="rematch-status">Rematch requested, waiting for your opponent...</p>;
+    }
+
+    if (game.rematch_requested_by) {
+      return (
+        <div className="rematch-request">
+          <p className="rematch-status">Your opponent wants a rematch</p>
+          <button onClick={() => handleAction('rematch/accept')} className="btn-new-game">
+            Accept Rematch
+          </button>
+          <button onClick={() => handleAction('rematch/decline')} className="btn-action secondary">
+            Decline
+          </button>
+        </div>
+      );
+    }
+
+    return (
+      <button onClick={() => handleAction('rematch')} className="btn-new-game">
+        Rematch
+      </button>
+    );
+  };
+
+  /**
+   * Get the series score from the user's point of view, e.g. "You 2 - 1 Opponent"
+   */
+  const getSeriesScore = () => {
+    if (isSpectator()) {
+      const [first, second] = series.score.players;
+      const nameOf = (playerId) => [game.players.x, game.players.o].find(player => player && player.id === playerId)?.username;
+      return `${nameOf(first.id)} ${first.wins} - ${second.wins} ${nameOf(second.id)}`;
+    }
+
+    const mine = series.score.players.find(player => player.id === user.id);
+    const theirs = series.score.players.find(player => player.id !== user.id);
+    const draws = series.score.draws > 0 ? ` (${series.score.draws} draw${series.score.draws > 1 ? 's' : ''})` : '';
+    return `You ${mine ? mine.wins : 0} - ${theirs ? theirs.wins : 0} Opponent${draws}`;
+  };
+
   /**
    * Check if it's current user's turn
    */
@@ -201,6 +621,12 @@ const Game = () => {
             ← Back to Games
           </button>
           <h1>Tic-Tac-Toe - Game #{id}</h1>
+          {isSpectator() && <span className="board-size">Spectating</span>}
+          <span className="spectator-count" title="Spectators">👁 {spectators}</span>
+          {isUltimate() && <span className="board-size">Ultimate</span>}
+          {!isUltimate() && !isClassicBoard() && (
+            <span className="board-size">{game.board_width}x{game.board_height}</span>
+          )}
         </header>
 
         <div className="game-content">
@@ -210,53 +636,152 @@ const Game = () => {
               {game.status === 'waiting' && (
                 <p className="status-waiting">Waiting for opponent...</p>
               )}
+              {game.status === 'waiting' && game.invite_code && (
+                <button onClick={handleCopyInvite} className="btn-invite">
+                  {inviteCopied ? 'Link copied!' : 'Copy Invite Link'}
+                </button>
+              )}
               {game.status === 'in_progress' && (
                 <>
                   <p className="status-playing">Game in progress</p>
                   <p className={`turn-indicator ${isMyTurn() ? 'my-turn' : ''}`}>
-                    {isMyTurn() ? "Your turn!" : "Opponent's turn"}
+                    {isSpectator()
+                      ? `${getPlayerName(game.current_turn)} to play`
+                      : (isMyTurn() ? "Your turn!" : (game.bot_level ? 'Bot is thinking...' : "Opponent's turn"))}
                   </p>
                 </>
               )}
               {game.status === 'finished' && (
                 <p className="status-finished">{getWinnerMessage()}</p>
               )}
+              {game.status === 'aborted' && (
+                <p className="status-finished">Game aborted</p>
+              )}
             </div>
 
+            {series && (
+              <div className="info-card">
+                <h3>Series - Game {series.games.findIndex(g => g.id === game.id) + 1} of {series.games.length}</h3>
+                <p className="series-score">{getSeriesScore()}</p>
+              </div>
+            )}
+
+            {!isSpectator() && game.status === 'in_progress' && game.draw_offered_by && (
+              <div className="info-card draw-offer">
+                {game.draw_offered_by === getPlayerSymbol() ? (
+                  <p>Draw offered, waiting for your opponent...</p>
+                ) : (
+                  <>
+                    <p>Your opponent offers a draw</p>
+                    <div className="draw-offer-actions">
+                      <button onClick={() => handleAction('draw-offer/accept')} className="btn-action">
+                        Accept
+                      </button>
+                      <button onClick={() => handleAction('draw-offer/decline')} className="btn-action secondary">
+                        Decline
+                      </button>
+                    </div>
+                  </>
+                )}
+              </div>
+            )}
+
+            {!isSpectator() && (game.status === 'in_progress' || canAbort()) && (
+              <div className="info-card game-actions-panel">
+                {canAbort() && (
+                  <button onClick={() => handleAction('abort')} className="btn-action secondary">
+                    Abort
+                  </button>
+                )}
+                {game.status === 'in_progress' && !game.bot_level && !game.draw_offered_by && (
+                  <button onClick={() => handleAction('draw-offer')} className="btn-action secondary">
+                    Offer Draw
+                  </button>
+                )}
+                {game.status === 'in_progress' && (
+                  <button onClick={handleResign} className="btn-action danger">
+                    Resign
+                  </button>
+                )}
+              </div>
+            )}
+
+            {game.clock && (
+              <div className="info-card">
+                <h3>Clocks - {formatTimeControl(game.time_control)}</h3>
+                {renderClock('X')}
+                {renderClock('O')}
+              </div>
+            )}
+
             <div className="info-card">
               <h3>Players</h3>
               <p className={getPlayerSymbol() === 'X' ? 'you' : ''}>
-                Player X {game.player_x_id === user.id && '(You)'}
+                X - {getPlayerName('X')}{getPlayerRating('X')} {game.player_x_id === user.id && '(You)'}
               </p>
               <p className={getPlayerSymbol() === 'O' ? 'you' : ''}>
-                Player O {game.player_o_id === user.id && '(You)'}
-                {!game.player_o_id && ' - Waiting...'}
+                O - {!game.player_o_id && !game.bot_level ? 'Waiting...' : `${getPlayerName('O')}${getPlayerRating('O')}`}
+                {' '}{game.player_o_id === user.id && '(You)'}
               </p>
             </div>
 
-            <div className="info-card">
-              <h3>Your Symbol</h3>
-              <div className={`player-symbol ${getPlayerSymbol()}`}>
-                {getPlayerSymbol()}
+            {!isSpectator() && (
+              <div className="info-card">
+                <h3>Your Symbol</h3>
+                <div className={`player-symbol ${getPlayerSymbol()}`}>
+                  {getPlayerSymbol()}
+                </div>
               </div>
-            </div>
+            )}
           </div>
 
           <div className="board-container">
             {error && <div className="error-banner">{error}</div>}
 
-            <div className="board">
-              {game.board.map((_, index) => renderCell(index))}
-            </div>
+            {!isUltimate() && game.win_length !== 3 && (
+              <p className="win-rule">{game.win_length} in a row to win</p>
+            )}
 
-            {game.status === 'finished' && (
-              <button
-                onClick={() => navigate('/games')}
-                className="btn-new-game"
+            {isUltimate() ? renderUltimateBoard() : (
+              <div
+                className={`board ${getCellSize() < 80 ? 'board-compact' : ''}`}
+                style={isClassicBoard() ? undefined : {
+                  gridTemplateColumns: `repeat(${game.board_width}, ${getCellSize()}px)`,
+                  gridTemplateRows: `repeat(${game.board_height}, ${getCellSize()}px)`
+                }}
               >
-                Back to Game List
-              </button>
+                {game.board.map((_, index) => renderCell(index))}
+              </div>
+            )}
+
+            {(game.status === 'finished' || game.status === 'aborted') && (
+              <div className="game-over-actions">
+                {game.status === 'finished' && !game.bot_level && !isSpectator() && renderRematch()}
+                <button
+                  onClick={() => navigate(`/game/${id}/replay`)}
+                  className="btn-new-game"
+                >
+                  Watch Replay
+                </button>
+                <button
+                  onClick={() => navigate('/games')}
+                  className="btn-new-game"
+                >
+                  Back to Game List
+                </button>
+              </div>
             )}
+
+            <Chat
+              messages={messages}
+              currentUserId={user.id}
+              onSend={handleSendMessage}
+              canPost={!chatLocked && (!isSpectator() || !game.spectators_muted)}
+              blockedReason={chatLocked ? 'Verify your email address to chat' : undefined}
+              isPlayer={!isSpectator()}
+              spectatorsMuted={game.spectators_muted}
+              onToggleMute={() => handleAction(game.spectators_muted ? 'spectators/unmute' : 'spectators/mute')}
+            />
           </div>
         </div>
       </div>
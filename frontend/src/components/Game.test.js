@@ -0,0 +1,241 @@
+import React from 'react';
+import { render, screen, fireEvent, act } from '@testing-library/react';
+import { MemoryRouter, Routes, Route } from 'react-router-dom';
+import { AuthProvider } from '../context/AuthContext';
+import { useRealtime } from '../hooks/useRealtime';
+import Game from './Game';
+
+/**
+ * Game Component Tests
+ * Tests for the resign, abort, draw offer and rematch actions
+ */
+
+// The game is refreshed by polling when the realtime connection is down
+jest.mock('../hooks/useRealtime', () => ({ useRealtime: jest.fn(() => false) }));
+
+// Mock fetch for API calls
+global.fetch = jest.fn();
+
+// Helper function to render game 1 with required providers
+const renderGame = () => {
+  return render(
+    <MemoryRouter initialEntries={['/game/1']}>
+      <AuthProvider>
+        <Routes>
+          <Route path="/game/:id" element={<Game />} />
+          <Route path="/game/7" element={<div>Rematch page</div>} />
+        </Routes>
+      </AuthProvider>
+    </MemoryRouter>
+  );
+};
+
+const baseGame = {
+  id: 1,
+  player_x_id: 1,
+  player_o_id: 2,
+  game_type: 'standard',
+  board: ['X', 'O', '', '', '', '', '', '', ''],
+  board_width: 3,
+  board_height: 3,
+  win_length: 3,
+  current_turn: 'X',
+  winner: null,
+  status: 'in_progress',
+  bot_level: null,
+  players: {
+    x: { id: 1, username: 'alice', rating: 1210 },
+    o: { id: 2, username: 'bob', rating: 1190 }
+  },
+  clock: null,
+  draw_offered_by: null,
+  termination_reason: null
+};
+
+/**
+ * Build the response of GET /api/games/1
+ * @param {Object} game - Game to return
+ * @param {string} role - Role of the user: 'player' or 'spectator'
+ */
+const gameResponse = (game, role = 'player') => ({ game, role, spectators: 0 });
+
+/**
+ * Mock the API with the given game, and the game returned by actions
+ * @param {Object} game - Game returned by GET /api/games/1
+ * @param {Object} actionGame - Game returned by POST /api/games/1/<action>
+ */
+const mockApi = (game, actionGame = game) => {
+  fetch.mockImplementation((url, options = {}) => Promise.resolve({
+    ok: true,
+    status: 200,
+    json: async () => {
+      if (url.endsWith('/messages')) {
+        return { messages: [] };
+      }
+      return options.method === 'POST' ? { game: actionGame } : gameResponse(game);
+    }
+  }));
+};
+
+/**
+ * Get the actions posted to the API, e.g. ['resign']
+ */
+const postedActions = () => fetch.mock.calls
+  .filter(([, options]) => options && options.method === 'POST')
+  .map(([url]) => url.split('/api/games/1/')[1]);
+
+describe('Game Component', () => {
+  beforeEach(() => {
+    fetch.mockReset();
+    localStorage.setItem('token', 'test-token');
+    localStorage.setItem('user', JSON.stringify({ id: 1, username: 'alice' }));
+  });
+
+  afterEach(() => {
+    localStorage.clear();
+    jest.restoreAllMocks();
+  });
+
+  it('should resign after confirmation', async () => {
+    mockApi(baseGame, { ...baseGame, status: 'finished', winner: 'O', termination_reason: 'resignation' });
+    jest.spyOn(window, 'confirm').mockReturnValue(true);
+
+    renderGame();
+    fireEvent.click(await screen.findByRole('button', { name: /resign/i }));
+
+    expect(await screen.findByText('You resigned.')).toBeInTheDocument();
+    expect(postedActions()).toEqual(['resign']);
+  });
+
+  it('should not resign when the confirmation is cancelled', async () => {
+    mockApi(baseGame);
+    jest.spyOn(window, 'confirm').mockReturnValue(false);
+
+    renderGame();
+    fireEvent.click(await screen.findByRole('button', { name: /resign/i }));
+
+    expect(postedActions()).toEqual([]);
+  });
+
+  it('should let the user answer the opponent\'s draw offer', async () => {
+    mockApi(
+      { ...baseGame, draw_offered_by: 'O' },
+      { ...baseGame, status: 'finished', winner: 'D', termination_reason: 'agreement' }
+    );
+
+    renderGame();
+    expect(await screen.findByText(/your opponent offers a draw/i)).toBeInTheDocument();
+    expect(screen.queryByRole('button', { name: /offer draw/i })).not.toBeInTheDocument();
+
+    fireEvent.click(screen.getByRole('button', { name: /accept/i }));
+
+    expect(await screen.findByText('Draw agreed.')).toBeInTheDocument();
+    expect(postedActions()).toEqual(['draw-offer/accept']);
+  });
+
+  it('should only offer to abort before the first move', async () => {
+    mockApi({ ...baseGame, board: Array(9).fill('') }, { ...baseGame, status: 'aborted', termination_reason: 'aborted' });
+
+    renderGame();
+    fireEvent.click(await screen.findByRole('button', { name: /abort/i }));
+
+    expect(await screen.findByText('Game aborted')).toBeInTheDocument();
+    expect(screen.queryByRole('button', { name: /abort/i })).not.toBeInTheDocument();
+  });
+
+  it('should open the rematch once the opponent\'s request is accepted', async () => {
+    const finished = { ...baseGame, status: 'finished', winner: 'X', termination_reason: 'normal', rematch_requested_by: 'O' };
+    fetch.mockImplementation((url, options = {}) => Promise.resolve({
+      ok: true,
+      status: 200,
+      json: async () => {
+        if (url.endsWith('/messages')) {
+          return { messages: [] };
+        }
+        return options.method === 'POST'
+          ? { game: { ...finished, rematch_game_id: 7 }, rematch: { ...baseGame, id: 7 } }
+          : gameResponse(finished);
+      }
+    }));
+
+    renderGame();
+    fireEvent.click(await screen.findByRole('button', { name: /accept rematch/i }));
+
+    expect(await screen.findByText('Rematch page')).toBeInTheDocument();
+    expect(postedActions()).toEqual(['rematch/accept']);
+  });
+
+  it('should show the running score of a series', async () => {
+    const game = { ...baseGame, series_id: 5 };
+    fetch.mockImplementation((url) => Promise.resolve({
+      ok: true,
+      status: 200,
+      json: async () => (url.endsWith('/series')
+        ? {
+            series_id: 5,
+            games: [{ id: 5 }, { id: 1 }],
+            score: { players: [{ id: 1, wins: 1 }, { id: 2, wins: 0 }], draws: 0 }
+          }
+        : (url.endsWith('/messages') ? { messages: [] } : gameResponse(game)))
+    }));
+
+    renderGame();
+
+    expect(await screen.findByText('You 1 - 0 Opponent')).toBeInTheDocument();
+    expect(screen.getByText(/series - game 2 of 2/i)).toBeInTheDocument();
+  });
+
+  it('should not offer to abort once a move is played', async () => {
+    mockApi(baseGame);
+
+    renderGame();
+    await screen.findByRole('button', { name: /resign/i });
+
+    expect(screen.queryByRole('button', { name: /abort/i })).not.toBeInTheDocument();
+  });
+
+  it('should keep the invite link when a pushed update has no invite code', async () => {
+    const waitingGame = {
+      ...baseGame,
+      player_o_id: null,
+      board: ['', '', '', '', '', '', '', '', ''],
+      status: 'waiting',
+      players: { x: baseGame.players.x, o: null },
+      is_private: true,
+      invite_code: 'secret-code'
+    };
+    mockApi(waitingGame);
+
+    renderGame();
+    expect(await screen.findByRole('button', { name: /copy invite link/i })).toBeInTheDocument();
+
+    // Updates on the game channel leave the invite code out
+    const [, onEvent] = useRealtime.mock.calls.filter(([channel]) => channel === 'game:1').pop();
+    const { invite_code: inviteCode, ...publicGame } = waitingGame;
+    act(() => onEvent('game:update', { ...publicGame, spectators_muted: true }));
+
+    expect(screen.getByRole('button', { name: /copy invite link/i })).toBeInTheDocument();
+  });
+
+  it('should show a read-only board to spectators', async () => {
+    localStorage.setItem('user', JSON.stringify({ id: 3, username: 'carol' }));
+    fetch.mockImplementation((url) => Promise.resolve({
+      ok: true,
+      status: 200,
+      json: async () => (url.endsWith('/messages')
+        ? { messages: [] }
+        : { ...gameResponse(baseGame, 'spectator'), spectators: 2 })
+    }));
+
+    const { container } = renderGame();
+
+    expect(await screen.findByText('alice to play')).toBeInTheDocument();
+    expect(screen.getByText('👁 2')).toBeInTheDocument();
+    expect(screen.getByText(/o - bob \(1190\)/i)).toBeInTheDocument();
+    expect(screen.queryByRole('button', { name: /resign/i })).not.toBeInTheDocument();
+    expect(container.querySelector('.cell.clickable')).toBeNull();
+
+    fireEvent.click(container.querySelectorAll('.cell')[4]);
+    expect(postedActions()).toEqual([]);
+  });
+});
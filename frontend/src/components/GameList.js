@@ -1,8 +1,73 @@
 import React, { useState, useEffect } from 'react';
 import { useNavigate } from 'react-router-dom';
 import { useAuth } from '../context/AuthContext';
+import { useRealtime } from '../hooks/useRealtime';
+import { formatTimeControl } from '../utils/timeControl';
+import VerificationBanner from './VerificationBanner';
 import './GameList.css';
 
+/**
+ * Board variants offered when creating a game
+ * Each variant maps to the board settings (or game type) sent to the API
+ */
+const BOARD_VARIANTS = {
+  classic: { label: 'Classic 3x3', board_width: 3, board_height: 3, win_length: 3 },
+  connect3: { label: '4x4 - 3 in a row', board_width: 4, board_height: 4, win_length: 3 },
+  connect4: { label: '6x6 - 4 in a row', board_width: 6, board_height: 6, win_length: 4 },
+  gomoku: { label: 'Gomoku 15x15 - 5 in a row', board_width: 15, board_height: 15, win_length: 5 },
+  ultimate: { label: 'Ultimate Tic-Tac-Toe', game_type: 'ultimate' }
+};
+
+/**
+ * Time controls offered when creating a game against another player
+ * Each maps to the time_control sent to the API (null for an untimed game)
+ */
+const TIME_CONTROLS = {
+  none: { label: 'No time limit', timeControl: null },
+  move30: { label: '30 s per move', timeControl: { type: 'move', seconds: 30 } },
+  move60: { label: '1 min per move', timeControl: { type: 'move', seconds: 60 } },
+  blitz: { label: '3 min + 2 s', timeControl: { type: 'total', seconds: 180, increment: 2 } },
+  rapid: { label: '10 min', timeControl: { type: 'total', seconds: 600 } }
+};
+
+// Maximum rating difference accepted when searching for a similarly rated opponent
+const SIMILAR_RATING_RANGE = 200;
+
+/**
+ * Format a time spent in the matchmaking queue, e.g. "1:05"
+ * @param {number} seconds - Seconds spent waiting
+ */
+const formatQueueTime = (seconds) => {
+  const minutes = Math.floor(seconds / 60);
+  return `${minutes}:${String(seconds % 60).padStart(2, '0')}`;
+};
+
+/**
+ * Format a player with their rating, e.g. "alice (1250)"
+ * @param {Object} player - Player from the API ({ id, username, rating })
+ */
+const formatPlayer = (player) => `${player.username} (${player.rating})`;
+
+/**
+ * Format the rating change over the last rated games, e.g. "▲ +15"
+ * @param {number} trend - Rating change
+ */
+const formatTrend = (trend) => {
+  if (trend > 0) return `▲ +${trend}`;
+  if (trend < 0) return `▼ ${trend}`;
+  return '= 0';
+};
+
+/**
+ * Get the CSS class colouring a rating change
+ * @param {number} trend - Rating change
+ */
+const getTrendClass = (trend) => {
+  if (trend > 0) return 'up';
+  if (trend < 0) return 'down';
+  return 'flat';
+};
+
 /**
  * GameList Component
  * Displays available games and allows creating/joining games
@@ -10,23 +75,39 @@ import './GameList.css';
  */
 const GameList = () => {
   const [games, setGames] = useState([]);
+  const [nextCursor, setNextCursor] = useState(null);
+  const [totalGames, setTotalGames] = useState(0);
   const [stats, setStats] = useState(null);
+  const [botStats, setBotStats] = useState(null);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState('');
   const [creating, setCreating] = useState(false);
+  const [botLevel, setBotLevel] = useState('medium');
+  const [variant, setVariant] = useState('classic');
+  const [searching, setSearching] = useState(false);
+  const [queuedSince, setQueuedSince] = useState(null);
+  const [queueSeconds, setQueueSeconds] = useState(0);
+  const [similarRating, setSimilarRating] = useState(false);
+  const [isPrivate, setIsPrivate] = useState(false);
+  const [timeControl, setTimeControl] = useState('none');
 
   const { user, token, logout } = useAuth();
   const navigate = useNavigate();
 
   const API_URL = process.env.REACT_APP_API_URL || 'http://localhost:3001';
 
+  // Unverified accounts may be limited to bot games (see VerificationBanner)
+  const rankedLocked = (user.restrictions || []).includes('ranked');
+
   /**
-   * Fetch available games from the server
-   * Filters to show only waiting and user's in-progress games
+   * Fetch a page of open games from the server
+   * Lists waiting games and in-progress games (the user's own to continue, others' to watch)
+   * @param {string|null} cursor - Cursor of the page to fetch; null reloads the first page
    */
-  const fetchGames = async () => {
+  const fetchGames = async (cursor = null) => {
     try {
-      const response = await fetch(`${API_URL}/api/games`, {
+      const query = cursor ? `&cursor=${encodeURIComponent(cursor)}` : '';
+      const response = await fetch(`${API_URL}/api/games?status=waiting,in_progress${query}`, {
         headers: {
           'Authorization': `Bearer ${token}`
         }
@@ -35,13 +116,9 @@ const GameList = () => {
       if (!response.ok) throw new Error('Failed to fetch games');
 
       const data = await response.json();
-      // Show waiting games and user's in-progress games
-      const filteredGames = data.games.filter(game =>
-        game.status === 'waiting' ||
-        (game.status === 'in_progress' &&
-         (game.player_x_id === user.id || game.player_o_id === user.id))
-      );
-      setGames(filteredGames);
+      setGames(current => (cursor ? [...current, ...data.games] : data.games));
+      setNextCursor(data.next_cursor);
+      setTotalGames(data.total);
     } catch (err) {
       setError(err.message);
     }
@@ -62,30 +139,163 @@ const GameList = () => {
 
       const data = await response.json();
       setStats(data.stats);
+      setBotStats(data.bot_stats);
     } catch (err) {
       console.error('Error fetching stats:', err);
     }
   };
 
+  // Refresh the list whenever a game is created, filled or aborted
+  const connected = useRealtime('lobby', () => {
+    fetchGames();
+  });
+
+  /**
+   * Fetch the user's matchmaking status
+   * Resumes the search if the user is still queued (e.g. after a reload)
+   * and opens the game once the user has been paired
+   * @param {boolean} openMatch - Navigate to the game if already matched
+   */
+  const fetchMatchmakingStatus = async (openMatch = true) => {
+    try {
+      const response = await fetch(`${API_URL}/api/matchmaking/queue`, {
+        headers: {
+          'Authorization': `Bearer ${token}`
+        }
+      });
+
+      if (!response.ok) throw new Error('Failed to fetch matchmaking status');
+
+      const data = await response.json();
+      if (data.status === 'queued') {
+        setSearching(true);
+        setQueuedSince(Date.now() - data.wait_seconds * 1000);
+      } else if (data.status === 'matched' && openMatch) {
+        navigate(`/game/${data.game.id}`);
+      }
+    } catch (err) {
+      console.error('Error fetching matchmaking status:', err);
+    }
+  };
+
+  // Open the game as soon as the matchmaking queue pairs us with an opponent
+  const matchmakingConnected = useRealtime(searching ? `user:${user.id}` : null, (event, data) => {
+    if (event === 'match:found') {
+      navigate(`/game/${data.id}`);
+    }
+  });
+
   // Load data on component mount
   useEffect(() => {
     const loadData = async () => {
       setLoading(true);
-      await Promise.all([fetchGames(), fetchStats()]);
+      await Promise.all([fetchGames(), fetchStats(), fetchMatchmakingStatus(false)]);
       setLoading(false);
     };
 
     loadData();
-    // Refresh games list every 3 seconds
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, []);
+
+  // Fall back to refreshing the games list every 3 seconds while the socket is down
+  useEffect(() => {
+    if (connected) {
+      fetchGames();
+      return undefined;
+    }
+
     const interval = setInterval(fetchGames, 3000);
     return () => clearInterval(interval);
     // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, []);
+  }, [connected]);
+
+  // Fall back to polling the matchmaking status while searching without a socket
+  useEffect(() => {
+    if (!searching || matchmakingConnected) {
+      return undefined;
+    }
+
+    const interval = setInterval(fetchMatchmakingStatus, 3000);
+    return () => clearInterval(interval);
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [searching, matchmakingConnected]);
+
+  // Tick the queue time while searching
+  useEffect(() => {
+    if (!searching) {
+      return undefined;
+    }
+
+    const tick = () => setQueueSeconds(Math.floor((Date.now() - queuedSince) / 1000));
+    tick();
+    const interval = setInterval(tick, 1000);
+    return () => clearInterval(interval);
+  }, [searching, queuedSince]);
+
+  /**
+   * Join the matchmaking queue
+   * Opens the game right away if an opponent was already waiting
+   */
+  const handleFindMatch = async () => {
+    setError('');
+
+    try {
+      const response = await fetch(`${API_URL}/api/matchmaking/queue`, {
+        method: 'POST',
+        headers: {
+          'Authorization': `Bearer ${token}`,
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify(similarRating ? { rating_range: SIMILAR_RATING_RANGE } : {})
+      });
+
+      if (!response.ok) throw new Error('Failed to join matchmaking queue');
+
+      const data = await response.json();
+      if (data.status === 'matched') {
+        navigate(`/game/${data.game.id}`);
+        return;
+      }
+
+      setSearching(true);
+      setQueuedSince(Date.now() - data.wait_seconds * 1000);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  /**
+   * Leave the matchmaking queue
+   * If an opponent was found in the meantime, open the game instead
+   */
+  const handleCancelMatch = async () => {
+    try {
+      const response = await fetch(`${API_URL}/api/matchmaking/queue`, {
+        method: 'DELETE',
+        headers: {
+          'Authorization': `Bearer ${token}`
+        }
+      });
+
+      if (response.status === 409) {
+        const data = await response.json();
+        navigate(`/game/${data.game.id}`);
+        return;
+      }
+
+      if (!response.ok && response.status !== 404) throw new Error('Failed to leave matchmaking queue');
+
+      setSearching(false);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
 
   /**
    * Create a new game
+   * @param {Object} options - Game options (e.g. { opponent: 'bot', difficulty: 'hard' })
    */
-  const handleCreateGame = async () => {
+  const handleCreateGame = async (options = {}) => {
     setCreating(true);
     setError('');
 
@@ -95,7 +305,8 @@ const GameList = () => {
         headers: {
           'Authorization': `Bearer ${token}`,
           'Content-Type': 'application/json'
-        }
+        },
+        body: JSON.stringify(options)
       });
 
       if (!response.ok) throw new Error('Failed to create game');
@@ -133,7 +344,7 @@ const GameList = () => {
   };
 
   /**
-   * Continue an in-progress game
+   * Open an in-progress game, to play it or to watch it
    */
   const handleContinueGame = (gameId) => {
     navigate(`/game/${gameId}`);
@@ -158,15 +369,41 @@ const GameList = () => {
           <h1>Tic-Tac-Toe</h1>
           <p>Welcome, {user.username}!</p>
         </div>
-        <button onClick={handleLogout} className="btn-logout">
-          Logout
-        </button>
+        <div className="header-actions">
+          <button onClick={() => navigate('/stats')} className="btn-leaderboard">
+            Stats
+          </button>
+          <button onClick={() => navigate('/history')} className="btn-leaderboard">
+            History
+          </button>
+          <button onClick={() => navigate('/leaderboard')} className="btn-leaderboard">
+            Leaderboard
+          </button>
+          <button onClick={() => navigate('/sessions')} className="btn-leaderboard">
+            Sessions
+          </button>
+          <button onClick={() => navigate('/two-factor')} className="btn-leaderboard">
+            2FA
+          </button>
+          <button onClick={handleLogout} className="btn-logout">
+            Logout
+          </button>
+        </div>
       </header>
 
+      <VerificationBanner />
+
       {stats && (
         <div className="stats-card">
           <h2>Your Statistics</h2>
           <div className="stats-grid">
+            <div className="stat-item">
+              <span className="stat-label">Rating</span>
+              <span className="stat-value">{stats.rating}</span>
+              <span className={`rating-trend ${getTrendClass(stats.rating_trend)}`}>
+                {formatTrend(stats.rating_trend)}
+              </span>
+            </div>
             <div className="stat-item">
               <span className="stat-label">Total Games</span>
               <span className="stat-value">{stats.total_games}</span>
@@ -184,23 +421,116 @@ const GameList = () => {
               <span className="stat-value draw">{stats.draws}</span>
             </div>
           </div>
+          {botStats && (
+            <div className="bot-stats">
+              <h3>Against the Bot</h3>
+              {Object.entries(botStats).map(([level, levelStats]) => (
+                <p key={level}>
+                  <span className="bot-level">{level}</span>
+                  {levelStats.wins}W / {levelStats.draws}D / {levelStats.losses}L
+                </p>
+              ))}
+            </div>
+          )}
         </div>
       )}
 
       <div className="game-actions">
-        <button
-          onClick={handleCreateGame}
-          className="btn-create"
-          disabled={creating}
-        >
-          {creating ? 'Creating...' : 'Create New Game'}
-        </button>
+        <div className="new-game">
+          <select
+            value={variant}
+            onChange={(e) => setVariant(e.target.value)}
+            disabled={creating}
+            aria-label="Board"
+          >
+            {Object.entries(BOARD_VARIANTS).map(([key, { label }]) => (
+              <option key={key} value={key}>{label}</option>
+            ))}
+          </select>
+          <select
+            value={timeControl}
+            onChange={(e) => setTimeControl(e.target.value)}
+            disabled={creating}
+            aria-label="Time control"
+          >
+            {Object.entries(TIME_CONTROLS).map(([key, { label }]) => (
+              <option key={key} value={key}>{label}</option>
+            ))}
+          </select>
+          <label className="private-game">
+            <input
+              type="checkbox"
+              checked={isPrivate}
+              onChange={(e) => setIsPrivate(e.target.checked)}
+              disabled={creating}
+            />
+            Private
+          </label>
+          <button
+            onClick={() => {
+              const { label, ...settings } = BOARD_VARIANTS[variant];
+              const options = { ...settings, time_control: TIME_CONTROLS[timeControl].timeControl };
+              handleCreateGame(isPrivate ? { ...options, private: true } : options);
+            }}
+            className="btn-create"
+            disabled={creating || rankedLocked}
+          >
+            {creating ? 'Creating...' : 'Create New Game'}
+          </button>
+        </div>
+
+        <div className="bot-game">
+          <select
+            value={botLevel}
+            onChange={(e) => setBotLevel(e.target.value)}
+            disabled={creating}
+            aria-label="Bot difficulty"
+          >
+            <option value="easy">Easy</option>
+            <option value="medium">Medium</option>
+            <option value="hard">Hard</option>
+          </select>
+          <button
+            onClick={() => handleCreateGame({ opponent: 'bot', difficulty: botLevel })}
+            className="btn-create"
+            disabled={creating}
+          >
+            Play vs Bot
+          </button>
+        </div>
+
+        <div className="matchmaking">
+          {searching ? (
+            <>
+              <span className="queue-status">
+                Searching for an opponent... {formatQueueTime(queueSeconds)}
+              </span>
+              <button onClick={handleCancelMatch} className="btn-cancel-match">
+                Cancel
+              </button>
+            </>
+          ) : (
+            <>
+              <label className="similar-rating">
+                <input
+                  type="checkbox"
+                  checked={similarRating}
+                  onChange={(e) => setSimilarRating(e.target.checked)}
+                />
+                Similar rating
+              </label>
+              <button onClick={handleFindMatch} className="btn-create" disabled={creating || rankedLocked}>
+                Find Match
+              </button>
+            </>
+          )}
+        </div>
       </div>
 
       {error && <div className="error-message">{error}</div>}
 
       <div className="games-section">
-        <h2>Available Games</h2>
+        <h2>Available Games{totalGames > 0 && ` (${totalGames})`}</h2>
         {games.length === 0 ? (
           <p className="no-games">No games available. Create one to get started!</p>
         ) : (
@@ -209,6 +539,18 @@ const GameList = () => {
               <div key={game.id} className="game-card">
                 <div className="game-info">
                   <h3>Game #{game.id}</h3>
+                  <p className="game-variant">
+                    {game.game_type === 'ultimate'
+                      ? 'Ultimate Tic-Tac-Toe'
+                      : `${game.board_width}x${game.board_height}, ${game.win_length} in a row`}
+                    {game.time_control && ` - ${formatTimeControl(game.time_control)}`}
+                    {game.is_private && ' - Private'}
+                  </p>
+                  <p className="game-players">
+                    {game.status === 'waiting'
+                      ? `Created by ${formatPlayer(game.players.x)}`
+                      : `${formatPlayer(game.players.x)} vs ${game.players.o ? formatPlayer(game.players.o) : 'Bot'}`}
+                  </p>
                   <p className="game-status">{game.status === 'waiting' ? 'Waiting for opponent' : 'In Progress'}</p>
                   {game.status === 'in_progress' && (
                     <p className="current-turn">
@@ -221,6 +563,7 @@ const GameList = () => {
                     <button
                       onClick={() => handleJoinGame(game.id)}
                       className="btn-join"
+                      disabled={rankedLocked}
                     >
                       Join Game
                     </button>
@@ -228,7 +571,7 @@ const GameList = () => {
                   {game.status === 'waiting' && game.player_x_id === user.id && (
                     <span className="waiting-text">Waiting...</span>
                   )}
-                  {game.status === 'in_progress' && (
+                  {game.status === 'in_progress' && (game.player_x_id === user.id || game.player_o_id === user.id) && (
                     <button
                       onClick={() => handleContinueGame(game.id)}
                       className="btn-continue"
@@ -236,11 +579,24 @@ const GameList = () => {
                       Continue
                     </button>
                   )}
+                  {game.status === 'in_progress' && game.player_x_id !== user.id && game.player_o_id !== user.id && (
+                    <button
+                      onClick={() => handleContinueGame(game.id)}
+                      className="btn-watch"
+                    >
+                      Watch
+                    </button>
+                  )}
                 </div>
               </div>
             ))}
           </div>
         )}
+        {nextCursor && (
+          <button onClick={() => fetchGames(nextCursor)} className="btn-load-more">
+            Load more
+          </button>
+        )}
       </div>
     </div>
   );
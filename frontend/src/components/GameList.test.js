@@ -0,0 +1,227 @@
+import React from 'react';
+import { render, screen, fireEvent, act } from '@testing-library/react';
+import { MemoryRouter, Routes, Route } from 'react-router-dom';
+import { AuthProvider } from '../context/AuthContext';
+import { useRealtime } from '../hooks/useRealtime';
+import GameList from './GameList';
+
+/**
+ * GameList Component Tests
+ * Tests for the lobby, the user statistics card and matchmaking
+ */
+
+// The lobby is refreshed by polling when the realtime connection is down
+jest.mock('../hooks/useRealtime', () => ({ useRealtime: jest.fn(() => false) }));
+
+// Mock fetch for API calls
+global.fetch = jest.fn();
+
+// Helper function to render the game list with required providers
+const renderGameList = () => {
+  return render(
+    <MemoryRouter initialEntries={['/games']}>
+      <AuthProvider>
+        <Routes>
+          <Route path="/games" element={<GameList />} />
+          <Route path="/game/:id" element={<div>Game page</div>} />
+        </Routes>
+      </AuthProvider>
+    </MemoryRouter>
+  );
+};
+
+/**
+ * Mock the API with the given statistics and no open games
+ * @param {Object} stats - Statistics returned by /api/games/stats/me
+ * @param {Object} queueResponse - Response of POST /api/matchmaking/queue
+ */
+const mockApi = (stats, queueResponse = { status: 'queued', wait_seconds: 0 }) => {
+  fetch.mockImplementation((url, options = {}) => {
+    let body = { games: [] };
+    if (url.endsWith('/api/games') && options.method === 'POST') {
+      body = { game: { id: 99 } };
+    } else if (url.includes('/stats/me')) {
+      body = { stats, bot_stats: null };
+    } else if (url.includes('/matchmaking/queue')) {
+      body = options.method === 'POST' ? queueResponse : { status: 'idle' };
+    }
+    return Promise.resolve({ ok: true, status: 200, json: async () => body });
+  });
+};
+
+const baseStats = { total_games: 3, wins: 2, losses: 1, draws: 0 };
+
+const alice = { id: 1, username: 'alice', rating: 1231 };
+const bob = { id: 2, username: 'bob', rating: 1180 };
+const carol = { id: 3, username: 'carol', rating: 1305 };
+
+describe('GameList Component', () => {
+  beforeEach(() => {
+    fetch.mockReset();
+    localStorage.setItem('token', 'test-token');
+    localStorage.setItem('user', JSON.stringify({ id: 1, username: 'alice' }));
+  });
+
+  afterEach(() => {
+    localStorage.clear();
+  });
+
+  it('should show the current rating and a rising trend', async () => {
+    mockApi({ ...baseStats, rating: 1231, rating_trend: 31 });
+
+    renderGameList();
+
+    expect(await screen.findByText('1231')).toBeInTheDocument();
+    expect(screen.getByText('▲ +31')).toHaveClass('rating-trend', 'up');
+  });
+
+  it('should show a falling trend', async () => {
+    mockApi({ ...baseStats, rating: 1170, rating_trend: -30 });
+
+    renderGameList();
+
+    expect(await screen.findByText('▼ -30')).toHaveClass('rating-trend', 'down');
+  });
+
+  it('should create a private game when the box is checked', async () => {
+    mockApi({ ...baseStats, rating: 1200, rating_trend: 0 });
+
+    renderGameList();
+    fireEvent.click(await screen.findByLabelText(/private/i));
+    fireEvent.click(screen.getByRole('button', { name: /create new game/i }));
+
+    await screen.findByText('Game page');
+    const [, options] = fetch.mock.calls.find(([url, opts]) => url.endsWith('/api/games') && opts && opts.method === 'POST');
+    expect(JSON.parse(options.body)).toMatchObject({ private: true });
+  });
+
+  it('should send the chosen time control', async () => {
+    mockApi({ ...baseStats, rating: 1200, rating_trend: 0 });
+
+    renderGameList();
+    fireEvent.change(await screen.findByLabelText(/time control/i), { target: { value: 'blitz' } });
+    fireEvent.click(screen.getByRole('button', { name: /create new game/i }));
+
+    await screen.findByText('Game page');
+    const [, options] = fetch.mock.calls.find(([url, opts]) => url.endsWith('/api/games') && opts && opts.method === 'POST');
+    expect(JSON.parse(options.body).time_control).toEqual({ type: 'total', seconds: 180, increment: 2 });
+  });
+
+  it('should offer to watch games played by other users', async () => {
+    const games = [
+      { id: 5, status: 'in_progress', player_x_id: 2, player_o_id: 3, players: { x: bob, o: carol }, board_width: 3, board_height: 3, win_length: 3, current_turn: 'X' },
+      { id: 6, status: 'in_progress', player_x_id: 1, player_o_id: 3, players: { x: alice, o: carol }, board_width: 3, board_height: 3, win_length: 3, current_turn: 'X' }
+    ];
+    fetch.mockImplementation((url) => Promise.resolve({
+      ok: true,
+      status: 200,
+      json: async () => (url.includes('/stats/me') ? { stats: baseStats, bot_stats: null } : { games, status: 'idle' })
+    }));
+
+    renderGameList();
+    const watchButtons = await screen.findAllByRole('button', { name: 'Watch' });
+    expect(watchButtons).toHaveLength(1);
+    expect(screen.getByText('bob (1180) vs carol (1305)')).toBeInTheDocument();
+    expect(screen.getByRole('button', { name: 'Continue' })).toBeInTheDocument();
+
+    fireEvent.click(watchButtons[0]);
+    expect(await screen.findByText('Game page')).toBeInTheDocument();
+  });
+
+  it('should load the next page of open games', async () => {
+    const waitingGame = (id) => ({
+      id, status: 'waiting', player_x_id: 2, player_o_id: null, players: { x: bob, o: null }, board_width: 3, board_height: 3, win_length: 3, current_turn: 'X'
+    });
+    fetch.mockImplementation((url) => {
+      let body = { games: [waitingGame(9)], next_cursor: 'next', total: 2 };
+      if (url.includes('/stats/me')) {
+        body = { stats: baseStats, bot_stats: null };
+      } else if (url.includes('/matchmaking/queue')) {
+        body = { status: 'idle' };
+      } else if (url.includes('cursor=next')) {
+        body = { games: [waitingGame(8)], next_cursor: null, total: 2 };
+      }
+      return Promise.resolve({ ok: true, status: 200, json: async () => body });
+    });
+
+    renderGameList();
+    expect(await screen.findByText('Game #9')).toBeInTheDocument();
+    expect(screen.getByText('Available Games (2)')).toBeInTheDocument();
+    expect(fetch.mock.calls.some(([url]) => url.endsWith('/api/games?status=waiting,in_progress'))).toBe(true);
+
+    fireEvent.click(screen.getByRole('button', { name: /load more/i }));
+
+    expect(await screen.findByText('Game #8')).toBeInTheDocument();
+    expect(screen.getByText('Game #9')).toBeInTheDocument();
+    expect(screen.queryByRole('button', { name: /load more/i })).not.toBeInTheDocument();
+  });
+
+  it('should show who created each waiting game', async () => {
+    const games = [
+      { id: 7, status: 'waiting', player_x_id: 2, player_o_id: null, players: { x: bob, o: null }, board_width: 3, board_height: 3, win_length: 3, current_turn: 'X' }
+    ];
+    fetch.mockImplementation((url) => Promise.resolve({
+      ok: true,
+      status: 200,
+      json: async () => (url.includes('/stats/me') ? { stats: baseStats, bot_stats: null } : { games, status: 'idle' })
+    }));
+
+    renderGameList();
+
+    expect(await screen.findByText('Created by bob (1180)')).toBeInTheDocument();
+  });
+
+  it('should open the game when an opponent is already waiting', async () => {
+    mockApi({ ...baseStats, rating: 1200, rating_trend: 0 }, { status: 'matched', game: { id: 42 } });
+
+    renderGameList();
+    fireEvent.click(await screen.findByRole('button', { name: /find match/i }));
+
+    expect(await screen.findByText('Game page')).toBeInTheDocument();
+  });
+
+  it('should show the queue time and leave the queue on cancel', async () => {
+    mockApi({ ...baseStats, rating: 1200, rating_trend: 0 });
+
+    renderGameList();
+    fireEvent.click(await screen.findByRole('button', { name: /find match/i }));
+
+    expect(await screen.findByText(/searching for an opponent\.\.\. 0:00/i)).toBeInTheDocument();
+
+    fireEvent.click(screen.getByRole('button', { name: /cancel/i }));
+
+    expect(await screen.findByRole('button', { name: /find match/i })).toBeInTheDocument();
+    expect(fetch).toHaveBeenCalledWith(
+      expect.stringContaining('/api/matchmaking/queue'),
+      expect.objectContaining({ method: 'DELETE' })
+    );
+  });
+
+  it('should open the game when paired while searching', async () => {
+    mockApi({ ...baseStats, rating: 1200, rating_trend: 0 });
+
+    renderGameList();
+    fireEvent.click(await screen.findByRole('button', { name: /find match/i }));
+    await screen.findByText(/searching for an opponent/i);
+
+    // Push the pairing on the user's realtime channel
+    const [, onEvent] = useRealtime.mock.calls.filter(([channel]) => channel === 'user:1').pop();
+    act(() => onEvent('match:found', { id: 7 }));
+
+    expect(await screen.findByText('Game page')).toBeInTheDocument();
+  });
+
+  it('should keep unverified users to bot games when ranked play requires verification', async () => {
+    localStorage.setItem('user', JSON.stringify({
+      id: 1, username: 'alice', email: 'alice@test.com', verified_at: null, restrictions: ['ranked']
+    }));
+    mockApi({ ...baseStats, rating: 1200, rating_trend: 0 });
+
+    renderGameList();
+
+    expect(await screen.findByText(/you cannot play against other players/i)).toBeInTheDocument();
+    expect(screen.getByRole('button', { name: /create new game/i })).toBeDisabled();
+    expect(screen.getByRole('button', { name: /find match/i })).toBeDisabled();
+    expect(screen.getByRole('button', { name: /play vs bot/i })).toBeEnabled();
+  });
+});
@@ -0,0 +1,229 @@
+import React, { useState, useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { useAuth } from '../context/AuthContext';
+import './Game.css';
+import './Leaderboard.css';
+import './History.css';
+
+/**
+ * Result filters offered on the history page, keyed by API result value
+ */
+const RESULT_OPTIONS = {
+  '': 'All results',
+  win: 'Wins',
+  loss: 'Losses',
+  draw: 'Draws'
+};
+
+/**
+ * Labels of the results shown in the table
+ */
+const RESULT_LABELS = {
+  win: 'Win',
+  loss: 'Loss',
+  draw: 'Draw'
+};
+
+// Games loaded per page
+const PAGE_SIZE = 20;
+
+/**
+ * Format a game duration, e.g. "2:05"
+ * @param {number|null} seconds - Duration in seconds
+ */
+const formatDuration = (seconds) => {
+  if (seconds === null) return '-';
+  return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+};
+
+/**
+ * Format a rating change, e.g. "+16"
+ * @param {number|null} change - Rating change, null for unrated games
+ */
+const formatRatingChange = (change) => {
+  if (change === null) return '-';
+  return change > 0 ? `+${change}` : String(change);
+};
+
+/**
+ * History Component
+ * Lists the user's finished games, newest first, with result, opponent
+ * and date filters; each game opens its finished game view
+ */
+const History = () => {
+  const [entries, setEntries] = useState([]);
+  const [nextCursor, setNextCursor] = useState(null);
+  const [total, setTotal] = useState(0);
+  const [result, setResult] = useState('');
+  const [opponentInput, setOpponentInput] = useState('');
+  const [opponent, setOpponent] = useState('');
+  const [from, setFrom] = useState('');
+  const [to, setTo] = useState('');
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  const { token } = useAuth();
+  const navigate = useNavigate();
+
+  const API_URL = process.env.REACT_APP_API_URL || 'http://localhost:3001';
+
+  /**
+   * Fetch a page of the history with the current filters
+   * @param {string|null} cursor - Cursor of the page to fetch; null loads the first page
+   */
+  const fetchHistory = async (cursor = null) => {
+    try {
+      const params = new URLSearchParams({ limit: PAGE_SIZE });
+      if (result) params.set('result', result);
+      if (opponent) params.set('opponent', opponent);
+      // Date inputs cover whole days
+      if (from) params.set('from', `${from}T00:00:00`);
+      if (to) params.set('to', `${to}T23:59:59.999`);
+      if (cursor) params.set('cursor', cursor);
+
+      const response = await fetch(`${API_URL}/api/users/me/history?${params}`, {
+        headers: {
+          'Authorization': `Bearer ${token}`
+        }
+      });
+
+      if (!response.ok) throw new Error('Failed to fetch history');
+
+      const data = await response.json();
+      setEntries(current => (cursor ? [...current, ...data.history] : data.history));
+      setNextCursor(data.next_cursor);
+      setTotal(data.total);
+      setError('');
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Reload from the first page whenever a filter changes
+  useEffect(() => {
+    fetchHistory();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [result, opponent, from, to]);
+
+  /**
+   * Apply the opponent filter once the name is submitted
+   * @param {Event} e - Form submit event
+   */
+  const handleOpponentSubmit = (e) => {
+    e.preventDefault();
+    setOpponent(opponentInput.trim());
+  };
+
+  /**
+   * Get the opponent's name of a history entry
+   * @param {Object} entry - History entry
+   */
+  const getOpponentName = (entry) => {
+    if (entry.bot_level) return `Bot (${entry.bot_level})`;
+    return entry.opponent ? entry.opponent.username : 'Deleted user';
+  };
+
+  if (loading) {
+    return <div className="loading">Loading history...</div>;
+  }
+
+  return (
+    <div className="game-container">
+      <div className="game-wrapper">
+        <header className="game-header">
+          <button onClick={() => navigate('/games')} className="btn-back">
+            ← Back to Games
+          </button>
+          <h1>Game History</h1>
+        </header>
+
+        <div className="leaderboard-card">
+          <div className="leaderboard-filters">
+            <label>
+              Result
+              <select value={result} onChange={(e) => setResult(e.target.value)}>
+                {Object.entries(RESULT_OPTIONS).map(([value, label]) => (
+                  <option key={value} value={value}>{label}</option>
+                ))}
+              </select>
+            </label>
+            <form onSubmit={handleOpponentSubmit} className="history-opponent-filter">
+              <label>
+                Opponent
+                <input
+                  type="text"
+                  value={opponentInput}
+                  onChange={(e) => setOpponentInput(e.target.value)}
+                  placeholder="Username"
+                />
+              </label>
+              <button type="submit">Filter</button>
+            </form>
+            <label>
+              From
+              <input type="date" value={from} onChange={(e) => setFrom(e.target.value)} />
+            </label>
+            <label>
+              To
+              <input type="date" value={to} onChange={(e) => setTo(e.target.value)} />
+            </label>
+          </div>
+
+          {error && <div className="leaderboard-error">{error}</div>}
+
+          {entries.length === 0 ? (
+            <p className="leaderboard-empty">No games match these filters yet.</p>
+          ) : (
+            <>
+              <p className="history-total">{total} game{total > 1 ? 's' : ''}</p>
+              <table className="leaderboard-table">
+                <thead>
+                  <tr>
+                    <th>Date</th>
+                    <th>Opponent</th>
+                    <th>Symbol</th>
+                    <th>Result</th>
+                    <th>Moves</th>
+                    <th>Duration</th>
+                    <th>Rating</th>
+                    <th></th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {entries.map(entry => (
+                    <tr key={entry.id}>
+                      <td>{new Date(entry.finished_at).toLocaleDateString()}</td>
+                      <td>{getOpponentName(entry)}</td>
+                      <td>{entry.symbol}</td>
+                      <td className={`history-result ${entry.result}`}>{RESULT_LABELS[entry.result]}</td>
+                      <td>{entry.moves}</td>
+                      <td>{formatDuration(entry.duration_seconds)}</td>
+                      <td>{formatRatingChange(entry.rating_change)}</td>
+                      <td>
+                        <button onClick={() => navigate(`/game/${entry.game_id}`)} className="btn-view-game">
+                          View
+                        </button>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </>
+          )}
+
+          {nextCursor && (
+            <div className="leaderboard-pagination">
+              <button onClick={() => fetchHistory(nextCursor)}>
+                Load more
+              </button>
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default History;
@@ -0,0 +1,128 @@
+import React from 'react';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import { MemoryRouter, Routes, Route } from 'react-router-dom';
+import { AuthProvider } from '../context/AuthContext';
+import History from './History';
+
+/**
+ * History Component Tests
+ * Tests for the game history table, its filters and pagination
+ */
+
+// Mock fetch for API calls
+global.fetch = jest.fn();
+
+// Helper function to render the history page with required providers
+const renderHistory = () => {
+  return render(
+    <MemoryRouter initialEntries={['/history']}>
+      <AuthProvider>
+        <Routes>
+          <Route path="/history" element={<History />} />
+          <Route path="/game/:id" element={<div>Game page</div>} />
+        </Routes>
+      </AuthProvider>
+    </MemoryRouter>
+  );
+};
+
+const entry = (id, overrides = {}) => ({
+  id,
+  game_id: id + 100,
+  symbol: 'X',
+  opponent: { id: 2, username: 'bob' },
+  bot_level: null,
+  result: 'win',
+  termination_reason: 'normal',
+  moves: 5,
+  duration_seconds: 125,
+  rating_change: 16,
+  finished_at: '2026-03-01T10:00:00Z',
+  ...overrides
+});
+
+/**
+ * Mock the history API
+ * @param {Object} firstPage - Response of the first page
+ * @param {Object} nextPage - Response of the page after cursor "next"
+ */
+const mockHistory = (firstPage, nextPage = null) => {
+  fetch.mockImplementation((url) => Promise.resolve({
+    ok: true,
+    json: async () => (url.includes('cursor=next') ? nextPage : firstPage)
+  }));
+};
+
+const lastUrl = () => fetch.mock.calls[fetch.mock.calls.length - 1][0];
+
+describe('History Component', () => {
+  beforeEach(() => {
+    fetch.mockReset();
+    localStorage.setItem('token', 'test-token');
+    localStorage.setItem('user', JSON.stringify({ id: 1, username: 'alice' }));
+  });
+
+  afterEach(() => {
+    localStorage.clear();
+  });
+
+  it('should list past games with their result, duration and rating change', async () => {
+    mockHistory({
+      history: [entry(1), entry(2, { opponent: null, bot_level: 'hard', result: 'loss', rating_change: null, symbol: 'X' })],
+      next_cursor: null,
+      total: 2
+    });
+
+    renderHistory();
+
+    const row = (await screen.findByText('bob')).closest('tr');
+    expect(row).toHaveTextContent('Win');
+    expect(row).toHaveTextContent('2:05');
+    expect(row).toHaveTextContent('+16');
+    expect(screen.getByText('Bot (hard)').closest('tr')).toHaveTextContent('Loss');
+    expect(screen.getByText('2 games')).toBeInTheDocument();
+  });
+
+  it('should send the filters to the API', async () => {
+    mockHistory({ history: [entry(1)], next_cursor: null, total: 1 });
+
+    renderHistory();
+    await screen.findByText('bob');
+
+    fireEvent.change(screen.getByLabelText(/result/i), { target: { value: 'loss' } });
+    fireEvent.change(screen.getByLabelText(/opponent/i), { target: { value: 'bob' } });
+    fireEvent.click(screen.getByRole('button', { name: /filter/i }));
+    fireEvent.change(screen.getByLabelText(/from/i), { target: { value: '2026-03-01' } });
+
+    await waitFor(() => {
+      expect(lastUrl()).toContain('result=loss');
+      expect(lastUrl()).toContain('opponent=bob');
+      expect(lastUrl()).toContain('from=2026-03-01');
+    });
+  });
+
+  it('should load the next page', async () => {
+    mockHistory(
+      { history: [entry(1)], next_cursor: 'next', total: 2 },
+      { history: [entry(2, { opponent: { id: 3, username: 'carol' } })], next_cursor: null, total: 2 }
+    );
+
+    renderHistory();
+    await screen.findByText('bob');
+
+    fireEvent.click(screen.getByRole('button', { name: /load more/i }));
+
+    expect(await screen.findByText('carol')).toBeInTheDocument();
+    expect(screen.getByText('bob')).toBeInTheDocument();
+    expect(screen.queryByRole('button', { name: /load more/i })).not.toBeInTheDocument();
+  });
+
+  it('should open the finished game', async () => {
+    mockHistory({ history: [entry(1)], next_cursor: null, total: 1 });
+
+    renderHistory();
+    fireEvent.click(await screen.findByRole('button', { name: 'View' }));
+
+    expect(await screen.findByText('Game page')).toBeInTheDocument();
+  });
+});
@@ -0,0 +1,63 @@
+import React, { useState, useEffect } from 'react';
+import { useParams, useNavigate } from 'react-router-dom';
+import { useAuth } from '../context/AuthContext';
+import './Game.css';
+
+/**
+ * JoinGame Component
+ * Landing page of invite links (/join/:code): joins the private game
+ * with the code from the link and opens it
+ */
+const JoinGame = () => {
+  const { code } = useParams();
+  const { token } = useAuth();
+  const navigate = useNavigate();
+
+  const [error, setError] = useState('');
+
+  const API_URL = process.env.REACT_APP_API_URL || 'http://localhost:3001';
+
+  // Join as soon as the page opens
+  useEffect(() => {
+    const joinGame = async () => {
+      try {
+        const response = await fetch(`${API_URL}/api/games/join/${encodeURIComponent(code)}`, {
+          method: 'POST',
+          headers: {
+            'Authorization': `Bearer ${token}`,
+            'Content-Type': 'application/json'
+          }
+        });
+
+        const data = await response.json();
+
+        if (!response.ok) {
+          throw new Error(data.error || 'Failed to join game');
+        }
+
+        navigate(`/game/${data.game.id}`, { replace: true });
+      } catch (err) {
+        setError(err.message);
+      }
+    };
+
+    joinGame();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [code]);
+
+  if (error) {
+    return (
+      <div className="game-error">
+        <h2>Could not join game</h2>
+        <p>{error}</p>
+        <button onClick={() => navigate('/games')} className="btn-back">
+          Back to Games
+        </button>
+      </div>
+    );
+  }
+
+  return <div className="loading">Joining game...</div>;
+};
+
+export default JoinGame;
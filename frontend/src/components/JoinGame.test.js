@@ -0,0 +1,60 @@
+import React from 'react';
+import { render, screen } from '@testing-library/react';
+import { MemoryRouter, Routes, Route } from 'react-router-dom';
+import { AuthProvider } from '../context/AuthContext';
+import JoinGame from './JoinGame';
+
+/**
+ * JoinGame Component Tests
+ * Tests for joining a private game from an invite link
+ */
+
+// Mock fetch for API calls
+global.fetch = jest.fn();
+
+// Helper function to open an invite link with required providers
+const renderInviteLink = () => {
+  return render(
+    <MemoryRouter initialEntries={['/join/abc123']}>
+      <AuthProvider>
+        <Routes>
+          <Route path="/join/:code" element={<JoinGame />} />
+          <Route path="/game/:id" element={<div>Game page</div>} />
+        </Routes>
+      </AuthProvider>
+    </MemoryRouter>
+  );
+};
+
+describe('JoinGame Component', () => {
+  beforeEach(() => {
+    fetch.mockReset();
+  });
+
+  it('should join with the code from the link and open the game', async () => {
+    fetch.mockResolvedValueOnce({
+      ok: true,
+      json: async () => ({ game: { id: 12 } })
+    });
+
+    renderInviteLink();
+
+    expect(await screen.findByText('Game page')).toBeInTheDocument();
+    expect(fetch).toHaveBeenCalledWith(
+      expect.stringContaining('/api/games/join/abc123'),
+      expect.objectContaining({ method: 'POST' })
+    );
+  });
+
+  it('should display the error when the code is invalid', async () => {
+    fetch.mockResolvedValueOnce({
+      ok: false,
+      json: async () => ({ error: 'Invalid invite code' })
+    });
+
+    renderInviteLink();
+
+    expect(await screen.findByText('Invalid invite code')).toBeInTheDocument();
+    expect(screen.getByRole('button', { name: /back to games/i })).toBeInTheDocument();
+  });
+});
@@ -0,0 +1,202 @@
+import React, { useState, useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { useAuth } from '../context/AuthContext';
+import './Game.css';
+import './Leaderboard.css';
+
+/**
+ * Sort options offered on the leaderboard, keyed by API sort value
+ */
+const SORT_OPTIONS = {
+  rating: 'Rating',
+  wins: 'Wins',
+  win_rate: 'Win rate'
+};
+
+/**
+ * Time windows offered on the leaderboard, keyed by API window value
+ */
+const WINDOW_OPTIONS = {
+  all: 'All time',
+  month: 'This month',
+  week: 'This week'
+};
+
+// Entries shown per page
+const PAGE_SIZE = 20;
+
+/**
+ * Leaderboard Component
+ * Ranks all users with sorting, time window and minimum games filters
+ * The current user's row is highlighted, and shown below the table
+ * when it is not on the current page
+ */
+const Leaderboard = () => {
+  const [entries, setEntries] = useState([]);
+  const [currentUserEntry, setCurrentUserEntry] = useState(null);
+  const [total, setTotal] = useState(0);
+  const [sort, setSort] = useState('rating');
+  const [timeWindow, setTimeWindow] = useState('all');
+  const [minGames, setMinGames] = useState(1);
+  const [page, setPage] = useState(1);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  const { user, token } = useAuth();
+  const navigate = useNavigate();
+
+  const API_URL = process.env.REACT_APP_API_URL || 'http://localhost:3001';
+
+  // Reload whenever a filter or the page changes
+  useEffect(() => {
+    const fetchLeaderboard = async () => {
+      try {
+        const params = new URLSearchParams({
+          sort,
+          window: timeWindow,
+          min_games: minGames,
+          page,
+          limit: PAGE_SIZE
+        });
+        const response = await fetch(`${API_URL}/api/leaderboard?${params}`, {
+          headers: {
+            'Authorization': `Bearer ${token}`
+          }
+        });
+
+        if (!response.ok) throw new Error('Failed to fetch leaderboard');
+
+        const data = await response.json();
+        setEntries(data.leaderboard);
+        setCurrentUserEntry(data.current_user);
+        setTotal(data.total);
+        setError('');
+      } catch (err) {
+        setError(err.message);
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchLeaderboard();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [sort, timeWindow, minGames, page]);
+
+  /**
+   * Update a filter and go back to the first page
+   * @param {Function} setter - State setter of the filter
+   * @param {*} value - New filter value
+   */
+  const changeFilter = (setter, value) => {
+    setter(value);
+    setPage(1);
+  };
+
+  /**
+   * Render one leaderboard row
+   * @param {Object} entry - Leaderboard entry
+   */
+  const renderRow = (entry) => (
+    <tr key={entry.user_id} className={entry.user_id === user.id ? 'current-user' : ''}>
+      <td>{entry.rank}</td>
+      <td>{entry.username}</td>
+      <td>{entry.rating}</td>
+      <td>{entry.games}</td>
+      <td>{entry.wins}</td>
+      <td>{entry.draws}</td>
+      <td>{entry.losses}</td>
+      <td>{entry.win_rate}%</td>
+    </tr>
+  );
+
+  const pageCount = Math.max(1, Math.ceil(total / PAGE_SIZE));
+  const isCurrentUserOnPage = entries.some(entry => entry.user_id === user.id);
+
+  if (loading) {
+    return <div className="loading">Loading leaderboard...</div>;
+  }
+
+  return (
+    <div className="game-container">
+      <div className="game-wrapper">
+        <header className="game-header">
+          <button onClick={() => navigate('/games')} className="btn-back">
+            ← Back to Games
+          </button>
+          <h1>Leaderboard</h1>
+        </header>
+
+        <div className="leaderboard-card">
+          <div className="leaderboard-filters">
+            <label>
+              Sort by
+              <select value={sort} onChange={(e) => changeFilter(setSort, e.target.value)}>
+                {Object.entries(SORT_OPTIONS).map(([value, label]) => (
+                  <option key={value} value={value}>{label}</option>
+                ))}
+              </select>
+            </label>
+            <label>
+              Period
+              <select value={timeWindow} onChange={(e) => changeFilter(setTimeWindow, e.target.value)}>
+                {Object.entries(WINDOW_OPTIONS).map(([value, label]) => (
+                  <option key={value} value={value}>{label}</option>
+                ))}
+              </select>
+            </label>
+            <label>
+              Minimum games
+              <input
+                type="number"
+                min="0"
+                value={minGames}
+                onChange={(e) => changeFilter(setMinGames, Math.max(0, parseInt(e.target.value) || 0))}
+              />
+            </label>
+          </div>
+
+          {error && <div className="leaderboard-error">{error}</div>}
+
+          {entries.length === 0 ? (
+            <p className="leaderboard-empty">No players match these filters yet.</p>
+          ) : (
+            <table className="leaderboard-table">
+              <thead>
+                <tr>
+                  <th>#</th>
+                  <th>Player</th>
+                  <th>Rating</th>
+                  <th>Games</th>
+                  <th>Wins</th>
+                  <th>Draws</th>
+                  <th>Losses</th>
+                  <th>Win rate</th>
+                </tr>
+              </thead>
+              <tbody>
+                {entries.map(renderRow)}
+              </tbody>
+              {currentUserEntry && !isCurrentUserOnPage && (
+                <tfoot>
+                  {renderRow(currentUserEntry)}
+                </tfoot>
+              )}
+            </table>
+          )}
+
+          <div className="leaderboard-pagination">
+            <button onClick={() => setPage(page - 1)} disabled={page === 1}>
+              Previous
+            </button>
+            <span>Page {page} of {pageCount}</span>
+            <button onClick={() => setPage(page + 1)} disabled={page >= pageCount}>
+              Next
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default Leaderboard;
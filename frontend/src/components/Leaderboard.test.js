@@ -0,0 +1,114 @@
+import React from 'react';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import { MemoryRouter } from 'react-router-dom';
+import { AuthProvider } from '../context/AuthContext';
+import Leaderboard from './Leaderboard';
+
+/**
+ * Leaderboard Component Tests
+ * Tests for the ranking table, filters and current user highlighting
+ */
+
+// Mock fetch for API calls
+global.fetch = jest.fn();
+
+// Helper function to render the leaderboard with required providers
+const renderLeaderboard = () => {
+  return render(
+    <MemoryRouter>
+      <AuthProvider>
+        <Leaderboard />
+      </AuthProvider>
+    </MemoryRouter>
+  );
+};
+
+const entry = (rank, userId, username) => ({
+  rank,
+  user_id: userId,
+  username,
+  rating: 1300 - rank * 10,
+  games: 4,
+  wins: 2,
+  draws: 1,
+  losses: 1,
+  win_rate: 50
+});
+
+/**
+ * Mock the leaderboard API
+ * @param {Array} leaderboard - Entries of the requested page
+ * @param {Object|null} currentUser - Current user's entry
+ */
+const mockLeaderboard = (leaderboard, currentUser = null) => {
+  fetch.mockImplementation(() => Promise.resolve({
+    ok: true,
+    json: async () => ({ leaderboard, current_user: currentUser, page: 1, limit: 20, total: 45 })
+  }));
+};
+
+describe('Leaderboard Component', () => {
+  beforeEach(() => {
+    fetch.mockReset();
+    localStorage.setItem('token', 'test-token');
+    localStorage.setItem('user', JSON.stringify({ id: 2, username: 'bob' }));
+  });
+
+  afterEach(() => {
+    localStorage.clear();
+  });
+
+  it('should render the ranking with the current user highlighted', async () => {
+    const bob = entry(2, 2, 'bob');
+    mockLeaderboard([entry(1, 1, 'alice'), bob], bob);
+
+    renderLeaderboard();
+
+    expect(await screen.findByText('alice')).toBeInTheDocument();
+    expect(screen.getByText('bob').closest('tr')).toHaveClass('current-user');
+    expect(screen.getByText('alice').closest('tr')).not.toHaveClass('current-user');
+    expect(screen.getByText('Page 1 of 3')).toBeInTheDocument();
+  });
+
+  it('should show the current user below the table when not on the page', async () => {
+    mockLeaderboard([entry(1, 1, 'alice')], entry(30, 2, 'bob'));
+
+    renderLeaderboard();
+
+    const bobRow = (await screen.findByText('bob')).closest('tr');
+    expect(bobRow).toHaveClass('current-user');
+    expect(bobRow.closest('tfoot')).not.toBeNull();
+  });
+
+  it('should request the selected sort, period and minimum games', async () => {
+    mockLeaderboard([entry(1, 1, 'alice')]);
+
+    renderLeaderboard();
+    await screen.findByText('alice');
+
+    fireEvent.change(screen.getByLabelText(/sort by/i), { target: { value: 'win_rate' } });
+    fireEvent.change(screen.getByLabelText(/period/i), { target: { value: 'week' } });
+    fireEvent.change(screen.getByLabelText(/minimum games/i), { target: { value: '5' } });
+
+    await waitFor(() => {
+      const url = fetch.mock.calls[fetch.mock.calls.length - 1][0];
+      expect(url).toContain('sort=win_rate');
+      expect(url).toContain('window=week');
+      expect(url).toContain('min_games=5');
+      expect(url).toContain('page=1');
+    });
+  });
+
+  it('should request the next page', async () => {
+    mockLeaderboard([entry(1, 1, 'alice')]);
+
+    renderLeaderboard();
+    await screen.findByText('alice');
+
+    fireEvent.click(screen.getByRole('button', { name: /next/i }));
+
+    await waitFor(() => {
+      expect(fetch.mock.calls[fetch.mock.calls.length - 1][0]).toContain('page=2');
+    });
+  });
+});
@@ -1,27 +1,45 @@
 import React, { useState } from 'react';
-import { useNavigate, Link } from 'react-router-dom';
+import { useNavigate, useLocation, Link } from 'react-router-dom';
 import { useAuth } from '../context/AuthContext';
 import './Auth.css';
 
 /**
  * Login Component
  * Allows users to authenticate with username/email and password
+ * Accounts with two-factor authentication then enter a code from their
+ * authenticator app (or a recovery code)
  * Redirects to game list on successful login
  */
 const Login = () => {
   const [username, setUsername] = useState('');
   const [password, setPassword] = useState('');
+  const [code, setCode] = useState('');
+  const [challengeToken, setChallengeToken] = useState(null);
   const [error, setError] = useState('');
   const [loading, setLoading] = useState(false);
 
   const { login } = useAuth();
   const navigate = useNavigate();
+  const location = useLocation();
 
   const API_URL = process.env.REACT_APP_API_URL || 'http://localhost:3001';
 
+  /**
+   * Store the session of a successful login and leave the page
+   * @param {Object} data - Response of the login
+   */
+  const completeLogin = (data) => {
+    // Save authentication data
+    login(data.token, data.user, data.refresh_token, data.expires_in);
+
+    // Redirect to the page that required login (e.g. an invite link), or the games page
+    navigate(location.state?.from || '/games');
+  };
+
   /**
    * Handle login form submission
-   * Sends credentials to backend and stores token on success
+   * Sends credentials to backend and stores token on success, or asks for
+   * the second factor
    */
   const handleSubmit = async (e) => {
     e.preventDefault();
@@ -41,11 +59,42 @@ const Login = () => {
         throw new Error(data.error || 'Login failed');
       }
 
-      // Save authentication data
-      login(data.token, data.user);
+      if (data.two_factor_required) {
+        setChallengeToken(data.challenge_token);
+        return;
+      }
+
+      completeLogin(data);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  /**
+   * Handle two-factor code submission
+   * Exchanges the challenge of the password step and the code for a session
+   */
+  const handleCodeSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+    setLoading(true);
+
+    try {
+      const response = await fetch(`${API_URL}/api/auth/login/2fa`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ challenge_token: challengeToken, code })
+      });
+
+      const data = await response.json();
 
-      // Redirect to games page
-      navigate('/games');
+      if (!response.ok) {
+        throw new Error(data.error || 'Login failed');
+      }
+
+      completeLogin(data);
     } catch (err) {
       setError(err.message);
     } finally {
@@ -53,6 +102,60 @@ const Login = () => {
     }
   };
 
+  /**
+   * Go back to the password step, e.g. once the challenge expired
+   */
+  const handleRestart = () => {
+    setChallengeToken(null);
+    setCode('');
+    setPassword('');
+    setError('');
+  };
+
+  if (challengeToken) {
+    return (
+      <div className="auth-container">
+        <div className="auth-card">
+          <h1>Tic-Tac-Toe</h1>
+          <h2>Two-Factor Authentication</h2>
+
+          <form onSubmit={handleCodeSubmit} className="auth-form">
+            <div className="form-group">
+              <label htmlFor="code">Authentication code</label>
+              <input
+                type="text"
+                id="code"
+                value={code}
+                onChange={(e) => setCode(e.target.value)}
+                required
+                disabled={loading}
+                autoComplete="one-time-code"
+                autoFocus
+                placeholder="6-digit code or recovery code"
+              />
+            </div>
+
+            <p className="auth-hint">
+              Enter the code shown by your authenticator app. Lost it? Use one of your recovery codes.
+            </p>
+
+            {error && <div className="error-message">{error}</div>}
+
+            <button type="submit" className="btn-primary" disabled={loading}>
+              {loading ? 'Verifying...' : 'Verify'}
+            </button>
+          </form>
+
+          <p className="auth-link">
+            <button type="button" onClick={handleRestart} className="btn-link">
+              Back to login
+            </button>
+          </p>
+        </div>
+      </div>
+    );
+  }
+
   return (
     <div className="auth-container">
       <div className="auth-card">
@@ -86,6 +189,10 @@ const Login = () => {
             />
           </div>
 
+          <p className="auth-forgot">
+            <Link to="/forgot-password">Forgot your password?</Link>
+          </p>
+
           {error && <div className="error-message">{error}</div>}
 
           <button type="submit" className="btn-primary" disabled={loading}>
@@ -94,7 +201,7 @@ const Login = () => {
         </form>
 
         <p className="auth-link">
-          Don't have an account? <Link to="/register">Register here</Link>
+          Don't have an account? <Link to="/register" state={location.state}>Register here</Link>
         </p>
       </div>
     </div>
@@ -128,4 +128,46 @@ describe('Login Component', () => {
     expect(usernameInput).toBeDisabled();
     expect(passwordInput).toBeDisabled();
   });
+
+  it('should ask for the two-factor code and complete the login with it', async () => {
+    fetch
+      .mockResolvedValueOnce({
+        ok: true,
+        json: async () => ({ two_factor_required: true, challenge_token: 'challenge', expires_in: 300 })
+      })
+      .mockResolvedValueOnce({
+        ok: false,
+        json: async () => ({ error: 'Invalid code' })
+      })
+      .mockResolvedValueOnce({
+        ok: true,
+        json: async () => ({
+          token: 'fake-token',
+          refresh_token: 'fake-refresh',
+          expires_in: 900,
+          user: { id: 1, username: 'testuser', email: 'test@test.com' }
+        })
+      });
+
+    renderWithProviders(<Login />);
+
+    fireEvent.change(screen.getByLabelText(/username or email/i), { target: { value: 'testuser' } });
+    fireEvent.change(screen.getByLabelText(/password/i), { target: { value: 'password123' } });
+    fireEvent.click(screen.getByRole('button', { name: /login/i }));
+
+    const codeInput = await screen.findByLabelText(/authentication code/i);
+    fireEvent.change(codeInput, { target: { value: '000000' } });
+    fireEvent.click(screen.getByRole('button', { name: /verify/i }));
+    expect(await screen.findByText('Invalid code')).toBeInTheDocument();
+
+    fireEvent.change(codeInput, { target: { value: '123456' } });
+    fireEvent.click(screen.getByRole('button', { name: /verify/i }));
+
+    await waitFor(() => expect(localStorage.getItem('token')).toBe('fake-token'));
+    expect(fetch).toHaveBeenLastCalledWith(
+      expect.stringContaining('/api/auth/login/2fa'),
+      expect.objectContaining({ body: JSON.stringify({ challenge_token: 'challenge', code: '123456' }) })
+    );
+    localStorage.clear();
+  });
 });
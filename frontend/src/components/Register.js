@@ -1,5 +1,5 @@
 import React, { useState } from 'react';
-import { useNavigate, Link } from 'react-router-dom';
+import { useNavigate, useLocation, Link } from 'react-router-dom';
 import { useAuth } from '../context/AuthContext';
 import './Auth.css';
 
@@ -18,6 +18,7 @@ const Register = () => {
 
   const { login } = useAuth();
   const navigate = useNavigate();
+  const location = useLocation();
 
   const API_URL = process.env.REACT_APP_API_URL || 'http://localhost:3001';
 
@@ -57,10 +58,10 @@ const Register = () => {
       }
 
       // Save authentication data
-      login(data.token, data.user);
+      login(data.token, data.user, data.refresh_token, data.expires_in);
 
-      // Redirect to games page
-      navigate('/games');
+      // Redirect to the page that required login (e.g. an invite link), or the games page
+      navigate(location.state?.from || '/games');
     } catch (err) {
       setError(err.message);
     } finally {
@@ -138,7 +139,7 @@ const Register = () => {
         </form>
 
         <p className="auth-link">
-          Already have an account? <Link to="/login">Login here</Link>
+          Already have an account? <Link to="/login" state={location.state}>Login here</Link>
         </p>
       </div>
     </div>
@@ -0,0 +1,174 @@
+import React, { useState, useEffect } from 'react';
+import { useParams, useNavigate } from 'react-router-dom';
+import { useAuth } from '../context/AuthContext';
+import './Game.css';
+import './Replay.css';
+
+/**
+ * Replay Component
+ * Walks through a game move by move with step forward/back controls
+ */
+const Replay = () => {
+  const { id } = useParams();
+  const { token } = useAuth();
+  const navigate = useNavigate();
+
+  const [game, setGame] = useState(null);
+  const [moves, setMoves] = useState([]);
+  const [step, setStep] = useState(0);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  const API_URL = process.env.REACT_APP_API_URL || 'http://localhost:3001';
+
+  // Load the game (for its board settings) and its moves
+  useEffect(() => {
+    const loadReplay = async () => {
+      try {
+        const headers = { 'Authorization': `Bearer ${token}` };
+        const [gameResponse, movesResponse] = await Promise.all([
+          fetch(`${API_URL}/api/games/${id}`, { headers }),
+          fetch(`${API_URL}/api/games/${id}/moves`, { headers })
+        ]);
+
+        if (!gameResponse.ok || !movesResponse.ok) {
+          throw new Error(gameResponse.status === 404 ? 'Game not found' : 'Failed to load replay');
+        }
+
+        const gameData = await gameResponse.json();
+        const movesData = await movesResponse.json();
+        setGame(gameData.game);
+        setMoves(movesData.moves);
+        setStep(movesData.moves.length);
+      } catch (err) {
+        setError(err.message);
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    loadReplay();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [id]);
+
+  /**
+   * Build the board as it was after the given number of moves
+   * @param {number} moveCount - Number of moves to apply
+   */
+  const getBoardAt = (moveCount) => {
+    const board = Array(game.board.length).fill('');
+    moves.slice(0, moveCount).forEach(move => {
+      board[move.position] = move.symbol;
+    });
+    return board;
+  };
+
+  /**
+   * Render a single read-only cell
+   * @param {Array} board - Board to render
+   * @param {number} index - Cell index
+   */
+  const renderCell = (board, index) => {
+    const lastMove = step > 0 ? moves[step - 1].position : null;
+    return (
+      <div
+        key={index}
+        className={`cell ${board[index]} ${index === lastMove ? 'last-move' : ''}`}
+      >
+        {board[index]}
+      </div>
+    );
+  };
+
+  /**
+   * Render the board at the current step
+   */
+  const renderBoard = () => {
+    const board = getBoardAt(step);
+
+    if (game.game_type === 'ultimate') {
+      return (
+        <div className="ultimate-board">
+          {Array.from({ length: 9 }, (_, smallBoard) => (
+            <div key={smallBoard} className="small-board">
+              {Array.from({ length: 9 }, (_, cell) => renderCell(board, smallBoard * 9 + cell))}
+            </div>
+          ))}
+        </div>
+      );
+    }
+
+    // Same cell sizes as the live game view
+    const isClassic = game.board_width === 3 && game.board_height === 3;
+    const size = Math.max(game.board_width, game.board_height);
+    const cellSize = size <= 5 ? 80 : (size <= 9 ? 48 : 32);
+
+    return (
+      <div
+        className={`board ${cellSize < 80 ? 'board-compact' : ''}`}
+        style={isClassic ? undefined : {
+          gridTemplateColumns: `repeat(${game.board_width}, ${cellSize}px)`,
+          gridTemplateRows: `repeat(${game.board_height}, ${cellSize}px)`
+        }}
+      >
+        {board.map((_, index) => renderCell(board, index))}
+      </div>
+    );
+  };
+
+  if (loading) {
+    return <div className="loading">Loading replay...</div>;
+  }
+
+  if (error) {
+    return (
+      <div className="game-error">
+        <h2>Error</h2>
+        <p>{error}</p>
+        <button onClick={() => navigate('/games')} className="btn-back">
+          Back to Games
+        </button>
+      </div>
+    );
+  }
+
+  return (
+    <div className="game-container">
+      <div className="game-wrapper">
+        <header className="game-header">
+          <button onClick={() => navigate(`/game/${id}`)} className="btn-back">
+            ← Back to Game
+          </button>
+          <h1>Replay - Game #{id}</h1>
+        </header>
+
+        <div className="board-container">
+          {renderBoard()}
+
+          <p className="replay-step">
+            {step === 0
+              ? 'Start of the game'
+              : `Move ${step} of ${moves.length}: ${moves[step - 1].symbol} played ${moves[step - 1].position}`}
+          </p>
+
+          <div className="replay-controls">
+            <button onClick={() => setStep(0)} disabled={step === 0} aria-label="First move">
+              ⏮
+            </button>
+            <button onClick={() => setStep(step - 1)} disabled={step === 0} aria-label="Previous move">
+              ◀
+            </button>
+            <button onClick={() => setStep(step + 1)} disabled={step === moves.length} aria-label="Next move">
+              ▶
+            </button>
+            <button onClick={() => setStep(moves.length)} disabled={step === moves.length} aria-label="Last move">
+              ⏭
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default Replay;
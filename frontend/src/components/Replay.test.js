@@ -0,0 +1,83 @@
+import React from 'react';
+import { render, screen, fireEvent } from '@testing-library/react';
+import { MemoryRouter, Routes, Route } from 'react-router-dom';
+import { AuthProvider } from '../context/AuthContext';
+import Replay from './Replay';
+
+/**
+ * Replay Component Tests
+ * Tests for stepping through the moves of a finished game
+ */
+
+// Mock fetch for API calls
+global.fetch = jest.fn();
+
+// Helper function to render the replay of game 1 with required providers
+const renderReplay = () => {
+  return render(
+    <MemoryRouter initialEntries={['/game/1/replay']}>
+      <AuthProvider>
+        <Routes>
+          <Route path="/game/:id/replay" element={<Replay />} />
+        </Routes>
+      </AuthProvider>
+    </MemoryRouter>
+  );
+};
+
+const game = {
+  id: 1,
+  game_type: 'standard',
+  board: ['X', 'O', 'X', '', '', '', '', '', ''],
+  board_width: 3,
+  board_height: 3,
+  win_length: 3,
+  status: 'finished'
+};
+
+const moves = [
+  { move_number: 1, symbol: 'X', position: 0 },
+  { move_number: 2, symbol: 'O', position: 1 },
+  { move_number: 3, symbol: 'X', position: 2 }
+];
+
+describe('Replay Component', () => {
+  beforeEach(() => {
+    fetch.mockReset();
+    fetch.mockImplementation((url) => Promise.resolve({
+      ok: true,
+      json: async () => (url.endsWith('/moves') ? { moves } : { game })
+    }));
+  });
+
+  it('should start on the final position', async () => {
+    renderReplay();
+
+    expect(await screen.findByText(/move 3 of 3/i)).toBeInTheDocument();
+    expect(screen.getByRole('button', { name: /next move/i })).toBeDisabled();
+  });
+
+  it('should step backward and forward through the moves', async () => {
+    renderReplay();
+    await screen.findByText(/move 3 of 3/i);
+
+    fireEvent.click(screen.getByRole('button', { name: /previous move/i }));
+    expect(screen.getByText(/move 2 of 3/i)).toBeInTheDocument();
+    expect(screen.getAllByText('X')).toHaveLength(1);
+
+    fireEvent.click(screen.getByRole('button', { name: /first move/i }));
+    expect(screen.getByText(/start of the game/i)).toBeInTheDocument();
+    expect(screen.queryByText('X')).not.toBeInTheDocument();
+
+    fireEvent.click(screen.getByRole('button', { name: /next move/i }));
+    expect(screen.getByText(/move 1 of 3/i)).toBeInTheDocument();
+  });
+
+  it('should display an error when the game does not exist', async () => {
+    fetch.mockImplementation(() => Promise.resolve({ ok: false, status: 404, json: async () => ({}) }));
+
+    renderReplay();
+
+    expect(await screen.findByText(/game not found/i)).toBeInTheDocument();
+  });
+});
@@ -0,0 +1,139 @@
+import React, { useState } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import './Auth.css';
+
+/**
+ * ResetPassword Component
+ * Sets a new password with the token of an emailed reset link
+ * (/reset-password?token=...)
+ */
+const ResetPassword = () => {
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token');
+
+  const [password, setPassword] = useState('');
+  const [confirmPassword, setConfirmPassword] = useState('');
+  const [done, setDone] = useState(false);
+  const [error, setError] = useState('');
+  const [loading, setLoading] = useState(false);
+
+  const API_URL = process.env.REACT_APP_API_URL || 'http://localhost:3001';
+
+  /**
+   * Handle form submission
+   * Validates passwords match and sends the new password with the token
+   */
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+
+    // Validate passwords match
+    if (password !== confirmPassword) {
+      setError('Passwords do not match');
+      return;
+    }
+
+    // Validate password length
+    if (password.length < 6) {
+      setError('Password must be at least 6 characters');
+      return;
+    }
+
+    setLoading(true);
+
+    try {
+      const response = await fetch(`${API_URL}/api/auth/reset-password`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ token, password })
+      });
+
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to reset password');
+      }
+
+      setDone(true);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  /**
+   * Render the page content: the form, or why it cannot be used
+   */
+  const renderContent = () => {
+    if (!token) {
+      return (
+        <div className="error-message">
+          This reset link is incomplete. <Link to="/forgot-password">Request a new one</Link>.
+        </div>
+      );
+    }
+
+    if (done) {
+      return (
+        <div className="success-message">
+          Your password has been reset. You can now log in with it.
+        </div>
+      );
+    }
+
+    return (
+      <form onSubmit={handleSubmit} className="auth-form">
+        <div className="form-group">
+          <label htmlFor="password">New Password</label>
+          <input
+            type="password"
+            id="password"
+            value={password}
+            onChange={(e) => setPassword(e.target.value)}
+            required
+            disabled={loading}
+            minLength={6}
+            placeholder="Choose a password (min 6 characters)"
+          />
+        </div>
+
+        <div className="form-group">
+          <label htmlFor="confirmPassword">Confirm Password</label>
+          <input
+            type="password"
+            id="confirmPassword"
+            value={confirmPassword}
+            onChange={(e) => setConfirmPassword(e.target.value)}
+            required
+            disabled={loading}
+            placeholder="Confirm your password"
+          />
+        </div>
+
+        {error && <div className="error-message">{error}</div>}
+
+        <button type="submit" className="btn-primary" disabled={loading}>
+          {loading ? 'Saving...' : 'Reset password'}
+        </button>
+      </form>
+    );
+  };
+
+  return (
+    <div className="auth-container">
+      <div className="auth-card">
+        <h1>Tic-Tac-Toe</h1>
+        <h2>Reset Password</h2>
+
+        {renderContent()}
+
+        <p className="auth-link">
+          <Link to="/login">Back to login</Link>
+        </p>
+      </div>
+    </div>
+  );
+};
+
+export default ResetPassword;
@@ -0,0 +1,79 @@
+import React from 'react';
+import { render, screen, fireEvent } from '@testing-library/react';
+import { MemoryRouter } from 'react-router-dom';
+import ResetPassword from './ResetPassword';
+
+/**
+ * ResetPassword Component Tests
+ * Tests for choosing a new password from a reset link
+ */
+
+// Mock fetch for API calls
+global.fetch = jest.fn();
+
+// Helper function to render the page opened from a reset link
+const renderReset = (search = '?token=reset-token') => {
+  return render(
+    <MemoryRouter initialEntries={[`/reset-password${search}`]}>
+      <ResetPassword />
+    </MemoryRouter>
+  );
+};
+
+/**
+ * Fill in and submit the form
+ */
+const submit = (password, confirmPassword = password) => {
+  fireEvent.change(screen.getByLabelText(/new password/i), { target: { value: password } });
+  fireEvent.change(screen.getByLabelText(/confirm password/i), { target: { value: confirmPassword } });
+  fireEvent.click(screen.getByRole('button', { name: /reset password/i }));
+};
+
+describe('ResetPassword Component', () => {
+  beforeEach(() => {
+    fetch.mockReset();
+  });
+
+  it('should send the new password with the token of the link', async () => {
+    fetch.mockResolvedValueOnce({
+      ok: true,
+      json: async () => ({ message: 'Password has been reset' })
+    });
+
+    renderReset();
+    submit('newpassword');
+
+    expect(await screen.findByText(/your password has been reset/i)).toBeInTheDocument();
+    expect(fetch).toHaveBeenCalledWith(
+      expect.stringContaining('/api/auth/reset-password'),
+      expect.objectContaining({ body: JSON.stringify({ token: 'reset-token', password: 'newpassword' }) })
+    );
+  });
+
+  it('should check that the passwords match', () => {
+    renderReset();
+    submit('newpassword', 'otherpassword');
+
+    expect(screen.getByText('Passwords do not match')).toBeInTheDocument();
+    expect(fetch).not.toHaveBeenCalled();
+  });
+
+  it('should display an expired link error', async () => {
+    fetch.mockResolvedValueOnce({
+      ok: false,
+      json: async () => ({ error: 'Invalid or expired reset token' })
+    });
+
+    renderReset();
+    submit('newpassword');
+
+    expect(await screen.findByText('Invalid or expired reset token')).toBeInTheDocument();
+  });
+
+  it('should explain when the link has no token', () => {
+    renderReset('');
+
+    expect(screen.getByText(/this reset link is incomplete/i)).toBeInTheDocument();
+    expect(screen.queryByRole('button', { name: /reset password/i })).not.toBeInTheDocument();
+  });
+});
@@ -0,0 +1,173 @@
+import React, { useState, useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { useAuth } from '../context/AuthContext';
+import './Game.css';
+import './Leaderboard.css';
+import './Sessions.css';
+
+/**
+ * User agent markers of common browsers, checked in order
+ * (Edge and Opera also announce Chrome, Chrome also announces Safari)
+ */
+const BROWSERS = [
+  ['Edg/', 'Edge'],
+  ['OPR/', 'Opera'],
+  ['Firefox/', 'Firefox'],
+  ['Chrome/', 'Chrome'],
+  ['Safari/', 'Safari']
+];
+
+/**
+ * User agent markers of common systems, checked in order
+ * (Android also announces Linux)
+ */
+const SYSTEMS = [
+  ['Windows', 'Windows'],
+  ['Android', 'Android'],
+  ['iPhone', 'iOS'],
+  ['iPad', 'iOS'],
+  ['Mac OS', 'macOS'],
+  ['Linux', 'Linux']
+];
+
+/**
+ * Describe a device from its user agent, e.g. "Firefox on Linux"
+ * @param {string|null} userAgent - User agent of the session
+ */
+const describeDevice = (userAgent) => {
+  if (!userAgent) return 'Unknown device';
+
+  const browser = BROWSERS.find(([marker]) => userAgent.includes(marker));
+  const system = SYSTEMS.find(([marker]) => userAgent.includes(marker));
+
+  if (!browser && !system) return userAgent;
+  if (!system) return browser[1];
+  if (!browser) return system[1];
+  return `${browser[1]} on ${system[1]}`;
+};
+
+/**
+ * Sessions Component
+ * Lists the devices the user is logged in on and lets them log any
+ * other device out
+ */
+const Sessions = () => {
+  const [sessions, setSessions] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  const { token } = useAuth();
+  const navigate = useNavigate();
+
+  const API_URL = process.env.REACT_APP_API_URL || 'http://localhost:3001';
+
+  /**
+   * Fetch the active sessions
+   */
+  const fetchSessions = async () => {
+    try {
+      const response = await fetch(`${API_URL}/api/auth/sessions`, {
+        headers: {
+          'Authorization': `Bearer ${token}`
+        }
+      });
+
+      if (!response.ok) throw new Error('Failed to fetch sessions');
+
+      const data = await response.json();
+      setSessions(data.sessions);
+      setError('');
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchSessions();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, []);
+
+  /**
+   * Log a device out
+   * @param {number} sessionId - Session to revoke
+   */
+  const handleRevoke = async (sessionId) => {
+    try {
+      const response = await fetch(`${API_URL}/api/auth/sessions/${sessionId}`, {
+        method: 'DELETE',
+        headers: {
+          'Authorization': `Bearer ${token}`
+        }
+      });
+
+      if (!response.ok) {
+        const data = await response.json();
+        throw new Error(data.error || 'Failed to revoke session');
+      }
+
+      setSessions(current => current.filter(session => session.id !== sessionId));
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  if (loading) {
+    return <div className="loading">Loading sessions...</div>;
+  }
+
+  return (
+    <div className="game-container">
+      <div className="game-wrapper">
+        <header className="game-header">
+          <button onClick={() => navigate('/games')} className="btn-back">
+            ← Back to Games
+          </button>
+          <h1>Active Sessions</h1>
+        </header>
+
+        <div className="leaderboard-card">
+          {error && <div className="leaderboard-error">{error}</div>}
+
+          {sessions.length === 0 ? (
+            <p className="leaderboard-empty">No active sessions.</p>
+          ) : (
+            <table className="leaderboard-table">
+              <thead>
+                <tr>
+                  <th>Device</th>
+                  <th>IP address</th>
+                  <th>Signed in</th>
+                  <th>Last active</th>
+                  <th></th>
+                </tr>
+              </thead>
+              <tbody>
+                {sessions.map(session => (
+                  <tr key={session.id} className={session.current ? 'current-session' : ''}>
+                    <td title={session.user_agent || ''}>{describeDevice(session.user_agent)}</td>
+                    <td>{session.ip || '-'}</td>
+                    <td>{new Date(session.created_at).toLocaleString()}</td>
+                    <td>{new Date(session.last_used_at).toLocaleString()}</td>
+                    <td>
+                      {session.current ? (
+                        <span className="session-current">This device</span>
+                      ) : (
+                        <button onClick={() => handleRevoke(session.id)} className="btn-revoke-session">
+                          Revoke
+                        </button>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default Sessions;
@@ -0,0 +1,86 @@
+import React from 'react';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import { MemoryRouter } from 'react-router-dom';
+import { AuthProvider } from '../context/AuthContext';
+import Sessions from './Sessions';
+
+/**
+ * Sessions Component Tests
+ * Tests for the list of active sessions and revoking devices
+ */
+
+// Mock fetch for API calls
+global.fetch = jest.fn();
+
+// Helper function to render the sessions page with required providers
+const renderSessions = () => {
+  return render(
+    <MemoryRouter>
+      <AuthProvider>
+        <Sessions />
+      </AuthProvider>
+    </MemoryRouter>
+  );
+};
+
+const session = (id, overrides = {}) => ({
+  id,
+  user_agent: 'Mozilla/5.0 (X11; Linux x86_64; rv:128.0) Gecko/20100101 Firefox/128.0',
+  ip: '10.0.0.1',
+  created_at: '2026-03-01T10:00:00Z',
+  last_used_at: '2026-03-02T10:00:00Z',
+  expires_at: '2026-04-01T10:00:00Z',
+  current: false,
+  ...overrides
+});
+
+describe('Sessions Component', () => {
+  beforeEach(() => {
+    fetch.mockReset();
+    localStorage.setItem('token', 'test-token');
+    localStorage.setItem('user', JSON.stringify({ id: 1, username: 'alice' }));
+  });
+
+  afterEach(() => {
+    localStorage.clear();
+  });
+
+  it('should list the active sessions and flag the current device', async () => {
+    fetch.mockResolvedValueOnce({
+      ok: true,
+      json: async () => ({
+        sessions: [
+          session(1, { current: true }),
+          session(2, { user_agent: 'Mozilla/5.0 (iPhone; CPU iPhone OS 17_0 like Mac OS X) Version/17.0 Mobile/15E148 Safari/604.1', ip: '10.0.0.2' })
+        ]
+      })
+    });
+
+    renderSessions();
+
+    const current = (await screen.findByText('This device')).closest('tr');
+    expect(current).toHaveTextContent('Firefox on Linux');
+    expect(screen.getByText('Safari on iOS').closest('tr')).toHaveTextContent('10.0.0.2');
+    expect(screen.getAllByRole('button', { name: 'Revoke' })).toHaveLength(1);
+  });
+
+  it('should revoke another session', async () => {
+    fetch
+      .mockResolvedValueOnce({
+        ok: true,
+        json: async () => ({ sessions: [session(1, { current: true }), session(2, { ip: '10.0.0.2' })] })
+      })
+      .mockResolvedValueOnce({ ok: true, json: async () => ({ message: 'Session revoked' }) });
+
+    renderSessions();
+    fireEvent.click(await screen.findByRole('button', { name: 'Revoke' }));
+
+    await waitFor(() => {
+      expect(screen.queryByText('10.0.0.2')).not.toBeInTheDocument();
+    });
+    expect(fetch).toHaveBeenLastCalledWith(
+      expect.stringContaining('/api/auth/sessions/2'),
+      expect.objectContaining({ method: 'DELETE' })
+    );
+  });
+});
@@ -0,0 +1,252 @@
+import React, { useState, useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { useAuth } from '../context/AuthContext';
+import './Game.css';
+import './Leaderboard.css';
+import './Stats.css';
+
+/**
+ * Short month names for the activity chart, indexed from 0 (January)
+ */
+const MONTH_NAMES = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+/**
+ * Format a duration in seconds, e.g. "2:05"
+ * @param {number|null} seconds - Duration in seconds
+ */
+const formatDuration = (seconds) => {
+  if (seconds === null) return '-';
+  return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+};
+
+/**
+ * Format a month of the activity chart, e.g. "2026-03" as "Mar"
+ * @param {string} month - Month as YYYY-MM
+ */
+const formatMonth = (month) => MONTH_NAMES[parseInt(month.split('-')[1]) - 1];
+
+/**
+ * Render a stacked bar of wins, draws and losses
+ * Each segment's share of the bar is its share of the games
+ * @param {Object} record - { games, wins, draws, losses }
+ */
+const renderResultBar = (record) => (
+  <div className="result-bar">
+    {['wins', 'draws', 'losses'].map(key => record[key] > 0 && (
+      <div
+        key={key}
+        className={`result-segment ${key}`}
+        style={{ width: `${(record[key] / record.games) * 100}%` }}
+        title={`${record[key]} ${key}`}
+      />
+    ))}
+  </div>
+);
+
+/**
+ * Stats Component
+ * Detailed statistics of the user's games against other players:
+ * results as X and as O, streaks, game length, favourite opening,
+ * monthly activity and head-to-head records
+ */
+const Stats = () => {
+  const [stats, setStats] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  const { token } = useAuth();
+  const navigate = useNavigate();
+
+  const API_URL = process.env.REACT_APP_API_URL || 'http://localhost:3001';
+
+  useEffect(() => {
+    const fetchStats = async () => {
+      try {
+        const response = await fetch(`${API_URL}/api/users/me/stats`, {
+          headers: {
+            'Authorization': `Bearer ${token}`
+          }
+        });
+
+        if (!response.ok) throw new Error('Failed to fetch statistics');
+
+        const data = await response.json();
+        setStats(data.stats);
+      } catch (err) {
+        setError(err.message);
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchStats();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, []);
+
+  /**
+   * Render the results of one symbol
+   * @param {string} symbol - 'X' or 'O'
+   * @param {Object} record - Results playing this symbol
+   */
+  const renderSymbolRow = (symbol, record) => (
+    <div className="symbol-row" key={symbol}>
+      <span className={`symbol-label ${symbol}`}>{symbol}</span>
+      {record.games > 0 ? renderResultBar(record) : <div className="result-bar empty" />}
+      <span className="symbol-rate">{record.win_rate}% won ({record.games})</span>
+    </div>
+  );
+
+  /**
+   * Render the monthly activity chart
+   * Bar heights are relative to the busiest month
+   */
+  const renderActivity = () => {
+    const busiest = Math.max(1, ...stats.monthly.map(month => month.games));
+
+    return (
+      <div className="activity-chart">
+        {stats.monthly.map(month => (
+          <div key={month.month} className="activity-month" title={`${month.month}: ${month.games} games`}>
+            <div className="activity-bar" style={{ height: `${(month.games / busiest) * 100}%` }}>
+              {['wins', 'draws', 'losses'].map(key => month[key] > 0 && (
+                <div
+                  key={key}
+                  className={`result-segment ${key}`}
+                  style={{ height: `${(month[key] / month.games) * 100}%` }}
+                />
+              ))}
+            </div>
+            <span className="activity-label">{formatMonth(month.month)}</span>
+          </div>
+        ))}
+      </div>
+    );
+  };
+
+  /**
+   * Render the classic board with the favourite first move highlighted
+   */
+  const renderOpening = () => (
+    <div className="opening-board" aria-label={`Favourite opening: cell ${stats.favorite_opening.position}`}>
+      {Array.from({ length: 9 }, (_, index) => (
+        <div key={index} className={`opening-cell ${index === stats.favorite_opening.position ? 'played' : ''}`}>
+          {index === stats.favorite_opening.position && 'X'}
+        </div>
+      ))}
+    </div>
+  );
+
+  if (loading) {
+    return <div className="loading">Loading statistics...</div>;
+  }
+
+  return (
+    <div className="game-container">
+      <div className="game-wrapper">
+        <header className="game-header">
+          <button onClick={() => navigate('/games')} className="btn-back">
+            ← Back to Games
+          </button>
+          <h1>Statistics</h1>
+        </header>
+
+        {error && <div className="leaderboard-error">{error}</div>}
+
+        {stats && (
+          <div className="stats-page">
+            <div className="leaderboard-card stats-summary">
+              <div className="summary-item">
+                <span className="summary-value">{stats.games}</span>
+                <span className="summary-label">Games</span>
+              </div>
+              <div className="summary-item">
+                <span className="summary-value">{stats.win_rate}%</span>
+                <span className="summary-label">Win rate</span>
+              </div>
+              <div className="summary-item">
+                <span className="summary-value">{stats.current_win_streak}</span>
+                <span className="summary-label">Current streak</span>
+              </div>
+              <div className="summary-item">
+                <span className="summary-value">{stats.best_win_streak}</span>
+                <span className="summary-label">Best streak</span>
+              </div>
+              <div className="summary-item">
+                <span className="summary-value">{formatDuration(stats.average_duration_seconds)}</span>
+                <span className="summary-label">Average length</span>
+              </div>
+              <div className="summary-item">
+                <span className="summary-value">{stats.average_moves === null ? '-' : stats.average_moves}</span>
+                <span className="summary-label">Average moves</span>
+              </div>
+            </div>
+
+            <div className="stats-columns">
+              <div className="leaderboard-card">
+                <h3>As X and as O</h3>
+                {renderSymbolRow('X', stats.as_x)}
+                {renderSymbolRow('O', stats.as_o)}
+                <div className="result-legend">
+                  <span className="legend wins">Wins</span>
+                  <span className="legend draws">Draws</span>
+                  <span className="legend losses">Losses</span>
+                </div>
+              </div>
+
+              <div className="leaderboard-card">
+                <h3>Favourite opening</h3>
+                {stats.favorite_opening ? (
+                  <>
+                    {renderOpening()}
+                    <p className="opening-count">Played {stats.favorite_opening.count} times as X</p>
+                  </>
+                ) : (
+                  <p className="leaderboard-empty">No classic games as X yet.</p>
+                )}
+              </div>
+            </div>
+
+            <div className="leaderboard-card">
+              <h3>Monthly activity</h3>
+              {renderActivity()}
+            </div>
+
+            <div className="leaderboard-card">
+              <h3>Head-to-head</h3>
+              {stats.head_to_head.length === 0 ? (
+                <p className="leaderboard-empty">No games against other players yet.</p>
+              ) : (
+                <table className="leaderboard-table">
+                  <thead>
+                    <tr>
+                      <th>Opponent</th>
+                      <th>Games</th>
+                      <th>Wins</th>
+                      <th>Draws</th>
+                      <th>Losses</th>
+                      <th>Win rate</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {stats.head_to_head.map(record => (
+                      <tr key={record.opponent.id}>
+                        <td>{record.opponent.username}</td>
+                        <td>{record.games}</td>
+                        <td>{record.wins}</td>
+                        <td>{record.draws}</td>
+                        <td>{record.losses}</td>
+                        <td>{record.win_rate}%</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              )}
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default Stats;
@@ -0,0 +1,127 @@
+import React from 'react';
+import { render, screen, within } from '@testing-library/react';
+import { MemoryRouter } from 'react-router-dom';
+import { AuthProvider } from '../context/AuthContext';
+import Stats from './Stats';
+
+/**
+ * Stats Component Tests
+ * Tests for the summary figures, charts and head-to-head table
+ */
+
+// Mock fetch for API calls
+global.fetch = jest.fn();
+
+// Helper function to render the stats page with required providers
+const renderStats = () => {
+  return render(
+    <MemoryRouter>
+      <AuthProvider>
+        <Stats />
+      </AuthProvider>
+    </MemoryRouter>
+  );
+};
+
+const record = (games, wins, draws) => ({
+  games,
+  wins,
+  draws,
+  losses: games - wins - draws,
+  win_rate: games > 0 ? Math.round((wins / games) * 1000) / 10 : 0
+});
+
+const baseStats = {
+  ...record(4, 3, 1),
+  as_x: record(3, 2, 1),
+  as_o: record(1, 1, 0),
+  current_win_streak: 1,
+  best_win_streak: 2,
+  average_duration_seconds: 95,
+  average_moves: 6.3,
+  favorite_opening: { position: 4, count: 2 },
+  head_to_head: [
+    { opponent: { id: 2, username: 'bob' }, ...record(3, 3, 0) },
+    { opponent: { id: 3, username: 'carol' }, ...record(1, 0, 1) }
+  ],
+  monthly: [
+    { month: '2026-09', ...record(0, 0, 0) },
+    { month: '2026-10', ...record(4, 3, 1) }
+  ]
+};
+
+/**
+ * Mock the detailed stats API
+ * @param {Object} stats - Statistics returned by /api/users/me/stats
+ */
+const mockStats = (stats) => {
+  fetch.mockImplementation(() => Promise.resolve({
+    ok: true,
+    json: async () => ({ stats })
+  }));
+};
+
+describe('Stats Component', () => {
+  beforeEach(() => {
+    fetch.mockReset();
+    localStorage.setItem('token', 'test-token');
+    localStorage.setItem('user', JSON.stringify({ id: 1, username: 'alice' }));
+  });
+
+  afterEach(() => {
+    localStorage.clear();
+  });
+
+  it('should show the summary figures and the results per symbol', async () => {
+    mockStats(baseStats);
+
+    renderStats();
+
+    expect(await screen.findByText('75%')).toBeInTheDocument();
+    expect(screen.getByText('1:35')).toBeInTheDocument();
+    expect(screen.getByText('6.3')).toBeInTheDocument();
+    expect(screen.getByText('66.7% won (3)')).toBeInTheDocument();
+    expect(screen.getByText('100% won (1)')).toBeInTheDocument();
+  });
+
+  it('should highlight the favourite opening', async () => {
+    mockStats(baseStats);
+
+    renderStats();
+
+    const board = await screen.findByLabelText('Favourite opening: cell 4');
+    expect(within(board).getByText('X')).toHaveClass('played');
+    expect(screen.getByText('Played 2 times as X')).toBeInTheDocument();
+  });
+
+  it('should chart every month and list head-to-head records', async () => {
+    mockStats(baseStats);
+
+    renderStats();
+
+    expect(await screen.findByText('Sep')).toBeInTheDocument();
+    expect(screen.getByText('Oct')).toBeInTheDocument();
+    expect(screen.getByText('bob').closest('tr')).toHaveTextContent('100%');
+    expect(screen.getByText('carol').closest('tr')).toHaveTextContent('0%');
+  });
+
+  it('should handle a player without games', async () => {
+    mockStats({
+      ...record(0, 0, 0),
+      as_x: record(0, 0, 0),
+      as_o: record(0, 0, 0),
+      current_win_streak: 0,
+      best_win_streak: 0,
+      average_duration_seconds: null,
+      average_moves: null,
+      favorite_opening: null,
+      head_to_head: [],
+      monthly: [{ month: '2026-10', ...record(0, 0, 0) }]
+    });
+
+    renderStats();
+
+    expect(await screen.findByText(/no games against other players yet/i)).toBeInTheDocument();
+    expect(screen.getByText(/no classic games as x yet/i)).toBeInTheDocument();
+  });
+});
@@ -0,0 +1,280 @@
+import React, { useState, useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { QRCodeSVG } from 'qrcode.react';
+import { useAuth } from '../context/AuthContext';
+import './Game.css';
+import './Leaderboard.css';
+import './TwoFactor.css';
+
+/**
+ * TwoFactor Component
+ * Lets the user enable two-factor authentication by scanning a QR code
+ * into an authenticator app, and manage it once enabled (new recovery
+ * codes, disabling)
+ */
+const TwoFactor = () => {
+  const [status, setStatus] = useState(null);
+  const [setup, setSetup] = useState(null);
+  const [recoveryCodes, setRecoveryCodes] = useState(null);
+  const [code, setCode] = useState('');
+  const [disableCode, setDisableCode] = useState('');
+  const [password, setPassword] = useState('');
+  const [loading, setLoading] = useState(true);
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState('');
+
+  const { user, token, updateUser } = useAuth();
+  const navigate = useNavigate();
+
+  const API_URL = process.env.REACT_APP_API_URL || 'http://localhost:3001';
+
+  /**
+   * Call a two-factor endpoint of the API
+   * @param {string} path - Path under /api/auth/2fa
+   * @param {Object} [body] - JSON body; sends a POST when given
+   * @returns {Promise<Object>} Response data; rejects with the API error
+   */
+  const callApi = async (path, body) => {
+    const response = await fetch(`${API_URL}/api/auth/2fa${path}`, {
+      method: body ? 'POST' : 'GET',
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${token}`
+      },
+      body: body ? JSON.stringify(body) : undefined
+    });
+
+    const data = await response.json();
+
+    if (!response.ok) {
+      throw new Error(data.error || 'Request failed');
+    }
+
+    return data;
+  };
+
+  /**
+   * Fetch whether two-factor authentication is enabled
+   */
+  const fetchStatus = async () => {
+    try {
+      setStatus(await callApi(''));
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchStatus();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, []);
+
+  /**
+   * Run a form action, tracking submission and errors
+   * @param {Event} e - Form submit event
+   * @param {Function} action - Async action to run
+   */
+  const submit = async (e, action) => {
+    e.preventDefault();
+    setSubmitting(true);
+    setError('');
+
+    try {
+      await action();
+      setCode('');
+      setDisableCode('');
+      setPassword('');
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  /**
+   * Generate a new secret to scan
+   */
+  const handleSetup = async () => {
+    setError('');
+    try {
+      setSetup(await callApi('/setup', {}));
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  /**
+   * Confirm the scanned secret with a first code
+   */
+  const handleEnable = (e) => submit(e, async () => {
+    const data = await callApi('/enable', { code });
+    setSetup(null);
+    setRecoveryCodes(data.recovery_codes);
+    setStatus({ enabled: true, recovery_codes_left: data.recovery_codes.length });
+    updateUser({ ...user, two_factor_enabled: true });
+  });
+
+  /**
+   * Replace the recovery codes
+   */
+  const handleRegenerate = (e) => submit(e, async () => {
+    const data = await callApi('/recovery-codes', { code });
+    setRecoveryCodes(data.recovery_codes);
+    setStatus({ enabled: true, recovery_codes_left: data.recovery_codes.length });
+  });
+
+  /**
+   * Turn two-factor authentication off
+   */
+  const handleDisable = (e) => submit(e, async () => {
+    await callApi('/disable', { password, code: disableCode });
+    setRecoveryCodes(null);
+    setStatus({ enabled: false, recovery_codes_left: 0 });
+    updateUser({ ...user, two_factor_enabled: false });
+  });
+
+  /**
+   * Render the card content for the current state
+   */
+  const renderContent = () => {
+    if (recoveryCodes) {
+      return (
+        <>
+          <p>
+            Save these recovery codes somewhere safe. Each one lets you log in once
+            without your authenticator app. They will not be shown again.
+          </p>
+          <ul className="recovery-codes">
+            {recoveryCodes.map(recoveryCode => <li key={recoveryCode}>{recoveryCode}</li>)}
+          </ul>
+          <button onClick={() => setRecoveryCodes(null)} className="btn-two-factor">
+            I have saved them
+          </button>
+        </>
+      );
+    }
+
+    if (setup) {
+      return (
+        <form onSubmit={handleEnable} className="two-factor-form">
+          <p>Scan this QR code with your authenticator app, then enter the code it shows.</p>
+          <div className="two-factor-qr">
+            <QRCodeSVG value={setup.otpauth_uri} size={180} title="Authenticator QR code" />
+          </div>
+          <p className="two-factor-secret">
+            Can't scan it? Enter this key instead: <code>{setup.secret}</code>
+          </p>
+          <label htmlFor="code">Code</label>
+          <input
+            type="text"
+            id="code"
+            value={code}
+            onChange={(e) => setCode(e.target.value)}
+            required
+            disabled={submitting}
+            autoComplete="one-time-code"
+            inputMode="numeric"
+            placeholder="6-digit code"
+          />
+          <button type="submit" className="btn-two-factor" disabled={submitting}>
+            Enable
+          </button>
+        </form>
+      );
+    }
+
+    if (!status.enabled) {
+      return (
+        <>
+          <p>
+            Two-factor authentication is off. Turn it on to ask for a code from
+            an authenticator app after your password.
+          </p>
+          <button onClick={handleSetup} className="btn-two-factor">
+            Set up two-factor authentication
+          </button>
+        </>
+      );
+    }
+
+    return (
+      <>
+        <p>
+          Two-factor authentication is on. You have {status.recovery_codes_left} recovery
+          code{status.recovery_codes_left === 1 ? '' : 's'} left.
+        </p>
+
+        <form onSubmit={handleRegenerate} className="two-factor-form">
+          <h3>New recovery codes</h3>
+          <label htmlFor="regenerate-code">Current code</label>
+          <input
+            type="text"
+            id="regenerate-code"
+            value={code}
+            onChange={(e) => setCode(e.target.value)}
+            required
+            disabled={submitting}
+            autoComplete="one-time-code"
+            placeholder="Authenticator or recovery code"
+          />
+          <button type="submit" className="btn-two-factor" disabled={submitting}>
+            Generate new codes
+          </button>
+        </form>
+
+        <form onSubmit={handleDisable} className="two-factor-form">
+          <h3>Turn off</h3>
+          <label htmlFor="password">Password</label>
+          <input
+            type="password"
+            id="password"
+            value={password}
+            onChange={(e) => setPassword(e.target.value)}
+            required
+            disabled={submitting}
+          />
+          <label htmlFor="disable-code">Authentication code</label>
+          <input
+            type="text"
+            id="disable-code"
+            value={disableCode}
+            onChange={(e) => setDisableCode(e.target.value)}
+            required
+            disabled={submitting}
+            autoComplete="one-time-code"
+            placeholder="Authenticator or recovery code"
+          />
+          <button type="submit" className="btn-two-factor danger" disabled={submitting}>
+            Disable two-factor authentication
+          </button>
+        </form>
+      </>
+    );
+  };
+
+  if (loading) {
+    return <div className="loading">Loading...</div>;
+  }
+
+  return (
+    <div className="game-container">
+      <div className="game-wrapper">
+        <header className="game-header">
+          <button onClick={() => navigate('/games')} className="btn-back">
+            ← Back to Games
+          </button>
+          <h1>Two-Factor Authentication</h1>
+        </header>
+
+        <div className="leaderboard-card two-factor-card">
+          {error && <div className="leaderboard-error">{error}</div>}
+          {status && renderContent()}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default TwoFactor;
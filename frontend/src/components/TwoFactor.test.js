@@ -0,0 +1,110 @@
+import React from 'react';
+import { render, screen, fireEvent } from '@testing-library/react';
+import { MemoryRouter } from 'react-router-dom';
+import { AuthProvider } from '../context/AuthContext';
+import TwoFactor from './TwoFactor';
+
+/**
+ * TwoFactor Component Tests
+ * Tests for enabling and disabling two-factor authentication
+ */
+
+// Mock fetch for API calls
+global.fetch = jest.fn();
+
+// Helper function to render the page with required providers
+const renderTwoFactor = () => {
+  return render(
+    <MemoryRouter>
+      <AuthProvider>
+        <TwoFactor />
+      </AuthProvider>
+    </MemoryRouter>
+  );
+};
+
+/**
+ * Mock the responses of the API calls, in order
+ * @param {...Object} responses - { ok, body } of each call
+ */
+const mockResponses = (...responses) => {
+  responses.forEach(({ ok = true, body }) => {
+    fetch.mockResolvedValueOnce({ ok, json: async () => body });
+  });
+};
+
+describe('TwoFactor Component', () => {
+  beforeEach(() => {
+    fetch.mockReset();
+    localStorage.setItem('token', 'test-token');
+    localStorage.setItem('user', JSON.stringify({ id: 1, username: 'alice', two_factor_enabled: false }));
+  });
+
+  afterEach(() => {
+    localStorage.clear();
+  });
+
+  it('should show the QR code and the recovery codes once enabled', async () => {
+    mockResponses(
+      { body: { enabled: false, recovery_codes_left: 0 } },
+      { body: { secret: 'JBSWY3DPEHPK3PXP', otpauth_uri: 'otpauth://totp/Tic-Tac-Toe%3Aalice?secret=JBSWY3DPEHPK3PXP' } },
+      { body: { message: 'Two-factor authentication enabled', recovery_codes: ['aaaaa-11111', 'bbbbb-22222'] } }
+    );
+
+    renderTwoFactor();
+    fireEvent.click(await screen.findByRole('button', { name: /set up two-factor/i }));
+
+    expect(await screen.findByTitle('Authenticator QR code')).toBeInTheDocument();
+    expect(screen.getByText('JBSWY3DPEHPK3PXP')).toBeInTheDocument();
+
+    fireEvent.change(screen.getByLabelText('Code'), { target: { value: '123456' } });
+    fireEvent.click(screen.getByRole('button', { name: /enable/i }));
+
+    expect(await screen.findByText('aaaaa-11111')).toBeInTheDocument();
+    expect(screen.getByText('bbbbb-22222')).toBeInTheDocument();
+    expect(fetch).toHaveBeenLastCalledWith(
+      expect.stringContaining('/api/auth/2fa/enable'),
+      expect.objectContaining({ method: 'POST', body: JSON.stringify({ code: '123456' }) })
+    );
+    expect(JSON.parse(localStorage.getItem('user')).two_factor_enabled).toBe(true);
+
+    fireEvent.click(screen.getByRole('button', { name: /i have saved them/i }));
+    expect(screen.getByText(/you have 2 recovery codes left/i)).toBeInTheDocument();
+  });
+
+  it('should show the API error for a wrong code', async () => {
+    mockResponses(
+      { body: { enabled: false, recovery_codes_left: 0 } },
+      { body: { secret: 'JBSWY3DPEHPK3PXP', otpauth_uri: 'otpauth://totp/x' } },
+      { ok: false, body: { error: 'Invalid code' } }
+    );
+
+    renderTwoFactor();
+    fireEvent.click(await screen.findByRole('button', { name: /set up two-factor/i }));
+    fireEvent.change(await screen.findByLabelText('Code'), { target: { value: '000000' } });
+    fireEvent.click(screen.getByRole('button', { name: /enable/i }));
+
+    expect(await screen.findByText('Invalid code')).toBeInTheDocument();
+    expect(screen.getByTitle('Authenticator QR code')).toBeInTheDocument();
+  });
+
+  it('should disable two-factor authentication with the password and a code', async () => {
+    mockResponses(
+      { body: { enabled: true, recovery_codes_left: 7 } },
+      { body: { message: 'Two-factor authentication disabled' } }
+    );
+
+    renderTwoFactor();
+    expect(await screen.findByText(/you have 7 recovery codes left/i)).toBeInTheDocument();
+
+    fireEvent.change(screen.getByLabelText('Password'), { target: { value: 'password123' } });
+    fireEvent.change(screen.getByLabelText('Authentication code'), { target: { value: '654321' } });
+    fireEvent.click(screen.getByRole('button', { name: /disable two-factor/i }));
+
+    expect(await screen.findByRole('button', { name: /set up two-factor/i })).toBeInTheDocument();
+    expect(fetch).toHaveBeenLastCalledWith(
+      expect.stringContaining('/api/auth/2fa/disable'),
+      expect.objectContaining({ body: JSON.stringify({ password: 'password123', code: '654321' }) })
+    );
+  });
+});
@@ -0,0 +1,75 @@
+import React, { useState } from 'react';
+import { useAuth } from '../context/AuthContext';
+import './VerificationBanner.css';
+
+// What unverified users miss out on, by restriction returned with the user
+const RESTRICTION_LABELS = {
+  ranked: 'play against other players',
+  chat: 'chat'
+};
+
+/**
+ * VerificationBanner Component
+ * Reminds users who have not verified their email address yet, lists what
+ * they cannot do until then, and lets them have the link sent again
+ */
+const VerificationBanner = () => {
+  const [message, setMessage] = useState('');
+  const [error, setError] = useState('');
+  const [sending, setSending] = useState(false);
+
+  const { user, token } = useAuth();
+
+  const API_URL = process.env.REACT_APP_API_URL || 'http://localhost:3001';
+
+  // Users stored before verification existed carry no verified_at at all
+  if (!user || user.verified_at !== null) {
+    return null;
+  }
+
+  const restrictions = (user.restrictions || []).map(action => RESTRICTION_LABELS[action]).filter(Boolean);
+
+  /**
+   * Ask for a new verification email
+   */
+  const handleResend = async () => {
+    setSending(true);
+    setMessage('');
+    setError('');
+
+    try {
+      const response = await fetch(`${API_URL}/api/auth/verify/resend`, {
+        method: 'POST',
+        headers: { 'Authorization': `Bearer ${token}` }
+      });
+
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to send verification email');
+      }
+
+      setMessage(data.message);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setSending(false);
+    }
+  };
+
+  return (
+    <div className="verification-banner">
+      <p>
+        Please verify your email address ({user.email}) by following the link we sent you.
+        {restrictions.length > 0 && ` Until then, you cannot ${restrictions.join(' or ')}.`}
+      </p>
+      <button onClick={handleResend} className="btn-resend" disabled={sending}>
+        {sending ? 'Sending...' : 'Resend email'}
+      </button>
+      {message && <p className="verification-message">{message}</p>}
+      {error && <p className="verification-error">{error}</p>}
+    </div>
+  );
+};
+
+export default VerificationBanner;
@@ -0,0 +1,71 @@
+import React from 'react';
+import { render, screen, fireEvent } from '@testing-library/react';
+import { AuthProvider } from '../context/AuthContext';
+import VerificationBanner from './VerificationBanner';
+
+/**
+ * VerificationBanner Component Tests
+ * Tests for the unverified email reminder and resending the link
+ */
+
+// Mock fetch for API calls
+global.fetch = jest.fn();
+
+// Helper function to render the banner for the given stored user
+const renderBanner = (user) => {
+  localStorage.setItem('user', JSON.stringify({ id: 1, username: 'alice', email: 'alice@test.com', ...user }));
+  return render(
+    <AuthProvider>
+      <VerificationBanner />
+    </AuthProvider>
+  );
+};
+
+describe('VerificationBanner Component', () => {
+  beforeEach(() => {
+    fetch.mockReset();
+    localStorage.setItem('token', 'test-token');
+  });
+
+  afterEach(() => {
+    localStorage.clear();
+  });
+
+  it('should not show once the email is verified', () => {
+    const { container } = renderBanner({ verified_at: '2026-03-01T10:00:00Z', restrictions: [] });
+
+    expect(container).toBeEmptyDOMElement();
+  });
+
+  it('should list the restrictions and resend the email', async () => {
+    fetch.mockResolvedValueOnce({
+      ok: true,
+      json: async () => ({ message: 'Verification email sent' })
+    });
+
+    renderBanner({ verified_at: null, restrictions: ['ranked', 'chat'] });
+
+    expect(screen.getByText(/alice@test\.com/)).toHaveTextContent(
+      'Until then, you cannot play against other players or chat.'
+    );
+    fireEvent.click(screen.getByRole('button', { name: /resend email/i }));
+
+    expect(await screen.findByText('Verification email sent')).toBeInTheDocument();
+    expect(fetch).toHaveBeenCalledWith(
+      expect.stringContaining('/api/auth/verify/resend'),
+      expect.objectContaining({ method: 'POST', headers: { 'Authorization': 'Bearer test-token' } })
+    );
+  });
+
+  it('should show the API error when asked to wait', async () => {
+    fetch.mockResolvedValueOnce({
+      ok: false,
+      json: async () => ({ error: 'Please wait 42 seconds before requesting another email' })
+    });
+
+    renderBanner({ verified_at: null, restrictions: [] });
+    fireEvent.click(screen.getByRole('button', { name: /resend email/i }));
+
+    expect(await screen.findByText('Please wait 42 seconds before requesting another email')).toBeInTheDocument();
+  });
+});
@@ -0,0 +1,91 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import { useAuth } from '../context/AuthContext';
+import './Auth.css';
+
+/**
+ * VerifyEmail Component
+ * Verifies the email address with the token of an emailed link
+ * (/verify-email?token=...)
+ */
+const VerifyEmail = () => {
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token');
+
+  const [verified, setVerified] = useState(false);
+  const [error, setError] = useState('');
+  const [loading, setLoading] = useState(!!token);
+  // The token can only be used once: don't send it again when the effect re-runs
+  const requested = useRef(false);
+
+  const { user, updateUser, isAuthenticated } = useAuth();
+
+  const API_URL = process.env.REACT_APP_API_URL || 'http://localhost:3001';
+
+  useEffect(() => {
+    if (!token || requested.current) {
+      return;
+    }
+    requested.current = true;
+
+    const verify = async () => {
+      try {
+        const response = await fetch(`${API_URL}/api/auth/verify/${encodeURIComponent(token)}`);
+        const data = await response.json();
+
+        if (!response.ok) {
+          throw new Error(data.error || 'Failed to verify email address');
+        }
+
+        // Lift the restrictions of the account logged in on this browser
+        if (user && user.id === data.user.id) {
+          updateUser(data.user);
+        }
+        setVerified(true);
+      } catch (err) {
+        setError(err.message);
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    verify();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [API_URL, token]);
+
+  /**
+   * Render the page content: the verification result
+   */
+  const renderContent = () => {
+    if (!token) {
+      return <div className="error-message">This verification link is incomplete.</div>;
+    }
+
+    if (loading) {
+      return <p>Verifying your email address...</p>;
+    }
+
+    if (verified) {
+      return <div className="success-message">Your email address has been verified.</div>;
+    }
+
+    return <div className="error-message">{error}</div>;
+  };
+
+  return (
+    <div className="auth-container">
+      <div className="auth-card">
+        <h1>Tic-Tac-Toe</h1>
+        <h2>Email Verification</h2>
+
+        {renderContent()}
+
+        <p className="auth-link">
+          {isAuthenticated ? <Link to="/games">Back to games</Link> : <Link to="/login">Go to login</Link>}
+        </p>
+      </div>
+    </div>
+  );
+};
+
+export default VerifyEmail;
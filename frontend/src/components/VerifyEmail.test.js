@@ -0,0 +1,72 @@
+import React from 'react';
+import { render, screen } from '@testing-library/react';
+import { MemoryRouter, Routes, Route } from 'react-router-dom';
+import { AuthProvider } from '../context/AuthContext';
+import VerifyEmail from './VerifyEmail';
+
+/**
+ * VerifyEmail Component Tests
+ * Tests for following an emailed verification link
+ */
+
+// Mock fetch for API calls
+global.fetch = jest.fn();
+
+// Helper function to render the page at the given URL
+const renderVerifyEmail = (url) => {
+  return render(
+    <MemoryRouter initialEntries={[url]}>
+      <AuthProvider>
+        <Routes>
+          <Route path="/verify-email" element={<VerifyEmail />} />
+        </Routes>
+      </AuthProvider>
+    </MemoryRouter>
+  );
+};
+
+describe('VerifyEmail Component', () => {
+  beforeEach(() => {
+    fetch.mockReset();
+  });
+
+  afterEach(() => {
+    localStorage.clear();
+  });
+
+  it('should verify the email and update the logged in user', async () => {
+    localStorage.setItem('token', 'test-token');
+    localStorage.setItem('user', JSON.stringify({ id: 1, username: 'alice', verified_at: null, restrictions: ['chat'] }));
+    const verifiedUser = { id: 1, username: 'alice', verified_at: '2026-03-01T10:00:00Z', restrictions: [] };
+    fetch.mockResolvedValueOnce({
+      ok: true,
+      json: async () => ({ message: 'Email verified', user: verifiedUser })
+    });
+
+    renderVerifyEmail('/verify-email?token=abc');
+
+    expect(await screen.findByText(/has been verified/i)).toBeInTheDocument();
+    expect(fetch).toHaveBeenCalledTimes(1);
+    expect(fetch).toHaveBeenCalledWith(expect.stringContaining('/api/auth/verify/abc'));
+    expect(JSON.parse(localStorage.getItem('user'))).toEqual(verifiedUser);
+  });
+
+  it('should show the API error for a used or expired link', async () => {
+    fetch.mockResolvedValueOnce({
+      ok: false,
+      json: async () => ({ error: 'Invalid or expired verification link' })
+    });
+
+    renderVerifyEmail('/verify-email?token=abc');
+
+    expect(await screen.findByText('Invalid or expired verification link')).toBeInTheDocument();
+    expect(screen.getByRole('link', { name: /go to login/i })).toBeInTheDocument();
+  });
+
+  it('should explain an incomplete link without calling the API', () => {
+    renderVerifyEmail('/verify-email');
+
+    expect(screen.getByText(/link is incomplete/i)).toBeInTheDocument();
+    expect(fetch).not.toHaveBeenCalled();
+  });
+});
@@ -1,4 +1,4 @@
-import React, { createContext, useState, useContext, useEffect } from 'react';
+import React, { createContext, useState, useContext, useEffect, useRef } from 'react';
 
 /**
  * Authentication Context
@@ -6,6 +6,31 @@ import React, { createContext, useState, useContext, useEffect } from 'react';
  */
 const AuthContext = createContext(null);
 
+const API_URL = process.env.REACT_APP_API_URL || 'http://localhost:3001';
+
+// localStorage keys of the session
+const STORAGE_KEYS = ['token', 'user', 'refreshToken', 'tokenExpiresAt'];
+
+// Renew the access token this long before it expires (ms)
+const REFRESH_MARGIN = 60 * 1000;
+
+// Delay before retrying a refresh the server could not answer (ms)
+const REFRESH_RETRY_DELAY = 15 * 1000;
+
+/**
+ * Read the stored session
+ * @returns {Object} { token, user, refreshToken, expiresAt }, fields are null when absent
+ */
+const readStoredSession = () => {
+  const storedUser = localStorage.getItem('user');
+  return {
+    token: localStorage.getItem('token'),
+    user: storedUser ? JSON.parse(storedUser) : null,
+    refreshToken: localStorage.getItem('refreshToken'),
+    expiresAt: Number(localStorage.getItem('tokenExpiresAt')) || null
+  };
+};
+
 /**
  * Custom hook to use the authentication context
  * Throws an error if used outside of AuthProvider
@@ -23,6 +48,8 @@ export const useAuth = () => {
 /**
  * Authentication Provider Component
  * Manages user authentication state and localStorage persistence
+ * The short-lived access token is renewed with the refresh token shortly
+ * before it expires; tabs share the session through localStorage
  *
  * @param {Object} props - Component props
  * @param {React.ReactNode} props.children - Child components
@@ -30,40 +57,185 @@ export const useAuth = () => {
 export const AuthProvider = ({ children }) => {
   const [user, setUser] = useState(null);
   const [token, setToken] = useState(null);
+  const [expiresAt, setExpiresAt] = useState(null);
   const [loading, setLoading] = useState(true);
 
-  // Load user and token from localStorage on mount
-  useEffect(() => {
-    const storedToken = localStorage.getItem('token');
-    const storedUser = localStorage.getItem('user');
+  // The refresh token is never rendered, only sent back to the API
+  const refreshTokenRef = useRef(null);
+
+  /**
+   * Apply a session to the state, without touching localStorage
+   * @param {Object} session - { token, user, refreshToken, expiresAt }
+   */
+  const applySession = (session) => {
+    const active = !!(session.token && session.user);
+    setToken(active ? session.token : null);
+    setUser(active ? session.user : null);
+    setExpiresAt(active ? session.expiresAt : null);
+    refreshTokenRef.current = active ? session.refreshToken : null;
+  };
+
+  /**
+   * Store a session and apply it
+   * @param {Object} session - { token, user, refreshToken, expiresAt }
+   */
+  const saveSession = (session) => {
+    localStorage.setItem('token', session.token);
+    localStorage.setItem('user', JSON.stringify(session.user));
+    if (session.refreshToken) {
+      localStorage.setItem('refreshToken', session.refreshToken);
+      localStorage.setItem('tokenExpiresAt', String(session.expiresAt));
+    } else {
+      localStorage.removeItem('refreshToken');
+      localStorage.removeItem('tokenExpiresAt');
+    }
+    applySession(session);
+  };
+
+  /**
+   * Clear the stored session
+   */
+  const clearSession = () => {
+    STORAGE_KEYS.forEach(key => localStorage.removeItem(key));
+    applySession({});
+  };
+
+  /**
+   * Exchange the refresh token for a new access token
+   * If another tab already used the refresh token, its new session is
+   * picked up from localStorage instead
+   *
+   * @param {string} refreshToken - Current refresh token
+   * @returns {Promise<void>}
+   */
+  const refresh = async (refreshToken) => {
+    // Keep the session and try again later
+    const retryLater = () => setExpiresAt(Date.now() + REFRESH_MARGIN + REFRESH_RETRY_DELAY);
 
-    if (storedToken && storedUser) {
-      setToken(storedToken);
-      setUser(JSON.parse(storedUser));
+    let response;
+    try {
+      response = await fetch(`${API_URL}/api/auth/refresh`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ refresh_token: refreshToken })
+      });
+    } catch (err) {
+      // Offline or server unreachable
+      retryLater();
+      return;
     }
-    setLoading(false);
+
+    // Server error, or rate limited: the refresh token is still valid
+    if (response.status >= 500 || response.status === 429) {
+      retryLater();
+      return;
+    }
+
+    if (response.ok) {
+      const data = await response.json();
+      saveSession({
+        token: data.token,
+        user: data.user,
+        refreshToken: data.refresh_token,
+        expiresAt: Date.now() + data.expires_in * 1000
+      });
+      return;
+    }
+
+    const stored = readStoredSession();
+    if (stored.refreshToken && stored.refreshToken !== refreshToken) {
+      applySession(stored);
+    } else {
+      // The session was revoked or has expired
+      clearSession();
+    }
+  };
+
+  // Load the session from localStorage on mount, renewing an expired access token first
+  useEffect(() => {
+    const loadSession = async () => {
+      const stored = readStoredSession();
+
+      if (stored.token && stored.user) {
+        applySession(stored);
+        if (stored.refreshToken && stored.expiresAt && stored.expiresAt - Date.now() < REFRESH_MARGIN) {
+          await refresh(stored.refreshToken);
+        }
+      }
+      setLoading(false);
+    };
+
+    loadSession();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, []);
+
+  // Follow logins, refreshes and logouts of other tabs
+  useEffect(() => {
+    const handleStorage = (event) => {
+      if (event.key === null || STORAGE_KEYS.includes(event.key)) {
+        applySession(readStoredSession());
+      }
+    };
+
+    window.addEventListener('storage', handleStorage);
+    return () => window.removeEventListener('storage', handleStorage);
   }, []);
 
+  // Renew the access token shortly before it expires
+  // (while loading, an expired token is already being renewed)
+  useEffect(() => {
+    if (loading || !token || !expiresAt || !refreshTokenRef.current) return undefined;
+
+    const timer = setTimeout(
+      () => refresh(refreshTokenRef.current),
+      Math.max(0, expiresAt - Date.now() - REFRESH_MARGIN)
+    );
+    return () => clearTimeout(timer);
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [loading, token, expiresAt]);
+
   /**
    * Login user and store credentials
-   * @param {string} authToken - JWT token
+   * @param {string} authToken - JWT access token
    * @param {Object} userData - User data object
+   * @param {string} [refreshToken] - Refresh token of the new session
+   * @param {number} [expiresIn] - Lifetime of the access token in seconds
    */
-  const login = (authToken, userData) => {
-    setToken(authToken);
-    setUser(userData);
-    localStorage.setItem('token', authToken);
+  const login = (authToken, userData, refreshToken = null, expiresIn = null) => {
+    saveSession({
+      token: authToken,
+      user: userData,
+      refreshToken,
+      expiresAt: expiresIn ? Date.now() + expiresIn * 1000 : null
+    });
+  };
+
+  /**
+   * Replace the stored user, e.g. once their email address is verified
+   * @param {Object} userData - Updated user data object
+   */
+  const updateUser = (userData) => {
     localStorage.setItem('user', JSON.stringify(userData));
+    setUser(userData);
   };
 
   /**
    * Logout user and clear credentials
+   * The session is also revoked on the server, so its tokens stop working
    */
   const logout = () => {
-    setToken(null);
-    setUser(null);
-    localStorage.removeItem('token');
-    localStorage.removeItem('user');
+    const refreshToken = refreshTokenRef.current;
+    clearSession();
+
+    if (refreshToken) {
+      fetch(`${API_URL}/api/auth/logout`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ refresh_token: refreshToken })
+      }).catch(() => {
+        // The session expires on its own if the server cannot be reached
+      });
+    }
   };
 
   const value = {
@@ -71,6 +243,7 @@ export const AuthProvider = ({ children }) => {
     token,
     login,
     logout,
+    updateUser,
     isAuthenticated: !!token
   };
 
@@ -0,0 +1,128 @@
+import React from 'react';
+import { render, screen, fireEvent, act, waitFor } from '@testing-library/react';
+import { AuthProvider, useAuth } from './AuthContext';
+
+/**
+ * AuthContext Tests
+ * Tests for refreshing the access token and logging out
+ */
+
+// Mock fetch for API calls
+global.fetch = jest.fn();
+
+// Shows the current token and exposes logout
+const Probe = () => {
+  const { token, logout } = useAuth();
+  return (
+    <div>
+      <span data-testid="token">{token || 'none'}</span>
+      <button onClick={logout}>Logout</button>
+    </div>
+  );
+};
+
+const renderProvider = () => render(
+  <AuthProvider>
+    <Probe />
+  </AuthProvider>
+);
+
+/**
+ * Store a session like a previous login would have
+ * @param {number} expiresIn - Milliseconds until the access token expires
+ */
+const storeSession = (expiresIn) => {
+  localStorage.setItem('token', 'old-token');
+  localStorage.setItem('user', JSON.stringify({ id: 1, username: 'alice' }));
+  localStorage.setItem('refreshToken', 'old-refresh');
+  localStorage.setItem('tokenExpiresAt', String(Date.now() + expiresIn));
+};
+
+const refreshed = {
+  ok: true,
+  status: 200,
+  json: async () => ({
+    user: { id: 1, username: 'alice' },
+    token: 'new-token',
+    refresh_token: 'new-refresh',
+    expires_in: 900
+  })
+};
+
+describe('AuthContext', () => {
+  beforeEach(() => {
+    fetch.mockReset();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    localStorage.clear();
+  });
+
+  it('should refresh the access token shortly before it expires', async () => {
+    jest.useFakeTimers();
+    storeSession(5 * 60 * 1000);
+    fetch.mockResolvedValueOnce(refreshed);
+
+    renderProvider();
+    expect(screen.getByTestId('token')).toHaveTextContent('old-token');
+    expect(fetch).not.toHaveBeenCalled();
+
+    await act(async () => {
+      jest.advanceTimersByTime(4 * 60 * 1000);
+    });
+
+    expect(fetch).toHaveBeenCalledWith(
+      expect.stringContaining('/api/auth/refresh'),
+      expect.objectContaining({ body: JSON.stringify({ refresh_token: 'old-refresh' }) })
+    );
+    expect(screen.getByTestId('token')).toHaveTextContent('new-token');
+    expect(localStorage.getItem('refreshToken')).toBe('new-refresh');
+  });
+
+  it('should refresh an expired access token before rendering', async () => {
+    storeSession(-1000);
+    fetch.mockResolvedValueOnce(refreshed);
+
+    renderProvider();
+
+    expect(await screen.findByText('new-token')).toBeInTheDocument();
+  });
+
+  it('should log out when the session was revoked', async () => {
+    storeSession(-1000);
+    fetch.mockResolvedValueOnce({ ok: false, status: 401, json: async () => ({ error: 'Invalid refresh token' }) });
+
+    renderProvider();
+
+    expect(await screen.findByText('none')).toBeInTheDocument();
+    expect(localStorage.getItem('token')).toBeNull();
+  });
+
+  it('should keep the session when rate limited', async () => {
+    storeSession(-1000);
+    fetch.mockResolvedValueOnce({ ok: false, status: 429, json: async () => ({ error: 'Too many requests' }) });
+
+    renderProvider();
+
+    expect(await screen.findByText('old-token')).toBeInTheDocument();
+    expect(localStorage.getItem('refreshToken')).toBe('old-refresh');
+  });
+
+  it('should revoke the session on logout', async () => {
+    storeSession(10 * 60 * 1000);
+    fetch.mockResolvedValueOnce({ ok: true, status: 200, json: async () => ({}) });
+
+    renderProvider();
+    fireEvent.click(screen.getByRole('button', { name: 'Logout' }));
+
+    expect(screen.getByTestId('token')).toHaveTextContent('none');
+    await waitFor(() => {
+      expect(fetch).toHaveBeenCalledWith(
+        expect.stringContaining('/api/auth/logout'),
+        expect.objectContaining({ body: JSON.stringify({ refresh_token: 'old-refresh' }) })
+      );
+    });
+    expect(localStorage.getItem('refreshToken')).toBeNull();
+  });
+});
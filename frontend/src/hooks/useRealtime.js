@@ -0,0 +1,92 @@
+import { useEffect, useRef, useState } from 'react';
+import { useAuth } from '../context/AuthContext';
+
+// Delay before trying to reconnect a dropped socket (doubles up to the max)
+const RECONNECT_DELAY = 1000;
+const MAX_RECONNECT_DELAY = 30000;
+
+/**
+ * Build the WebSocket URL from the REST API URL
+ * http(s)://host -> ws(s)://host/api/ws
+ *
+ * @param {string} apiUrl - Base URL of the REST API
+ * @param {string} token - JWT used to authenticate the socket
+ * @returns {string} WebSocket URL
+ */
+const buildSocketUrl = (apiUrl, token) => {
+  const wsUrl = apiUrl.replace(/^http/, 'ws');
+  return `${wsUrl}/api/ws?token=${encodeURIComponent(token)}`;
+};
+
+/**
+ * Custom hook to subscribe to a realtime channel
+ * Opens an authenticated WebSocket, subscribes to the channel and
+ * reconnects automatically when the connection drops
+ *
+ * @param {string} channel - Channel name ('lobby' or 'game:<id>')
+ * @param {Function} onEvent - Called with (event, data) for every pushed event
+ * @returns {boolean} Whether the socket is currently connected
+ */
+export const useRealtime = (channel, onEvent) => {
+  const { token, isAuthenticated } = useAuth();
+  const [connected, setConnected] = useState(false);
+
+  // Keep the latest handler without reconnecting on every render
+  const handlerRef = useRef(onEvent);
+  handlerRef.current = onEvent;
+
+  // Reconnects use the latest access token, which is renewed without reconnecting
+  const tokenRef = useRef(token);
+  tokenRef.current = token;
+
+  const API_URL = process.env.REACT_APP_API_URL || 'http://localhost:3001';
+
+  useEffect(() => {
+    if (!isAuthenticated || !channel || typeof WebSocket === 'undefined') {
+      return undefined;
+    }
+
+    let socket;
+    let reconnectTimer;
+    let delay = RECONNECT_DELAY;
+    let closedByUs = false;
+
+    const connect = () => {
+      socket = new WebSocket(buildSocketUrl(API_URL, tokenRef.current));
+
+      socket.onopen = () => {
+        delay = RECONNECT_DELAY;
+        socket.send(JSON.stringify({ type: 'subscribe', channel }));
+        setConnected(true);
+      };
+
+      socket.onmessage = (message) => {
+        try {
+          const { event, data } = JSON.parse(message.data);
+          handlerRef.current(event, data);
+        } catch (err) {
+          console.error('Invalid realtime message:', err);
+        }
+      };
+
+      socket.onclose = () => {
+        setConnected(false);
+        if (!closedByUs) {
+          reconnectTimer = setTimeout(connect, delay);
+          delay = Math.min(delay * 2, MAX_RECONNECT_DELAY);
+        }
+      };
+    };
+
+    connect();
+
+    // Close the socket and cancel pending reconnects on unmount
+    return () => {
+      closedByUs = true;
+      clearTimeout(reconnectTimer);
+      socket.close();
+    };
+  }, [API_URL, isAuthenticated, channel]);
+
+  return connected;
+};
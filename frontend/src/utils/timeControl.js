@@ -0,0 +1,9 @@
+/**
+ * Format a game's time control, e.g. "30 s / move" or "3 min + 2 s"
+ * @param {Object} timeControl - Time control from the API ({ type, seconds, increment })
+ */
+export const formatTimeControl = ({ type, seconds, increment }) => {
+  const limit = seconds % 60 === 0 ? `${seconds / 60} min` : `${seconds} s`;
+  if (type === 'move') return `${limit} / move`;
+  return increment > 0 ? `${limit} + ${increment} s` : limit;
+};